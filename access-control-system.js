@@ -1,54 +1,48 @@
-const { google } = require('googleapis');
+const database = require('./database');
+const { rolePermissions } = require('./config/permissions');
+const { helpers: companyHelpers } = require('./config/companies');
+const sessions = require('./session-service');
+
+// Administradores aprobados desde el arranque para poder revisar la cola de pendientes
+const DEFAULT_ADMIN_EMAILS = [
+    'admin@iriasironworks.com',
+    'david@iriasironworks.com'
+];
 
 /**
  * Sistema de Control de Acceso Avanzado
  * Desarrollado por 2Knock Media Group
- * 
+ *
  * Características:
- * - Control de acceso basado en Google Sheets
- * - Solo usuarios en la hoja "Form Responses 1" pueden acceder
- * - Sistema de roles basado en el dominio del email
- * - Logs de acceso y auditoría
+ * - Usuarios autorizados persistidos en MySQL (tabla authorized_users)
+ * - Los usuarios nuevos de dominios autorizados quedan pendientes de aprobación
+ * - Aprobación/rechazo por un administrador (approvedBy, approvedAt)
+ * - Contador de accesos y último acceso por usuario
  */
 class AccessControlSystem {
     constructor() {
-        this.sheets = null;
-        this.spreadsheetId = process.env.GOOGLE_SHEETS_ID;
-        this.clientsSheet = 'Form Responses 1'; // Hoja principal de clientes
-        this.accessControlSheet = 'Access Control'; // Hoja para control de acceso
+        this.db = database;
         this.authorizedDomains = [
             'iriasironworks.com',
             'bostonfireescapes.com',
             'gmail.com'
         ];
         this.isInitialized = false;
-        this.authorizedUsers = new Map(); // Cache de usuarios autorizados
+        this.authorizedUsers = new Map(); // Cache de usuarios autorizados (MySQL es la fuente de verdad)
+        this.lastReload = null;
     }
 
     async initialize() {
         try {
             console.log('🔐 Inicializando sistema de control de acceso...');
-            
-            if (!process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
-                console.warn('⚠️ Google Service Account credentials not found, using fallback mode');
-                // En modo fallback, solo usar dominios autorizados
-                this.isInitialized = true;
-                console.log('✅ Sistema de control de acceso inicializado en modo fallback');
-                return true;
-            }
 
-            const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-            const auth = new google.auth.GoogleAuth({
-                credentials,
-                scopes: ['https://www.googleapis.com/auth/spreadsheets']
-            });
+            if (!this.isPersistent()) {
+                console.warn('⚠️ MySQL not connected, access approvals will be kept in memory only');
+            }
 
-            const authClient = await auth.getClient();
-            this.sheets = google.sheets({ version: 'v4', auth: authClient });
-            
-            // Cargar usuarios autorizados desde la hoja de clientes
+            await this.seedDefaultAdmins();
             await this.loadAuthorizedUsers();
-            
+
             this.isInitialized = true;
             console.log('✅ Sistema de control de acceso inicializado');
             return true;
@@ -61,77 +55,110 @@ class AccessControlSystem {
         }
     }
 
+    isPersistent() {
+        return !!this.db.mysqlConnected;
+    }
+
     /**
-     * Cargar usuarios autorizados desde la hoja de clientes
+     * Emails de administrador aprobados automáticamente (ACCESS_CONTROL_ADMIN_EMAILS, separados por coma)
      */
-    async loadAuthorizedUsers() {
-        try {
-            console.log('📋 Cargando usuarios autorizados desde Google Sheets...');
-            
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.spreadsheetId,
-                range: `${this.clientsSheet}!A:AA`
-            });
+    getDefaultAdminEmails() {
+        const configured = (process.env.ACCESS_CONTROL_ADMIN_EMAILS || '')
+            .split(',')
+            .map(email => email.trim().toLowerCase())
+            .filter(email => this.isValidEmail(email));
 
-            const rows = response.data.values || [];
-            if (rows.length < 2) {
-                console.log('⚠️ No hay datos en la hoja de clientes');
-                return;
-            }
-
-            const headers = rows[0];
-            const emailColumnIndex = headers.findIndex(header => 
-                header.toLowerCase().includes('email') || 
-                header.toLowerCase().includes('e-mail')
-            );
+        return configured.length > 0 ? configured : DEFAULT_ADMIN_EMAILS;
+    }
 
-            if (emailColumnIndex === -1) {
-                console.log('⚠️ No se encontró columna de email en la hoja');
-                return;
+    /**
+     * Dar de alta los administradores por defecto sin tocar su estado si ya existen
+     */
+    async seedDefaultAdmins() {
+        for (const email of this.getDefaultAdminEmails()) {
+            if (this.isPersistent()) {
+                await this.db.addAuthorizedUser({
+                    email,
+                    role: 'admin',
+                    source: 'default_admin',
+                    status: 'Approved',
+                    approvedBy: 'system'
+                });
+            } else if (!this.authorizedUsers.has(email)) {
+                this.authorizedUsers.set(email, this.buildUser(email, {
+                    role: 'admin',
+                    source: 'default_admin',
+                    status: 'Approved',
+                    approvedBy: 'system',
+                    approvedAt: new Date().toISOString()
+                }));
             }
+        }
+    }
 
-            // Procesar cada fila y extraer emails únicos
-            const uniqueEmails = new Set();
-            
-            for (let i = 1; i < rows.length; i++) {
-                const row = rows[i];
-                const email = row[emailColumnIndex]?.trim();
-                
-                if (email && this.isValidEmail(email)) {
-                    uniqueEmails.add(email.toLowerCase());
-                }
+    /**
+     * Cargar usuarios autorizados desde MySQL
+     */
+    async loadAuthorizedUsers() {
+        try {
+            if (!this.isPersistent()) {
+                return;
             }
 
-            // Agregar emails de dominio autorizado por defecto
-            this.authorizedDomains.forEach(domain => {
-                uniqueEmails.add(`admin@${domain}`);
-                uniqueEmails.add(`david@${domain}`);
-            });
+            console.log('📋 Cargando usuarios autorizados desde MySQL...');
+            const users = await this.db.getAuthorizedUsers();
 
-            // Convertir a Map para acceso rápido
             this.authorizedUsers.clear();
-            uniqueEmails.forEach(email => {
-                this.authorizedUsers.set(email, {
-                    email: email,
-                    source: 'clients_sheet',
-                    accessCount: 0,
-                    lastAccess: null
-                });
-            });
-
-            console.log(`✅ Cargados ${this.authorizedUsers.size} usuarios autorizados`);
-            
-            // Log de usuarios autorizados
-            console.log('📋 Usuarios autorizados:');
-            this.authorizedUsers.forEach((user, email) => {
-                console.log(`   - ${email}`);
-            });
+            users.forEach(user => this.authorizedUsers.set(user.email, user));
+            this.lastReload = new Date().toISOString();
 
+            const pending = users.filter(user => user.status === 'Pending').length;
+            console.log(`✅ Cargados ${this.authorizedUsers.size} usuarios autorizados (${pending} pendientes de aprobación)`);
         } catch (error) {
             console.error('❌ Error cargando usuarios autorizados:', error);
         }
     }
 
+    /**
+     * Usuario en memoria con la misma forma que devuelve la base de datos
+     */
+    buildUser(email, fields = {}) {
+        return {
+            email: email,
+            name: '',
+            domain: email.split('@')[1] || '',
+            role: 'user',
+            companies: [],
+            source: 'auto_registration',
+            status: 'Pending',
+            approvedBy: null,
+            approvedAt: null,
+            accessCount: 0,
+            lastAccess: null,
+            registeredAt: new Date().toISOString(),
+            ...fields
+        };
+    }
+
+    /**
+     * Obtener un usuario (lee de MySQL para ver aprobaciones hechas desde otra instancia)
+     */
+    async getUser(email) {
+        const emailLower = email.toLowerCase();
+
+        if (this.isPersistent()) {
+            const user = await this.db.getAuthorizedUser(emailLower);
+            if (user) {
+                this.authorizedUsers.set(emailLower, user);
+            } else {
+                this.authorizedUsers.delete(emailLower);
+            }
+            return user;
+        }
+
+        return this.authorizedUsers.get(emailLower) || null;
+    }
+
     /**
      * Verificar si un email es válido
      */
@@ -141,69 +168,37 @@ class AccessControlSystem {
     }
 
     /**
-     * Verificar si un usuario está autorizado
+     * Verificar si un usuario está autorizado (solo usuarios aprobados)
      */
     async isUserAuthorized(email) {
         try {
             const emailLower = email.toLowerCase();
             console.log(`🔍 Verificando autorización para: ${email}`);
-            console.log(`🔍 Sistema inicializado: ${this.isInitialized}`);
-            console.log(`🔍 Usuarios en cache: ${this.authorizedUsers.size}`);
-            
-            // TEMPORAL: Permitir acceso a cualquier email de dominio autorizado
-            // sin necesidad de estar en Google Sheets
-            if (this.isDomainAuthorized(email)) {
-                console.log(`🌐 Dominio autorizado: ${email} - Acceso permitido`);
-                
-                // Agregar a la lista de autorizados si no existe
-                if (!this.authorizedUsers.has(emailLower)) {
-                    this.authorizedUsers.set(emailLower, {
-                        email: emailLower,
-                        source: 'domain_authorized',
-                        accessCount: 1,
-                        lastAccess: new Date().toISOString()
-                    });
-                    console.log(`➕ Usuario agregado automáticamente: ${email}`);
-                } else {
-                    // Actualizar estadísticas de acceso
-                    const user = this.authorizedUsers.get(emailLower);
-                    user.accessCount++;
-                    user.lastAccess = new Date().toISOString();
-                    console.log(`📊 Acceso #${user.accessCount} para: ${email}`);
-                }
-
-                return { 
-                    authorized: true, 
-                    user: this.authorizedUsers.get(emailLower),
-                    reason: 'Domain authorized - auto-added'
+
+            const user = await this.getUser(emailLower);
+            if (!user) {
+                console.log(`❌ Usuario no registrado: ${email}`);
+                return {
+                    authorized: false,
+                    reason: 'User not registered'
                 };
             }
 
-            // Si el sistema está inicializado, verificar en Google Sheets
-            if (this.isInitialized) {
-                // Verificar si el usuario está en la lista de autorizados
-                if (this.authorizedUsers.has(emailLower)) {
-                    const user = this.authorizedUsers.get(emailLower);
-                    
-                    // Actualizar estadísticas de acceso
-                    user.accessCount++;
-                    user.lastAccess = new Date().toISOString();
-                    
-                    console.log(`✅ Usuario autorizado: ${email} (Acceso #${user.accessCount})`);
-            return { 
-                authorized: true, 
-                user: user,
-                        reason: 'User in authorized list'
-                    };
-                }
+            if (user.status !== 'Approved') {
+                console.log(`⏳ Usuario sin aprobar: ${email} (${user.status})`);
+                return {
+                    authorized: false,
+                    user: user,
+                    reason: user.status === 'Rejected' ? 'User access rejected' : 'User pending approval'
+                };
             }
 
-            console.log(`❌ Usuario no autorizado: ${email}`);
-            console.log(`❌ Dominio autorizado: ${this.isDomainAuthorized(email)}`);
-            console.log(`❌ En lista de usuarios: ${this.authorizedUsers.has(emailLower)}`);
-            return { 
-                authorized: false, 
-                reason: 'User not in authorized list and domain not authorized'
+            const updatedUser = await this.recordAccess(emailLower);
+            console.log(`✅ Usuario autorizado: ${email} (Acceso #${updatedUser.accessCount})`);
+            return {
+                authorized: true,
+                user: updatedUser,
+                reason: 'User in authorized list'
             };
 
         } catch (error) {
@@ -212,53 +207,98 @@ class AccessControlSystem {
         }
     }
 
+    /**
+     * Actualizar estadísticas de acceso
+     */
+    async recordAccess(email) {
+        if (this.isPersistent()) {
+            const user = await this.db.recordAuthorizedUserAccess(email);
+            this.authorizedUsers.set(email, user);
+            return user;
+        }
+
+        const user = this.authorizedUsers.get(email);
+        user.accessCount++;
+        user.lastAccess = new Date().toISOString();
+        return user;
+    }
+
     /**
      * Verificar si el dominio está autorizado
      */
     isDomainAuthorized(email) {
         const domain = email.split('@')[1]?.toLowerCase();
         const isAuthorized = this.authorizedDomains.includes(domain);
-        
+
         console.log(`🌐 Verificando dominio: ${domain} - Autorizado: ${isAuthorized}`);
         return isAuthorized;
     }
 
     /**
-     * Obtener lista de usuarios autorizados
+     * Obtener lista de usuarios autorizados, opcionalmente filtrada por estado
+     */
+    async getAuthorizedUsers(status = null) {
+        if (this.isPersistent()) {
+            await this.loadAuthorizedUsers();
+        }
+
+        const users = Array.from(this.authorizedUsers.values());
+        return status ? users.filter(user => user.status === status) : users;
+    }
+
+    /**
+     * Cola de usuarios pendientes de aprobación
      */
-    getAuthorizedUsers() {
-        return Array.from(this.authorizedUsers.values());
+    async getPendingUsers() {
+        return this.getAuthorizedUsers('Pending');
     }
 
     /**
-     * Agregar usuario manualmente a la lista de autorizados
+     * Agregar usuario manualmente a la lista de autorizados (queda aprobado)
      */
-    addAuthorizedUser(email, name = '') {
+    async addAuthorizedUser(email, name = '', addedBy = 'system') {
         const emailLower = email.toLowerCase();
-        this.authorizedUsers.set(emailLower, {
-            email: emailLower,
-            name: name,
-            source: 'manual_add',
-            accessCount: 0,
-            lastAccess: null
-        });
+        let user;
+
+        if (this.isPersistent()) {
+            await this.db.addAuthorizedUser({ email: emailLower, name, source: 'manual_add' });
+            user = await this.db.updateAuthorizedUserStatus(emailLower, 'Approved', addedBy);
+        } else {
+            user = this.buildUser(emailLower, {
+                ...this.authorizedUsers.get(emailLower),
+                name: name,
+                source: 'manual_add',
+                status: 'Approved',
+                approvedBy: addedBy,
+                approvedAt: new Date().toISOString()
+            });
+        }
+
+        this.authorizedUsers.set(emailLower, user);
         console.log(`➕ Usuario agregado manualmente: ${email}`);
+        return user;
     }
 
     /**
-     * Remover usuario de la lista de autorizados
+     * Remover usuario de la lista de autorizados (y cerrar todas sus sesiones)
      */
-    removeAuthorizedUser(email) {
+    async removeAuthorizedUser(email, removedBy = 'system') {
         const emailLower = email.toLowerCase();
-        const removed = this.authorizedUsers.delete(emailLower);
+        let removed = this.authorizedUsers.delete(emailLower);
+
+        if (this.isPersistent()) {
+            removed = await this.db.deleteAuthorizedUser(emailLower);
+        }
+
         if (removed) {
+            await sessions.revokeUserSessions(emailLower, removedBy, 'user_removed');
             console.log(`➖ Usuario removido: ${email}`);
         }
         return removed;
     }
 
     /**
-     * Recargar usuarios autorizados desde Google Sheets
+     * Recargar usuarios autorizados desde MySQL
      */
     async reloadAuthorizedUsers() {
         console.log('🔄 Recargando usuarios autorizados...');
@@ -268,73 +308,85 @@ class AccessControlSystem {
     /**
      * Obtener estadísticas de acceso
      */
-    getAccessStats() {
-        const totalUsers = this.authorizedUsers.size;
-        const activeUsers = Array.from(this.authorizedUsers.values())
-            .filter(user => user.lastAccess).length;
-        
+    async getAccessStats() {
+        const users = await this.getAuthorizedUsers();
+        const domains = {};
+        users.forEach(user => {
+            domains[user.domain] = (domains[user.domain] || 0) + 1;
+        });
+
         return {
-            totalUsers,
-            activeUsers,
-            lastReload: new Date().toISOString()
+            total: users.length,
+            approved: users.filter(user => user.status === 'Approved').length,
+            pending: users.filter(user => user.status === 'Pending').length,
+            rejected: users.filter(user => user.status === 'Rejected').length,
+            active: users.filter(user => user.lastAccess).length,
+            domains,
+            persistent: this.isPersistent(),
+            lastReload: this.lastReload
         };
     }
 
     /**
-     * Registrar un nuevo usuario
+     * Registrar un nuevo usuario (queda pendiente de aprobación)
      */
     async registerUser(userData) {
         try {
             const { email, name } = userData;
             const emailLower = email.toLowerCase();
-            
+
             console.log(`📝 Registrando usuario: ${email}`);
-            
+
             // Verificar si el usuario ya existe
-            if (this.authorizedUsers.has(emailLower)) {
-                const existingUser = this.authorizedUsers.get(emailLower);
-                console.log(`✅ Usuario ya existe: ${email}`);
-                return { 
+            const existingUser = await this.getUser(emailLower);
+            if (existingUser) {
+                console.log(`✅ Usuario ya existe: ${email} (${existingUser.status})`);
+                return {
                     success: true,
                     user: existingUser,
                     message: 'User already exists'
                 };
             }
-            
+
             // Verificar si el dominio está autorizado
             if (!this.isDomainAuthorized(email)) {
                 console.log(`❌ Dominio no autorizado para registro: ${email}`);
-                return { 
-                    success: false, 
+                return {
+                    success: false,
                     message: 'Domain not authorized for registration'
                 };
             }
 
-            // Crear nuevo usuario
-            const newUser = {
-                email: emailLower,
-                name: name || '',
-                source: 'auto_registration',
-                accessCount: 0,
-                lastAccess: null,
-                Status: 'Approved', // Auto-approve users from authorized domains
-                registeredAt: new Date().toISOString()
-            };
-            
-            // Agregar a la lista de autorizados
+            // Empresa por defecto según el dominio (bostonfireescapes.com, iriasironworks.com)
+            const companies = companyHelpers.normalizeCompanyList([emailLower.split('@')[1]]);
+
+            // Crear nuevo usuario pendiente de aprobación
+            let newUser;
+            if (this.isPersistent()) {
+                newUser = await this.db.addAuthorizedUser({
+                    email: emailLower,
+                    name: name,
+                    companies,
+                    source: 'auto_registration',
+                    status: 'Pending'
+                });
+            } else {
+                newUser = this.buildUser(emailLower, { name: name || '', companies });
+            }
+
             this.authorizedUsers.set(emailLower, newUser);
-            
-            console.log(`✅ Usuario registrado exitosamente: ${email}`);
-            return { 
-                success: true, 
+
+            console.log(`📝 Usuario registrado pendiente de aprobación: ${email}`);
+            return {
+                success: true,
                 user: newUser,
-                message: 'User registered successfully'
+                message: 'User registered, pending approval'
             };
-            
+
         } catch (error) {
             console.error('❌ Error registrando usuario:', error);
-            return { 
-                success: false, 
+            return {
+                success: false,
                 message: error.message
             };
         }
@@ -344,35 +396,144 @@ class AccessControlSystem {
      * Aprobar un usuario
      */
     async approveUser(email, approvedBy) {
+        console.log(`✅ Aprobando usuario: ${email} por: ${approvedBy}`);
+        return this.setUserStatus(email, 'Approved', approvedBy);
+    }
+
+    /**
+     * Rechazar un usuario pendiente
+     */
+    async rejectUser(email, rejectedBy) {
+        console.log(`🚫 Rechazando usuario: ${email} por: ${rejectedBy}`);
+        return this.setUserStatus(email, 'Rejected', rejectedBy);
+    }
+
+    /**
+     * Cambiar el rol de un usuario (se aplica en su próximo inicio de sesión)
+     */
+    async setUserRole(email, role) {
         try {
-            const emailLower = email.toLowerCase();
-            
-            console.log(`✅ Aprobando usuario: ${email} por: ${approvedBy}`);
-            
+            if (!rolePermissions[role]) {
+                return {
+                    success: false,
+                    message: `Invalid role: ${role}`
+                };
+            }
+
+            const emailLower = (email || '').toLowerCase();
+            const existingUser = await this.getUser(emailLower);
+            if (!existingUser) {
+                return {
+                    success: false,
+                    message: 'User not found'
+                };
+            }
+
+            let user;
+            if (this.isPersistent()) {
+                user = await this.db.updateAuthorizedUserRole(emailLower, role);
+            } else {
+                user = existingUser;
+                user.role = role;
+            }
+            this.authorizedUsers.set(emailLower, user);
+
+            console.log(`🔑 Rol de ${email} actualizado a ${role}`);
+            return {
+                success: true,
+                user: user,
+                message: 'User role updated successfully'
+            };
+
+        } catch (error) {
+            console.error('❌ Error actualizando rol del usuario:', error);
+            return {
+                success: false,
+                message: error.message
+            };
+        }
+    }
+
+    /**
+     * Asignar las empresas cuyos datos puede ver el usuario
+     */
+    async setUserCompanies(email, companies) {
+        try {
+            const normalized = companyHelpers.normalizeCompanyList(companies);
+            const emailLower = (email || '').toLowerCase();
+            const existingUser = await this.getUser(emailLower);
+            if (!existingUser) {
+                return {
+                    success: false,
+                    message: 'User not found'
+                };
+            }
+
+            let user;
+            if (this.isPersistent()) {
+                user = await this.db.updateAuthorizedUserCompanies(emailLower, normalized);
+            } else {
+                user = existingUser;
+                user.companies = normalized;
+            }
+            this.authorizedUsers.set(emailLower, user);
+
+            console.log(`🏢 Empresas de ${email}: ${normalized.join(', ') || 'ninguna'}`);
+            return {
+                success: true,
+                user: user,
+                message: 'User companies updated successfully'
+            };
+
+        } catch (error) {
+            console.error('❌ Error actualizando empresas del usuario:', error);
+            return {
+                success: false,
+                message: error.message
+            };
+        }
+    }
+
+    async setUserStatus(email, status, changedBy) {
+        try {
+            const emailLower = (email || '').toLowerCase();
+
             // Verificar si el usuario existe
-            if (!this.authorizedUsers.has(emailLower)) {
-                console.log(`❌ Usuario no encontrado para aprobar: ${email}`);
+            const existingUser = await this.getUser(emailLower);
+            if (!existingUser) {
+                console.log(`❌ Usuario no encontrado: ${email}`);
                 return {
                     success: false,
                     message: 'User not found'
                 };
             }
-            
+
             // Actualizar el usuario
-            const user = this.authorizedUsers.get(emailLower);
-            user.Status = 'Approved';
-            user.approvedBy = approvedBy;
-            user.approvedAt = new Date().toISOString();
-            
-            console.log(`✅ Usuario aprobado exitosamente: ${email}`);
+            let user;
+            if (this.isPersistent()) {
+                user = await this.db.updateAuthorizedUserStatus(emailLower, status, changedBy);
+            } else {
+                user = existingUser;
+                user.status = status;
+                user.approvedBy = changedBy;
+                user.approvedAt = new Date().toISOString();
+            }
+            this.authorizedUsers.set(emailLower, user);
+
+            // Un usuario rechazado pierde también las sesiones que ya tenía abiertas
+            if (status === 'Rejected') {
+                await sessions.revokeUserSessions(emailLower, changedBy, 'access_rejected');
+            }
+
+            console.log(`✅ Usuario ${email} actualizado a ${status}`);
             return {
                 success: true,
                 user: user,
-                message: 'User approved successfully'
+                message: `User ${status.toLowerCase()} successfully`
             };
-            
+
         } catch (error) {
-            console.error('❌ Error aprobando usuario:', error);
+            console.error('❌ Error actualizando estado del usuario:', error);
             return {
                 success: false,
                 message: error.message
@@ -381,4 +542,4 @@ class AccessControlSystem {
     }
 }
 
-module.exports = AccessControlSystem; 
\ No newline at end of file
+module.exports = AccessControlSystem;
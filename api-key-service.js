@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const database = require('./database');
+const { config: securityConfig } = require('./config/security');
+const { apiKeyScopes } = require('./config/permissions');
+const { helpers: companyHelpers } = require('./config/companies');
+const { createError } = require('./service-error');
+
+const settings = securityConfig.api;
+// last_used_at/usage_count are written at most once a minute per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Admin-issued API keys for machine integrations (website form, Zapier-style automations).
+ * A key is shown once; the table keeps its public prefix (lookup) and the SHA-256 of the whole key.
+ * Each key carries scopes (config/permissions.js apiKeyScopes), optional companies and an expiry.
+ */
+class ApiKeyService {
+    constructor() {
+        this.db = database;
+        this.pendingUses = new Map(); // id → { uses, lastWrite, ipAddress }
+    }
+
+    assertAvailable() {
+        if (!this.db.mysqlConnected) {
+            throw createError('API keys require the MySQL database', 'API_KEYS_UNAVAILABLE');
+        }
+    }
+
+    generateKey() {
+        const keyPrefix = crypto.randomBytes(4).toString('hex');
+        const secret = crypto.randomBytes(20).toString('hex');
+        return { apiKey: `${settings.apiKeyPrefix}${keyPrefix}${secret}`, keyPrefix };
+    }
+
+    hashKey(apiKey) {
+        return crypto.createHash('sha256').update(apiKey).digest('hex');
+    }
+
+    // Lookup prefix of a well-formed key, or null
+    parseKey(apiKey) {
+        const match = new RegExp(`^${settings.apiKeyPrefix}([0-9a-f]{8})[0-9a-f]{40}$`).exec(String(apiKey || '').trim());
+        return match ? match[1] : null;
+    }
+
+    getScopes() {
+        return Object.entries(apiKeyScopes).map(([scope, { description }]) => ({ scope, description }));
+    }
+
+    validateScopes(scopes) {
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw createError('At least one scope is required', 'VALIDATION_ERROR');
+        }
+        const unknown = scopes.filter(scope => !apiKeyScopes[scope]);
+        if (unknown.length > 0) {
+            throw createError(`Unknown scope(s): ${unknown.join(', ')}`, 'VALIDATION_ERROR');
+        }
+        return [...new Set(scopes)];
+    }
+
+    // Empty list = every company
+    validateCompanies(companies = []) {
+        const list = Array.isArray(companies) ? companies : [companies];
+        const normalized = companyHelpers.normalizeCompanyList(list);
+        if (normalized.length !== list.filter(Boolean).length) {
+            throw createError('Unknown company in API key companies', 'VALIDATION_ERROR');
+        }
+        return normalized;
+    }
+
+    getExpiry(expiresInDays) {
+        const days = expiresInDays === undefined || expiresInDays === null || expiresInDays === ''
+            ? settings.apiKeyDefaultExpiryDays
+            : parseInt(expiresInDays, 10);
+        if (!Number.isInteger(days) || days < 1 || days > settings.apiKeyMaxExpiryDays) {
+            throw createError(`expiresInDays must be between 1 and ${settings.apiKeyMaxExpiryDays}`, 'VALIDATION_ERROR');
+        }
+        return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    getKeyStatus(key) {
+        if (key.revokedAt) {
+            return 'revoked';
+        }
+        if (key.expiresAt && new Date(key.expiresAt).getTime() <= Date.now()) {
+            return 'expired';
+        }
+        return 'active';
+    }
+
+    // Never send the hash out
+    toPublicKey(key) {
+        const { keyHash, ...publicKey } = key;
+        return { ...publicKey, status: this.getKeyStatus(key) };
+    }
+
+    /**
+     * Issue a new key
+     * @param {Object} data - { name, scopes, companies, expiresInDays }
+     * @returns {Promise<Object>} - { apiKey (plain, shown once), key }
+     */
+    async createKey({ name, scopes, companies = [], expiresInDays } = {}, createdBy = null, rotatedFrom = null) {
+        this.assertAvailable();
+
+        const cleanName = String(name || '').trim();
+        if (!cleanName || cleanName.length > 100) {
+            throw createError('name is required (max 100 characters)', 'VALIDATION_ERROR');
+        }
+
+        const { apiKey, keyPrefix } = this.generateKey();
+        const key = await this.db.createApiKey({
+            keyPrefix,
+            keyHash: this.hashKey(apiKey),
+            name: cleanName,
+            scopes: this.validateScopes(scopes),
+            companies: this.validateCompanies(companies),
+            createdBy,
+            expiresAt: this.getExpiry(expiresInDays),
+            rotatedFrom
+        });
+
+        console.log(`🔑 API key "${cleanName}" (${keyPrefix}) issued by ${createdBy || 'system'}: ${key.scopes.join(', ')}`);
+        return { apiKey, key: this.toPublicKey(key) };
+    }
+
+    async listKeys({ includeRevoked = false } = {}) {
+        this.assertAvailable();
+        const keys = await this.db.getApiKeys({ includeRevoked });
+        return keys.map(key => this.toPublicKey(key));
+    }
+
+    async getKey(id) {
+        this.assertAvailable();
+        const key = await this.db.getApiKeyById(id);
+        if (!key) {
+            throw createError(`API key ${id} not found`, 'NOT_FOUND');
+        }
+        return key;
+    }
+
+    async revokeKey(id, revokedBy = null) {
+        const key = await this.getKey(id);
+        const revoked = await this.db.revokeApiKey(id, revokedBy);
+        if (revoked) {
+            console.log(`🔒 API key "${key.name}" (${key.keyPrefix}) revoked by ${revokedBy || 'system'}`);
+        }
+        return { revoked, key: this.toPublicKey(await this.db.getApiKeyById(id)) };
+    }
+
+    /**
+     * Replace a key with a new one (same name, scopes and companies).
+     * The old key keeps working for graceMinutes so the integration can switch over; 0 ends it now.
+     * @returns {Promise<Object>} - { apiKey, key, previous }
+     */
+    async rotateKey(id, rotatedBy = null, { graceMinutes = settings.apiKeyRotationGraceMinutes, expiresInDays } = {}) {
+        const previous = await this.getKey(id);
+        if (this.getKeyStatus(previous) !== 'active') {
+            throw createError(`API key ${id} is ${this.getKeyStatus(previous)} and can't be rotated`, 'VALIDATION_ERROR');
+        }
+
+        const grace = parseInt(graceMinutes, 10);
+        if (!Number.isInteger(grace) || grace < 0 || grace > 7 * 24 * 60) {
+            throw createError('graceMinutes must be between 0 and 10080', 'VALIDATION_ERROR');
+        }
+
+        const { apiKey, key } = await this.createKey({
+            name: previous.name,
+            scopes: previous.scopes,
+            companies: previous.companies,
+            expiresInDays
+        }, rotatedBy, previous.id);
+
+        let updated;
+        if (grace === 0) {
+            await this.db.revokeApiKey(previous.id, rotatedBy);
+            updated = await this.db.getApiKeyById(previous.id);
+        } else {
+            updated = await this.db.shortenApiKeyExpiry(previous.id, new Date(Date.now() + grace * 60 * 1000));
+        }
+
+        console.log(`🔄 API key "${previous.name}" rotated by ${rotatedBy || 'system'} (old key valid ${grace} more minute(s))`);
+        return { apiKey, key, previous: this.toPublicKey(updated) };
+    }
+
+    /**
+     * Check an X-API-Key header
+     * @returns {Promise<Object>} - The key (active, hash matched)
+     */
+    async authenticate(apiKey, ipAddress = null) {
+        const keyPrefix = this.parseKey(apiKey);
+        if (!keyPrefix) {
+            throw createError('Invalid API key', 'INVALID_API_KEY');
+        }
+        this.assertAvailable();
+
+        const key = await this.db.getApiKeyByPrefix(keyPrefix);
+        const expected = Buffer.from(key ? key.keyHash : '');
+        const provided = Buffer.from(this.hashKey(String(apiKey).trim()));
+        if (!key || expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+            console.warn(`⚠️ Unknown API key ${keyPrefix} from ${ipAddress || 'unknown IP'}`);
+            throw createError('Invalid API key', 'INVALID_API_KEY');
+        }
+
+        const status = this.getKeyStatus(key);
+        if (status !== 'active') {
+            console.warn(`⚠️ ${status} API key "${key.name}" (${keyPrefix}) used from ${ipAddress || 'unknown IP'}`);
+            throw createError(`API key ${status}`, 'INVALID_API_KEY');
+        }
+
+        this.touch(key.id, ipAddress);
+        return key;
+    }
+
+    // Usage counters (throttled, never blocks the request)
+    touch(id, ipAddress) {
+        const now = Date.now();
+        const pending = this.pendingUses.get(id) || { uses: 0, lastWrite: 0 };
+        pending.uses++;
+        pending.ipAddress = ipAddress;
+        this.pendingUses.set(id, pending);
+
+        if (now - pending.lastWrite < TOUCH_INTERVAL_MS) {
+            return;
+        }
+        const uses = pending.uses;
+        pending.uses = 0;
+        pending.lastWrite = now;
+        this.db.touchApiKey(id, ipAddress, uses).catch(error => {
+            console.warn(`⚠️ Could not update API key usage: ${error.message}`);
+        });
+    }
+
+    /**
+     * req.user for a request made with an API key: no role permissions, only its scopes (see apiKeyAllows)
+     */
+    toPrincipal(key) {
+        return {
+            id: `api-key:${key.id}`,
+            email: `api-key:${key.name}`,
+            name: key.name,
+            role: 'api_key',
+            apiKeyId: key.id,
+            scopes: key.scopes,
+            companies: key.companies
+        };
+    }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,224 @@
+const database = require('./database');
+const { createError } = require('./service-error');
+
+const PENDING_INSPECTION_STATUS = 'Pending Inspection';
+
+class AppointmentService {
+    constructor(googleSheets = null) {
+        this.db = database;
+        this.googleSheets = googleSheets;
+        this.defaultDurationMinutes = 60;
+    }
+
+    // Generate unique appointment ID
+    generateAppointmentId() {
+        const timestamp = Date.now().toString().slice(-6);
+        const random = Math.random().toString(36).substr(2, 3).toUpperCase();
+        return `APT${timestamp}${random}`;
+    }
+
+    // Build 'YYYY-MM-DD HH:MM:SS' start/end from the dashboard date + time fields
+    buildTimeRange(appointmentDate, appointmentTime, durationMinutes) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(appointmentDate || '') || !/^\d{2}:\d{2}$/.test(appointmentTime || '')) {
+            throw createError('appointmentDate (YYYY-MM-DD) and appointmentTime (HH:MM) are required', 'VALIDATION_ERROR');
+        }
+
+        const duration = parseInt(durationMinutes, 10) || this.defaultDurationMinutes;
+        if (duration <= 0 || duration > 24 * 60) {
+            throw createError('durationMinutes must be between 1 and 1440', 'VALIDATION_ERROR');
+        }
+
+        const [year, month, day] = appointmentDate.split('-').map(Number);
+        const [hours, minutes] = appointmentTime.split(':').map(Number);
+        const start = new Date(year, month - 1, day, hours, minutes, 0);
+        if (isNaN(start.getTime()) || start.getDate() !== day) {
+            throw createError('Invalid appointment date or time', 'VALIDATION_ERROR');
+        }
+        const end = new Date(start.getTime() + duration * 60 * 1000);
+
+        return {
+            startTime: this.db.formatDateTime(start),
+            endTime: this.db.formatDateTime(end)
+        };
+    }
+
+    async assertNoConflicts(responsable, startTime, endTime, excludeAppointmentId = null) {
+        const conflicts = await this.db.findConflictingAppointments(responsable, startTime, endTime, excludeAppointmentId);
+        if (conflicts.length > 0) {
+            console.log(`⚠️ ${responsable} already has ${conflicts.length} appointment(s) between ${startTime} and ${endTime}`);
+            throw createError(
+                `${responsable} already has an appointment at that time`,
+                'APPOINTMENT_CONFLICT',
+                { conflicts }
+            );
+        }
+    }
+
+    // Conflict check and write run under a per-responsable lock so two bookings of the same slot can't both pass
+    async withResponsableLock(responsable, fn) {
+        try {
+            return await this.db.withNamedLock(`appointments:${String(responsable).toLowerCase()}`, fn);
+        } catch (error) {
+            if (error.code === 'LOCK_TIMEOUT') {
+                throw createError(`Another appointment for ${responsable} is being saved, try again`, 'APPOINTMENT_CONFLICT');
+            }
+            throw error;
+        }
+    }
+
+    async getAppointmentOrFail(appointmentId) {
+        const appointment = await this.db.getAppointmentById(appointmentId);
+        if (!appointment) {
+            throw createError('Appointment not found', 'NOT_FOUND');
+        }
+        return appointment;
+    }
+
+    // Schedule a new visit and move the client to 'Pending Inspection'
+    async scheduleAppointment(appointmentData, userEmail = null) {
+        try {
+            const { clientId, responsable } = appointmentData;
+            if (!clientId || !responsable) {
+                throw createError('Missing required fields: clientId and responsable', 'VALIDATION_ERROR');
+            }
+
+            const { startTime, endTime } = this.buildTimeRange(
+                appointmentData.appointmentDate,
+                appointmentData.appointmentTime,
+                appointmentData.durationMinutes
+            );
+
+            const appointment = await this.withResponsableLock(responsable, async () => {
+                await this.assertNoConflicts(responsable, startTime, endTime);
+
+                return this.db.createAppointment({
+                    appointmentId: this.generateAppointmentId(),
+                    clientId,
+                    clientName: appointmentData.clientName,
+                    responsable,
+                    appointmentType: appointmentData.appointmentType || appointmentData.serviceType,
+                    startTime,
+                    endTime,
+                    address: appointmentData.address,
+                    notes: appointmentData.notes,
+                    createdBy: userEmail
+                });
+            });
+
+            const clientStatusUpdated = await this.markClientPendingInspection(clientId);
+
+            console.log(`✅ Appointment ${appointment.appointmentId} scheduled for client ${clientId} with ${responsable} at ${startTime}`);
+
+            return { appointment, clientStatus: PENDING_INSPECTION_STATUS, clientStatusUpdated };
+        } catch (error) {
+            console.error('❌ Error scheduling appointment:', error.message);
+            throw error;
+        }
+    }
+
+    // List appointments, optionally filtered by client, responsable, status or date range
+    async listAppointments(filters = {}) {
+        try {
+            const range = {};
+            if (filters.from) range.from = `${filters.from} 00:00:00`;
+            if (filters.to) range.to = `${filters.to} 23:59:59`;
+
+            return await this.db.getAppointments({
+                clientId: filters.clientId,
+                responsable: filters.responsable,
+                status: filters.status,
+                ...range
+            });
+        } catch (error) {
+            console.error('❌ Error listing appointments:', error.message);
+            throw error;
+        }
+    }
+
+    // Move an existing appointment to a new date/time (and optionally a new responsable)
+    async rescheduleAppointment(appointmentId, rescheduleData) {
+        try {
+            const current = await this.getAppointmentOrFail(appointmentId);
+            if (current.status === 'Cancelled' || current.status === 'Completed') {
+                throw createError(`Cannot reschedule a ${current.status.toLowerCase()} appointment`, 'VALIDATION_ERROR');
+            }
+
+            const responsable = rescheduleData.responsable || current.responsable;
+            const { startTime, endTime } = this.buildTimeRange(
+                rescheduleData.appointmentDate,
+                rescheduleData.appointmentTime,
+                rescheduleData.durationMinutes
+            );
+
+            const appointment = await this.withResponsableLock(responsable, async () => {
+                await this.assertNoConflicts(responsable, startTime, endTime, appointmentId);
+
+                return this.db.updateAppointment(appointmentId, {
+                    responsable,
+                    startTime,
+                    endTime,
+                    notes: rescheduleData.notes,
+                    status: 'Rescheduled'
+                });
+            });
+
+            console.log(`✅ Appointment ${appointmentId} rescheduled to ${startTime} with ${responsable}`);
+            return appointment;
+        } catch (error) {
+            console.error('❌ Error rescheduling appointment:', error.message);
+            throw error;
+        }
+    }
+
+    // Cancel an appointment, keeping the row for history
+    async cancelAppointment(appointmentId, reason = '') {
+        try {
+            const current = await this.getAppointmentOrFail(appointmentId);
+            if (current.status === 'Cancelled') {
+                return current;
+            }
+            if (current.status === 'Completed') {
+                throw createError('Cannot cancel a completed appointment', 'VALIDATION_ERROR');
+            }
+
+            const appointment = await this.db.updateAppointment(appointmentId, {
+                status: 'Cancelled',
+                cancellationReason: reason
+            });
+
+            console.log(`✅ Appointment ${appointmentId} cancelled`);
+            return appointment;
+        } catch (error) {
+            console.error('❌ Error cancelling appointment:', error.message);
+            throw error;
+        }
+    }
+
+    // El dashboard lee de Google Sheets, así que actualizamos ambos orígenes
+    async markClientPendingInspection(clientId) {
+        let updated = false;
+
+        if (this.googleSheets) {
+            try {
+                const result = await this.googleSheets.updateClientStatus(clientId, PENDING_INSPECTION_STATUS);
+                updated = !!(result && result.success);
+            } catch (sheetsError) {
+                console.warn(`⚠️ Failed to update client status in Google Sheets: ${sheetsError.message}`);
+            }
+        }
+
+        try {
+            const client = await this.db.getClientById(clientId);
+            if (client) {
+                await this.db.updateClientStatus(clientId, PENDING_INSPECTION_STATUS);
+                updated = true;
+            }
+        } catch (dbError) {
+            console.warn(`⚠️ Failed to update client status in database: ${dbError.message}`);
+        }
+
+        return updated;
+    }
+}
+
+module.exports = AppointmentService;
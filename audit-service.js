@@ -0,0 +1,281 @@
+const database = require('./database');
+
+// Rutas que modifican datos: acción registrada (o una por método), tabla afectada, tipo de registro
+// para el snapshot antes/después y, si hace falta, qué campos del body se guardan
+const AUDITED_ROUTES = {
+    'clients': { action: 'CREATE_CLIENT', table: 'clients' },
+    'client-update': { action: 'UPDATE_CLIENT', table: 'clients', record: 'client' },
+    'client-status': { action: 'UPDATE_STATUS', table: 'clients', record: 'client' },
+    'client-invoice-status': { action: 'UPDATE_INVOICE_STATUS', table: 'clients', record: 'client' },
+    'client-estimate-status': { action: 'UPDATE_ESTIMATE_STATUS', table: 'clients', record: 'client' },
+    'client-contact': { action: 'UPDATE_CONTACT', table: 'clients', record: 'client' },
+    'client-service': { action: 'UPDATE_SERVICE', table: 'clients', record: 'client' },
+    'client/documents': {
+        action: { POST: 'UPLOAD_DOCUMENT', PUT: 'RENAME_DOCUMENT', DELETE: 'DELETE_DOCUMENT' },
+        table: 'clients',
+        // Nunca el contenido del archivo
+        bodyFields: ['clientId', 'fileId', 'fileName', 'mimeType', 'documentType', 'name']
+    },
+    'send-client-email': { action: 'SEND_LEAD_EMAIL', table: 'clients' },
+    'client/send-document': {
+        action: 'SEND_CUSTOMER_EMAIL',
+        table: 'clients',
+        bodyFields: ['clientId', 'documentType', 'fileId', 'reportId', 'to', 'cc']
+    },
+    'create-zoho-client': { action: 'CREATE_ZOHO_CLIENT', table: 'clients' },
+    'reports': { action: 'TRACK_REPORT', table: 'reports' },
+    'upload-pdf': { action: 'UPLOAD_PDF', table: 'reports' },
+    'save-report': { action: 'SAVE_REPORT', table: 'reports' },
+    'create-report': { action: 'CREATE_REPORT', table: 'reports' },
+    'report-update': { action: 'UPDATE_REPORT', table: 'reports', record: 'report' },
+    'report-status': { action: 'UPDATE_REPORT_STATUS', table: 'reports', record: 'report' },
+    'schedule-appointment': { action: 'SCHEDULE_APPOINTMENT', table: 'appointments' },
+    'reschedule-appointment': { action: 'RESCHEDULE_APPOINTMENT', table: 'appointments', record: 'appointment' },
+    'cancel-appointment': { action: 'CANCEL_APPOINTMENT', table: 'appointments', record: 'appointment' },
+    'inspection-reminders': { action: 'RUN_INSPECTION_REMINDERS', table: 'inspection_reminders' },
+    'system-config': { action: 'UPDATE_CONFIG', table: 'system_config' },
+    'save-gmail-config': { action: 'UPDATE_EMAIL_CONFIG', table: 'system_config' },
+    'email-templates': {
+        action: { POST: 'UPDATE_EMAIL_TEMPLATE', DELETE: 'RESET_EMAIL_TEMPLATE' },
+        table: 'system_config',
+        // El HTML completo de la plantilla no cabe en el log
+        bodyFields: ['templateId', 'company', 'subject']
+    },
+    'zoho/mapping': {
+        action: { POST: 'UPDATE_ZOHO_MAPPING', DELETE: 'RESET_ZOHO_MAPPING' },
+        table: 'system_config',
+        bodyFields: ['mapping']
+    },
+    'zoho/deliveries': { action: 'PROCESS_ZOHO_DELIVERIES', table: 'zoho_deliveries' },
+    'zoho/deliveries/resend': { action: 'RESEND_ZOHO_DELIVERY', table: 'zoho_deliveries' },
+    'sessions/revoke': { action: 'REVOKE_SESSION', table: 'user_sessions', bodyFields: ['jti'] },
+    'sessions/revoke-all': { action: 'REVOKE_ALL_SESSIONS', table: 'user_sessions' },
+    // bodyFields vacío: los códigos TOTP/de respaldo nunca se guardan en el log
+    '2fa/enable': { action: 'ENABLE_TWO_FACTOR', table: 'user_two_factor', bodyFields: [] },
+    '2fa/disable': { action: 'DISABLE_TWO_FACTOR', table: 'user_two_factor', bodyFields: [] },
+    '2fa/backup-codes': { action: 'REGENERATE_BACKUP_CODES', table: 'user_two_factor', bodyFields: [] },
+    '2fa/step-up': { action: 'TWO_FACTOR_STEP_UP', table: 'user_two_factor', bodyFields: [] },
+    'email-queue': { action: 'PROCESS_EMAIL_QUEUE', table: 'email_outbox' },
+    'email-queue/retry': { action: 'RETRY_EMAIL', table: 'email_outbox' },
+    'update-source': { action: 'UPDATE_DATA_SOURCE', table: 'system_config' },
+    'create-sheet': { action: 'CREATE_SHEET', table: 'system_config' },
+    'sync-from-sheets': { action: 'SYNC_FROM_SHEETS', table: 'clients' },
+    'sync-to-sheets': { action: 'SYNC_TO_SHEETS', table: 'clients' },
+    'sync-full': { action: 'SYNC_FULL', table: 'clients' },
+    'sync/manual': { action: 'SYNC_FULL', table: 'clients' },
+    'sync/resolve-conflict': { action: 'RESOLVE_SYNC_CONFLICT', table: 'sync_conflicts' },
+    'drive-folders/backfill': { action: 'BACKFILL_DRIVE_FOLDERS', table: 'clients' }
+};
+
+// Nunca se guardan credenciales en el log
+const SENSITIVE_KEY_PATTERN = /password|secret|token|api_?key|private_?key|credentials/i;
+
+const CSV_COLUMNS = ['createdAt', 'action', 'tableName', 'recordId', 'clientId', 'userEmail', 'ipAddress', 'oldValues', 'newValues'];
+
+// Who changed what: before/after diffs of every mutating API call in the audit_log table
+class AuditService {
+    constructor(googleSheets = null) {
+        this.db = database;
+        this.googleSheets = googleSheets;
+    }
+
+    getAction(route, method) {
+        if (method === 'GET' || !Object.prototype.hasOwnProperty.call(AUDITED_ROUTES, route)) {
+            return null;
+        }
+        const { action } = AUDITED_ROUTES[route];
+        return typeof action === 'string' ? action : action[method] || null;
+    }
+
+    isAuditedRoute(route, method) {
+        return this.getAction(route, method) !== null;
+    }
+
+    getRequestContext(req) {
+        const forwardedFor = req.headers['x-forwarded-for'];
+        return {
+            userEmail: req.user ? req.user.email : null,
+            ipAddress: forwardedFor ? forwardedFor.split(',')[0].trim() : (req.socket && req.socket.remoteAddress) || null,
+            userAgent: req.headers['user-agent'] || null
+        };
+    }
+
+    redact(values) {
+        if (Array.isArray(values)) {
+            return values.map(value => this.redact(value));
+        }
+        if (!values || typeof values !== 'object') {
+            return values;
+        }
+
+        const redacted = {};
+        for (const [key, value] of Object.entries(values)) {
+            redacted[key] = SENSITIVE_KEY_PATTERN.test(key) ? '[REDACTED]' : this.redact(value);
+        }
+        return redacted;
+    }
+
+    // Only the fields that changed; a missing side (create/delete) keeps the whole record
+    diff(before, after) {
+        if (!before || !after) {
+            return { oldValues: before || null, newValues: after || null };
+        }
+
+        const oldValues = {};
+        const newValues = {};
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of keys) {
+            if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+                oldValues[key] = before[key] === undefined ? null : before[key];
+                newValues[key] = after[key] === undefined ? null : after[key];
+            }
+        }
+        return { oldValues, newValues };
+    }
+
+    // Current state of the record a route is about to change (null if it can't be found)
+    async snapshot(recordType, recordId) {
+        if (!recordId) {
+            return null;
+        }
+
+        if (recordType === 'client') {
+            // El dashboard edita los clientes en Google Sheets; MySQL es el respaldo
+            if (this.googleSheets) {
+                const clients = await this.googleSheets.getClientsData();
+                const client = clients.find(c => c.clientId === recordId || c.id === recordId);
+                if (client) {
+                    return client;
+                }
+            }
+            return this.db.mysqlConnected ? this.db.getClientById(recordId) : null;
+        }
+
+        if (!this.db.mysqlConnected) {
+            return null;
+        }
+        if (recordType === 'report') {
+            return this.db.getReportById(recordId);
+        }
+        if (recordType === 'appointment') {
+            return this.db.getAppointmentById(recordId);
+        }
+        return null;
+    }
+
+    getRecordId(recordType, params) {
+        const ids = {
+            client: params.clientId,
+            report: params.reportId,
+            appointment: params.appointmentId
+        };
+        return ids[recordType] || null;
+    }
+
+    /**
+     * Capture the "before" state of an audited request. Never throws: the audit
+     * trail must not block the change itself.
+     * @returns {Promise<Object|null>} Pending entry for complete(), or null if the route isn't audited
+     */
+    async begin(req, route, searchParams, body = {}) {
+        if (!this.isAuditedRoute(route, req.method)) {
+            return null;
+        }
+
+        const rule = AUDITED_ROUTES[route];
+        const params = { ...Object.fromEntries(searchParams.entries()), ...body };
+        const recordId = rule.record ? this.getRecordId(rule.record, params) : null;
+        const entry = {
+            action: this.getAction(route, req.method),
+            tableName: rule.table,
+            recordType: rule.record || null,
+            recordId: recordId,
+            clientId: params.clientId || (params.clientData && params.clientData.clientId) || null,
+            // Con bodyFields también se guardan los parámetros de la URL (DELETE sin cuerpo)
+            body: rule.bodyFields
+                ? Object.fromEntries(rule.bodyFields.filter(field => params[field] !== undefined).map(field => [field, params[field]]))
+                : body,
+            before: null,
+            context: this.getRequestContext(req)
+        };
+
+        try {
+            entry.before = await this.snapshot(entry.recordType, recordId);
+        } catch (error) {
+            console.warn(`⚠️ Audit: could not snapshot ${route} ${recordId}: ${error.message}`);
+        }
+        return entry;
+    }
+
+    // Record the entry once the route has answered; failed requests changed nothing
+    async complete(entry, statusCode) {
+        if (!entry || statusCode >= 400) {
+            return;
+        }
+
+        let after = null;
+        if (entry.before) {
+            try {
+                after = await this.snapshot(entry.recordType, entry.recordId);
+            } catch (error) {
+                console.warn(`⚠️ Audit: could not snapshot ${entry.recordType} ${entry.recordId}: ${error.message}`);
+            }
+        }
+
+        await this.record(entry.context, {
+            action: entry.action,
+            tableName: entry.tableName,
+            recordId: entry.recordId,
+            clientId: entry.clientId || (entry.before && entry.before.clientId) || null,
+            before: entry.before,
+            // Sin snapshot (altas, envíos, configuración) se guarda lo que pidió el usuario
+            after: after || (entry.before ? null : entry.body)
+        });
+    }
+
+    async record(context, { action, tableName, recordId = null, clientId = null, before = null, after = null }) {
+        try {
+            const { oldValues, newValues } = this.diff(this.redact(before), this.redact(after));
+            await this.db.logAudit(
+                action,
+                tableName,
+                recordId,
+                oldValues,
+                newValues,
+                context.userEmail,
+                context.ipAddress,
+                context.userAgent,
+                clientId
+            );
+            console.log(`📝 Audit: ${action} on ${tableName}${recordId ? ` ${recordId}` : ''} by ${context.userEmail || 'anonymous'}`);
+        } catch (error) {
+            console.warn(`⚠️ Audit log entry not written (${action}): ${error.message}`);
+        }
+    }
+
+    async getLog(filters = {}) {
+        return this.db.getAuditLog(filters);
+    }
+
+    async getClientHistory(clientId) {
+        return this.db.getAuditLog({ clientId, limit: 1000 });
+    }
+
+    toCsv(entries) {
+        const escape = (value) => {
+            if (value === null || value === undefined) {
+                return '';
+            }
+            if (value instanceof Date) {
+                return value.toISOString();
+            }
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = entries.map(entry => CSV_COLUMNS.map(column => escape(entry[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...lines].join('\n');
+    }
+}
+
+module.exports = AuditService;
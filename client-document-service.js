@@ -0,0 +1,173 @@
+const database = require('./database');
+const appConfig = require('./config/app');
+const { helpers: driveHelpers } = require('./config/drive');
+const { createError } = require('./service-error');
+
+// Documents (PDF reports, photos, signed estimates) in each client's Google Drive folder
+class ClientDocumentService {
+    constructor(googleDriveService, driveFolders, googleSheets = null) {
+        this.db = database;
+        this.drive = googleDriveService;
+        this.driveFolders = driveFolders;
+        this.googleSheets = googleSheets;
+        this.allowedTypes = appConfig.upload.allowedTypes;
+        this.maxFileSize = appConfig.upload.maxFileSize;
+    }
+
+    getUploadLimits() {
+        return { allowedTypes: this.allowedTypes, maxFileSize: this.maxFileSize };
+    }
+
+    async ensureDriveConfigured() {
+        if (!this.drive.isConfigured) {
+            await this.drive.configure();
+        }
+        if (!this.drive.isConfigured) {
+            throw createError('Google Drive not configured', 'DRIVE_UNAVAILABLE');
+        }
+    }
+
+    // Client from MySQL or, for sheet-only clients (ROW-<n>), from Google Sheets
+    async getClient(clientId) {
+        if (this.db.mysqlConnected) {
+            const client = await this.db.getClientById(clientId);
+            if (client) {
+                return client;
+            }
+        }
+
+        const clients = this.googleSheets ? await this.googleSheets.getClientsData() : [];
+        const client = clients.find(c => c.clientId === clientId || c.id === clientId);
+        if (!client) {
+            throw createError('Client not found', 'NOT_FOUND');
+        }
+        return client;
+    }
+
+    /**
+     * Drive folder of a client: the saved one, else an unambiguous match by name
+     * (saved for next time), else a new folder when create is true
+     * @returns {Promise<Object|null>} { id, name, webViewLink } or null
+     */
+    async resolveClientFolder(clientId, { create = false } = {}) {
+        await this.ensureDriveConfigured();
+        const client = await this.getClient(clientId);
+
+        const saved = await this.driveFolders.getClientFolder(clientId);
+        let folder = saved ? await this.drive.getFolder(saved.folderId) : null;
+        if (folder) {
+            return folder;
+        }
+
+        const name = client.name || client.clientFullName;
+        ({ folder } = await this.drive.matchClientFolder(name, client.address));
+        if (!folder && create) {
+            folder = await this.drive.createClientFolder(
+                name,
+                client.address || 'Address not specified',
+                client.customerType || 'Residential',
+                client.company || null
+            );
+            if (!folder) {
+                throw createError('Could not create the client Drive folder', 'DRIVE_UNAVAILABLE');
+            }
+        }
+
+        if (folder) {
+            await this.driveFolders.saveClientFolder(clientId, folder);
+        }
+        return folder;
+    }
+
+    async listDocuments(clientId) {
+        const folder = await this.resolveClientFolder(clientId);
+        if (!folder) {
+            return { folder: null, documents: [], limits: this.getUploadLimits() };
+        }
+
+        const documents = await this.drive.listFolderFiles(folder.id);
+        return {
+            folder: { id: folder.id, name: folder.name, webViewLink: folder.webViewLink },
+            documents,
+            limits: this.getUploadLimits()
+        };
+    }
+
+    validateFileName(fileName) {
+        const name = String(fileName || '').trim();
+        if (!name || name.length > 255 || /[\\/]/.test(name)) {
+            throw createError('A valid file name is required (max 255 characters, no slashes)', 'VALIDATION_ERROR');
+        }
+        return name;
+    }
+
+    /**
+     * Upload a base64-encoded file to the client folder, in the sub-folder for its document type
+     * @param {Object} file - { fileName, mimeType, content (base64), documentType ('estimate' | 'invoice' | 'report' | 'photo') }
+     */
+    async uploadDocument(clientId, { fileName, mimeType, content, documentType }) {
+        const name = this.validateFileName(fileName);
+
+        if (!this.allowedTypes.includes(mimeType)) {
+            throw createError(`File type ${mimeType || 'unknown'} not allowed. Allowed: ${this.allowedTypes.join(', ')}`, 'VALIDATION_ERROR');
+        }
+        if (!content || typeof content !== 'string') {
+            throw createError('File content (base64) is required', 'VALIDATION_ERROR');
+        }
+
+        const buffer = Buffer.from(content.replace(/^data:[^;]+;base64,/, ''), 'base64');
+        if (buffer.length === 0) {
+            throw createError('File is empty', 'VALIDATION_ERROR');
+        }
+        if (buffer.length > this.maxFileSize) {
+            throw createError(`File too large: max ${Math.round(this.maxFileSize / 1024 / 1024)}MB`, 'VALIDATION_ERROR');
+        }
+
+        const folder = await this.resolveClientFolder(clientId, { create: true });
+        const type = documentType || (mimeType.startsWith('image/') ? 'photo' : name);
+        const documentFolder = await this.drive.getOrCreateSubfolder(folder.id, driveHelpers.getDocumentFolder(type));
+
+        const uploaded = await this.drive.uploadFileToClientFolder(documentFolder.id, name, buffer, mimeType);
+        if (!uploaded) {
+            throw createError('Error uploading file to Google Drive', 'DRIVE_UNAVAILABLE');
+        }
+
+        console.log(`📎 Document uploaded for client ${clientId}: ${documentFolder.name}/${uploaded.name}`);
+        return { ...uploaded, mimeType, size: buffer.length, folder: documentFolder.name };
+    }
+
+    // Only files inside the client's own folder can be renamed or deleted
+    async assertClientFile(clientId, fileId) {
+        const folder = await this.resolveClientFolder(clientId);
+        let belongs = false;
+        if (folder) {
+            try {
+                belongs = await this.drive.isFileInFolder(fileId, folder.id);
+            } catch (error) {
+                belongs = false;
+            }
+        }
+        if (!belongs) {
+            throw createError('Document not found in the client folder', 'NOT_FOUND');
+        }
+    }
+
+    async renameDocument(clientId, fileId, newName) {
+        const name = this.validateFileName(newName);
+        await this.assertClientFile(clientId, fileId);
+
+        const file = await this.drive.renameFile(fileId, name);
+        console.log(`📎 Document ${fileId} of client ${clientId} renamed to ${name}`);
+        return file;
+    }
+
+    async deleteDocument(clientId, fileId) {
+        await this.assertClientFile(clientId, fileId);
+
+        const result = await this.drive.trashFile(fileId);
+        console.log(`🗑️ Document ${fileId} of client ${clientId} moved to Drive trash`);
+        return result;
+    }
+}
+
+module.exports = ClientDocumentService;
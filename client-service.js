@@ -3,9 +3,10 @@ const SyncService = require('./sync-service');
 const { v4: uuidv4 } = require('uuid');
 
 class ClientService {
-    constructor() {
+    // server.js passes its SyncService so the sheet update uses the already initialized client
+    constructor(syncService = null) {
         this.db = database;
-        this.syncService = new SyncService();
+        this.syncService = syncService || new SyncService();
     }
 
     // Generate unique client ID
@@ -135,12 +136,13 @@ class ClientService {
             await this.db.logAudit(
                 'UPDATE_STATUS',
                 'clients',
-                currentClient.id,
+                clientId,
                 { status: currentClient.status },
                 { status: newStatus },
                 userEmail,
                 ipAddress,
-                null
+                null,
+                clientId
             );
 
             console.log(`✅ Client status updated: ${clientId} -> ${newStatus}`);
@@ -171,7 +173,7 @@ class ClientService {
 
             // Sync to Google Sheets
             try {
-                await this.syncService.updateInGoogleSheets(clientId, { ...currentClient, ...updateData });
+                await this.syncService.updateInGoogleSheets(clientId, updateData);
             } catch (syncError) {
                 console.warn(`⚠️ Failed to sync update to Google Sheets: ${syncError.message}`);
             }
@@ -180,12 +182,13 @@ class ClientService {
             await this.db.logAudit(
                 'UPDATE_CLIENT',
                 'clients',
-                currentClient.id,
+                clientId,
                 currentClient,
                 { ...currentClient, ...updateData },
                 userEmail,
                 ipAddress,
-                null
+                null,
+                clientId
             );
 
             console.log(`✅ Client updated: ${clientId}`);
@@ -217,12 +220,13 @@ class ClientService {
             await this.db.logAudit(
                 'DELETE_CLIENT',
                 'clients',
-                currentClient.id,
+                clientId,
                 currentClient,
                 null,
                 userEmail,
                 ipAddress,
-                null
+                null,
+                clientId
             );
 
             console.log(`✅ Client deleted: ${clientId}`);
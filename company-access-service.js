@@ -0,0 +1,185 @@
+const database = require('./database');
+const AuthMiddleware = require('./middleware/auth');
+const { helpers: companyHelpers } = require('./config/companies');
+const { createError } = require('./service-error');
+
+// Rutas cuyo cliente/reporte/cita debe pertenecer a una empresa del usuario
+const COMPANY_SCOPED_ROUTES = [
+    'client',
+    'client/documents',
+    'client/send-document',
+    'client-update',
+    'client-status',
+    'client-invoice-status',
+    'client-estimate-status',
+    'client-contact',
+    'client-service',
+    'send-client-email',
+    'create-zoho-client',
+    'appointments',
+    'schedule-appointment',
+    'reschedule-appointment',
+    'cancel-appointment',
+    'create-report',
+    'report',
+    'client-reports',
+    'report-update',
+    'report-status',
+    'report-pdf',
+    'reports',
+    'drive-folders'
+];
+
+// Per-company data isolation (Boston Fire Escapes / Irias Iron Works)
+class CompanyAccessService {
+    constructor(googleSheets = null) {
+        this.db = database;
+        this.googleSheets = googleSheets;
+    }
+
+    hasFullAccess(user) {
+        return AuthMiddleware.getUserCompanies(user) === null;
+    }
+
+    isScopedRoute(route) {
+        return COMPANY_SCOPED_ROUTES.includes(route);
+    }
+
+    assertCompany(user, company) {
+        if (!AuthMiddleware.canAccessCompany(user, company)) {
+            console.warn(`🚫 ${user.email} denied access to ${company || 'unassigned'} company data`);
+            throw createError('Access denied to company data', 'COMPANY_ACCESS_DENIED');
+        }
+    }
+
+    // Los clientes del dashboard pueden existir solo en Google Sheets (IDs tipo ROW-<n>)
+    async getSheetsClients() {
+        return this.googleSheets ? this.googleSheets.getClientsData() : [];
+    }
+
+    /**
+     * Company of a client, looking in MySQL first and then in Google Sheets
+     * @returns {Promise<{found: boolean, company: string|null}>}
+     */
+    async resolveClientCompany(clientId, sheetsClients = null) {
+        if (this.db.mysqlConnected) {
+            const client = await this.db.getClientById(clientId);
+            if (client) {
+                return { found: true, company: client.company };
+            }
+        }
+
+        const clients = sheetsClients || await this.getSheetsClients();
+        const client = clients.find(c => c.clientId === clientId || c.id === clientId);
+        return client ? { found: true, company: client.company } : { found: false, company: null };
+    }
+
+    async resolveClientIdForRecord(params) {
+        if (params.reportId && this.db.mysqlConnected) {
+            const report = await this.db.getReportById(params.reportId);
+            if (report) {
+                return report.clientId;
+            }
+        }
+
+        if (params.appointmentId && this.db.mysqlConnected) {
+            const appointment = await this.db.getAppointmentById(params.appointmentId);
+            if (appointment) {
+                return appointment.clientId;
+            }
+        }
+
+        return params.clientId || (params.clientData && params.clientData.clientId) || null;
+    }
+
+    /**
+     * Reject the request if the ?company filter or the record it targets
+     * (clientId, reportId or appointmentId in query/body) belongs to another company
+     */
+    async assertRequestAccess(user, route, searchParams, body = {}) {
+        if (this.hasFullAccess(user)) {
+            return;
+        }
+
+        const requestedCompany = searchParams.get('company');
+        if (requestedCompany && requestedCompany !== 'all') {
+            this.assertCompany(user, requestedCompany);
+        }
+
+        if (!this.isScopedRoute(route)) {
+            return;
+        }
+
+        const params = { ...Object.fromEntries(searchParams.entries()), ...body };
+        if (route === 'client') {
+            params.clientId = params.id;
+        }
+
+        // Nuevos clientes enviados desde el dashboard traen la empresa en clientData;
+        // se comprueba además el registro que apunte clientId/reportId/appointmentId
+        const clientData = params.clientData || {};
+        if (clientData.companyName || clientData.company) {
+            this.assertCompany(user, clientData.companyName || clientData.company);
+        }
+
+        const clientId = await this.resolveClientIdForRecord(params);
+        if (!clientId) {
+            return;
+        }
+
+        // Si no existe, la ruta devolverá su propio 404
+        const { found, company } = await this.resolveClientCompany(clientId);
+        if (found) {
+            this.assertCompany(user, company);
+        }
+    }
+
+    // Keep only clients of the user's companies (and of ?company= when given)
+    filterClients(user, clients, requestedCompany = null) {
+        let scoped = AuthMiddleware.filterByCompany(user, clients || []);
+        if (requestedCompany && requestedCompany !== 'all') {
+            const company = companyHelpers.normalizeCompany(requestedCompany);
+            scoped = scoped.filter(client => companyHelpers.normalizeCompany(client.company) === company);
+        }
+        return scoped;
+    }
+
+    // Drive folders carry no company: users limited to some companies only see the folders saved on their clients
+    async filterDriveFolders(user, folders) {
+        if (this.hasFullAccess(user)) {
+            return folders;
+        }
+        if (!this.db.mysqlConnected) {
+            return [];
+        }
+
+        const clients = AuthMiddleware.filterByCompany(user, await this.db.getClients());
+        const folderIds = new Set(clients.map(client => client.driveFolderId).filter(Boolean));
+        return folders.filter(folder => folderIds.has(folder.id));
+    }
+
+    // Filter records that only carry a clientId (appointments, reports)
+    async filterRecordsByClient(user, records) {
+        if (this.hasFullAccess(user)) {
+            return records;
+        }
+
+        const sheetsClients = await this.getSheetsClients();
+        const companies = new Map();
+        const visible = [];
+
+        for (const record of records) {
+            if (!companies.has(record.clientId)) {
+                const { company } = await this.resolveClientCompany(record.clientId, sheetsClients);
+                companies.set(record.clientId, company);
+            }
+            if (AuthMiddleware.canAccessCompany(user, companies.get(record.clientId))) {
+                visible.push(record);
+            }
+        }
+
+        return visible;
+    }
+}
+
+module.exports = CompanyAccessService;
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const { helpers: driveHelpers } = require('./config/drive');
+const { helpers: emailHelpers } = require('./config/email');
 
 class ConfigDatabase {
     constructor() {
@@ -39,12 +41,17 @@ class ConfigDatabase {
                 email: process.env.NOTIFICATIONS_EMAIL || process.env.GMAIL_USER || '',
                 password: process.env.NOTIFICATIONS_PASSWORD || process.env.GMAIL_APP_PASSWORD || '',
                 emailFromName: process.env.NOTIFICATIONS_EMAIL_FROM_NAME || process.env.EMAIL_FROM_NAME || 'IRIAS Ironworks',
-                service: process.env.NOTIFICATIONS_SERVICE || 'gmail'
+                service: process.env.NOTIFICATIONS_SERVICE || 'gmail',
+                fileDirectory: process.env.EMAIL_FILE_DIR || ''
             },
             zoho: {
                 webhookUrl: process.env.ZOHO_WEBHOOK_URL || process.env.ZOHO_FLOW_WEBHOOK_URL || '',
-                webhookSecret: process.env.ZOHO_WEBHOOK_SECRET || process.env.ZOHO_FLOW_WEBHOOK_SECRET || ''
+                webhookSecret: process.env.ZOHO_WEBHOOK_SECRET || process.env.ZOHO_FLOW_WEBHOOK_SECRET || '',
+                // X-Webhook-Secret expected on inbound Zoho webhooks (empty: the outbound secret is used)
+                inboundSecret: process.env.ZOHO_INBOUND_WEBHOOK_SECRET || ''
             },
+            drive: driveHelpers.getDefaultConfig(),
+            emailTemplates: {},
             system: {
                 lastUpdated: new Date().toISOString(),
                 version: '1.0.0'
@@ -57,14 +64,24 @@ class ConfigDatabase {
      */
     mergeConfigs(fileConfig, envConfig) {
         return {
+            // Solo las variables definidas reemplazan lo guardado (transporte smtp/file/memory elegido en system-config)
             notifications: {
+                ...envConfig.notifications,
                 ...fileConfig.notifications,
-                ...envConfig.notifications
+                ...this.definedEnvNotifications()
             },
             zoho: {
                 ...fileConfig.zoho,
                 ...envConfig.zoho
             },
+            // Las carpetas de Drive se editan desde system-config: el archivo manda sobre los valores por defecto
+            drive: {
+                ...envConfig.drive,
+                ...fileConfig.drive
+            },
+            emailTemplates: {
+                ...fileConfig.emailTemplates
+            },
             system: {
                 ...fileConfig.system,
                 ...envConfig.system
@@ -72,6 +89,20 @@ class ConfigDatabase {
         };
     }
 
+    /**
+     * Notification settings explicitly set in the environment
+     */
+    definedEnvNotifications() {
+        const env = {
+            email: process.env.NOTIFICATIONS_EMAIL || process.env.GMAIL_USER,
+            password: process.env.NOTIFICATIONS_PASSWORD || process.env.GMAIL_APP_PASSWORD,
+            emailFromName: process.env.NOTIFICATIONS_EMAIL_FROM_NAME || process.env.EMAIL_FROM_NAME,
+            service: process.env.NOTIFICATIONS_SERVICE,
+            fileDirectory: process.env.EMAIL_FILE_DIR
+        };
+        return Object.fromEntries(Object.entries(env).filter(([, value]) => value));
+    }
+
     /**
      * Save configuration to file
      */
@@ -117,6 +148,97 @@ class ConfigDatabase {
         return this.saveConfig();
     }
 
+    /**
+     * Get the Zoho Flow field mapping ([{ key, transform, source, value, format, fallback }]), null when not customized
+     */
+    getZohoFieldMapping() {
+        return (this.config.zoho && this.config.zoho.fieldMapping) || null;
+    }
+
+    /**
+     * Save the Zoho Flow field mapping, or remove it (mapping null) to go back to the default one
+     */
+    updateZohoFieldMapping(mapping, updatedBy = null) {
+        const zoho = { ...this.config.zoho };
+        if (mapping) {
+            zoho.fieldMapping = mapping;
+            zoho.fieldMappingUpdatedAt = new Date().toISOString();
+            zoho.fieldMappingUpdatedBy = updatedBy;
+        } else {
+            delete zoho.fieldMapping;
+            delete zoho.fieldMappingUpdatedAt;
+            delete zoho.fieldMappingUpdatedBy;
+        }
+        this.config.zoho = zoho;
+        return this.saveConfig();
+    }
+
+    /**
+     * Get Google Drive folder configuration
+     */
+    getDriveConfig() {
+        return this.config.drive || driveHelpers.getDefaultConfig();
+    }
+
+    /**
+     * Update Google Drive folder configuration (roots per company/customer type, client sub-folders)
+     */
+    updateDriveConfig(driveConfig) {
+        const current = this.getDriveConfig();
+        const roots = { ...current.roots };
+
+        for (const [company, companyRoots] of Object.entries(driveConfig.roots || {})) {
+            // Un ID vacío elimina la raíz para que se use la siguiente de la jerarquía
+            const cleaned = Object.fromEntries(
+                Object.entries(companyRoots || {})
+                    .map(([type, folderId]) => [type, String(folderId || '').trim()])
+                    .filter(([, folderId]) => folderId)
+            );
+            if (Object.keys(cleaned).length > 0) {
+                roots[company] = cleaned;
+            } else {
+                delete roots[company];
+            }
+        }
+
+        const subfolders = Array.isArray(driveConfig.subfolders)
+            ? [...new Set(driveConfig.subfolders.map(name => String(name).trim()).filter(Boolean))]
+            : current.subfolders;
+
+        this.config.drive = { roots, subfolders };
+        return this.saveConfig();
+    }
+
+    /**
+     * Get custom email templates ({ <templateId>: { <company|default>: { subject, html, text } } })
+     */
+    getEmailTemplates() {
+        return this.config.emailTemplates || {};
+    }
+
+    /**
+     * Save a custom email template variant, or remove it (template null) to fall back to the next one
+     */
+    updateEmailTemplate(templateId, variant, template) {
+        const templates = { ...this.getEmailTemplates() };
+        const variants = { ...templates[templateId] };
+
+        if (template) {
+            variants[variant] = template;
+        } else {
+            delete variants[variant];
+        }
+
+        if (Object.keys(variants).length > 0) {
+            templates[templateId] = variants;
+        } else {
+            delete templates[templateId];
+        }
+
+        this.config.emailTemplates = templates;
+        return this.saveConfig();
+    }
+
     /**
      * Get all configuration
      */
@@ -141,12 +263,16 @@ class ConfigDatabase {
                 email: '',
                 password: '',
                 emailFromName: 'IRIAS Ironworks',
-                service: 'gmail'
+                service: 'gmail',
+                fileDirectory: ''
             },
             zoho: {
                 webhookUrl: '',
-                webhookSecret: ''
+                webhookSecret: '',
+                inboundSecret: ''
             },
+            drive: driveHelpers.getDefaultConfig(),
+            emailTemplates: {},
             system: {
                 lastUpdated: new Date().toISOString(),
                 version: '1.0.0'
@@ -159,7 +285,8 @@ class ConfigDatabase {
      * Check if notifications are configured
      */
     isNotificationsConfigured() {
-        return !!(this.config.notifications.email && this.config.notifications.password);
+        const { email, password, service } = this.config.notifications;
+        return !emailHelpers.requiresCredentials(service) || !!(email && password);
     }
 
     /**
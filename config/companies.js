@@ -0,0 +1,52 @@
+// Empresas (tenants) del portal y su branding para PDFs y emails
+
+const companies = {
+    'Boston Fire Escapes': {
+        name: 'Boston Fire Escapes',
+        legalName: 'Boston Fire Escape Services',
+        tagline: 'Professional Fire Escape Services',
+        emailFromName: 'Boston Fire Escapes',
+        aliases: ['boston', 'boston fire escape', 'boston fire escape services', 'bostonfireescapes.com']
+    },
+    'Irias Iron Works': {
+        name: 'Irias Iron Works',
+        legalName: 'IRIAS IRONWORKS SERVICES LLC',
+        tagline: 'Professional Fire Escape Services',
+        emailFromName: 'IRIAS Ironworks',
+        aliases: ['irias', 'irias ironworks', 'irias ironworks services llc', 'iriasironworks.com']
+    }
+};
+
+const companyHelpers = {
+    getCompanyNames: () => Object.keys(companies),
+
+    // Canonical company name for a sheet value, filter key or alias; null if unknown
+    normalizeCompany: (value) => {
+        if (!value || typeof value !== 'string') {
+            return null;
+        }
+
+        const lower = value.trim().toLowerCase();
+        const match = Object.values(companies).find(company =>
+            company.name.toLowerCase() === lower || company.aliases.includes(lower)
+        );
+        return match ? match.name : null;
+    },
+
+    // Normalized, de-duplicated list from an array or comma-separated string
+    normalizeCompanyList: (values) => {
+        const list = Array.isArray(values) ? values : String(values || '').split(',');
+        const normalized = list.map(value => companyHelpers.normalizeCompany(value)).filter(Boolean);
+        return [...new Set(normalized)];
+    },
+
+    getBranding: (company) => {
+        const name = companyHelpers.normalizeCompany(company);
+        return name ? companies[name] : null;
+    }
+};
+
+module.exports = {
+    companies,
+    helpers: companyHelpers
+};
@@ -0,0 +1,76 @@
+// Jerarquía de carpetas en Google Drive: raíz por empresa y tipo de cliente + sub-carpetas por cliente
+
+const customerTypes = ['Residential', 'Commercial', 'Industrial'];
+
+// Shared Drives históricos (usados si no hay nada configurado en system-config)
+const defaultRoots = {
+    default: process.env.GOOGLE_DRIVE_RESIDENTIAL_FOLDER_ID || '1FnfkUI0vHCpKkZA9fdEpKxiDcg97URli',
+    Residential: process.env.GOOGLE_DRIVE_RESIDENTIAL_FOLDER_ID || '1FnfkUI0vHCpKkZA9fdEpKxiDcg97URli',
+    Commercial: process.env.GOOGLE_DRIVE_COMMERCIAL_FOLDER_ID || '12bR_COjrwE1DySRc4QfrUFEKGvzsIBpq',
+    Industrial: process.env.GOOGLE_DRIVE_INDUSTRIAL_FOLDER_ID || ''
+};
+
+// Tipo de documento → sub-carpeta dentro de la carpeta del cliente
+const documentFolders = {
+    estimate: 'Estimates',
+    invoice: 'Invoices',
+    report: 'Inspection Reports',
+    photo: 'Photos'
+};
+
+const driveHelpers = {
+    getCustomerTypes: () => [...customerTypes],
+
+    getDefaultConfig: () => ({
+        roots: { default: { ...defaultRoots } },
+        subfolders: Object.values(documentFolders)
+    }),
+
+    normalizeCustomerType: (customerType) => {
+        const lower = String(customerType || '').trim().toLowerCase();
+        return customerTypes.find(type => type.toLowerCase() === lower) || null;
+    },
+
+    /**
+     * Root folder for a client: company + customer type, then the company default,
+     * then the global roots (roots.default)
+     * @param {Object} driveConfig - { roots: { <company|default>: { <customerType|default>: folderId } } }
+     */
+    resolveRootFolderId: (driveConfig, company, customerType) => {
+        const roots = (driveConfig && driveConfig.roots) || {};
+        const type = driveHelpers.normalizeCustomerType(customerType);
+        const candidates = [roots[company], roots.default, defaultRoots];
+
+        for (const companyRoots of candidates) {
+            if (!companyRoots) continue;
+            if (type && companyRoots[type]) return companyRoots[type];
+            if (companyRoots.default) return companyRoots.default;
+        }
+        return null;
+    },
+
+    // Every configured root, to search for existing client folders
+    getAllRootFolderIds: (driveConfig) => {
+        const roots = (driveConfig && driveConfig.roots) || {};
+        const ids = [defaultRoots, ...Object.values(roots)]
+            .flatMap(companyRoots => Object.values(companyRoots || {}))
+            .filter(Boolean);
+        return [...new Set(ids)];
+    },
+
+    // Sub-carpeta para un tipo de documento ('estimate', 'invoice', ...) o un nombre de reporte libre
+    getDocumentFolder: (documentType) => {
+        const lower = String(documentType || '').toLowerCase();
+        if (documentFolders[lower]) return documentFolders[lower];
+        if (lower.includes('estimate')) return documentFolders.estimate;
+        if (lower.includes('invoice')) return documentFolders.invoice;
+        if (lower.includes('photo')) return documentFolders.photo;
+        return documentFolders.report;
+    }
+};
+
+module.exports = {
+    customerTypes,
+    documentFolders,
+    helpers: driveHelpers
+};
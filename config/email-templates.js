@@ -0,0 +1,502 @@
+// Plantillas de correo incluidas: se usan cuando no hay una personalizada (por empresa o general) en system-config
+// Marcadores: {{campo}} se escapa en la parte HTML, {{{campo}}} inserta HTML ya generado (bloques de la sincronización)
+
+// Variables y diseño comunes de los correos al cliente (estimate, invoice, reporte con el PDF adjunto)
+const customerVariables = {
+    clientFullName: 'Client full name',
+    address: 'Project address',
+    documentName: 'File name of the attached PDF',
+    message: 'Personal note typed when sending (may be empty)',
+    companyName: 'Company name',
+    companyLegalName: 'Company legal name',
+    emailFromName: 'Sender name of the company'
+};
+
+const customerSample = {
+    clientFullName: 'Jane Smith',
+    address: '12 Beacon St, Boston, MA',
+    message: 'Let us know if you have any questions.',
+    companyName: 'Irias Iron Works',
+    companyLegalName: 'IRIAS IRONWORKS SERVICES LLC',
+    emailFromName: 'IRIAS Ironworks'
+};
+
+const customerHtml = (heading, body) => `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .header { background: linear-gradient(135deg, #dc2626 0%, #991b1b 100%); color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; }
+        .note { background: #f8f9fa; padding: 10px; border-left: 4px solid #dc2626; margin: 10px 0; white-space: pre-line; }
+        .footer { background: #f8f9fa; padding: 15px; text-align: center; color: #666; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>${heading}</h1>
+        <p>{{companyLegalName}}</p>
+    </div>
+
+    <div class="content">
+        <p>Dear {{clientFullName}},</p>
+${body}
+        <div class="note">{{message}}</div>
+        <p>Thank you,<br>{{emailFromName}}</p>
+    </div>
+
+    <div class="footer">
+        <p>{{companyLegalName}}</p>
+        <p>© 2024 {{emailFromName}}. All rights reserved.</p>
+    </div>
+</body>
+</html>`;
+
+const templates = {
+    'new-lead': {
+        label: 'New lead notification',
+        description: 'Sent to the notification address when a customer registers',
+        variables: {
+            clientFullName: 'Client full name',
+            email: 'Client email',
+            phone: 'Client phone number',
+            address: 'Project address',
+            customerType: 'Residential, Commercial or Industrial',
+            customerStatus: 'Customer status',
+            serviceType: 'Requested service',
+            price: 'Quoted price',
+            formDate: 'Date the form was received',
+            companyName: 'Company name',
+            companyLegalName: 'Company legal name',
+            emailFromName: 'Sender name of the company'
+        },
+        sample: {
+            clientFullName: 'Jane Smith',
+            email: 'jane.smith@example.com',
+            phone: '(617) 555-0142',
+            address: '12 Beacon St, Boston, MA',
+            customerType: 'Residential',
+            customerStatus: 'New Lead',
+            serviceType: 'Fire Escape Inspection',
+            price: '450',
+            formDate: '10/19/2026, 9:30:00 AM',
+            companyName: 'Irias Iron Works',
+            companyLegalName: 'IRIAS IRONWORKS SERVICES LLC',
+            emailFromName: 'IRIAS Ironworks'
+        },
+        subject: '🔥 NEW CUSTOMER LEAD - {{clientFullName}}',
+        html: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .header { background: linear-gradient(135deg, #dc2626 0%, #991b1b 100%); color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; }
+        .section { margin-bottom: 20px; }
+        .section h3 { color: #dc2626; border-bottom: 2px solid #dc2626; padding-bottom: 5px; }
+        .info-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
+        .info-item { background: #f8f9fa; padding: 10px; border-radius: 5px; }
+        .label { font-weight: bold; color: #666; }
+        .value { color: #333; }
+        .footer { background: #f8f9fa; padding: 15px; text-align: center; color: #666; font-size: 12px; }
+        .highlight { background: #fff3cd; padding: 10px; border-left: 4px solid #ffc107; margin: 10px 0; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>🔥 NEW CUSTOMER LEAD 🔥</h1>
+        <p>{{companyLegalName}}</p>
+    </div>
+
+    <div class="content">
+        <div class="highlight">
+            <strong>Form Date:</strong> {{formDate}}
+        </div>
+
+        <div class="section">
+            <h3>👤 CUSTOMER INFORMATION</h3>
+            <div class="info-grid">
+                <div class="info-item"><div class="label">Customer Type:</div><div class="value">{{customerType}}</div></div>
+                <div class="info-item"><div class="label">Customer Status:</div><div class="value">{{customerStatus}}</div></div>
+                <div class="info-item"><div class="label">Client Full Name:</div><div class="value">{{clientFullName}}</div></div>
+                <div class="info-item"><div class="label">Email:</div><div class="value">{{email}}</div></div>
+                <div class="info-item"><div class="label">Phone Number:</div><div class="value">{{phone}}</div></div>
+                <div class="info-item"><div class="label">Address:</div><div class="value">{{address}}</div></div>
+            </div>
+        </div>
+
+        <div class="section">
+            <h3>🛠️ SERVICE INFORMATION</h3>
+            <div class="info-grid">
+                <div class="info-item"><div class="label">Service Type:</div><div class="value">{{serviceType}}</div></div>
+                <div class="info-item"><div class="label">Price:</div><div class="value">\${{price}}</div></div>
+            </div>
+        </div>
+    </div>
+
+    <div class="footer">
+        <p>This is an automated notification from {{companyLegalName}}.</p>
+        <p>A new customer lead has been registered in the system.</p>
+        <p>© 2024 {{emailFromName}}. All rights reserved.</p>
+    </div>
+</body>
+</html>`,
+        text: `🔥 NEW CUSTOMER LEAD 🔥
+{{companyLegalName}}
+
+Form Date: {{formDate}}
+
+👤 CUSTOMER INFORMATION
+Customer Type: {{customerType}}
+Customer Status: {{customerStatus}}
+Client Full Name: {{clientFullName}}
+Email: {{email}}
+Phone Number: {{phone}}
+Address: {{address}}
+
+🛠️ SERVICE INFORMATION
+Service Type: {{serviceType}}
+Price: \${{price}}
+
+This is an automated notification from {{companyLegalName}}.
+A new customer lead has been registered in the system.
+
+© 2024 {{emailFromName}}. All rights reserved.`
+    },
+
+    'sync-notification': {
+        label: 'Sync notification',
+        description: 'Sent after each automatic Google Sheets ↔ database sync',
+        variables: {
+            statusIcon: '✅, ⚠️ or ❌',
+            statusTitle: 'COMPLETED or FAILED',
+            statusLabel: 'Status for the subject line',
+            headerBackground: 'Header color (green or red)',
+            accentColor: 'Section title color',
+            imported: 'Clients imported from Sheets',
+            updated: 'Clients updated from Sheets',
+            errors: 'Rows that failed',
+            syncedToSheets: 'Clients written to Sheets',
+            conflictCount: 'Number of conflicts',
+            conflictStrategy: 'How conflicts are resolved',
+            conflictsText: 'Conflicts as plain text',
+            statsHtml: 'Statistics cards (HTML, use {{{statsHtml}}})',
+            conflictsHtml: 'Conflicts section (HTML, use {{{conflictsHtml}}})',
+            errorHtml: 'Error details section (HTML, use {{{errorHtml}}})',
+            error: 'Error message of a failed sync',
+            syncTime: 'Sync date and time',
+            duration: 'Sync duration',
+            totalSyncs: 'Total syncs since start',
+            successfulSyncs: 'Successful syncs',
+            failedSyncs: 'Failed syncs',
+            successRate: 'Success rate (%)'
+        },
+        sample: {
+            statusIcon: '⚠️',
+            statusTitle: 'COMPLETED',
+            statusLabel: 'Completed with 1 Conflict',
+            headerBackground: 'linear-gradient(135deg, #059669 0%, #047857 100%)',
+            accentColor: '#059669',
+            imported: '3',
+            updated: '12',
+            errors: '0',
+            syncedToSheets: '2',
+            conflictCount: '1',
+            conflictStrategy: 'waiting for manual resolution',
+            conflictsText: '- Jane Smith (CL-1042)\n    phone: sheet="(617) 555-0142" portal="(617) 555-0199"',
+            statsHtml: '<div class="stat-item"><div class="stat-value">3</div><div class="stat-label">Imported</div></div><div class="stat-item"><div class="stat-value">12</div><div class="stat-label">Updated</div></div><div class="stat-item"><div class="stat-value">1</div><div class="stat-label">Conflicts</div></div>',
+            conflictsHtml: '<div class="section"><h3>⚠️ CONFLICTS (waiting for manual resolution)</h3><div class="conflict"><strong>Jane Smith</strong> (CL-1042)<table><tr><th>Field</th><th>Google Sheets</th><th>Portal</th></tr><tr><td>phone</td><td>(617) 555-0142</td><td>(617) 555-0199</td></tr></table></div></div>',
+            errorHtml: '',
+            error: '',
+            syncTime: '10/19/2026, 9:30:00 AM',
+            duration: '4.2s',
+            totalSyncs: '48',
+            successfulSyncs: '47',
+            failedSyncs: '1',
+            successRate: '98'
+        },
+        subject: '{{statusIcon}} Sync {{statusLabel}} - IRIAS Ironworks',
+        html: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .header { background: {{headerBackground}}; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; }
+        .section { margin-bottom: 20px; }
+        .section h3 { color: {{accentColor}}; border-bottom: 2px solid {{accentColor}}; padding-bottom: 5px; }
+        .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin: 20px 0; }
+        .stat-item { background: #f8f9fa; padding: 15px; border-radius: 8px; text-align: center; }
+        .stat-value { font-size: 2rem; font-weight: bold; color: {{accentColor}}; }
+        .stat-label { color: #666; font-size: 0.9rem; }
+        .footer { background: #f8f9fa; padding: 15px; text-align: center; color: #666; font-size: 12px; }
+        .error-details { background: #fef2f2; border: 1px solid #fecaca; padding: 15px; border-radius: 8px; margin: 15px 0; }
+        .conflict { background: #fffbeb; border: 1px solid #fde68a; padding: 10px 15px; border-radius: 8px; margin: 10px 0; }
+        .conflict table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+        .conflict td, .conflict th { border-bottom: 1px solid #fde68a; padding: 4px 8px; text-align: left; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>{{statusIcon}} SYNC {{statusTitle}}</h1>
+        <p>IRIAS IRONWORKS SERVICES LLC</p>
+    </div>
+
+    <div class="content">
+        <div class="section">
+            <h3>📊 SYNC STATISTICS</h3>
+            <div class="stats-grid">{{{statsHtml}}}</div>
+        </div>
+
+        {{{conflictsHtml}}}
+
+        <div class="section">
+            <h3>⏰ TIMESTAMP</h3>
+            <p><strong>Sync Time:</strong> {{syncTime}}</p>
+            <p><strong>Duration:</strong> {{duration}}</p>
+        </div>
+
+        {{{errorHtml}}}
+
+        <div class="section">
+            <h3>📈 OVERALL STATISTICS</h3>
+            <p><strong>Total Syncs:</strong> {{totalSyncs}}</p>
+            <p><strong>Successful Syncs:</strong> {{successfulSyncs}}</p>
+            <p><strong>Failed Syncs:</strong> {{failedSyncs}}</p>
+            <p><strong>Success Rate:</strong> {{successRate}}%</p>
+        </div>
+    </div>
+
+    <div class="footer">
+        <p>This is an automated notification from IRIAS IRONWORKS SERVICES LLC.</p>
+        <p>© 2024 IRIAS Ironworks. All rights reserved.</p>
+    </div>
+</body>
+</html>`,
+        text: `{{statusIcon}} SYNC {{statusTitle}}
+IRIAS IRONWORKS SERVICES LLC
+
+📊 SYNC STATISTICS
+Imported: {{imported}}
+Updated: {{updated}}
+Errors: {{errors}}
+Synced to Sheets: {{syncedToSheets}}
+Conflicts: {{conflictCount}}
+{{error}}
+
+⚠️ CONFLICTS ({{conflictStrategy}})
+{{conflictsText}}
+
+⏰ TIMESTAMP
+Sync Time: {{syncTime}}
+Duration: {{duration}}
+
+📈 OVERALL STATISTICS
+Total Syncs: {{totalSyncs}}
+Successful Syncs: {{successfulSyncs}}
+Failed Syncs: {{failedSyncs}}
+Success Rate: {{successRate}}%
+
+This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
+© 2024 IRIAS Ironworks. All rights reserved.`
+    },
+
+    'customer-estimate': {
+        label: 'Estimate (to customer)',
+        description: 'Sent to the customer with the estimate PDF attached; the estimate status becomes Sent',
+        variables: {
+            ...customerVariables,
+            price: 'Quoted price'
+        },
+        sample: {
+            ...customerSample,
+            documentName: 'Estimate_Jane_Smith.pdf',
+            price: '450'
+        },
+        subject: 'Your estimate from {{emailFromName}}',
+        html: customerHtml('Your Estimate', `        <p>Please find attached the estimate for the work at <strong>{{address}}</strong>.</p>
+        <p><strong>Attached:</strong> {{documentName}}</p>
+        <p>To approve it, simply reply to this email.</p>`),
+        text: `Dear {{clientFullName}},
+
+Please find attached the estimate for the work at {{address}}.
+Attached: {{documentName}}
+To approve it, simply reply to this email.
+
+{{message}}
+
+Thank you,
+{{emailFromName}}
+{{companyLegalName}}`
+    },
+
+    'customer-invoice': {
+        label: 'Invoice (to customer)',
+        description: 'Sent to the customer with the invoice PDF attached; the invoice status becomes Sent',
+        variables: {
+            ...customerVariables,
+            price: 'Invoiced amount'
+        },
+        sample: {
+            ...customerSample,
+            documentName: 'Invoice_Jane_Smith.pdf',
+            price: '450'
+        },
+        subject: 'Invoice from {{emailFromName}}',
+        html: customerHtml('Your Invoice', `        <p>Please find attached the invoice for the work at <strong>{{address}}</strong>.</p>
+        <p><strong>Attached:</strong> {{documentName}}</p>`),
+        text: `Dear {{clientFullName}},
+
+Please find attached the invoice for the work at {{address}}.
+Attached: {{documentName}}
+
+{{message}}
+
+Thank you,
+{{emailFromName}}
+{{companyLegalName}}`
+    },
+
+    'customer-report': {
+        label: 'Inspection report (to customer)',
+        description: 'Sent to the customer with the inspection report PDF attached; the report becomes Sent',
+        variables: {
+            ...customerVariables,
+            reportId: 'Report ID',
+            reportType: 'Inspection type',
+            inspectionDate: 'Inspection date',
+            inspector: 'Inspector name',
+            nextInspectionDate: 'Next inspection date (may be empty)'
+        },
+        sample: {
+            ...customerSample,
+            documentName: 'Fire_Escape_Report_Jane_Smith_RPT123456ABC.pdf',
+            reportId: 'RPT123456ABC',
+            reportType: 'Fire Escape Inspection',
+            inspectionDate: '2026-10-15',
+            inspector: 'Carlos Irias',
+            nextInspectionDate: '2027-10-15'
+        },
+        subject: 'Your {{reportType}} report - {{address}}',
+        html: customerHtml('Inspection Report', `        <p>Please find attached the report of the {{reportType}} carried out on <strong>{{inspectionDate}}</strong> at <strong>{{address}}</strong>.</p>
+        <p><strong>Inspector:</strong> {{inspector}}<br><strong>Next inspection:</strong> {{nextInspectionDate}}</p>
+        <p><strong>Attached:</strong> {{documentName}}</p>`),
+        text: `Dear {{clientFullName}},
+
+Please find attached the report of the {{reportType}} carried out on {{inspectionDate}} at {{address}}.
+Inspector: {{inspector}}
+Next inspection: {{nextInspectionDate}}
+Attached: {{documentName}}
+
+{{message}}
+
+Thank you,
+{{emailFromName}}
+{{companyLegalName}}`
+    },
+
+    'test-email': {
+        label: 'Test email',
+        description: 'Sent by the "Send Test Email" button in system configuration',
+        variables: {
+            testDate: 'Date the test was sent',
+            companyLegalName: 'Company legal name',
+            emailFromName: 'Sender name'
+        },
+        sample: {
+            testDate: '10/19/2026, 9:30:00 AM',
+            companyLegalName: 'IRIAS IRONWORKS SERVICES LLC',
+            emailFromName: 'IRIAS Ironworks'
+        },
+        subject: '🧪 Email Service Test - {{emailFromName}}',
+        html: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .header { background: linear-gradient(135deg, #dc2626 0%, #991b1b 100%); color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; }
+        .footer { background: #f8f9fa; padding: 15px; text-align: center; color: #666; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>🧪 Email Service Test</h1>
+        <p>{{companyLegalName}}</p>
+    </div>
+
+    <div class="content">
+        <h2>✅ Email Service is Working!</h2>
+        <p>This is a test email to confirm that your email service is properly configured and working.</p>
+        <p><strong>Test Date:</strong> {{testDate}}</p>
+        <p>If you received this email, your email notifications for new customer leads will work correctly.</p>
+    </div>
+
+    <div class="footer">
+        <p>© 2024 {{emailFromName}}. All rights reserved.</p>
+    </div>
+</body>
+</html>`,
+        text: `This is a test email from {{emailFromName}} email service.
+
+Test Date: {{testDate}}
+If you received this email, your email notifications for new customer leads will work correctly.`
+    }
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g;
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const emailTemplateHelpers = {
+    getTemplateIds: () => Object.keys(templates),
+
+    getTemplate: (templateId) => templates[templateId] || null,
+
+    /**
+     * Replace {{name}} / {{{name}}} placeholders (a single pass, so inserted values are never re-parsed)
+     * @param {string} source - Template text
+     * @param {Object} variables - Placeholder values; missing ones render empty
+     * @param {Object} options - { html: escape {{name}} values }
+     */
+    render: (source, variables = {}, { html = false } = {}) => String(source || '').replace(PLACEHOLDER_PATTERN, (match, rawName, name) => {
+        const value = variables[rawName || name];
+        const text = value === null || value === undefined ? '' : String(value);
+        return html && name ? escapeHtml(text) : text;
+    }),
+
+    // Subject, HTML and text parts of a template
+    renderTemplate: (template, variables) => ({
+        subject: emailTemplateHelpers.render(template.subject, variables).replace(/[\r\n]+/g, ' ').trim(),
+        html: emailTemplateHelpers.render(template.html, variables, { html: true }),
+        text: emailTemplateHelpers.render(template.text, variables).trim()
+    }),
+
+    // Placeholders used by a template that the template does not define
+    findUnknownPlaceholders: (templateId, parts) => {
+        const known = Object.keys((templates[templateId] || {}).variables || {});
+        const used = new Set();
+        for (const source of Object.values(parts)) {
+            for (const match of String(source || '').matchAll(PLACEHOLDER_PATTERN)) {
+                used.add(match[1] || match[2]);
+            }
+        }
+        return [...used].filter(name => !known.includes(name));
+    },
+
+    escapeHtml
+};
+
+module.exports = {
+    templates,
+    helpers: emailTemplateHelpers
+};
@@ -0,0 +1,78 @@
+// Transportes de correo: proveedores con credenciales, SMTP genérico y modos locales (file / memory)
+
+const path = require('path');
+
+const transports = {
+    gmail: { label: 'Gmail (App Password)', requiresCredentials: true },
+    sendgrid: { label: 'SendGrid', requiresCredentials: true },
+    mailgun: { label: 'Mailgun', requiresCredentials: true },
+    smtp: { label: 'SMTP server', requiresCredentials: false },
+    file: { label: 'File drop (.eml files)', requiresCredentials: false },
+    memory: { label: 'Memory (tests)', requiresCredentials: false }
+};
+
+// SMTP local (MailHog, Mailpit, relay interno): sin auth salvo que se configure usuario
+const defaultSmtp = {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    requireTLS: process.env.SMTP_REQUIRE_TLS === 'true',
+    user: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASSWORD || ''
+};
+
+const defaultFileDirectory = process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+// Mensajes guardados por el transporte "memory" (los más antiguos se descartan)
+const memoryOutboxLimit = 100;
+
+// Cola de salida (email_outbox): reintentos con backoff exponencial
+const queue = {
+    intervalSeconds: parseInt(process.env.EMAIL_QUEUE_INTERVAL_SECONDS, 10) || 30,
+    maxAttempts: parseInt(process.env.EMAIL_QUEUE_MAX_ATTEMPTS, 10) || 5,
+    retryBaseSeconds: parseInt(process.env.EMAIL_QUEUE_RETRY_SECONDS, 10) || 60,
+    retryMaxSeconds: 6 * 60 * 60,
+    batchSize: 20,
+    leaseSeconds: 5 * 60
+};
+
+const emailHelpers = {
+    getTransportTypes: () => Object.keys(transports),
+
+    getTransports: () => Object.entries(transports).map(([id, transport]) => ({ id, ...transport })),
+
+    // Unknown services keep the historical Gmail default
+    normalizeService: (service) => {
+        const lower = String(service || '').trim().toLowerCase();
+        return transports[lower] ? lower : 'gmail';
+    },
+
+    requiresCredentials: (service) => transports[emailHelpers.normalizeService(service)].requiresCredentials,
+
+    getSmtpSettings: (smtp = {}) => {
+        const settings = { ...defaultSmtp, ...smtp };
+        return {
+            host: String(settings.host || '').trim() || defaultSmtp.host,
+            port: parseInt(settings.port, 10) || defaultSmtp.port,
+            secure: settings.secure === true || settings.secure === 'true',
+            requireTLS: settings.requireTLS === true || settings.requireTLS === 'true',
+            user: settings.user || '',
+            password: settings.password || ''
+        };
+    },
+
+    getFileDirectory: (directory) => path.resolve(directory || defaultFileDirectory),
+
+    getMemoryOutboxLimit: () => memoryOutboxLimit,
+
+    getQueueSettings: () => ({ ...queue }),
+
+    // 1 min, 2 min, 4 min... capped at 6 hours
+    getRetryDelaySeconds: (attempts) => Math.min(queue.retryBaseSeconds * Math.pow(2, Math.max(0, attempts - 1)), queue.retryMaxSeconds)
+};
+
+module.exports = {
+    transports,
+    queue,
+    helpers: emailHelpers
+};
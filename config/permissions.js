@@ -0,0 +1,221 @@
+// Role-based access control for the /api routes in server.js
+
+const PUBLIC = 'public';
+
+// Permissions granted to each role
+const rolePermissions = {
+    admin: ['read', 'write', 'delete', 'admin'],
+    inspector: ['read', 'write'],
+    user: ['read'],
+    api_key: [] // API keys only get the routes of their scopes (apiKeyScopes)
+};
+
+// Permission required per API route (path without the /api/ prefix).
+// A string applies to every method; an object maps HTTP method -> permission.
+// Routes missing from this map require 'admin' (fail closed).
+const routePermissions = {
+    // Public endpoints
+    'health': PUBLIC,
+
+    // Clients
+    'clients': { GET: 'read', POST: PUBLIC }, // POST lo usa el formulario público de customer-onboarding
+    'client': 'read',
+    'client/documents': { GET: 'read', POST: 'write', PUT: 'write', DELETE: 'delete' },
+    'client/send-document': 'write',
+    'business-clients': 'read',
+    'statistics': 'read',
+    'client-update': 'write',
+    'client-status': 'write',
+    'client-contact': 'write',
+    'client-service': 'write',
+    'client-invoice-status': 'write',
+    'client-estimate-status': 'write',
+    'send-client-email': 'write',
+    'create-zoho-client': 'write',
+    'zoho/webhook': PUBLIC, // Zoho no manda JWT: se valida X-Webhook-Secret en la ruta
+
+    // Appointments
+    'appointments': 'read',
+    'schedule-appointment': 'write',
+    'reschedule-appointment': 'write',
+    'cancel-appointment': 'write',
+
+    // Reports
+    'reports': { GET: 'read', POST: 'write' },
+    'report': 'read',
+    'client-reports': 'read',
+    'report-pdf': 'read',
+    'create-report': 'write',
+    'report-update': 'write',
+    'report-status': 'write',
+    'save-report': 'write',
+    'upload-pdf': 'write',
+    'upcoming-inspections': 'read',
+    'inspection-reminders': { GET: 'read', POST: 'admin' },
+
+    // Google Sheets / Drive data
+    'sheets': 'read',
+    'google-sheets-data': 'read',
+    'drive-folders': 'read',
+    'sheets-status': 'read',
+    'sync-status': 'read',
+    'system-stats': 'read',
+    'test-connection': 'read',
+    'test': 'read',
+    'permissions': 'read',
+
+    // Own login sessions: every signed-in user can list them and sign them out
+    'sessions': 'read',
+    'sessions/revoke': 'read',
+    'sessions/revoke-all': 'read',
+
+    // Own two-factor authentication (enrolment, backup codes, step-up confirmation)
+    '2fa': 'read',
+    '2fa/setup': 'read',
+    '2fa/enable': 'read',
+    '2fa/disable': 'read',
+    '2fa/backup-codes': 'read',
+    '2fa/step-up': 'read',
+
+    // Administration
+    'update-source': 'admin',
+    'create-sheet': 'admin',
+    'system-config': 'admin',
+    'system-status': 'admin',
+    'save-gmail-config': 'admin',
+    'test-email': 'admin',
+    'email/outbox': 'admin',
+    'email-queue': 'admin',
+    'email-queue/retry': 'admin',
+    'email-templates': 'admin',
+    'email-templates/preview': 'admin',
+    'zoho/mapping': 'admin',
+    'zoho/mapping/preview': 'admin',
+    'zoho/deliveries': 'admin',
+    'zoho/deliveries/resend': 'admin',
+    'test-zoho': 'admin',
+    'test-google-sheets': 'admin',
+    'test-drive': 'admin',
+    'test-database': 'admin',
+    'test-pdf-upload': 'admin',
+    'database-tables': 'admin',
+    'debug-credentials': 'admin',
+    'sync-from-sheets': 'admin',
+    'sync-to-sheets': 'admin',
+    'sync-full': 'admin',
+    'sync/start': 'admin',
+    'sync/stop': 'admin',
+    'sync/status': 'admin',
+    'sync/manual': 'admin',
+    'sync/conflicts': 'admin',
+    'sync/resolve-conflict': 'admin',
+    'drive-folders/backfill': 'admin'
+};
+
+// Sensitive system-config actions: besides the permission they need a recent 2FA code (step-up).
+// true applies to every method, an array only to those methods.
+const stepUpRoutes = {
+    'system-config': ['POST', 'PUT', 'DELETE'],
+    'save-gmail-config': true,
+    'update-source': true,
+    'create-sheet': true,
+    'debug-credentials': true,
+    'zoho/mapping': ['POST', 'PUT', 'DELETE']
+};
+
+// Scopes of admin-issued API keys (X-API-Key). A key only reaches the routes/methods of its scopes,
+// never the admin or session routes; public routes stay open to it.
+const apiKeyScopes = {
+    'clients:read': {
+        description: 'List and read clients',
+        routes: { 'clients': ['GET'], 'client': ['GET'], 'business-clients': ['GET'] }
+    },
+    'clients:create': {
+        description: 'Create clients (website form)',
+        routes: { 'clients': ['POST'] }
+    },
+    'clients:update': {
+        description: 'Update client data and statuses',
+        routes: {
+            'client-update': ['PUT'],
+            'client-status': ['PUT'],
+            'client-contact': ['PUT'],
+            'client-service': ['PUT'],
+            'client-invoice-status': ['PUT'],
+            'client-estimate-status': ['PUT']
+        }
+    },
+    'appointments:read': {
+        description: 'List appointments and upcoming inspections',
+        routes: { 'appointments': ['GET'], 'upcoming-inspections': ['GET'] }
+    },
+    'appointments:write': {
+        description: 'Schedule, reschedule and cancel appointments',
+        routes: { 'schedule-appointment': ['POST'], 'reschedule-appointment': ['PUT'], 'cancel-appointment': ['PUT'] }
+    },
+    'reports:read': {
+        description: 'Read reports and their PDFs',
+        routes: { 'report': ['GET'], 'client-reports': ['GET'], 'report-pdf': ['GET'] }
+    }
+};
+
+const permissionHelpers = {
+    getRolePermissions: (role) => {
+        return rolePermissions[role] || rolePermissions.user;
+    },
+
+    // Permission needed for a route + method, or PUBLIC
+    getRequiredPermission: (route, method = 'GET') => {
+        const rule = routePermissions[route];
+        if (!rule) {
+            return 'admin';
+        }
+        if (typeof rule === 'string') {
+            return rule;
+        }
+        return rule[method] || 'admin';
+    },
+
+    // Los permisos salen del rol para que los tokens de Google OAuth (sin lista de permisos) funcionen igual
+    hasPermission: (user, permission) => {
+        if (permission === PUBLIC) {
+            return true;
+        }
+        if (!user) {
+            return false;
+        }
+        return permissionHelpers.getRolePermissions(user.role).includes(permission);
+    },
+
+    canAccessRoute: (user, route, method = 'GET') => {
+        return permissionHelpers.hasPermission(user, permissionHelpers.getRequiredPermission(route, method));
+    },
+
+    // An API key reaches a route when the route is public or one of its scopes lists the method
+    apiKeyAllows: (scopes, route, method = 'GET') => {
+        if (permissionHelpers.getRequiredPermission(route, method) === PUBLIC) {
+            return true;
+        }
+        return (scopes || []).some(scope => {
+            const methods = apiKeyScopes[scope] && apiKeyScopes[scope].routes[route];
+            return !!methods && methods.includes(method);
+        });
+    },
+
+    requiresStepUp: (route, method = 'GET') => {
+        const rule = stepUpRoutes[route];
+        if (!rule) {
+            return false;
+        }
+        return rule === true || rule.includes(method);
+    }
+};
+
+module.exports = {
+    PUBLIC,
+    rolePermissions,
+    routePermissions,
+    stepUpRoutes,
+    apiKeyScopes,
+    helpers: permissionHelpers
+};
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const appConfig = require('./app');
 
 const securityConfig = {
     // JWT Configuration
@@ -78,6 +79,40 @@ const securityConfig = {
         name: 'sessionId'
     },
 
+    // Login cookies: the portal JWT (HttpOnly, never readable from JavaScript) and the OAuth state/PKCE pair
+    authCookie: {
+        name: 'fire_escape_jwt_token',
+        maxAge: 24 * 60 * 60, // seconds, same as the JWT
+        sameSite: 'Lax', // Lax: the cookie still arrives on the redirect back from Google
+        oauthName: 'fire_escape_oauth',
+        oauthPath: '/auth/google/callback',
+        oauthMaxAge: 10 * 60 // 10 minutes to finish the Google login
+    },
+
+    // Password accounts (routes/auth.js): the first account only becomes admin when it registers with this email
+    accounts: {
+        adminBootstrapEmail: (process.env.ADMIN_BOOTSTRAP_EMAIL || '').trim().toLowerCase()
+    },
+
+    // Two-factor authentication (TOTP, RFC 6238) and step-up re-prompts before sensitive actions
+    twoFactor: {
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Fire Escape Reports',
+        encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback-secret-change-in-production',
+        step: 30, // seconds per code
+        digits: 6,
+        window: 1, // accept the previous/next code for clock drift
+        backupCodeCount: 10,
+        enforcedRoles: process.env.TWO_FACTOR_ENFORCED_ROLES ? process.env.TWO_FACTOR_ENFORCED_ROLES.split(',') : ['admin'],
+        maxAttempts: 5,
+        lockMinutes: 15,
+        pendingCookieName: 'fire_escape_2fa',
+        pendingPath: '/auth/2fa',
+        pendingMaxAge: 5 * 60, // seconds between the password/Google step and the code
+        stepUpCookieName: 'fire_escape_step_up',
+        stepUpHeader: 'x-step-up-token',
+        stepUpMaxAge: 5 * 60 // seconds a confirmed code covers sensitive actions
+    },
+
     // File Upload Security
     fileUpload: {
         maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
@@ -122,7 +157,16 @@ const securityConfig = {
         requireAuth: true,
         apiKeyHeader: 'X-API-Key',
         apiKeyRequired: false,
+        // Admin-issued integration keys (api_keys table): fek + 8 hex lookup prefix + 40 hex secret
+        apiKeyPrefix: 'fek',
+        apiKeyDefaultExpiryDays: parseInt(process.env.API_KEY_DEFAULT_EXPIRY_DAYS) || 365,
+        apiKeyMaxExpiryDays: 730,
+        apiKeyRotationGraceMinutes: 60, // the replaced key keeps working while the integration is updated
         maxRequestSize: '10mb',
+        // Los documentos de cliente llegan en base64 dentro del JSON (4/3 del fichero) más el resto de campos
+        maxUploadRequestBytes: Math.ceil(appConfig.upload.maxFileSize * 4 / 3) + 64 * 1024,
+        // Proxies in front of the app (Cloud Run: 1) so req.ip and the rate limits see the real client
+        trustProxyHops: process.env.TRUST_PROXY_HOPS !== undefined ? parseInt(process.env.TRUST_PROXY_HOPS, 10) : 1,
         timeout: 30000 // 30 seconds
     },
 
@@ -210,11 +254,13 @@ const securityHelpers = {
         return await bcrypt.compare(password, hash);
     },
 
-    generateJWT: (payload) => {
+    generateJWT: (payload, options = {}) => {
         const jwt = require('jsonwebtoken');
         return jwt.sign(payload, securityConfig.jwt.secret, {
-            expiresIn: securityConfig.jwt.expiresIn,
-            algorithm: securityConfig.jwt.algorithm
+            expiresIn: options.expiresIn || securityConfig.jwt.expiresIn,
+            algorithm: securityConfig.jwt.algorithm,
+            // jti = id de la sesión en user_sessions (revocable)
+            ...(options.jwtid ? { jwtid: options.jwtid } : {})
         });
     },
 
@@ -229,11 +275,12 @@ const securityHelpers = {
         }
     },
 
-    generateRefreshToken: (payload) => {
+    generateRefreshToken: (payload, options = {}) => {
         const jwt = require('jsonwebtoken');
         return jwt.sign(payload, securityConfig.jwt.refreshSecret, {
             expiresIn: securityConfig.jwt.refreshExpiresIn,
-            algorithm: securityConfig.jwt.algorithm
+            algorithm: securityConfig.jwt.algorithm,
+            ...(options.jwtid ? { jwtid: options.jwtid } : {})
         });
     },
 
@@ -246,6 +293,75 @@ const securityHelpers = {
         } catch (error) {
             return null;
         }
+    },
+
+    // Cookie header → { name: value }
+    parseCookies: (cookieHeader = '') => {
+        const cookies = {};
+        for (const part of String(cookieHeader || '').split(';')) {
+            const index = part.indexOf('=');
+            if (index <= 0) {
+                continue;
+            }
+            const name = part.substring(0, index).trim();
+            const value = part.substring(index + 1).trim();
+            if (!(name in cookies)) {
+                try {
+                    cookies[name] = decodeURIComponent(value);
+                } catch (error) {
+                    cookies[name] = value;
+                }
+            }
+        }
+        return cookies;
+    },
+
+    /**
+     * Set-Cookie value
+     * @param {Object} options - { maxAge (seconds, 0 deletes it), path, httpOnly, secure, sameSite }
+     */
+    serializeCookie: (name, value, options = {}) => {
+        const parts = [`${name}=${encodeURIComponent(value || '')}`];
+        parts.push(`Path=${options.path || '/'}`);
+        if (options.maxAge !== undefined) {
+            parts.push(`Max-Age=${Math.floor(options.maxAge)}`);
+            if (options.maxAge <= 0) {
+                parts.push('Expires=Thu, 01 Jan 1970 00:00:00 GMT');
+            }
+        }
+        if (options.httpOnly !== false) {
+            parts.push('HttpOnly');
+        }
+        if (options.secure) {
+            parts.push('Secure');
+        }
+        parts.push(`SameSite=${options.sameSite || securityConfig.authCookie.sameSite}`);
+        return parts.join('; ');
+    },
+
+    // JWT of a request: Authorization: Bearer (API clients) or the HttpOnly login cookie (browser)
+    getRequestToken: (req) => {
+        const authHeader = req.headers.authorization || '';
+        const bearer = authHeader.startsWith('Bearer ') ? authHeader.substring(7).trim() : '';
+        // Las páginas antiguas mandan "Bearer null" cuando ya no hay token en localStorage
+        if (bearer && bearer !== 'null' && bearer !== 'undefined') {
+            return bearer;
+        }
+        return securityHelpers.parseCookies(req.headers.cookie)[securityConfig.authCookie.name] || null;
+    },
+
+    // POST /api/client/:clientId/documents, the only route whose body may exceed maxRequestSize
+    isDocumentUploadRequest: (req) => {
+        const pathname = (req.originalUrl || req.url || '').split('?')[0];
+        return req.method === 'POST' && /^\/api\/client\/[^/]+\/documents\/?$/.test(pathname);
+    },
+
+    // Body limit in bytes for a request
+    getMaxRequestBytes: (req) => {
+        if (securityHelpers.isDocumentUploadRequest(req)) {
+            return securityConfig.api.maxUploadRequestBytes;
+        }
+        return parseInt(securityConfig.api.maxRequestSize.replace('mb', '')) * 1024 * 1024;
     }
 };
 
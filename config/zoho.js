@@ -0,0 +1,309 @@
+// Zoho: webhooks entrantes (evento → invoice_status / estimate_status), mapeo del payload de Zoho Flow y reintentos
+
+const inboundEvents = {
+    'invoice.sent': { column: 'invoice_status', status: 'Sent' },
+    'invoice.paid': { column: 'invoice_status', status: 'Paid' },
+    'estimate.sent': { column: 'estimate_status', status: 'Sent' },
+    'estimate.accepted': { column: 'estimate_status', status: 'Accepted' },
+    'estimate.declined': { column: 'estimate_status', status: 'Rejected' },
+    'estimate.rejected': { column: 'estimate_status', status: 'Rejected' }
+};
+
+// A late or replayed event never moves a status backwards (Paid stays Paid after an invoice.sent)
+const statusOrder = {
+    invoice_status: ['Pending', 'Sent', 'Paid'],
+    estimate_status: ['Pending', 'Sent', 'Accepted', 'Rejected']
+};
+
+// Salida a Zoho Flow: campos del cliente disponibles para el mapeo (alias: formulario, hoja o MySQL)
+const outboundSources = {
+    clientId: { label: 'Client ID', aliases: ['clientId', 'id'] },
+    clientFullName: { label: 'Full name', aliases: ['clientFullName', 'name'] },
+    email: { label: 'Email', aliases: ['email', 'correo'] },
+    phone: { label: 'Phone', aliases: ['customerPhoneNumber', 'phone'] },
+    companyName: { label: 'Company', aliases: ['companyName', 'company'] },
+    address: { label: 'Address', aliases: ['address'] },
+    projectAddress: { label: 'Project address', aliases: ['projectAddress', 'address'] },
+    serviceType: { label: 'Service type', aliases: ['serviceType', 'serviceRequested'] },
+    customerType: { label: 'Customer type', aliases: ['customerType'] },
+    customerStatus: { label: 'Customer status', aliases: ['customerStatus', 'status'] },
+    urgencyLevel: { label: 'Urgency level', aliases: ['urgencyLevel', 'priority'] },
+    budgetRange: { label: 'Budget range', aliases: ['budgetRange'] },
+    expectedTimeline: { label: 'Expected timeline', aliases: ['expectedTimeline'] },
+    preferredContactMethod: { label: 'Preferred contact method', aliases: ['preferredContactMethod'] },
+    technicalDescription: { label: 'Technical description', aliases: ['technicalDescription', 'description'] },
+    additionalNotes: { label: 'Additional notes', aliases: ['additionalNotes', 'notes'] },
+    specialRequirements: { label: 'Special requirements', aliases: ['specialRequirements'] },
+    price: { label: 'Price', aliases: ['price'] },
+    channel: { label: 'Channel', aliases: ['channel'] },
+    responsible: { label: 'Responsible', aliases: ['responsible', 'responsable'] },
+    timestamp: { label: 'Registered at', aliases: ['timestamp', 'createdAt'] }
+};
+
+// field: copy the value; firstName/lastName: split a full name; constant: fixed text; date: format a date ('now' = send time)
+const outboundTransforms = ['field', 'firstName', 'lastName', 'constant', 'date'];
+const dateFormats = {
+    iso: 'ISO 8601 (2024-05-01T14:30:00.000Z)',
+    date: 'Date (2024-05-01)',
+    us: 'US date (05/01/2024)'
+};
+const NAME_SUFFIXES = ['jr', 'jr.', 'sr', 'sr.', 'ii', 'iii', 'iv'];
+const MAX_MAPPING_ENTRIES = 100;
+
+// Lo que se mandaba fijo hasta ahora, sin las claves que siempre iban vacías
+const defaultFieldMapping = [
+    { key: 'Email', transform: 'field', source: 'email' },
+    { key: 'Organization', transform: 'field', source: 'companyName', fallback: 'Individual' },
+    { key: 'Billing address - Phone', transform: 'field', source: 'phone' },
+    { key: 'Billing address - Address', transform: 'field', source: 'address' },
+    { key: 'Is portal enabled?', transform: 'constant', value: 'true' },
+    { key: 'First name', transform: 'firstName', source: 'clientFullName', fallback: 'New' },
+    { key: 'Last name', transform: 'lastName', source: 'clientFullName', fallback: 'Client' },
+    { key: 'Remark', transform: 'field', source: 'technicalDescription', fallback: 'New lead from website' },
+    { key: 'Phone', transform: 'field', source: 'phone' },
+    { key: 'Shipping address - Address', transform: 'field', source: 'address' },
+    { key: 'Customer display name', transform: 'field', source: 'clientFullName', fallback: 'New Client' },
+    { key: 'Company name', transform: 'field', source: 'companyName', fallback: 'Individual' },
+    { key: 'Shipping address - Phone', transform: 'field', source: 'phone' },
+    { key: 'Place of contact', transform: 'constant', value: 'Website' },
+    { key: 'Customer subtype', transform: 'field', source: 'customerType', fallback: 'Residential' },
+    { key: 'Service Type', transform: 'field', source: 'serviceType' },
+    { key: 'Price', transform: 'field', source: 'price', fallback: '0' },
+    { key: 'Source', transform: 'constant', value: 'Web Form' },
+    { key: 'Registration Date', transform: 'date', source: 'now', format: 'iso' }
+];
+
+// Client used by the mapping preview and the webhook test
+const sampleClient = {
+    clientId: 'CLI000001',
+    clientFullName: 'Maria Garcia Lopez',
+    email: 'maria.garcia@example.com',
+    customerPhoneNumber: '(617) 555-0142',
+    companyName: 'Boston Fire Escapes',
+    address: '125 Tremont St, Boston, MA 02108',
+    projectAddress: '125 Tremont St, Boston, MA 02108',
+    serviceType: 'Fire Escape Inspection',
+    customerType: 'Residential',
+    customerStatus: 'New Lead',
+    urgencyLevel: 'High',
+    budgetRange: '$5,000 - $10,000',
+    expectedTimeline: 'Within 1 month',
+    preferredContactMethod: 'Phone',
+    technicalDescription: 'Rusted railings on the third floor landing',
+    price: '0',
+    channel: 'Website',
+    timestamp: '2024-05-01T14:30:00.000Z'
+};
+
+// Entregas fallidas a Zoho Flow (zoho_deliveries): reintentos con backoff, después quedan en la dead-letter list
+const deliveryQueue = {
+    intervalSeconds: parseInt(process.env.ZOHO_RETRY_INTERVAL_SECONDS, 10) || 60,
+    maxAttempts: parseInt(process.env.ZOHO_MAX_ATTEMPTS, 10) || 6,
+    retryBaseSeconds: parseInt(process.env.ZOHO_RETRY_SECONDS, 10) || 60,
+    retryMaxSeconds: 6 * 60 * 60,
+    batchSize: 10,
+    leaseSeconds: 5 * 60
+};
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// "Garcia, Maria" → Maria / Garcia; "Maria Garcia Lopez" → Maria Garcia / Lopez; "John Smith Jr." → John / Smith Jr.
+function splitName(fullName) {
+    const name = String(fullName || '').trim().replace(/\s+/g, ' ');
+    if (!name) {
+        return { firstName: '', lastName: '' };
+    }
+    if (name.includes(',')) {
+        const [lastName, ...rest] = name.split(',');
+        return { firstName: rest.join(',').trim(), lastName: lastName.trim() };
+    }
+
+    const parts = name.split(' ');
+    if (parts.length === 1) {
+        return { firstName: parts[0], lastName: '' };
+    }
+    let lastCount = 1;
+    if (parts.length > 2 && NAME_SUFFIXES.includes(parts[parts.length - 1].toLowerCase())) {
+        lastCount = 2;
+    }
+    return {
+        firstName: parts.slice(0, -lastCount).join(' '),
+        lastName: parts.slice(-lastCount).join(' ')
+    };
+}
+
+function formatDate(value, format) {
+    const date = value ? new Date(value) : new Date();
+    if (isNaN(date.getTime())) {
+        return String(value);
+    }
+    if (format === 'date') {
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    if (format === 'us') {
+        return `${pad(date.getMonth() + 1)}/${pad(date.getDate())}/${date.getFullYear()}`;
+    }
+    return date.toISOString();
+}
+
+const zohoHelpers = {
+    getInboundEvents: () => Object.keys(inboundEvents),
+
+    /**
+     * Event name of a webhook payload: an explicit event_type ("invoice.paid"), or the module
+     * and status of a Zoho Books payload ({ invoice: { status: 'paid' } } → "invoice.paid")
+     */
+    getEventType: (payload = {}) => {
+        const explicit = payload.event_type || payload.eventType || payload.event;
+        if (explicit) {
+            return String(explicit).trim().toLowerCase().replace(/[\s_]+/g, '.');
+        }
+        for (const module of ['invoice', 'estimate']) {
+            const record = payload[module];
+            if (record && record.status) {
+                return `${module}.${String(record.status).trim().toLowerCase()}`;
+            }
+        }
+        return null;
+    },
+
+    getStatusChange: (eventType) => inboundEvents[eventType] || null,
+
+    // Estimates can go Sent → Accepted or Sent → Rejected, but not between the two final states
+    isForwardChange: (column, currentStatus, newStatus) => {
+        const order = statusOrder[column] || [];
+        const current = order.indexOf(currentStatus);
+        const next = order.indexOf(newStatus);
+        if (current === -1 || next === -1) {
+            return true;
+        }
+        if (column === 'estimate_status' && current >= 2) {
+            return false;
+        }
+        return next > current;
+    },
+
+    getOutboundSources: () => Object.fromEntries(Object.entries(outboundSources).map(([field, { label }]) => [field, label])),
+
+    getDefaultFieldMapping: () => defaultFieldMapping.map(entry => ({ ...entry })),
+
+    getSampleClient: () => ({ ...sampleClient }),
+
+    getDeliverySettings: () => ({ ...deliveryQueue }),
+
+    // 1 min, 2 min, 4 min... capped at 6 hours
+    getRetryDelaySeconds: (attempts) => Math.min(deliveryQueue.retryBaseSeconds * Math.pow(2, Math.max(0, attempts - 1)), deliveryQueue.retryMaxSeconds),
+
+    splitName,
+
+    // First non-empty alias of a source field in a client record
+    getSourceValue: (client, source) => {
+        const definition = outboundSources[source];
+        if (!definition) {
+            return '';
+        }
+        for (const alias of definition.aliases) {
+            const value = client[alias];
+            if (value !== undefined && value !== null && String(value).trim() !== '') {
+                return String(value).trim();
+            }
+        }
+        return '';
+    },
+
+    /**
+     * Check an edited mapping
+     * @returns {Array<string>} - Errors, empty when the mapping is valid
+     */
+    validateMapping: (mapping) => {
+        if (!Array.isArray(mapping) || mapping.length === 0) {
+            return ['Mapping must be a non-empty list of fields'];
+        }
+        if (mapping.length > MAX_MAPPING_ENTRIES) {
+            return [`Mapping can have at most ${MAX_MAPPING_ENTRIES} fields`];
+        }
+
+        const errors = [];
+        const keys = new Set();
+        mapping.forEach((entry, index) => {
+            const key = entry && typeof entry.key === 'string' ? entry.key.trim() : '';
+            const label = key || `#${index + 1}`;
+            if (!key) {
+                errors.push(`Field #${index + 1} needs a Zoho key`);
+            } else if (keys.has(key)) {
+                errors.push(`Duplicate Zoho key: ${key}`);
+            }
+            keys.add(key);
+
+            if (!entry || !outboundTransforms.includes(entry.transform)) {
+                errors.push(`${label}: unknown transform ${entry && entry.transform}`);
+                return;
+            }
+            if (entry.transform === 'constant') {
+                return;
+            }
+            const allowsNow = entry.transform === 'date' && entry.source === 'now';
+            if (!allowsNow && !outboundSources[entry.source]) {
+                errors.push(`${label}: unknown client field ${entry.source}`);
+            }
+            if (entry.transform === 'date' && entry.format && !dateFormats[entry.format]) {
+                errors.push(`${label}: unknown date format ${entry.format}`);
+            }
+        });
+        return errors;
+    },
+
+    // Only the properties each transform uses are kept
+    normalizeMapping: (mapping) => mapping.map(entry => {
+        const normalized = { key: entry.key.trim(), transform: entry.transform };
+        if (entry.transform === 'constant') {
+            normalized.value = entry.value === undefined || entry.value === null ? '' : String(entry.value);
+            return normalized;
+        }
+        normalized.source = entry.source;
+        if (entry.transform === 'date') {
+            normalized.format = entry.format || 'iso';
+        }
+        if (entry.fallback !== undefined && entry.fallback !== null && String(entry.fallback) !== '') {
+            normalized.fallback = String(entry.fallback);
+        }
+        return normalized;
+    }),
+
+    /**
+     * Zoho Flow payload for a client
+     * @param {Object} client - Client record (form submission, sheet row or MySQL client)
+     * @param {Array<Object>} mapping - [{ key, transform, source, value, format, fallback }]
+     * @param {Date} now - Time used by date fields with source 'now'
+     */
+    buildPayload: (client, mapping, now = new Date()) => {
+        const payload = {};
+        for (const entry of mapping) {
+            let value;
+            if (entry.transform === 'constant') {
+                value = entry.value;
+            } else if (entry.transform === 'date') {
+                const source = entry.source === 'now' ? now : zohoHelpers.getSourceValue(client, entry.source);
+                value = source ? formatDate(source, entry.format) : '';
+            } else if (entry.transform === 'firstName' || entry.transform === 'lastName') {
+                value = splitName(zohoHelpers.getSourceValue(client, entry.source))[entry.transform];
+            } else {
+                value = zohoHelpers.getSourceValue(client, entry.source);
+            }
+            payload[entry.key] = value || entry.fallback || '';
+        }
+        return payload;
+    }
+};
+
+module.exports = {
+    inboundEvents,
+    statusOrder,
+    outboundSources,
+    outboundTransforms,
+    dateFormats,
+    deliveryQueue,
+    helpers: zohoHelpers
+};
@@ -25,6 +25,10 @@ CREATE TABLE IF NOT EXISTS clients (
     estimate_status ENUM('Pending', 'Sent', 'Accepted', 'Rejected') DEFAULT 'Pending',
     channel ENUM('Website', 'Phone', 'Referral', 'Walk-in') DEFAULT 'Website',
     responsable VARCHAR(100),
+    sheet_row_hash VARCHAR(64),
+    synced_at TIMESTAMP NULL,
+    drive_folder_id VARCHAR(100),
+    drive_folder_link VARCHAR(500),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     INDEX idx_client_id (client_id),
@@ -51,7 +55,8 @@ CREATE TABLE IF NOT EXISTS audit_log (
     id INT AUTO_INCREMENT PRIMARY KEY,
     action VARCHAR(50) NOT NULL,
     table_name VARCHAR(50) NOT NULL,
-    record_id INT,
+    record_id VARCHAR(100),
+    client_id VARCHAR(100),
     old_values JSON,
     new_values JSON,
     user_email VARCHAR(255),
@@ -61,9 +66,54 @@ CREATE TABLE IF NOT EXISTS audit_log (
     INDEX idx_action (action),
     INDEX idx_table_name (table_name),
     INDEX idx_record_id (record_id),
+    INDEX idx_client_id (client_id),
+    INDEX idx_user_email (user_email),
     INDEX idx_created_at (created_at)
 );
 
+-- Tabla de usuarios del portal (login, roles y bloqueo por intentos fallidos)
+CREATE TABLE IF NOT EXISTS users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(50) UNIQUE NOT NULL,
+    full_name VARCHAR(100) NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    role ENUM('admin', 'inspector', 'user') DEFAULT 'user',
+    company VARCHAR(100) DEFAULT 'Default Company',
+    companies JSON,
+    permissions JSON,
+    failed_login_attempts INT DEFAULT 0,
+    locked_until DATETIME NULL,
+    last_login_at DATETIME NULL,
+    password_changed_at DATETIME NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_user_id (user_id),
+    INDEX idx_email (email),
+    INDEX idx_role (role),
+    INDEX idx_company (company)
+);
+
+-- Usuarios con acceso al portal vía Google OAuth y su estado de aprobación
+CREATE TABLE IF NOT EXISTS authorized_users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    name VARCHAR(100),
+    role ENUM('admin', 'inspector', 'user') DEFAULT 'user',
+    companies JSON,
+    source VARCHAR(50) DEFAULT 'auto_registration',
+    status ENUM('Pending', 'Approved', 'Rejected') DEFAULT 'Pending',
+    approved_by VARCHAR(255),
+    approved_at DATETIME NULL,
+    access_count INT DEFAULT 0,
+    last_access DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_email (email),
+    INDEX idx_status (status)
+);
+
 -- Tabla de reportes (adicional)
 CREATE TABLE IF NOT EXISTS reports (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -86,6 +136,172 @@ CREATE TABLE IF NOT EXISTS reports (
     FOREIGN KEY (client_id) REFERENCES clients(client_id) ON DELETE CASCADE
 );
 
+-- Tabla de citas / visitas de inspección
+-- Sin FOREIGN KEY: los clientes del dashboard pueden existir solo en Google Sheets (IDs tipo ROW-<n>)
+CREATE TABLE IF NOT EXISTS appointments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    appointment_id VARCHAR(50) UNIQUE NOT NULL,
+    client_id VARCHAR(50) NOT NULL,
+    client_name VARCHAR(100),
+    responsable VARCHAR(100) NOT NULL,
+    appointment_type VARCHAR(100) DEFAULT 'Fire Escape Inspection',
+    start_time DATETIME NOT NULL,
+    end_time DATETIME NOT NULL,
+    address TEXT,
+    notes TEXT,
+    status ENUM('Scheduled', 'Rescheduled', 'Cancelled', 'Completed') DEFAULT 'Scheduled',
+    cancellation_reason TEXT,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_appointment_id (appointment_id),
+    INDEX idx_client_id (client_id),
+    INDEX idx_responsable_start (responsable, start_time),
+    INDEX idx_status (status)
+);
+
+-- Recordatorios enviados por next_inspection_date (uno por reporte y fecha)
+CREATE TABLE IF NOT EXISTS inspection_reminders (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    report_id VARCHAR(50) NOT NULL,
+    client_id VARCHAR(20) NOT NULL,
+    next_inspection_date DATE NOT NULL,
+    client_notified BOOLEAN DEFAULT FALSE,
+    inspector_notified BOOLEAN DEFAULT FALSE,
+    follow_up_created BOOLEAN DEFAULT FALSE,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_report_next_date (report_id, next_inspection_date),
+    INDEX idx_client_id (client_id),
+    INDEX idx_next_inspection_date (next_inspection_date)
+);
+
+-- Conflictos de sincronización Google Sheets ↔ MySQL pendientes de resolver
+CREATE TABLE IF NOT EXISTS sync_conflicts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    client_id VARCHAR(20) NOT NULL,
+    fields JSON,
+    sheet_values JSON,
+    database_values JSON,
+    sheet_row_hash VARCHAR(64),
+    status ENUM('Open', 'Resolved') DEFAULT 'Open',
+    resolution ENUM('sheets', 'database'),
+    resolved_by VARCHAR(255),
+    resolved_at TIMESTAMP NULL,
+    detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_client_id (client_id),
+    INDEX idx_status (status)
+);
+
+-- Cola de correos salientes: el worker reintenta con backoff exponencial
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    message_type VARCHAR(50) NOT NULL,
+    client_id VARCHAR(20),
+    recipient VARCHAR(500) NOT NULL,
+    subject VARCHAR(500),
+    payload JSON NOT NULL,
+    metadata JSON,
+    status ENUM('Pending', 'Sent', 'Failed') DEFAULT 'Pending',
+    attempts INT DEFAULT 0,
+    max_attempts INT DEFAULT 5,
+    last_error TEXT,
+    message_id VARCHAR(255),
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_status_next_attempt (status, next_attempt_at),
+    INDEX idx_client_id (client_id)
+);
+
+-- Entregas a Zoho Flow que fallaron: reintentos con backoff, Failed = dead-letter list
+CREATE TABLE IF NOT EXISTS zoho_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    client_id VARCHAR(20),
+    client_name VARCHAR(255),
+    payload JSON NOT NULL,
+    status ENUM('Pending', 'Sent', 'Failed') DEFAULT 'Pending',
+    attempts INT DEFAULT 0,
+    max_attempts INT DEFAULT 6,
+    last_error TEXT,
+    status_code INT,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_status_next_attempt (status, next_attempt_at),
+    INDEX idx_client_id (client_id)
+);
+
+-- Webhooks entrantes de Zoho ya recibidos (idempotencia por event_id)
+CREATE TABLE IF NOT EXISTS zoho_webhook_events (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    event_id VARCHAR(128) NOT NULL UNIQUE,
+    event_type VARCHAR(100),
+    client_id VARCHAR(20),
+    payload JSON,
+    status ENUM('Processing', 'Processed', 'Ignored', 'Failed') DEFAULT 'Processing',
+    message TEXT,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_client_id (client_id),
+    INDEX idx_status (status)
+);
+
+-- Sesiones de login: una fila por jti (access y refresh token comparten el jti de la sesión)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    jti VARCHAR(64) PRIMARY KEY,
+    user_id VARCHAR(255),
+    user_email VARCHAR(255) NOT NULL,
+    auth_method VARCHAR(20) DEFAULT 'google',
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_by VARCHAR(255),
+    revoke_reason VARCHAR(50),
+    INDEX idx_user_email (user_email),
+    INDEX idx_revoked_expires (revoked_at, expires_at)
+);
+
+-- Tabla de verificación en dos pasos (TOTP): secreto cifrado y hashes de los códigos de respaldo
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_email VARCHAR(255) PRIMARY KEY,
+    secret_encrypted TEXT,
+    pending_secret_encrypted TEXT,
+    enabled BOOLEAN DEFAULT FALSE,
+    backup_codes JSON,
+    last_used_step BIGINT,
+    failed_attempts INT DEFAULT 0,
+    locked_until TIMESTAMP NULL,
+    enabled_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Claves de API para integraciones (formulario web, Zapier): solo se guarda el hash SHA-256
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    key_prefix VARCHAR(16) NOT NULL UNIQUE,
+    key_hash CHAR(64) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    scopes JSON,
+    companies JSON,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NULL,
+    last_used_at TIMESTAMP NULL,
+    last_used_ip VARCHAR(45),
+    usage_count INT DEFAULT 0,
+    rotated_from INT NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_by VARCHAR(255),
+    INDEX idx_revoked_expires (revoked_at, expires_at)
+);
+
 -- Insertar configuración inicial del sistema
 INSERT IGNORE INTO system_config (config_key, config_value, config_type, description) VALUES
 ('email_notifications_enabled', 'true', 'boolean', 'Enable/disable email notifications'),
@@ -93,7 +309,8 @@ INSERT IGNORE INTO system_config (config_key, config_value, config_type, descrip
 ('google_drive_enabled', 'true', 'boolean', 'Enable/disable Google Drive integration'),
 ('default_company', 'Boston Fire Escapes', 'string', 'Default company name'),
 ('session_timeout', '1440', 'number', 'Session timeout in minutes'),
-('max_login_attempts', '5', 'number', 'Maximum login attempts before lockout');
+('max_login_attempts', '5', 'number', 'Maximum login attempts before lockout'),
+('lockout_duration', '15', 'number', 'Account lockout duration in minutes after too many failed logins');
 
 -- Crear usuario con permisos limitados para la aplicación
 -- (Este comando debe ejecutarse como root)
@@ -0,0 +1,199 @@
+const database = require('./database');
+const { validators } = require('./config/security');
+const { createError } = require('./service-error');
+
+// Documento → plantilla del correo y estado que pasa a Sent cuando el correo sale de verdad
+const CUSTOMER_DOCUMENTS = {
+    estimate: { templateId: 'customer-estimate', statusField: 'estimateStatus', statusColumn: 'estimate_status' },
+    invoice: { templateId: 'customer-invoice', statusField: 'invoiceStatus', statusColumn: 'invoice_status' },
+    report: { templateId: 'customer-report' }
+};
+
+// Only these statuses move to Sent: a resend never undoes Paid, Accepted or Rejected
+const SENDABLE_STATUSES = ['', 'Pending'];
+// Reports are emailed once finished (Completed) and can be sent again (Sent)
+const SENDABLE_REPORT_STATUSES = ['Completed', 'Sent'];
+const PDF_MIME_TYPE = 'application/pdf';
+
+// Estimate, invoice and inspection report emails to customers, with the PDF attached
+class CustomerEmailService {
+    constructor(emailService, emailQueue, clientDocuments, reportService, reportPDFService, googleSheets = null) {
+        this.db = database;
+        this.emailService = emailService;
+        this.emailQueue = emailQueue;
+        this.clientDocuments = clientDocuments;
+        this.reportService = reportService;
+        this.reportPDFService = reportPDFService;
+        this.googleSheets = googleSheets;
+
+        for (const [documentType, definition] of Object.entries(CUSTOMER_DOCUMENTS)) {
+            this.emailQueue.onOutcome(definition.templateId, (message, status) => this.applyDeliveryStatus(documentType, message, status));
+        }
+    }
+
+    getDocumentTypes() {
+        return Object.keys(CUSTOMER_DOCUMENTS);
+    }
+
+    getDefinition(documentType) {
+        const definition = CUSTOMER_DOCUMENTS[documentType];
+        if (!definition) {
+            throw createError(`Invalid document type: ${documentType}. Use one of: ${this.getDocumentTypes().join(', ')}`, 'VALIDATION_ERROR');
+        }
+        return definition;
+    }
+
+    // Comma-separated addresses, all valid
+    parseRecipients(value, field) {
+        const addresses = String(value || '').split(',').map(address => address.trim()).filter(Boolean);
+        const invalid = addresses.filter(address => !validators.isValidEmail(address));
+        if (invalid.length > 0) {
+            throw createError(`Invalid ${field} address: ${invalid.join(', ')}`, 'VALIDATION_ERROR');
+        }
+        return addresses.join(', ');
+    }
+
+    async getSendableReport(clientId, reportId) {
+        const report = await this.reportService.getReport(reportId);
+        if (report.clientId !== clientId) {
+            throw createError(`Report ${reportId} does not belong to client ${clientId}`, 'VALIDATION_ERROR');
+        }
+        if (!SENDABLE_REPORT_STATUSES.includes(report.status)) {
+            throw createError(`Only Completed or Sent reports can be emailed (report ${reportId} is ${report.status})`, 'VALIDATION_ERROR');
+        }
+        return report;
+    }
+
+    /**
+     * PDF to attach: a file from the client's Drive folder, or the report rendered with PDFGenerator
+     * @returns {Promise<Object>} - { filename, buffer }
+     */
+    async getAttachment(clientId, { fileId, report }) {
+        if (fileId) {
+            await this.clientDocuments.assertClientFile(clientId, fileId);
+            const file = await this.clientDocuments.drive.downloadFile(fileId);
+            if (file.mimeType !== PDF_MIME_TYPE) {
+                throw createError(`Only PDF files can be emailed (${file.name} is ${file.mimeType})`, 'VALIDATION_ERROR');
+            }
+            if (file.buffer.length > this.clientDocuments.getUploadLimits().maxFileSize) {
+                throw createError(`${file.name} is too large to email`, 'VALIDATION_ERROR');
+            }
+            return { filename: file.name, buffer: file.buffer };
+        }
+
+        if (report) {
+            const { buffer, filename } = await this.reportPDFService.renderReport(report.reportId);
+            return { filename, buffer };
+        }
+
+        throw createError('Missing required field: fileId (a PDF in the client Drive folder)', 'VALIDATION_ERROR');
+    }
+
+    /**
+     * Email a document to the customer through the email queue
+     * @param {string} clientId - Client ID (or ROW-<n>)
+     * @param {Object} options - { documentType, fileId, reportId, to, cc, message }
+     * @param {string} sentBy - Email of the user sending it
+     * @returns {Promise<Object>} - Queue result plus recipient and attachment name
+     */
+    async sendDocument(clientId, { documentType, fileId = null, reportId = null, to = null, cc = null, message = '' } = {}, sentBy = null) {
+        const definition = this.getDefinition(documentType);
+        // Un PDF de reporte ya guardado en Drive se puede enviar sin reportId (sin cambio de estado)
+        if (documentType === 'report' && !reportId && !fileId) {
+            throw createError('Missing required field: reportId or fileId', 'VALIDATION_ERROR');
+        }
+
+        const client = await this.clientDocuments.getClient(clientId);
+        const recipient = this.parseRecipients(to || client.email || client.correo, 'recipient');
+        if (!recipient) {
+            throw createError('Client has no email address; provide one in "to"', 'VALIDATION_ERROR');
+        }
+        const ccRecipients = cc ? this.parseRecipients(cc, 'cc') : null;
+
+        const report = reportId ? await this.getSendableReport(clientId, reportId) : null;
+        const attachment = await this.getAttachment(clientId, { fileId, report });
+
+        const company = client.company || client.companyName || null;
+        const branding = this.emailService.getCompanyBranding(company);
+        const content = this.emailService.templates.render(definition.templateId, {
+            clientFullName: client.name || client.clientFullName || '',
+            address: client.address || client.projectAddress || '',
+            price: client.price || '',
+            documentName: attachment.filename,
+            message: String(message || '').trim(),
+            reportId: report ? report.reportId : '',
+            reportType: report ? report.reportType : '',
+            inspectionDate: report ? report.inspectionDate : '',
+            inspector: report ? report.inspector : '',
+            nextInspectionDate: report ? report.nextInspectionDate || '' : '',
+            companyName: branding.name,
+            companyLegalName: branding.legalName,
+            emailFromName: branding.emailFromName
+        }, company);
+
+        const result = await this.emailQueue.enqueue({
+            messageType: definition.templateId,
+            clientId,
+            mailOptions: {
+                from: this.emailService.getFromAddress(company),
+                to: recipient,
+                cc: ccRecipients,
+                subject: content.subject,
+                html: content.html,
+                text: content.text,
+                // base64 para que el mensaje quepa como JSON en email_outbox
+                attachments: [{
+                    filename: attachment.filename,
+                    content: attachment.buffer.toString('base64'),
+                    encoding: 'base64',
+                    contentType: PDF_MIME_TYPE
+                }]
+            },
+            metadata: { documentType, reportId, fileId, sentBy }
+        });
+
+        console.log(`📨 ${documentType} email for client ${clientId} ${result.queued ? 'queued' : result.status.toLowerCase()}: ${recipient} (${attachment.filename})`);
+        return { ...result, clientId, documentType, to: recipient, cc: ccRecipients, attachment: attachment.filename };
+    }
+
+    // Delivered: estimate/invoice status Pending → Sent, report Completed → Sent
+    async applyDeliveryStatus(documentType, message, status) {
+        if (status !== 'Sent') {
+            return;
+        }
+
+        if (documentType === 'report') {
+            const { reportId } = message.metadata || {};
+            if (!reportId) {
+                return;
+            }
+            const report = await this.reportService.getReport(reportId);
+            if (report.status === 'Completed') {
+                await this.reportService.updateReportStatus(reportId, 'Sent');
+                console.log(`📨 Report ${reportId} marked as Sent after the email was delivered`);
+            }
+            return;
+        }
+
+        const definition = CUSTOMER_DOCUMENTS[documentType];
+        const client = await this.clientDocuments.getClient(message.clientId);
+        const current = client[definition.statusField] || '';
+        if (!SENDABLE_STATUSES.includes(current)) {
+            console.log(`📨 ${documentType} status of client ${message.clientId} stays ${current}`);
+            return;
+        }
+
+        if (this.db.mysqlConnected) {
+            await this.db.updateClientEmailStatus(message.clientId, definition.statusColumn, 'Sent');
+        }
+        if (this.googleSheets) {
+            const sheetResult = await this.googleSheets.updateClientInSheet(message.clientId, { [definition.statusField]: 'Sent' });
+            if (!sheetResult.success) {
+                console.error(`❌ Error updating ${documentType} status in Google Sheets for ${message.clientId}:`, sheetResult.error);
+            }
+        }
+        console.log(`📨 ${documentType} status of client ${message.clientId} → Sent`);
+    }
+}
+
+module.exports = CustomerEmailService;
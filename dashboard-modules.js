@@ -100,7 +100,9 @@ class GoogleSheetsManager {
         loadButton.disabled = true;
 
         try {
-            const response = await fetch(`/api/sheets?sheetId=${sheetId}`);
+            const response = await fetch(`/api/sheets?sheetId=${sheetId}`, {
+                credentials: 'same-origin'
+            });
             const result = await response.json();
 
             if (result.success && result.data && result.data.sheets && result.data.sheets.length > 0) {
@@ -147,8 +149,10 @@ class GoogleSheetsManager {
         loadButton.disabled = true;
 
         try {
-            const response = await fetch('/api/update-source', {
+            // Cambiar el origen de datos pide el código 2FA (step-up)
+            const response = await fetchWithStepUp('/api/update-source', {
                 method: 'POST',
+                credentials: 'same-origin',
                 headers: {
                     'Content-Type': 'application/json'
                 },
@@ -224,7 +228,9 @@ class ClientDataMapper {
             specialRequirements: clientData.specialRequirements || clientData['Special Requirements'] || '',
             formEmailerStatus: clientData.formEmailerStatus || clientData['FormEmailer Status'] || 'Pending',
             channel: clientData.channel || clientData['Channel'] || 'Website',
-            correo: clientData.correo || clientData['Correo'] || ''
+            correo: clientData.correo || clientData['Correo'] || '',
+            driveFolderId: clientData.driveFolderId || null,
+            driveFolderLink: clientData.driveFolderLink || null
         };
         
         console.log('✅ Mapped client:', {
@@ -293,52 +299,13 @@ class ClientDataMapper {
 
 // Client API Manager - Centralized API operations
 class ClientAPIManager {
-    // Get authentication token from localStorage or sessionStorage
-    static getAuthToken() {
-        // Try to get token from localStorage first (persistent)
-        let token = localStorage.getItem('fire_escape_jwt_token') || localStorage.getItem('authToken') || localStorage.getItem('jwtToken');
-        
-        // If not in localStorage, try sessionStorage (session-only)
-        if (!token) {
-            token = sessionStorage.getItem('fire_escape_jwt_token') || sessionStorage.getItem('authToken') || sessionStorage.getItem('jwtToken');
-        }
-        
-        // If still no token, try to get from URL parameters (for OAuth flow)
-        if (!token) {
-            const urlParams = new URLSearchParams(window.location.search);
-            token = urlParams.get('token') || urlParams.get('access_token');
-            
-            // If token found in URL, save it to localStorage and clean URL
-            if (token) {
-                console.log('🔑 Token found in URL, saving to localStorage');
-                localStorage.setItem('fire_escape_jwt_token', token);
-                
-                // Clean URL by removing token parameter
-                const newUrl = new URL(window.location);
-                newUrl.searchParams.delete('token');
-                newUrl.searchParams.delete('access_token');
-                newUrl.searchParams.delete('success');
-                window.history.replaceState({}, document.title, newUrl.pathname);
-            }
-        }
-        
-        console.log('🔑 Auth token found:', !!token);
-        return token;
-    }
-
     static async updateClientData(clientId, updateData) {
         try {
-            // Get authentication token
-            const token = this.getAuthToken();
-            if (!token) {
-                throw new Error('Authentication required. Please login first.');
-            }
-            
             const response = await fetch('/api/client-update', {
                 method: 'PUT',
+                credentials: 'same-origin',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     clientId: clientId,
@@ -363,14 +330,6 @@ class ClientAPIManager {
         try {
             console.log('🔍 ClientAPIManager.updateClientStatus called with:', { clientId, status });
             
-            // Get authentication token
-            const token = this.getAuthToken();
-            if (!token) {
-                throw new Error('Authentication required. Please login first.');
-            }
-            
-            console.log('🔑 Token found, making request to /api/client-status');
-            
             const requestBody = {
                 clientId: clientId,
                 status: status
@@ -380,9 +339,9 @@ class ClientAPIManager {
             
             const response = await fetch('/api/client-status', {
                 method: 'PUT',
+                credentials: 'same-origin',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify(requestBody)
             });
@@ -410,91 +369,316 @@ class ClientAPIManager {
         try {
             console.log('Scheduling appointment:', appointmentData);
             
-            // Create Google Calendar event URL with all client details
-            const eventTitle = encodeURIComponent(`Appointment: ${appointmentData.clientName} - ${appointmentData.serviceType}`);
+            const response = await fetch('/api/schedule-appointment', {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(appointmentData)
+            });
+
+            const result = await response.json();
             
-            const eventDescription = encodeURIComponent(`
-Client: ${appointmentData.clientName}
-Phone: ${appointmentData.phone}
-Email: ${appointmentData.email}
-Address: ${appointmentData.address}
-Service: ${appointmentData.serviceType}
-Price: $${appointmentData.price || 'TBD'}
-Notes: ${appointmentData.notes || 'No additional notes'}
-
-Project Details:
-${appointmentData.description || 'No description provided'}
-
----
-Created from IRIAS Ironworks Portal
-            `.trim());
+            if (!result.success) {
+                // 409 = the responsable already has a visit in that slot
+                throw new Error(result.message || 'Failed to schedule appointment');
+            }
             
-            const eventLocation = encodeURIComponent(appointmentData.address);
+            return result;
+        } catch (error) {
+            console.error('ClientAPIManager.scheduleAppointment error:', error);
+            throw error;
+        }
+    }
+
+    static async createReport(clientId, reportData = {}) {
+        try {
+            const response = await fetch('/api/create-report', {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    ...reportData,
+                    clientId: clientId
+                })
+            });
+
+            const result = await response.json();
             
-            // Set default time (next business day at 9 AM)
-            const tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            tomorrow.setHours(9, 0, 0, 0);
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to create report');
+            }
             
-            const endTime = new Date(tomorrow);
-            endTime.setHours(10, 0, 0, 0);
+            return result;
+        } catch (error) {
+            console.error('ClientAPIManager.createReport error:', error);
+            throw error;
+        }
+    }
+
+    static async updateReport(reportId, updateData) {
+        try {
+            const response = await fetch('/api/report-update', {
+                method: 'PUT',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    reportId: reportId,
+                    updateData: updateData
+                })
+            });
+
+            const result = await response.json();
             
-            const startDate = tomorrow.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-            const endDate = endTime.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to update report');
+            }
             
-            // Create Google Calendar URL
-            const calendarUrl = `https://calendar.google.com/calendar/render?action=TEMPLATE&text=${eventTitle}&details=${eventDescription}&location=${eventLocation}&dates=${startDate}/${endDate}&sf=true&output=xml`;
+            return result;
+        } catch (error) {
+            console.error('ClientAPIManager.updateReport error:', error);
+            throw error;
+        }
+    }
+
+    static async getUpcomingInspections(days = 30) {
+        try {
+            const response = await fetch(`/api/upcoming-inspections?days=${encodeURIComponent(days)}`, {
+                credentials: 'same-origin'
+            });
+
+            const result = await response.json();
             
-            // Open Google Calendar in new tab
-            window.open(calendarUrl, '_blank');
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to load upcoming inspections');
+            }
             
-            return {
-                success: true,
-                message: 'Google Calendar opened with appointment details',
-                calendarUrl: calendarUrl
-            };
+            return result.data.inspections;
         } catch (error) {
-            console.error('ClientAPIManager.scheduleAppointment error:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+            console.error('ClientAPIManager.getUpcomingInspections error:', error);
+            throw error;
         }
     }
 
-    static async createReport(clientId) {
+    static async getEmailQueue(status = '') {
         try {
-            // Get authentication token
-            const token = this.getAuthToken();
-            if (!token) {
-                throw new Error('Authentication required. Please login first.');
+            const query = status ? `?status=${encodeURIComponent(status)}` : '';
+            const response = await fetch(`/api/email-queue${query}`, {
+                credentials: 'same-origin'
+            });
+
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to load email queue');
             }
             
-            const response = await fetch('/api/create-report', {
+            return result.data;
+        } catch (error) {
+            console.error('ClientAPIManager.getEmailQueue error:', error);
+            throw error;
+        }
+    }
+
+    static async retryEmail(emailId) {
+        try {
+            const response = await fetch('/api/email-queue/retry', {
                 method: 'POST',
+                credentials: 'same-origin',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ id: emailId })
+            });
+
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to retry email');
+            }
+            
+            return result.data.message;
+        } catch (error) {
+            console.error('ClientAPIManager.retryEmail error:', error);
+            throw error;
+        }
+    }
+
+    // Client document library: /api/client/:id/documents[/:fileId]
+    static async clientDocumentsRequest(clientId, fileId = null, options = {}) {
+        let url = `/api/client/${encodeURIComponent(clientId)}/documents`;
+        if (fileId) {
+            url += `/${encodeURIComponent(fileId)}`;
+        }
+
+        const response = await fetch(url, {
+            method: options.method || 'GET',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.message || 'Client documents request failed');
+        }
+        
+        return result.data;
+    }
+
+    static async getClientDocuments(clientId) {
+        return this.clientDocumentsRequest(clientId);
+    }
+
+    // file: { fileName, mimeType, content (base64), documentType }
+    static async uploadClientDocument(clientId, file) {
+        return this.clientDocumentsRequest(clientId, null, { method: 'POST', body: file });
+    }
+
+    static async renameClientDocument(clientId, fileId, name) {
+        return this.clientDocumentsRequest(clientId, fileId, { method: 'PUT', body: { name } });
+    }
+
+    static async deleteClientDocument(clientId, fileId) {
+        return this.clientDocumentsRequest(clientId, fileId, { method: 'DELETE' });
+    }
+
+    // Email an estimate, invoice or report PDF to the customer
+    // options: { documentType, fileId, reportId, to, cc, message }
+    static async sendDocumentToCustomer(clientId, options) {
+        try {
+            const response = await fetch(`/api/client/${encodeURIComponent(clientId)}/send-document`, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(options)
+            });
+
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to send email to customer');
+            }
+            
+            return result.data;
+        } catch (error) {
+            console.error('ClientAPIManager.sendDocumentToCustomer error:', error);
+            throw error;
+        }
+    }
+
+    // Role, permissions and per-route rules for the current user
+    static async getPermissions() {
+        try {
+            const response = await fetch('/api/permissions', {
+                credentials: 'same-origin'
+            });
+
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to load permissions');
+            }
+            
+            return result.data;
+        } catch (error) {
+            console.error('ClientAPIManager.getPermissions error:', error);
+            throw error;
+        }
+    }
+
+    // Draft → Completed → Sent → Archived
+    static async updateReportStatus(reportId, status) {
+        try {
+            const response = await fetch('/api/report-status', {
+                method: 'PUT',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    clientId: clientId
+                    reportId: reportId,
+                    status: status
                 })
             });
 
             const result = await response.json();
             
             if (!result.success) {
-                throw new Error(result.message || 'Failed to create report');
+                throw new Error(result.message || 'Failed to update report status');
             }
             
             return result;
         } catch (error) {
-            console.error('ClientAPIManager.createReport error:', error);
+            console.error('ClientAPIManager.updateReportStatus error:', error);
             throw error;
         }
     }
 }
 
+// Role-based UI - hides actions the current user can't perform.
+// The server enforces the same rules (config/permissions.js), this only keeps the UI consistent
+class UserPermissions {
+    static async load() {
+        try {
+            this.current = await ClientAPIManager.getPermissions();
+            console.log(`🔑 Permissions loaded for ${this.current.email} (${this.current.role})`);
+        } catch (error) {
+            console.warn('⚠️ Could not load permissions, showing all actions:', error.message);
+            this.current = null;
+        }
+
+        this.applyToPage();
+        return this.current;
+    }
+
+    static can(route, method = 'GET') {
+        if (!this.current) {
+            return true;
+        }
+
+        const rule = this.current.routes[route];
+        const required = typeof rule === 'string' ? rule : (rule && rule[method]) || 'admin';
+        return required === 'public' || this.current.permissions.includes(required);
+    }
+
+    // Elements marked with data-requires-route="route:METHOD"
+    static applyToPage(root = document) {
+        root.querySelectorAll('[data-requires-route]').forEach(element => {
+            const [route, method] = element.dataset.requiresRoute.split(':');
+            element.style.display = this.can(route, method) ? '' : 'none';
+        });
+        this.applyCompanyFilter(root);
+    }
+
+    // Users scoped to some companies only see those in the company filter (null = all companies)
+    static applyCompanyFilter(root = document) {
+        const companyFilter = root.getElementById ? root.getElementById('companyFilter') : null;
+        const companies = this.current && this.current.companies;
+        if (!companyFilter || !Array.isArray(companies)) {
+            return;
+        }
+
+        Array.from(companyFilter.options).forEach(option => {
+            if (option.value !== 'all') {
+                option.hidden = !companies.includes(option.textContent.trim());
+            }
+        });
+    }
+}
+
+UserPermissions.current = null;
+
 // Optimized Client Manager
 class ClientManager {
     constructor() {
@@ -574,70 +758,34 @@ class ClientManager {
         this.showNotification('✅ Data refreshed successfully', 'success', 2000);
     }
 
-    // Get authentication token from localStorage or sessionStorage
-    getAuthToken() {
-        // Use global authentication if available
-        if (window.globalAuth && window.globalAuth.getAuthToken) {
-            return window.globalAuth.getAuthToken();
-        }
-        
-        // Fallback to local method
-        let token = localStorage.getItem('fire_escape_jwt_token') || localStorage.getItem('authToken') || localStorage.getItem('jwtToken');
-        
-        if (!token) {
-            token = sessionStorage.getItem('fire_escape_jwt_token') || sessionStorage.getItem('authToken') || sessionStorage.getItem('jwtToken');
-        }
-        
-        if (!token) {
-            const urlParams = new URLSearchParams(window.location.search);
-            token = urlParams.get('token') || urlParams.get('access_token');
-            
-            if (token) {
-                console.log('🔑 Token found in URL, saving to localStorage');
-                localStorage.setItem('fire_escape_jwt_token', token);
-                
-                const newUrl = new URL(window.location);
-                newUrl.searchParams.delete('token');
-                newUrl.searchParams.delete('access_token');
-                newUrl.searchParams.delete('success');
-                window.history.replaceState({}, document.title, newUrl.pathname);
-            }
-        }
-        
-        console.log('🔑 Auth token found:', !!token);
-        return token;
-    }
-
     async loadClients() {
         console.log('🔄 ClientManager.loadClients() started');
         try {
             this.showLoadingState();
             
-            // Get authentication token
-            const token = this.getAuthToken();
-            if (!token) {
-                console.error('❌ No authentication token found');
-                this.showNotification('Authentication required. Please login first.', 'error');
-                
-                // Redirect to login page after 3 seconds
-                setTimeout(() => {
-                    window.location.href = '/login.html';
-                }, 3000);
-                return;
-            }
-            
             // Add cache busting parameter
             const timestamp = new Date().getTime();
             const response = await fetch(`/api/clients?_t=${timestamp}`, {
+                credentials: 'same-origin',
                 headers: {
-                    'Authorization': `Bearer ${token}`,
                     'Content-Type': 'application/json',
                     'Cache-Control': 'no-cache',
                     'Pragma': 'no-cache'
                 }
             });
+
+            // La sesión vive en la cookie HttpOnly: sin sesión válida el servidor responde 401
+            if (response.status === 401) {
+                console.error('❌ Session expired or missing');
+                this.showNotification('Authentication required. Please login first.', 'error');
+                setTimeout(() => {
+                    window.location.href = '/login.html';
+                }, 3000);
+                return;
+            }
+
             const responseData = await response.json();
-            
+
             console.log('📊 API Response:', responseData);
             console.log('📊 ResponseData type:', typeof responseData);
             console.log('📊 ResponseData.data type:', typeof responseData.data);
@@ -926,31 +1074,41 @@ class ClientManager {
                 </td>
                 <td data-label="Actions">
                     <div class="action-buttons">
+                        ${UserPermissions.can('client-update', 'PUT') ? `
                         <button class="action-btn update" onclick="window.clientManager && window.clientManager.updateClientData('${client.clientId}')" 
                                 title="Edit client information - Update contact details, service info, and other data">
                             <i class="fas fa-edit"></i>
                             <span class="btn-label">Edit</span>
-                        </button>
+                        </button>` : ''}
+                        ${UserPermissions.can('client-status', 'PUT') ? `
                         <button class="action-btn status" onclick="window.clientManager && window.clientManager.updateClientStatus('${client.clientId}')" 
                                 title="Change customer status - Update progress (New Lead, Contacted, Quoted, etc.)">
                             <i class="fas fa-toggle-on"></i>
                             <span class="btn-label">Status</span>
-                        </button>
+                        </button>` : ''}
                         <button class="action-btn call" onclick="window.clientManager && window.clientManager.callClient('${client.clientId}')" 
                                 title="Call client - Use device phone service">
                             <i class="fas fa-phone"></i>
                             <span class="btn-label">Call</span>
                         </button>
+                        ${UserPermissions.can('schedule-appointment', 'POST') ? `
                         <button class="action-btn calendar" onclick="window.clientManager && window.clientManager.scheduleAppointment('${client.clientId}')" 
                                 title="Schedule appointment - Set up meeting or service date">
                             <i class="fas fa-calendar-plus"></i>
                             <span class="btn-label">Schedule</span>
-                        </button>
+                        </button>` : ''}
+                        ${UserPermissions.can('create-report', 'POST') ? `
                         <button class="action-btn report" onclick="window.clientManager && window.clientManager.createReport('${client.clientId}')" 
                                 title="Create inspection report - Generate detailed service report">
                             <i class="fas fa-file-alt"></i>
                             <span class="btn-label">Report</span>
-                        </button>
+                        </button>` : ''}
+                        ${client.driveFolderLink ? `
+                        <a class="action-btn drive" href="${client.driveFolderLink}" target="_blank" rel="noopener" 
+                           title="Open Drive folder - Estimates, invoices, reports and photos of this client">
+                            <i class="fab fa-google-drive"></i>
+                            <span class="btn-label">Drive</span>
+                        </a>` : ''}
                     </div>
                 </td>
             </tr>
@@ -1032,9 +1190,21 @@ class ClientManager {
             return;
         }
 
+        const canViewDocuments = UserPermissions.can('client/documents', 'GET');
+
         // Create edit modal with all client data
         const modalContent = `
-            <div class="edit-client-form">
+            ${canViewDocuments ? `
+            <div class="modal-tabs" style="display: flex; gap: 0.5rem; margin-bottom: 1rem; border-bottom: 1px solid #e5e7eb;">
+                <button type="button" class="modal-tab active" data-tab="details" style="padding: 0.5rem 1rem; border: none; background: none; cursor: pointer; border-bottom: 2px solid var(--primary-red); font-weight: 600;">
+                    <i class="fas fa-user"></i> Details
+                </button>
+                <button type="button" class="modal-tab" data-tab="documents" style="padding: 0.5rem 1rem; border: none; background: none; cursor: pointer; border-bottom: 2px solid transparent;">
+                    <i class="fas fa-folder-open"></i> Documents
+                </button>
+            </div>
+            <div class="client-documents" data-tab-panel="documents" style="display: none;"></div>` : ''}
+            <div class="edit-client-form" data-tab-panel="details">
                 <div class="form-section">
                     <h3><i class="fas fa-user"></i> Client Information</h3>
                     <div class="form-row">
@@ -1138,6 +1308,10 @@ class ClientManager {
             'Cancel'
         );
 
+        if (canViewDocuments) {
+            this.setupClientModalTabs(modal, clientId);
+        }
+
         // Handle form submission
         const confirmBtn = modal.querySelector('.modal-confirm');
         confirmBtn.onclick = async () => {
@@ -1352,6 +1526,13 @@ class ClientManager {
                     <input type="text" id="appointmentType" style="width: 100%; padding: 0.75rem; border: 1px solid var(--border-color); border-radius: var(--radius-md); font-size: var(--font-size-base);" value="${client.serviceType || 'Fire Escape Inspection'}">
                 </div>
                 
+                <div>
+                    <label style="display: block; margin-bottom: 0.5rem; font-weight: 600; color: var(--dark-gray);">
+                        Inspector (Responsable) <span style="color: var(--danger);">*</span>
+                    </label>
+                    <input type="text" id="appointmentResponsable" required style="width: 100%; padding: 0.75rem; border: 1px solid var(--border-color); border-radius: var(--radius-md); font-size: var(--font-size-base);" value="${client.responsable || ''}">
+                </div>
+                
                 <div>
                     <label style="display: block; margin-bottom: 0.5rem; font-weight: 600; color: var(--dark-gray);">
                         Notes (Optional)
@@ -1382,14 +1563,14 @@ class ClientManager {
             const appointmentDate = document.getElementById('appointmentDate').value;
             const appointmentTime = document.getElementById('appointmentTime').value;
             const appointmentType = document.getElementById('appointmentType').value;
+            const responsable = document.getElementById('appointmentResponsable').value.trim();
             const notes = document.getElementById('appointmentNotes').value;
 
-            if (appointmentDate && appointmentTime) {
+            if (appointmentDate && appointmentTime && responsable) {
                 try {
                     if (window.loadingManager) window.loadingManager.showGlobal();
-                    this.showNotification('🔄 Scheduling appointment with Google Calendar...', 'info', 3000);
+                    this.showNotification('🔄 Scheduling appointment...', 'info', 3000);
                     
-                    // Prepare Google Calendar event data
                     const eventData = {
                         clientId: clientId, // Pass clientId to the API call
                         clientName: client.clientFullName,
@@ -1397,6 +1578,8 @@ class ClientManager {
                         phone: client.phone,
                         address: client.address,
                         serviceType: appointmentType,
+                        appointmentType: appointmentType,
+                        responsable: responsable,
                         price: client.price || 'TBD', // Use client price or default
                         description: notes,
                         notes: notes,
@@ -1406,11 +1589,21 @@ class ClientManager {
 
                     const result = await ClientAPIManager.scheduleAppointment(eventData);
                     
-                    if (result.success) {
-                        this.showNotification(`✅ Appointment scheduled for "${client.clientFullName}" on ${appointmentDate} at ${appointmentTime}`, 'success', 6000);
-                    } else {
-                        this.showNotification(`❌ Error scheduling appointment: ${result.error}`, 'error', 5000);
+                    // Booking a visit moves the client to 'Pending Inspection' on the server
+                    const newStatus = result.data.clientStatus;
+                    client.customerStatus = newStatus;
+                    client.lastUpdated = new Date().toISOString();
+                    
+                    const filteredClient = this.filteredClients.find(c => c.clientId === clientId);
+                    if (filteredClient) {
+                        filteredClient.customerStatus = newStatus;
+                        filteredClient.lastUpdated = new Date().toISOString();
                     }
+                    
+                    this.updateStats();
+                    this.renderClientsTable();
+                    
+                    this.showNotification(`✅ Appointment scheduled for "${client.clientFullName}" on ${appointmentDate} at ${appointmentTime} with ${responsable}`, 'success', 6000);
                 } catch (error) {
                     console.error('Error scheduling appointment:', error);
                     this.showNotification(`❌ Error scheduling appointment: ${error.message}`, 'error', 5000);
@@ -1532,10 +1725,19 @@ class ClientManager {
 
         try {
             if (window.loadingManager) window.loadingManager.showGlobal();
-            this.showNotification('🔄 Preparing report with client data...', 'info', 2000);
+            this.showNotification('🔄 Creating draft report...', 'info', 2000);
+            
+            // Create the Draft report in the database first
+            const result = await ClientAPIManager.createReport(client.clientId, {
+                reportType: client.serviceType,
+                inspector: client.responsable
+            });
+            const report = result.data.report;
             
             // Prepare client data for the report
             const reportData = {
+                reportId: report.reportId,
+                reportStatus: report.status,
                 clientId: client.clientId,
                 clientName: client.clientFullName,
                 email: client.email,
@@ -1555,11 +1757,10 @@ class ClientManager {
             // Store client data in localStorage for the report page
             localStorage.setItem('reportClientData', JSON.stringify(reportData));
             
-            // Simulate processing time
-            await new Promise(resolve => setTimeout(resolve, 1500));
+            this.showNotification(`✅ Draft report ${report.reportId} created for "${client.clientFullName}"`, 'success', 2000);
             
             // Redirect to the report page
-            window.location.href = '/fire_escapes_rp.html?clientId=' + clientId;
+            window.location.href = '/fire_escapes_rp.html?clientId=' + clientId + '&reportId=' + encodeURIComponent(report.reportId);
             
         } catch (error) {
             console.error('Error creating report:', error);
@@ -1569,6 +1770,35 @@ class ClientManager {
         }
     }
 
+    // Details / Documents tabs of the client modal (documents load on first open)
+    setupClientModalTabs(modal, clientId) {
+        const confirmBtn = modal.querySelector('.modal-confirm');
+        const documentsPanel = new ClientDocumentsPanel(modal.querySelector('.client-documents'), clientId);
+        let documentsLoaded = false;
+
+        modal.querySelectorAll('.modal-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                const selected = tab.dataset.tab;
+                modal.querySelectorAll('.modal-tab').forEach(other => {
+                    const active = other === tab;
+                    other.classList.toggle('active', active);
+                    other.style.borderBottomColor = active ? 'var(--primary-red)' : 'transparent';
+                    other.style.fontWeight = active ? '600' : 'normal';
+                });
+                modal.querySelectorAll('[data-tab-panel]').forEach(panel => {
+                    panel.style.display = panel.dataset.tabPanel === selected ? '' : 'none';
+                });
+                // Guardar cambios solo aplica a la pestaña de datos
+                confirmBtn.style.display = selected === 'details' ? '' : 'none';
+
+                if (selected === 'documents' && !documentsLoaded) {
+                    documentsLoaded = true;
+                    documentsPanel.load();
+                }
+            });
+        });
+    }
+
     // Modal utility functions
     createModal(title, content, confirmText = 'Confirm', cancelText = 'Cancel') {
         // Remove any existing modals
@@ -1698,6 +1928,408 @@ class ClientManager {
 }
 
 // Initialize Dashboard
+// Upcoming inspections panel (reports.next_inspection_date)
+// Files in the client's Google Drive folder (reports, photos, signed estimates)
+class ClientDocumentsPanel {
+    constructor(container, clientId) {
+        this.container = container;
+        this.clientId = clientId;
+        this.documents = [];
+        this.folder = null;
+        this.limits = { allowedTypes: [], maxFileSize: 0 };
+    }
+
+    async load() {
+        this.container.innerHTML = '<p style="text-align: center; color: var(--medium-gray);">Loading documents...</p>';
+
+        try {
+            const result = await ClientAPIManager.getClientDocuments(this.clientId);
+            this.documents = result.documents;
+            this.folder = result.folder;
+            this.limits = result.limits;
+            this.render();
+        } catch (error) {
+            console.error('❌ Error loading client documents:', error);
+            this.container.innerHTML = `<p style="color: var(--primary-red);">❌ ${this.escape(error.message)}</p>`;
+        }
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    formatSize(bytes) {
+        if (!bytes) {
+            return '-';
+        }
+        if (bytes < 1024 * 1024) {
+            return `${Math.round(bytes / 1024)} KB`;
+        }
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    render() {
+        const canUpload = UserPermissions.can('client/documents', 'POST');
+        const canRename = UserPermissions.can('client/documents', 'PUT');
+        const canDelete = UserPermissions.can('client/documents', 'DELETE');
+        const canSend = UserPermissions.can('client/send-document', 'POST');
+
+        const folderLink = this.folder
+            ? `<a href="${this.folder.webViewLink}" target="_blank" rel="noopener"><i class="fab fa-google-drive"></i> ${this.escape(this.folder.name)}</a>`
+            : '<span style="color: var(--medium-gray);">No Drive folder yet (created with the first upload)</span>';
+
+        const rows = this.documents.length === 0
+            ? '<p style="text-align: center; color: var(--medium-gray);">No documents in this client folder</p>'
+            : this.documents.map(doc => `
+                <div class="document-row" style="display: flex; align-items: center; gap: 0.5rem; padding: 0.5rem 0; border-bottom: 1px solid #f3f4f6;">
+                    <i class="fas ${doc.mimeType === 'application/pdf' ? 'fa-file-pdf' : doc.mimeType.startsWith('image/') ? 'fa-file-image' : 'fa-file'}"></i>
+                    <div style="flex: 1; min-width: 0;">
+                        <a href="${doc.webViewLink}" target="_blank" rel="noopener" style="word-break: break-all;">${this.escape(doc.name)}</a>
+                        <div style="font-size: 0.8em; color: var(--medium-gray);">
+                            ${this.escape(doc.folder || 'Client folder')} · ${this.formatSize(doc.size)} · ${new Date(doc.modifiedTime).toLocaleDateString()}
+                        </div>
+                    </div>
+                    ${canSend && doc.mimeType === 'application/pdf' ? `<button type="button" class="action-btn status" data-send="${doc.id}" title="Email to customer"><i class="fas fa-paper-plane"></i></button>` : ''}
+                    ${canRename ? `<button type="button" class="action-btn update" data-rename="${doc.id}" title="Rename"><i class="fas fa-i-cursor"></i></button>` : ''}
+                    ${canDelete ? `<button type="button" class="action-btn" data-delete="${doc.id}" title="Move to Drive trash"><i class="fas fa-trash"></i></button>` : ''}
+                </div>
+            `).join('');
+
+        this.container.innerHTML = `
+            <div style="margin-bottom: 1rem;">${folderLink}</div>
+            ${canUpload ? `
+            <div class="document-upload" style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem;">
+                <input type="file" class="document-file" accept="${this.limits.allowedTypes.join(',')}">
+                <select class="document-type">
+                    <option value="report">Inspection Report</option>
+                    <option value="estimate">Estimate</option>
+                    <option value="invoice">Invoice</option>
+                    <option value="photo">Photo</option>
+                </select>
+                <button type="button" class="action-btn status document-upload-btn"><i class="fas fa-upload"></i> <span class="btn-label">Upload</span></button>
+                <small style="width: 100%; color: var(--medium-gray);">Max ${this.formatSize(this.limits.maxFileSize)} · ${this.limits.allowedTypes.join(', ')}</small>
+            </div>` : ''}
+            <div class="document-list">${rows}</div>
+        `;
+
+        const uploadBtn = this.container.querySelector('.document-upload-btn');
+        if (uploadBtn) {
+            uploadBtn.addEventListener('click', () => this.upload());
+        }
+        this.container.querySelectorAll('[data-send]').forEach(button => {
+            button.addEventListener('click', () => this.sendToCustomer(button.dataset.send));
+        });
+        this.container.querySelectorAll('[data-rename]').forEach(button => {
+            button.addEventListener('click', () => this.rename(button.dataset.rename));
+        });
+        this.container.querySelectorAll('[data-delete]').forEach(button => {
+            button.addEventListener('click', () => this.remove(button.dataset.delete));
+        });
+    }
+
+    readAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1]);
+            reader.onerror = () => reject(new Error('Could not read the file'));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    async upload() {
+        const file = this.container.querySelector('.document-file').files[0];
+        if (!file) {
+            NotificationSystem.show('❌ Choose a file to upload', 'error');
+            return;
+        }
+
+        // El servidor valida lo mismo; esto evita subir archivos que va a rechazar
+        if (!this.limits.allowedTypes.includes(file.type)) {
+            NotificationSystem.show(`❌ File type not allowed (${file.type || 'unknown'})`, 'error');
+            return;
+        }
+        if (file.size > this.limits.maxFileSize) {
+            NotificationSystem.show(`❌ File too large (max ${this.formatSize(this.limits.maxFileSize)})`, 'error');
+            return;
+        }
+
+        try {
+            NotificationSystem.show('🔄 Uploading document...', 'info');
+            await ClientAPIManager.uploadClientDocument(this.clientId, {
+                fileName: file.name,
+                mimeType: file.type,
+                content: await this.readAsBase64(file),
+                documentType: this.container.querySelector('.document-type').value
+            });
+            NotificationSystem.show(`✅ ${file.name} uploaded`, 'success');
+            await this.load();
+        } catch (error) {
+            console.error('❌ Error uploading document:', error);
+            NotificationSystem.show(`❌ Error uploading document: ${error.message}`, 'error');
+        }
+    }
+
+    // Sub-carpeta del documento → tipo de correo (Estimates → estimate, Invoices → invoice, resto → report)
+    getDocumentType(doc) {
+        const folder = String(doc.folder || '').toLowerCase();
+        if (folder.includes('estimate')) return 'estimate';
+        if (folder.includes('invoice')) return 'invoice';
+        return 'report';
+    }
+
+    async sendToCustomer(fileId) {
+        const doc = this.documents.find(d => d.id === fileId);
+        if (!doc) {
+            return;
+        }
+
+        const documentType = this.getDocumentType(doc);
+        const client = window.clientManager ? window.clientManager.clients.find(c => c.clientId === this.clientId) : null;
+        const to = prompt(`Email ${documentType} "${doc.name}" to:`, client ? client.email || '' : '');
+        if (!to) {
+            return;
+        }
+        const message = prompt('Personal note for the customer (optional):', '');
+        if (message === null) {
+            return;
+        }
+
+        try {
+            NotificationSystem.show('🔄 Sending email to customer...', 'info');
+            const result = await ClientAPIManager.sendDocumentToCustomer(this.clientId, { documentType, fileId, to: to.trim(), message });
+            NotificationSystem.show(`✅ ${doc.name} ${result.queued ? 'queued for' : 'sent to'} ${result.to}`, 'success');
+        } catch (error) {
+            console.error('❌ Error sending document to customer:', error);
+            NotificationSystem.show(`❌ Error sending email: ${error.message}`, 'error');
+        }
+    }
+
+    async rename(fileId) {
+        const doc = this.documents.find(d => d.id === fileId);
+        const name = prompt('New file name:', doc ? doc.name : '');
+        if (!name || (doc && name === doc.name)) {
+            return;
+        }
+
+        try {
+            await ClientAPIManager.renameClientDocument(this.clientId, fileId, name.trim());
+            NotificationSystem.show('✅ Document renamed', 'success');
+            await this.load();
+        } catch (error) {
+            console.error('❌ Error renaming document:', error);
+            NotificationSystem.show(`❌ Error renaming document: ${error.message}`, 'error');
+        }
+    }
+
+    async remove(fileId) {
+        const doc = this.documents.find(d => d.id === fileId);
+        if (!confirm(`Move "${doc ? doc.name : fileId}" to the Drive trash?`)) {
+            return;
+        }
+
+        try {
+            await ClientAPIManager.deleteClientDocument(this.clientId, fileId);
+            NotificationSystem.show('✅ Document moved to Drive trash', 'success');
+            await this.load();
+        } catch (error) {
+            console.error('❌ Error deleting document:', error);
+            NotificationSystem.show(`❌ Error deleting document: ${error.message}`, 'error');
+        }
+    }
+}
+
+class UpcomingInspectionsPanel {
+    constructor() {
+        this.tableBody = document.getElementById('upcomingInspectionsBody');
+        this.daysSelect = document.getElementById('upcomingInspectionsDays');
+        this.inspections = [];
+    }
+
+    async init() {
+        if (!this.tableBody) {
+            return;
+        }
+
+        if (this.daysSelect) {
+            this.daysSelect.addEventListener('change', () => this.load());
+        }
+
+        await this.load();
+    }
+
+    async load() {
+        const days = this.daysSelect ? this.daysSelect.value : 30;
+
+        try {
+            this.inspections = await ClientAPIManager.getUpcomingInspections(days);
+            this.render();
+        } catch (error) {
+            console.error('❌ Error loading upcoming inspections:', error);
+            this.renderMessage(`❌ ${error.message}`);
+        }
+    }
+
+    renderMessage(message) {
+        this.tableBody.innerHTML = `
+            <tr>
+                <td colspan="4" style="text-align: center; padding: 2rem; color: var(--medium-gray);">${message}</td>
+            </tr>
+        `;
+    }
+
+    render() {
+        if (this.inspections.length === 0) {
+            this.renderMessage('✅ No inspections due in this period');
+            return;
+        }
+
+        const today = new Date().toISOString().split('T')[0];
+
+        this.tableBody.innerHTML = this.inspections.map(inspection => {
+            const overdue = inspection.nextInspectionDate < today;
+            const reminder = inspection.reminderSentAt
+                ? `<span class="status-badge status-active"><i class="fas fa-circle"></i> Sent ${new Date(inspection.reminderSentAt).toLocaleDateString()}</span>`
+                : '<span class="status-badge status-pending"><i class="fas fa-circle"></i> Pending</span>';
+
+            return `
+                <tr data-client-id="${inspection.clientId}">
+                    <td>
+                        <strong>${inspection.clientName}</strong><br>
+                        <small style="color: var(--medium-gray);">${inspection.address || 'N/A'}</small>
+                    </td>
+                    <td>
+                        <span class="status-badge ${overdue ? 'status-inactive' : 'status-contacted'}">
+                            <i class="fas fa-circle"></i> ${inspection.nextInspectionDate}${overdue ? ' (overdue)' : ''}
+                        </span>
+                    </td>
+                    <td>
+                        ${inspection.reportId}<br>
+                        <small style="color: var(--medium-gray);">${inspection.inspectionDate || 'N/A'} · ${inspection.inspector || 'N/A'}</small>
+                    </td>
+                    <td>${reminder}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+}
+
+// Delivery log of the outbound email queue (email_outbox)
+class EmailDeliveryPanel {
+    constructor() {
+        this.section = document.getElementById('emailDeliverySection');
+        this.tableBody = document.getElementById('emailDeliveryBody');
+        this.statusSelect = document.getElementById('emailDeliveryStatus');
+        this.summary = document.getElementById('emailDeliverySummary');
+        this.messages = [];
+    }
+
+    async init() {
+        if (!this.tableBody) {
+            return;
+        }
+
+        if (this.statusSelect) {
+            this.statusSelect.addEventListener('change', () => this.load());
+        }
+
+        this.tableBody.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-retry-email]');
+            if (button) {
+                this.retry(parseInt(button.dataset.retryEmail, 10), button);
+            }
+        });
+
+        await this.load();
+    }
+
+    async load() {
+        const status = this.statusSelect ? this.statusSelect.value : '';
+
+        try {
+            const queue = await ClientAPIManager.getEmailQueue(status);
+            this.messages = queue.messages;
+            this.renderSummary(queue.counts);
+            this.render();
+        } catch (error) {
+            console.error('❌ Error loading email queue:', error);
+            this.renderMessage(`❌ ${this.escape(error.message)}`);
+        }
+    }
+
+    async retry(emailId, button) {
+        button.disabled = true;
+        try {
+            await ClientAPIManager.retryEmail(emailId);
+            NotificationSystem.show(`✅ Email #${emailId} queued for retry`, 'success');
+            await this.load();
+        } catch (error) {
+            NotificationSystem.show(`❌ Error retrying email: ${error.message}`, 'error');
+            button.disabled = false;
+        }
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    renderSummary(counts) {
+        if (!this.summary || !counts) {
+            return;
+        }
+        this.summary.textContent = `${counts.Pending} pending · ${counts.Sent} sent · ${counts.Failed} failed`;
+    }
+
+    renderMessage(message) {
+        this.tableBody.innerHTML = `
+            <tr>
+                <td colspan="5" style="text-align: center; padding: 2rem; color: var(--medium-gray);">${message}</td>
+            </tr>
+        `;
+    }
+
+    renderStatus(message) {
+        if (message.status === 'Sent') {
+            return `<span class="status-badge status-active"><i class="fas fa-circle"></i> Sent ${new Date(message.sentAt).toLocaleString()}</span>`;
+        }
+        if (message.status === 'Failed') {
+            return '<span class="status-badge status-inactive"><i class="fas fa-circle"></i> Failed</span>';
+        }
+        const retry = message.attempts > 0 ? ` · retry ${new Date(message.nextAttemptAt).toLocaleTimeString()}` : '';
+        return `<span class="status-badge status-pending"><i class="fas fa-circle"></i> Pending${retry}</span>`;
+    }
+
+    render() {
+        if (this.messages.length === 0) {
+            this.renderMessage('✅ No emails in the queue');
+            return;
+        }
+
+        this.tableBody.innerHTML = this.messages.map(message => `
+            <tr>
+                <td>
+                    <strong>${this.escape(message.subject)}</strong><br>
+                    <small style="color: var(--medium-gray);">${this.escape(message.messageType)}${message.clientId ? ` · ${this.escape(message.clientId)}` : ''} · ${new Date(message.createdAt).toLocaleString()}</small>
+                </td>
+                <td style="word-break: break-all;">${this.escape(message.recipient)}</td>
+                <td>${this.renderStatus(message)}</td>
+                <td>
+                    ${message.attempts}/${message.maxAttempts}
+                    ${message.lastError ? `<br><small style="color: var(--primary-red);">${this.escape(message.lastError)}</small>` : ''}
+                </td>
+                <td>
+                    ${message.status === 'Failed'
+                        ? `<button type="button" class="action-btn status" data-retry-email="${message.id}" title="Send again"><i class="fas fa-redo"></i> <span class="btn-label">Retry</span></button>`
+                        : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+}
+
 class DashboardInitializer {
     static init() {
         // Initialize state
@@ -1755,6 +2387,10 @@ window.GoogleSheetsManager = GoogleSheetsManager;
 window.DashboardInitializer = DashboardInitializer;
 window.ClientAPIManager = ClientAPIManager; // Add ClientAPIManager to global scope
 window.ClientManager = ClientManager; // Add ClientManager to global scope
+window.UpcomingInspectionsPanel = UpcomingInspectionsPanel;
+window.EmailDeliveryPanel = EmailDeliveryPanel;
+window.ClientDocumentsPanel = ClientDocumentsPanel;
+window.UserPermissions = UserPermissions;
 
 // Global function aliases for HTML compatibility
 // window.showTemplateGenerator = () => TemplateGenerator.showTemplateGenerator(); // Removed
@@ -1812,5 +2448,22 @@ window.addEventListener('load', () => {
         console.error('❌ Error initializing ClientManager:', error);
     });
     
+    // Hide actions the user's role can't perform
+    UserPermissions.load().then(() => {
+        if (window.clientManager && window.clientManager.clients.length > 0) {
+            window.clientManager.renderClientsTable();
+        }
+
+        // Email delivery log (admins only, on pages that include it)
+        if (UserPermissions.can('email-queue', 'GET')) {
+            window.emailDeliveryPanel = new EmailDeliveryPanel();
+            window.emailDeliveryPanel.init();
+        }
+    });
+    
+    // Upcoming inspections panel (only on pages that include it)
+    window.upcomingInspectionsPanel = new UpcomingInspectionsPanel();
+    window.upcomingInspectionsPanel.init();
+    
     console.log('✅ Dashboard initialization completed');
 }); 
\ No newline at end of file
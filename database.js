@@ -4,9 +4,22 @@
 
 const { google } = require('googleapis');
 const mysql = require('mysql2/promise');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
+// Client columns kept in sync with the Google Sheets form responses
+const SYNC_CLIENT_COLUMNS = [
+    'company_name', 'service_type', 'urgency_level', 'client_full_name', 'email',
+    'phone_number', 'customer_type', 'project_address', 'technical_description',
+    'budget_range', 'expected_timeline', 'preferred_contact_method', 'additional_notes',
+    'special_requirements', 'channel', 'responsable', 'status', 'form_emailer_status',
+    'invoice_status', 'estimate_status'
+];
+
+// Client status columns updated from the outcome of an email (queue worker)
+const CLIENT_EMAIL_STATUS_COLUMNS = ['form_emailer_status', 'invoice_status', 'estimate_status'];
+
 class DatabaseManager {
     constructor() {
         this.sheets = null;
@@ -56,8 +69,7 @@ class DatabaseManager {
                 host: process.env.DB_HOST || 'localhost',
                 user: process.env.DB_USER || 'irias_app',
                 password: process.env.DB_PASSWORD || '',
-                database: process.env.DB_NAME || '
-                ',
+                database: process.env.DB_NAME || 'irias_portal',
                 port: process.env.DB_PORT || 3306,
                 waitForConnections: true,
                 connectionLimit: 10,
@@ -118,7 +130,8 @@ class DatabaseManager {
 
     async ensureTablesExist() {
         try {
-            const createTablesSQL = `
+            // mysql2 no acepta varias sentencias en un solo execute
+            const createTablesSQL = [`
                 CREATE TABLE IF NOT EXISTS clients (
                     id INT AUTO_INCREMENT PRIMARY KEY,
                     client_id VARCHAR(20) UNIQUE NOT NULL,
@@ -142,6 +155,10 @@ class DatabaseManager {
                     estimate_status ENUM('Pending', 'Sent', 'Accepted', 'Rejected') DEFAULT 'Pending',
                     channel ENUM('Website', 'Phone', 'Referral', 'Walk-in') DEFAULT 'Website',
                     responsable VARCHAR(100),
+                    sheet_row_hash VARCHAR(64),
+                    synced_at TIMESTAMP NULL,
+                    drive_folder_id VARCHAR(100),
+                    drive_folder_link VARCHAR(500),
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                     INDEX idx_client_id (client_id),
@@ -149,8 +166,7 @@ class DatabaseManager {
                     INDEX idx_company (company_name),
                     INDEX idx_created_at (created_at),
                     INDEX idx_email (email)
-                );
-
+                )`, `
                 CREATE TABLE IF NOT EXISTS system_config (
                     id INT AUTO_INCREMENT PRIMARY KEY,
                     config_key VARCHAR(100) UNIQUE NOT NULL,
@@ -160,13 +176,13 @@ class DatabaseManager {
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                     INDEX idx_config_key (config_key)
-                );
-
+                )`, `
                 CREATE TABLE IF NOT EXISTS audit_log (
                     id INT AUTO_INCREMENT PRIMARY KEY,
                     action VARCHAR(50) NOT NULL,
                     table_name VARCHAR(50) NOT NULL,
-                    record_id INT,
+                    record_id VARCHAR(100),
+                    client_id VARCHAR(100),
                     old_values JSON,
                     new_values JSON,
                     user_email VARCHAR(255),
@@ -176,11 +192,231 @@ class DatabaseManager {
                     INDEX idx_action (action),
                     INDEX idx_table_name (table_name),
                     INDEX idx_record_id (record_id),
+                    INDEX idx_client_id (client_id),
+                    INDEX idx_user_email (user_email),
                     INDEX idx_created_at (created_at)
-                );
-            `;
+                )`, `
+                CREATE TABLE IF NOT EXISTS users (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(50) UNIQUE NOT NULL,
+                    full_name VARCHAR(100) NOT NULL,
+                    email VARCHAR(255) UNIQUE NOT NULL,
+                    password_hash VARCHAR(255) NOT NULL,
+                    role ENUM('admin', 'inspector', 'user') DEFAULT 'user',
+                    company VARCHAR(100) DEFAULT 'Default Company',
+                    companies JSON,
+                    permissions JSON,
+                    failed_login_attempts INT DEFAULT 0,
+                    locked_until DATETIME NULL,
+                    last_login_at DATETIME NULL,
+                    password_changed_at DATETIME NULL,
+                    is_active BOOLEAN DEFAULT TRUE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_user_id (user_id),
+                    INDEX idx_email (email),
+                    INDEX idx_role (role),
+                    INDEX idx_company (company)
+                )`, `
+                CREATE TABLE IF NOT EXISTS authorized_users (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    email VARCHAR(255) UNIQUE NOT NULL,
+                    name VARCHAR(100),
+                    role ENUM('admin', 'inspector', 'user') DEFAULT 'user',
+                    companies JSON,
+                    source VARCHAR(50) DEFAULT 'auto_registration',
+                    status ENUM('Pending', 'Approved', 'Rejected') DEFAULT 'Pending',
+                    approved_by VARCHAR(255),
+                    approved_at DATETIME NULL,
+                    access_count INT DEFAULT 0,
+                    last_access DATETIME NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_email (email),
+                    INDEX idx_status (status)
+                )`, `
+                CREATE TABLE IF NOT EXISTS reports (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    report_id VARCHAR(50) UNIQUE NOT NULL,
+                    client_id VARCHAR(20) NOT NULL,
+                    report_type VARCHAR(100) NOT NULL,
+                    inspection_date DATE,
+                    findings TEXT,
+                    recommendations TEXT,
+                    photos JSON,
+                    inspector VARCHAR(100),
+                    next_inspection_date DATE,
+                    status ENUM('Draft', 'Completed', 'Sent', 'Archived') DEFAULT 'Draft',
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_report_id (report_id),
+                    INDEX idx_client_id (client_id),
+                    INDEX idx_inspection_date (inspection_date),
+                    INDEX idx_status (status),
+                    FOREIGN KEY (client_id) REFERENCES clients(client_id) ON DELETE CASCADE
+                )`, `
+                CREATE TABLE IF NOT EXISTS appointments (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    appointment_id VARCHAR(50) UNIQUE NOT NULL,
+                    client_id VARCHAR(50) NOT NULL,
+                    client_name VARCHAR(100),
+                    responsable VARCHAR(100) NOT NULL,
+                    appointment_type VARCHAR(100) DEFAULT 'Fire Escape Inspection',
+                    start_time DATETIME NOT NULL,
+                    end_time DATETIME NOT NULL,
+                    address TEXT,
+                    notes TEXT,
+                    status ENUM('Scheduled', 'Rescheduled', 'Cancelled', 'Completed') DEFAULT 'Scheduled',
+                    cancellation_reason TEXT,
+                    created_by VARCHAR(255),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_appointment_id (appointment_id),
+                    INDEX idx_client_id (client_id),
+                    INDEX idx_responsable_start (responsable, start_time),
+                    INDEX idx_status (status)
+                )`, `
+                CREATE TABLE IF NOT EXISTS inspection_reminders (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    report_id VARCHAR(50) NOT NULL,
+                    client_id VARCHAR(20) NOT NULL,
+                    next_inspection_date DATE NOT NULL,
+                    client_notified BOOLEAN DEFAULT FALSE,
+                    inspector_notified BOOLEAN DEFAULT FALSE,
+                    follow_up_created BOOLEAN DEFAULT FALSE,
+                    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY uniq_report_next_date (report_id, next_inspection_date),
+                    INDEX idx_client_id (client_id),
+                    INDEX idx_next_inspection_date (next_inspection_date)
+                )`, `
+                CREATE TABLE IF NOT EXISTS sync_conflicts (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    client_id VARCHAR(20) NOT NULL,
+                    fields JSON,
+                    sheet_values JSON,
+                    database_values JSON,
+                    sheet_row_hash VARCHAR(64),
+                    status ENUM('Open', 'Resolved') DEFAULT 'Open',
+                    resolution ENUM('sheets', 'database'),
+                    resolved_by VARCHAR(255),
+                    resolved_at TIMESTAMP NULL,
+                    detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_client_id (client_id),
+                    INDEX idx_status (status)
+                )`, `
+                CREATE TABLE IF NOT EXISTS email_outbox (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    message_type VARCHAR(50) NOT NULL,
+                    client_id VARCHAR(20),
+                    recipient VARCHAR(500) NOT NULL,
+                    subject VARCHAR(500),
+                    payload JSON NOT NULL,
+                    metadata JSON,
+                    status ENUM('Pending', 'Sent', 'Failed') DEFAULT 'Pending',
+                    attempts INT DEFAULT 0,
+                    max_attempts INT DEFAULT 5,
+                    last_error TEXT,
+                    message_id VARCHAR(255),
+                    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    sent_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_status_next_attempt (status, next_attempt_at),
+                    INDEX idx_client_id (client_id)
+                )`, `
+                CREATE TABLE IF NOT EXISTS zoho_webhook_events (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    event_id VARCHAR(128) NOT NULL UNIQUE,
+                    event_type VARCHAR(100),
+                    client_id VARCHAR(20),
+                    payload JSON,
+                    status ENUM('Processing', 'Processed', 'Ignored', 'Failed') DEFAULT 'Processing',
+                    message TEXT,
+                    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_client_id (client_id),
+                    INDEX idx_status (status)
+                )`, `
+                CREATE TABLE IF NOT EXISTS zoho_deliveries (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    client_id VARCHAR(20),
+                    client_name VARCHAR(255),
+                    payload JSON NOT NULL,
+                    status ENUM('Pending', 'Sent', 'Failed') DEFAULT 'Pending',
+                    attempts INT DEFAULT 0,
+                    max_attempts INT DEFAULT 6,
+                    last_error TEXT,
+                    status_code INT,
+                    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    sent_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_status_next_attempt (status, next_attempt_at),
+                    INDEX idx_client_id (client_id)
+                )`, `
+                CREATE TABLE IF NOT EXISTS user_sessions (
+                    jti VARCHAR(64) PRIMARY KEY,
+                    user_id VARCHAR(255),
+                    user_email VARCHAR(255) NOT NULL,
+                    auth_method VARCHAR(20) DEFAULT 'google',
+                    ip_address VARCHAR(45),
+                    user_agent VARCHAR(500),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    last_seen_at TIMESTAMP NULL,
+                    expires_at TIMESTAMP NULL,
+                    revoked_at TIMESTAMP NULL,
+                    revoked_by VARCHAR(255),
+                    revoke_reason VARCHAR(50),
+                    INDEX idx_user_email (user_email),
+                    INDEX idx_revoked_expires (revoked_at, expires_at)
+                )`, `
+                CREATE TABLE IF NOT EXISTS user_two_factor (
+                    user_email VARCHAR(255) PRIMARY KEY,
+                    secret_encrypted TEXT,
+                    pending_secret_encrypted TEXT,
+                    enabled BOOLEAN DEFAULT FALSE,
+                    backup_codes JSON,
+                    last_used_step BIGINT,
+                    failed_attempts INT DEFAULT 0,
+                    locked_until TIMESTAMP NULL,
+                    enabled_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                )`, `
+                CREATE TABLE IF NOT EXISTS api_keys (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    key_prefix VARCHAR(16) NOT NULL UNIQUE,
+                    key_hash CHAR(64) NOT NULL,
+                    name VARCHAR(100) NOT NULL,
+                    scopes JSON,
+                    companies JSON,
+                    created_by VARCHAR(255),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    expires_at TIMESTAMP NULL,
+                    last_used_at TIMESTAMP NULL,
+                    last_used_ip VARCHAR(45),
+                    usage_count INT DEFAULT 0,
+                    rotated_from INT NULL,
+                    revoked_at TIMESTAMP NULL,
+                    revoked_by VARCHAR(255),
+                    INDEX idx_revoked_expires (revoked_at, expires_at)
+                )`
+            ];
 
-            await this.mysqlPool.execute(createTablesSQL);
+            for (const statement of createTablesSQL) {
+                await this.mysqlPool.execute(statement);
+            }
+
+            // CREATE TABLE IF NOT EXISTS no toca tablas ya creadas: columnas e índices añadidos después
+            await this.ensureColumn('audit_log', 'record_id', 'VARCHAR(100)', { dataType: 'varchar' });
+            await this.ensureColumn('audit_log', 'client_id', 'VARCHAR(100)');
+            await this.ensureIndex('audit_log', 'idx_client_id', 'client_id');
+            await this.ensureIndex('audit_log', 'idx_user_email', 'user_email');
+            await this.ensureColumn('clients', 'sheet_row_hash', 'VARCHAR(64)');
+            await this.ensureColumn('clients', 'synced_at', 'TIMESTAMP NULL');
+            await this.ensureColumn('clients', 'drive_folder_id', 'VARCHAR(100)');
+            await this.ensureColumn('clients', 'drive_folder_link', 'VARCHAR(500)');
             this.logger.info('✅ Database tables ensured');
         } catch (error) {
             this.logger.error('❌ Error ensuring tables exist:', error);
@@ -188,6 +424,43 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Add a column to an existing table, or change its type when dataType no longer matches
+     * @param {string} table - Table name
+     * @param {string} column - Column name
+     * @param {string} definition - Column definition for ALTER TABLE (e.g. 'VARCHAR(100)')
+     * @param {Object} options - { dataType: expected information_schema DATA_TYPE, MODIFY if it differs }
+     */
+    async ensureColumn(table, column, definition, { dataType = null } = {}) {
+        const [rows] = await this.mysqlPool.execute(
+            'SELECT DATA_TYPE AS dataType FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+            [table, column]
+        );
+
+        if (rows.length === 0) {
+            await this.mysqlPool.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            this.logger.info(`🛠️ Added column ${table}.${column}`);
+        } else if (dataType && String(rows[0].dataType).toLowerCase() !== dataType) {
+            await this.mysqlPool.execute(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+            this.logger.info(`🛠️ Changed column ${table}.${column} to ${definition}`);
+        }
+    }
+
+    /**
+     * Create an index on an existing table if it is missing
+     */
+    async ensureIndex(table, indexName, columns) {
+        const [rows] = await this.mysqlPool.execute(
+            'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ? LIMIT 1',
+            [table, indexName]
+        );
+
+        if (rows.length === 0) {
+            await this.mysqlPool.execute(`ALTER TABLE ${table} ADD INDEX ${indexName} (${columns})`);
+            this.logger.info(`🛠️ Added index ${table}.${indexName}`);
+        }
+    }
+
     async ensureSheetsExist() {
         try {
             if (!this.sheets) return;
@@ -415,245 +688,2101 @@ class DatabaseManager {
         }
     }
 
-    // Report Management
-    async addReport(reportData) {
+    async appendClientNote(clientId, note) {
         try {
             if (!this.mysqlConnected) {
                 throw new Error('MySQL not connected');
             }
 
-            const reportId = await this.generateId();
-            const timestamp = new Date().toISOString();
-            
             const sql = `
-                INSERT INTO audit_log (action, table_name, record_id, new_values, user_email)
-                VALUES ('CREATE_REPORT', 'reports', ?, ?, ?)
+                UPDATE clients
+                SET additional_notes = CONCAT_WS('\n', NULLIF(additional_notes, ''), ?),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE client_id = ?
             `;
-            
-            const values = [
-                reportId,
-                JSON.stringify(reportData),
-                reportData.inspector || 'System'
-            ];
+            await this.mysqlPool.execute(sql, [note, clientId]);
 
-            await this.mysqlPool.execute(sql, values);
-            this.invalidateCache('reports');
-            
-            this.logger.info(`Report added: ${reportId}`);
-            return { success: true, reportId };
+            this.invalidateCache('clients');
+            return { success: true };
         } catch (error) {
-            this.logger.error('Error adding report:', error);
+            this.logger.error('Error appending client note:', error);
             throw error;
         }
     }
 
-    async getReports(clientId = null) {
+    /**
+     * Update client columns (snake_case, see SYNC_CLIENT_COLUMNS); updated_at moves so the sync pushes the change
+     * @param {string} clientId - Client ID
+     * @param {Object} updateData - { column: value }
+     */
+    async updateClient(clientId, updateData) {
         try {
             if (!this.mysqlConnected) {
                 throw new Error('MySQL not connected');
             }
 
-            const cacheKey = `reports_${clientId || 'all'}`;
-            if (this.isCacheValid(cacheKey)) {
-                return this.cache.get(cacheKey);
+            const columns = Object.keys(updateData).filter(column => SYNC_CLIENT_COLUMNS.includes(column));
+            if (columns.length === 0) {
+                throw new Error(`No updatable client columns in: ${Object.keys(updateData).join(', ')}`);
             }
 
-            let sql = 'SELECT * FROM audit_log WHERE action = "CREATE_REPORT"';
-            let values = [];
-            
-            if (clientId) {
-                sql += ' AND JSON_EXTRACT(new_values, "$.clientId") = ?';
-                values.push(clientId);
-            }
-            
-            sql += ' ORDER BY created_at DESC';
+            const sql = `UPDATE clients SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE client_id = ?`;
+            await this.mysqlPool.execute(sql, [...columns.map(column => updateData[column]), clientId]);
 
-            const [rows] = await this.mysqlPool.execute(sql, values);
-            let reports = rows.map(row => this.mapRowToReport(row));
+            this.invalidateCache('clients');
+            this.logger.info(`Client ${clientId} updated: ${columns.join(', ')}`);
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Error updating client:', error);
+            throw error;
+        }
+    }
 
-            this.setCache(cacheKey, reports);
-            return reports;
+    async getClientIdsByEmail(email) {
+        try {
+            const rows = await this.query('SELECT client_id FROM clients WHERE LOWER(email) = ?', [String(email).trim().toLowerCase()]);
+            return rows.map(row => row.client_id);
         } catch (error) {
-            this.logger.error('Error getting reports:', error);
+            this.logger.error('Error getting clients by email:', error);
             throw error;
         }
     }
 
-    // Statistics
-    async getStatistics(company = 'all') {
+    // User Management
+    async createUser(userData) {
         try {
             if (!this.mysqlConnected) {
                 throw new Error('MySQL not connected');
             }
 
-            const cacheKey = `stats_${company}`;
-            if (this.isCacheValid(cacheKey)) {
-                return this.cache.get(cacheKey);
-            }
-
-            let sql = `
-                SELECT 
-                    COUNT(*) as totalClients,
-                    SUM(CASE WHEN status = 'Active' THEN 1 ELSE 0 END) as activeClients,
-                    SUM(CASE WHEN status = 'New Lead' THEN 1 ELSE 0 END) as pendingClients
-                FROM clients
+            const sql = `
+                INSERT INTO users (
+                    user_id, full_name, email, password_hash, role, company, companies, permissions
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `;
-            let values = [];
-            
-            if (company !== 'all') {
-                sql += ' WHERE company_name = ?';
-                values.push(company);
-            }
 
-            const [rows] = await this.mysqlPool.execute(sql, values);
-            const stats = rows[0];
+            await this.mysqlPool.execute(sql, [
+                userData.id,
+                userData.fullName,
+                userData.email.toLowerCase(),
+                userData.passwordHash,
+                userData.role || 'user',
+                userData.company || 'Default Company',
+                JSON.stringify(userData.companies || []),
+                JSON.stringify(userData.permissions || [])
+            ]);
+
+            this.logger.info(`User created: ${userData.email}`);
+            return this.getUserById(userData.id);
+        } catch (error) {
+            this.logger.error('Error creating user:', error);
+            throw error;
+        }
+    }
 
-            // Get reports count
-            const [reportRows] = await this.mysqlPool.execute(
-                'SELECT COUNT(*) as totalReports FROM audit_log WHERE action = "CREATE_REPORT"'
+    async getUserByEmail(email) {
+        try {
+            const rows = await this.query('SELECT * FROM users WHERE email = ?', [email.toLowerCase()]);
+            return rows.length > 0 ? this.mapRowToUser(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting user by email:', error);
+            throw error;
+        }
+    }
+
+    async getUserById(userId) {
+        try {
+            const rows = await this.query('SELECT * FROM users WHERE user_id = ?', [userId]);
+            return rows.length > 0 ? this.mapRowToUser(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting user by ID:', error);
+            throw error;
+        }
+    }
+
+    async countUsers() {
+        const rows = await this.query('SELECT COUNT(*) AS total FROM users');
+        return rows[0].total;
+    }
+
+    async updateUserPassword(userId, passwordHash) {
+        try {
+            await this.query(
+                'UPDATE users SET password_hash = ?, password_changed_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+                [passwordHash, userId]
             );
-            stats.totalReports = reportRows[0].totalReports;
+            this.logger.info(`Password updated for user ${userId}`);
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Error updating user password:', error);
+            throw error;
+        }
+    }
 
-            // Get this month reports
-            const [monthlyRows] = await this.mysqlPool.execute(`
-                SELECT COUNT(*) as thisMonth 
-                FROM audit_log 
-                WHERE action = "CREATE_REPORT" 
-                AND MONTH(created_at) = MONTH(CURRENT_DATE())
-                AND YEAR(created_at) = YEAR(CURRENT_DATE())
-            `);
-            stats.thisMonth = monthlyRows[0].thisMonth;
+    // Suma un intento fallido y bloquea la cuenta al llegar a maxAttempts.
+    // MySQL evalúa las asignaciones en orden: el IF ya ve el contador incrementado
+    async recordFailedLogin(userId, maxAttempts, lockoutMinutes) {
+        try {
+            await this.query(`
+                UPDATE users
+                SET failed_login_attempts = failed_login_attempts + 1,
+                    locked_until = IF(failed_login_attempts >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), locked_until)
+                WHERE user_id = ?
+            `, [String(maxAttempts), String(lockoutMinutes), userId]);
+
+            return this.getUserById(userId);
+        } catch (error) {
+            this.logger.error('Error recording failed login:', error);
+            throw error;
+        }
+    }
 
-            this.setCache(cacheKey, stats);
-            return stats;
+    async recordSuccessfulLogin(userId) {
+        try {
+            await this.query(
+                'UPDATE users SET failed_login_attempts = 0, locked_until = NULL, last_login_at = NOW() WHERE user_id = ?',
+                [userId]
+            );
+            return { success: true };
         } catch (error) {
-            this.logger.error('Error getting statistics:', error);
+            this.logger.error('Error recording successful login:', error);
             throw error;
         }
     }
 
-    // System Configuration
-    async getSystemConfig(key = null) {
+    // Authorized User Management (portal access control)
+    async getAuthorizedUsers(status = null) {
         try {
-            if (!this.mysqlConnected) {
-                throw new Error('MySQL not connected');
+            let sql = 'SELECT * FROM authorized_users';
+            const params = [];
+            if (status) {
+                sql += ' WHERE status = ?';
+                params.push(status);
             }
+            sql += ' ORDER BY created_at DESC';
 
-            if (key) {
-                const sql = 'SELECT config_value, config_type FROM system_config WHERE config_key = ?';
-                const [rows] = await this.mysqlPool.execute(sql, [key]);
-                return rows.length > 0 ? rows[0] : null;
-            } else {
-                const sql = 'SELECT config_key, config_value, config_type FROM system_config';
-                const [rows] = await this.mysqlPool.execute(sql);
-                return rows;
-            }
+            const rows = await this.query(sql, params);
+            return rows.map(row => this.mapRowToAuthorizedUser(row));
         } catch (error) {
-            this.logger.error('Error getting system config:', error);
+            this.logger.error('Error getting authorized users:', error);
             throw error;
         }
     }
 
-    async setSystemConfig(key, value, type = 'string', description = '') {
+    async getAuthorizedUser(email) {
         try {
-            if (!this.mysqlConnected) {
-                throw new Error('MySQL not connected');
-            }
+            const rows = await this.query('SELECT * FROM authorized_users WHERE email = ?', [email.toLowerCase()]);
+            return rows.length > 0 ? this.mapRowToAuthorizedUser(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting authorized user:', error);
+            throw error;
+        }
+    }
 
-            const sql = `
-                INSERT INTO system_config (config_key, config_value, config_type, description) 
-                VALUES (?, ?, ?, ?)
-                ON DUPLICATE KEY UPDATE 
-                    config_value = VALUES(config_value),
-                    config_type = VALUES(config_type),
-                    description = VALUES(description),
-                    updated_at = CURRENT_TIMESTAMP
-            `;
-            
-            await this.mysqlPool.execute(sql, [key, value, type, description]);
-            this.logger.info(`System config updated: ${key}`);
-            return { success: true };
+    // Inserta el usuario; si ya existe no toca su estado de aprobación
+    async addAuthorizedUser(userData) {
+        try {
+            await this.query(`
+                INSERT INTO authorized_users (email, name, role, companies, source, status, approved_by, approved_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE name = IF(VALUES(name) <> '', VALUES(name), name)
+            `, [
+                userData.email.toLowerCase(),
+                userData.name || '',
+                userData.role || 'user',
+                JSON.stringify(userData.companies || []),
+                userData.source || 'auto_registration',
+                userData.status || 'Pending',
+                userData.approvedBy || null,
+                userData.approvedBy ? this.formatDateTime(new Date()) : null
+            ]);
+
+            return this.getAuthorizedUser(userData.email);
         } catch (error) {
-            this.logger.error('Error setting system config:', error);
+            this.logger.error('Error adding authorized user:', error);
             throw error;
         }
     }
 
-    // Utility Methods
-    async generateId() {
-        return `ID_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    async updateAuthorizedUserStatus(email, status, approvedBy = null) {
+        try {
+            await this.query(
+                'UPDATE authorized_users SET status = ?, approved_by = ?, approved_at = NOW() WHERE email = ?',
+                [status, approvedBy, email.toLowerCase()]
+            );
+            this.logger.info(`Authorized user ${email} set to ${status}`);
+            return this.getAuthorizedUser(email);
+        } catch (error) {
+            this.logger.error('Error updating authorized user status:', error);
+            throw error;
+        }
     }
 
-    async getRows(sheetName) {
+    async updateAuthorizedUserRole(email, role) {
         try {
-            if (!this.sheets) return [];
-            
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.spreadsheetId,
-                range: sheetName
-            });
-            return response.data.values || [];
+            await this.query('UPDATE authorized_users SET role = ? WHERE email = ?', [role, email.toLowerCase()]);
+            this.logger.info(`Authorized user ${email} role set to ${role}`);
+            return this.getAuthorizedUser(email);
         } catch (error) {
-            this.logger.error(`Error getting rows from ${sheetName}:`, error);
-            return [];
+            this.logger.error('Error updating authorized user role:', error);
+            throw error;
         }
     }
 
-    async appendRow(sheetName, row) {
+    async updateAuthorizedUserCompanies(email, companies) {
         try {
-            if (!this.sheets) return;
-            
-            await this.sheets.spreadsheets.values.append({
-                spreadsheetId: this.spreadsheetId,
-                range: `${sheetName}!A:A`,
-                valueInputOption: 'RAW',
-                insertDataOption: 'INSERT_ROWS',
-                resource: {
-                    values: [row]
-                }
-            });
+            await this.query('UPDATE authorized_users SET companies = ? WHERE email = ?', [
+                JSON.stringify(companies || []),
+                email.toLowerCase()
+            ]);
+            this.logger.info(`Authorized user ${email} companies set to ${(companies || []).join(', ') || 'none'}`);
+            return this.getAuthorizedUser(email);
         } catch (error) {
-            this.logger.error(`Error appending row to ${sheetName}:`, error);
+            this.logger.error('Error updating authorized user companies:', error);
             throw error;
         }
     }
 
-    mapRowToClient(row) {
-        return {
-            id: row.client_id || '',
-            date: row.created_at ? new Date(row.created_at).toLocaleDateString() : '',
-            company: row.company_name || '',
-            name: row.client_full_name || '',
-            email: row.email || '',
-            phone: row.phone_number || '',
-            address: row.project_address || '',
-            serviceType: row.service_type || '',
-            status: row.status || '',
-            priority: row.urgency_level || '',
-            notes: row.additional_notes || '',
-            responsible: row.responsable || '',
-            createdAt: row.created_at || ''
-        };
+    async recordAuthorizedUserAccess(email) {
+        try {
+            await this.query(
+                'UPDATE authorized_users SET access_count = access_count + 1, last_access = NOW() WHERE email = ?',
+                [email.toLowerCase()]
+            );
+            return this.getAuthorizedUser(email);
+        } catch (error) {
+            this.logger.error('Error recording authorized user access:', error);
+            throw error;
+        }
     }
 
-    mapRowToReport(row) {
-        const reportData = row.new_values ? JSON.parse(row.new_values) : {};
-        return {
-            id: row.record_id || '',
-            clientId: reportData.clientId || '',
-            date: row.created_at ? new Date(row.created_at).toLocaleDateString() : '',
-            company: reportData.company || '',
-            clientName: reportData.clientName || '',
-            address: reportData.address || '',
-            inspectionType: reportData.inspectionType || '',
-            status: reportData.status || 'Pending',
-            findings: reportData.findings || '',
-            recommendations: reportData.recommendations || '',
-            photos: reportData.photos || '',
-            inspector: row.user_email || 'System',
-            nextInspectionDate: reportData.nextInspectionDate || '',
-            createdAt: row.created_at || ''
-        };
+    async deleteAuthorizedUser(email) {
+        try {
+            const result = await this.query('DELETE FROM authorized_users WHERE email = ?', [email.toLowerCase()]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            this.logger.error('Error deleting authorized user:', error);
+            throw error;
+        }
+    }
+
+    // Report Management
+    async addReport(reportData) {
+        try {
+            if (!this.mysqlConnected) {
+                throw new Error('MySQL not connected');
+            }
+
+            const reportId = reportData.reportId || await this.generateId();
+            
+            const sql = `
+                INSERT INTO reports (
+                    report_id, client_id, report_type, inspection_date,
+                    findings, recommendations, photos, inspector,
+                    next_inspection_date, status
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+            
+            const values = [
+                reportId,
+                reportData.clientId,
+                reportData.reportType || 'Fire Escape Inspection',
+                reportData.inspectionDate || null,
+                reportData.findings || '',
+                reportData.recommendations || '',
+                JSON.stringify(reportData.photos || []),
+                reportData.inspector || 'System',
+                reportData.nextInspectionDate || null,
+                'Draft'
+            ];
+
+            await this.mysqlPool.execute(sql, values);
+            this.invalidateCache('reports');
+            this.invalidateCache('stats');
+            
+            this.logger.info(`Report added: ${reportId}`);
+            return { success: true, reportId };
+        } catch (error) {
+            this.logger.error('Error adding report:', error);
+            throw error;
+        }
+    }
+
+    async getReportById(reportId) {
+        try {
+            const rows = await this.query('SELECT * FROM reports WHERE report_id = ?', [reportId]);
+            return rows.length > 0 ? this.mapRowToReport(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting report by ID:', error);
+            throw error;
+        }
+    }
+
+    async getReports(clientId = null, status = null) {
+        try {
+            if (!this.mysqlConnected) {
+                throw new Error('MySQL not connected');
+            }
+
+            const cacheKey = `reports_${clientId || 'all'}_${status || 'all'}`;
+            if (this.isCacheValid(cacheKey)) {
+                return this.cache.get(cacheKey).data;
+            }
+
+            let sql = 'SELECT * FROM reports WHERE 1 = 1';
+            let values = [];
+            
+            if (clientId) {
+                sql += ' AND client_id = ?';
+                values.push(clientId);
+            }
+            if (status) {
+                sql += ' AND status = ?';
+                values.push(status);
+            }
+            
+            sql += ' ORDER BY created_at DESC';
+
+            const [rows] = await this.mysqlPool.execute(sql, values);
+            let reports = rows.map(row => this.mapRowToReport(row));
+
+            this.setCache(cacheKey, reports);
+            return reports;
+        } catch (error) {
+            this.logger.error('Error getting reports:', error);
+            throw error;
+        }
+    }
+
+    async updateReport(reportId, updates) {
+        try {
+            // Solo se permiten estas columnas para evitar SQL arbitrario
+            const columns = {
+                reportType: 'report_type',
+                inspectionDate: 'inspection_date',
+                findings: 'findings',
+                recommendations: 'recommendations',
+                photos: 'photos',
+                inspector: 'inspector',
+                nextInspectionDate: 'next_inspection_date',
+                status: 'status'
+            };
+
+            const assignments = [];
+            const values = [];
+            for (const [key, column] of Object.entries(columns)) {
+                if (updates[key] === undefined) continue;
+
+                let value = updates[key];
+                if (key === 'photos') {
+                    value = JSON.stringify(value || []);
+                } else if (key.endsWith('Date') && !value) {
+                    value = null;
+                }
+
+                assignments.push(`${column} = ?`);
+                values.push(value);
+            }
+
+            if (assignments.length === 0) {
+                return this.getReportById(reportId);
+            }
+
+            values.push(reportId);
+            await this.query(
+                `UPDATE reports SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE report_id = ?`,
+                values
+            );
+            this.invalidateCache('reports');
+            this.invalidateCache('stats');
+
+            this.logger.info(`Report ${reportId} updated`, Object.keys(updates));
+            return this.getReportById(reportId);
+        } catch (error) {
+            this.logger.error('Error updating report:', error);
+            throw error;
+        }
+    }
+
+    // Appointment Management
+    async createAppointment(appointmentData) {
+        try {
+            if (!this.mysqlConnected) {
+                throw new Error('MySQL not connected');
+            }
+
+            const sql = `
+                INSERT INTO appointments (
+                    appointment_id, client_id, client_name, responsable,
+                    appointment_type, start_time, end_time, address, notes,
+                    status, created_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            const values = [
+                appointmentData.appointmentId,
+                appointmentData.clientId,
+                appointmentData.clientName || '',
+                appointmentData.responsable,
+                appointmentData.appointmentType || 'Fire Escape Inspection',
+                appointmentData.startTime,
+                appointmentData.endTime,
+                appointmentData.address || '',
+                appointmentData.notes || '',
+                'Scheduled',
+                appointmentData.createdBy || 'System'
+            ];
+
+            await this.mysqlPool.execute(sql, values);
+            this.invalidateCache('appointments');
+
+            this.logger.info(`Appointment added: ${appointmentData.appointmentId}`);
+            return this.getAppointmentById(appointmentData.appointmentId);
+        } catch (error) {
+            this.logger.error('Error adding appointment:', error);
+            throw error;
+        }
+    }
+
+    async getAppointmentById(appointmentId) {
+        try {
+            const rows = await this.query('SELECT * FROM appointments WHERE appointment_id = ?', [appointmentId]);
+            return rows.length > 0 ? this.mapRowToAppointment(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting appointment by ID:', error);
+            throw error;
+        }
+    }
+
+    async getAppointments(filters = {}) {
+        try {
+            let sql = 'SELECT * FROM appointments WHERE 1 = 1';
+            const values = [];
+
+            if (filters.clientId) {
+                sql += ' AND client_id = ?';
+                values.push(filters.clientId);
+            }
+            if (filters.responsable) {
+                sql += ' AND responsable = ?';
+                values.push(filters.responsable);
+            }
+            if (filters.status) {
+                sql += ' AND status = ?';
+                values.push(filters.status);
+            }
+            if (filters.from) {
+                sql += ' AND start_time >= ?';
+                values.push(filters.from);
+            }
+            if (filters.to) {
+                sql += ' AND start_time < ?';
+                values.push(filters.to);
+            }
+
+            sql += ' ORDER BY start_time ASC';
+
+            const rows = await this.query(sql, values);
+            return rows.map(row => this.mapRowToAppointment(row));
+        } catch (error) {
+            this.logger.error('Error getting appointments:', error);
+            throw error;
+        }
+    }
+
+    async updateAppointment(appointmentId, updates) {
+        try {
+            // Solo se permiten estas columnas para evitar SQL arbitrario
+            const columns = {
+                responsable: 'responsable',
+                appointmentType: 'appointment_type',
+                startTime: 'start_time',
+                endTime: 'end_time',
+                notes: 'notes',
+                status: 'status',
+                cancellationReason: 'cancellation_reason'
+            };
+
+            const assignments = [];
+            const values = [];
+            for (const [key, column] of Object.entries(columns)) {
+                if (updates[key] !== undefined) {
+                    assignments.push(`${column} = ?`);
+                    values.push(updates[key]);
+                }
+            }
+
+            if (assignments.length === 0) {
+                return this.getAppointmentById(appointmentId);
+            }
+
+            values.push(appointmentId);
+            await this.query(
+                `UPDATE appointments SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE appointment_id = ?`,
+                values
+            );
+            this.invalidateCache('appointments');
+
+            this.logger.info(`Appointment ${appointmentId} updated`, updates);
+            return this.getAppointmentById(appointmentId);
+        } catch (error) {
+            this.logger.error('Error updating appointment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Run fn while holding a MySQL named lock (GET_LOCK): callers with the same name run one at a time
+     * @param {string} name - Lock name (hashed, GET_LOCK names are limited to 64 characters)
+     * @param {Function} fn - Async work done under the lock
+     * @param {number} timeoutSeconds - How long to wait for the lock
+     */
+    async withNamedLock(name, fn, timeoutSeconds = 10) {
+        if (!this.mysqlConnected) {
+            throw new Error('MySQL not connected');
+        }
+
+        const lockName = `portal:${crypto.createHash('sha1').update(name).digest('hex')}`;
+        const connection = await this.mysqlPool.getConnection();
+        try {
+            const [rows] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [lockName, timeoutSeconds]);
+            if (!rows[0] || rows[0].acquired !== 1) {
+                const error = new Error(`Timed out waiting for lock ${name}`);
+                error.code = 'LOCK_TIMEOUT';
+                throw error;
+            }
+            try {
+                return await fn();
+            } finally {
+                await connection.query('SELECT RELEASE_LOCK(?)', [lockName]);
+            }
+        } finally {
+            connection.release();
+        }
+    }
+
+    async findConflictingAppointments(responsable, startTime, endTime, excludeAppointmentId = null) {
+        try {
+            // Dos visitas chocan si se solapan en el tiempo para el mismo responsable
+            let sql = `
+                SELECT * FROM appointments
+                WHERE responsable = ?
+                AND status <> 'Cancelled'
+                AND start_time < ?
+                AND end_time > ?
+            `;
+            const values = [responsable, endTime, startTime];
+
+            if (excludeAppointmentId) {
+                sql += ' AND appointment_id <> ?';
+                values.push(excludeAppointmentId);
+            }
+
+            const rows = await this.query(sql, values);
+            return rows.map(row => this.mapRowToAppointment(row));
+        } catch (error) {
+            this.logger.error('Error checking appointment conflicts:', error);
+            throw error;
+        }
+    }
+
+    // Inspection Reminders
+    async getUpcomingInspections(daysAhead = 30, onlyPending = false) {
+        try {
+            // Solo cuenta el último reporte finalizado de cada cliente; un reporte más
+            // nuevo (aunque sea Draft) significa que la renovación ya está en marcha
+            let sql = `
+                SELECT r.*, c.client_full_name, c.email, c.phone_number, c.project_address,
+                       c.company_name, c.responsable, c.status AS client_status,
+                       ir.sent_at AS reminder_sent_at
+                FROM reports r
+                JOIN clients c ON c.client_id = r.client_id
+                LEFT JOIN inspection_reminders ir
+                    ON ir.report_id = r.report_id AND ir.next_inspection_date = r.next_inspection_date
+                WHERE r.next_inspection_date IS NOT NULL
+                AND r.status <> 'Draft'
+                AND r.next_inspection_date <= DATE_ADD(CURDATE(), INTERVAL ? DAY)
+                AND NOT EXISTS (
+                    SELECT 1 FROM reports newer
+                    WHERE newer.client_id = r.client_id AND newer.id > r.id
+                )
+            `;
+
+            if (onlyPending) {
+                sql += ' AND ir.id IS NULL';
+            }
+
+            sql += ' ORDER BY r.next_inspection_date ASC';
+
+            const rows = await this.query(sql, [String(parseInt(daysAhead, 10) || 30)]);
+            return rows.map(row => this.mapRowToUpcomingInspection(row));
+        } catch (error) {
+            this.logger.error('Error getting upcoming inspections:', error);
+            throw error;
+        }
+    }
+
+    async recordInspectionReminder(reminderData) {
+        try {
+            const sql = `
+                INSERT IGNORE INTO inspection_reminders (
+                    report_id, client_id, next_inspection_date,
+                    client_notified, inspector_notified, follow_up_created
+                ) VALUES (?, ?, ?, ?, ?, ?)
+            `;
+
+            await this.query(sql, [
+                reminderData.reportId,
+                reminderData.clientId,
+                reminderData.nextInspectionDate,
+                !!reminderData.clientNotified,
+                !!reminderData.inspectorNotified,
+                !!reminderData.followUpCreated
+            ]);
+
+            this.logger.info(`Inspection reminder recorded for report ${reminderData.reportId}`);
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Error recording inspection reminder:', error);
+            throw error;
+        }
+    }
+
+    // Google Drive folder of a client (saved when the folder is created or matched by the backfill)
+    async updateClientDriveFolder(clientId, folderId, folderLink = null) {
+        try {
+            // No cuenta como edición del cliente: no debe disparar un push a Google Sheets
+            const result = await this.query(
+                'UPDATE clients SET drive_folder_id = ?, drive_folder_link = ?, updated_at = updated_at WHERE client_id = ?',
+                [folderId, folderLink, clientId]
+            );
+            this.invalidateCache('clients');
+            return { success: result.affectedRows > 0 };
+        } catch (error) {
+            this.logger.error('Error updating client drive folder:', error);
+            throw error;
+        }
+    }
+
+    async getClientsWithoutDriveFolder(limit = 100) {
+        try {
+            const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+            const rows = await this.query(
+                `SELECT * FROM clients WHERE drive_folder_id IS NULL OR drive_folder_id = '' ORDER BY created_at DESC LIMIT ${safeLimit}`
+            );
+            return rows.map(row => this.mapRowToClient(row));
+        } catch (error) {
+            this.logger.error('Error getting clients without drive folder:', error);
+            throw error;
+        }
+    }
+
+    // client_id → { folderId, folderLink } for every client with a saved folder
+    async getClientDriveFolders() {
+        try {
+            const rows = await this.query(
+                "SELECT client_id, drive_folder_id, drive_folder_link FROM clients WHERE drive_folder_id IS NOT NULL AND drive_folder_id <> ''"
+            );
+            return new Map(rows.map(row => [row.client_id, { folderId: row.drive_folder_id, folderLink: row.drive_folder_link }]));
+        } catch (error) {
+            this.logger.error('Error getting client drive folders:', error);
+            throw error;
+        }
+    }
+
+    // Two-way sync (Google Sheets <-> MySQL) change tracking
+    async getClientSyncState(clientId) {
+        try {
+            const rows = await this.query('SELECT * FROM clients WHERE client_id = ?', [clientId]);
+            return rows.length > 0 ? this.mapRowToClientSyncState(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting client sync state:', error);
+            throw error;
+        }
+    }
+
+    // Clients edited in the portal since they were last synced (or never synced)
+    async getClientsPendingPush() {
+        try {
+            const rows = await this.query('SELECT * FROM clients WHERE synced_at IS NULL OR updated_at > synced_at');
+            return rows.map(row => this.mapRowToClientSyncState(row));
+        } catch (error) {
+            this.logger.error('Error getting clients pending push:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Insert or overwrite a client with the values read from the sheet and mark it as synced
+     * @param {string} clientId - Client ID
+     * @param {Object} values - Column values (see SYNC_CLIENT_COLUMNS)
+     * @param {string} sheetRowHash - Hash of the sheet row the values came from
+     */
+    async upsertClientFromSheet(clientId, values, sheetRowHash) {
+        try {
+            const columns = SYNC_CLIENT_COLUMNS.filter(column => values[column] !== undefined);
+            const now = new Date();
+            const sql = `
+                INSERT INTO clients (client_id, ${columns.join(', ')}, sheet_row_hash, synced_at, updated_at)
+                VALUES (?, ${columns.map(() => '?').join(', ')}, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    ${columns.map(column => `${column} = VALUES(${column})`).join(', ')},
+                    sheet_row_hash = VALUES(sheet_row_hash),
+                    synced_at = VALUES(synced_at),
+                    updated_at = VALUES(updated_at)
+            `;
+
+            await this.query(sql, [clientId, ...columns.map(column => values[column]), sheetRowHash, now, now]);
+            this.invalidateCache('clients');
+            return this.getClientSyncState(clientId);
+        } catch (error) {
+            this.logger.error('Error upserting client from sheet:', error);
+            throw error;
+        }
+    }
+
+    // The sheet row now matches the database row: remember its hash without touching updated_at
+    async markClientSynced(clientId, sheetRowHash) {
+        try {
+            await this.query(
+                'UPDATE clients SET sheet_row_hash = ?, synced_at = updated_at, updated_at = updated_at WHERE client_id = ?',
+                [sheetRowHash, clientId]
+            );
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Error marking client as synced:', error);
+            throw error;
+        }
+    }
+
+    // An open conflict per client: a later sync refreshes it instead of piling up duplicates
+    async recordSyncConflict(conflict) {
+        try {
+            const existing = await this.query(
+                "SELECT id FROM sync_conflicts WHERE client_id = ? AND status = 'Open' LIMIT 1",
+                [conflict.clientId]
+            );
+            const values = [
+                JSON.stringify(conflict.fields || []),
+                JSON.stringify(conflict.sheetValues || {}),
+                JSON.stringify(conflict.databaseValues || {}),
+                conflict.sheetRowHash || null
+            ];
+
+            if (existing.length > 0) {
+                await this.query(
+                    'UPDATE sync_conflicts SET fields = ?, sheet_values = ?, database_values = ?, sheet_row_hash = ? WHERE id = ?',
+                    [...values, existing[0].id]
+                );
+                return this.getSyncConflictById(existing[0].id);
+            }
+
+            const result = await this.query(
+                'INSERT INTO sync_conflicts (client_id, fields, sheet_values, database_values, sheet_row_hash) VALUES (?, ?, ?, ?, ?)',
+                [conflict.clientId, ...values]
+            );
+            return this.getSyncConflictById(result.insertId);
+        } catch (error) {
+            this.logger.error('Error recording sync conflict:', error);
+            throw error;
+        }
+    }
+
+    async getSyncConflictById(conflictId) {
+        try {
+            const rows = await this.query('SELECT * FROM sync_conflicts WHERE id = ?', [conflictId]);
+            return rows.length > 0 ? this.mapRowToSyncConflict(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting sync conflict:', error);
+            throw error;
+        }
+    }
+
+    async getSyncConflicts(status = 'Open') {
+        try {
+            let sql = 'SELECT * FROM sync_conflicts';
+            const values = [];
+            if (status) {
+                sql += ' WHERE status = ?';
+                values.push(status);
+            }
+            sql += ' ORDER BY detected_at DESC';
+
+            const rows = await this.query(sql, values);
+            return rows.map(row => this.mapRowToSyncConflict(row));
+        } catch (error) {
+            this.logger.error('Error getting sync conflicts:', error);
+            throw error;
+        }
+    }
+
+    async resolveSyncConflict(conflictId, resolution, resolvedBy = null) {
+        try {
+            await this.query(
+                "UPDATE sync_conflicts SET status = 'Resolved', resolution = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?",
+                [resolution, resolvedBy, conflictId]
+            );
+            return this.getSyncConflictById(conflictId);
+        } catch (error) {
+            this.logger.error('Error resolving sync conflict:', error);
+            throw error;
+        }
+    }
+
+    // Email outbox
+    async enqueueEmail(message) {
+        try {
+            const result = await this.query(
+                'INSERT INTO email_outbox (message_type, client_id, recipient, subject, payload, metadata, max_attempts) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [
+                    message.messageType,
+                    message.clientId || null,
+                    String(message.recipient).substring(0, 500),
+                    message.subject ? String(message.subject).substring(0, 500) : null,
+                    JSON.stringify(message.payload),
+                    message.metadata ? JSON.stringify(message.metadata) : null,
+                    message.maxAttempts
+                ]
+            );
+            return this.getOutboxEmailById(result.insertId);
+        } catch (error) {
+            this.logger.error('Error enqueueing email:', error);
+            throw error;
+        }
+    }
+
+    async getOutboxEmailById(emailId) {
+        try {
+            const rows = await this.query('SELECT * FROM email_outbox WHERE id = ?', [emailId]);
+            return rows.length > 0 ? this.mapRowToOutboxEmail(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting outbox email:', error);
+            throw error;
+        }
+    }
+
+    // Pending messages whose next attempt is due, oldest first
+    async getDueOutboxEmails(limit = 20) {
+        try {
+            const rows = await this.query(
+                `SELECT * FROM email_outbox WHERE status = 'Pending' AND next_attempt_at <= NOW() ORDER BY next_attempt_at ASC LIMIT ${parseInt(limit, 10) || 20}`
+            );
+            return rows.map(row => this.mapRowToOutboxEmail(row));
+        } catch (error) {
+            this.logger.error('Error getting due outbox emails:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reserve a message for one worker by pushing its next attempt into the future.
+     * If the worker dies mid-send the lease expires and the message is picked up again.
+     * @returns {boolean} - false when another worker already claimed it
+     */
+    async claimOutboxEmail(emailId, leaseSeconds) {
+        try {
+            const result = await this.query(
+                "UPDATE email_outbox SET next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ? AND status = 'Pending' AND next_attempt_at <= NOW()",
+                [String(leaseSeconds), emailId]
+            );
+            return result.affectedRows === 1;
+        } catch (error) {
+            this.logger.error('Error claiming outbox email:', error);
+            throw error;
+        }
+    }
+
+    async markOutboxEmailSent(emailId, attempts, messageId = null) {
+        try {
+            await this.query(
+                "UPDATE email_outbox SET status = 'Sent', attempts = ?, message_id = ?, last_error = NULL, sent_at = CURRENT_TIMESTAMP WHERE id = ?",
+                [attempts, messageId, emailId]
+            );
+            return this.getOutboxEmailById(emailId);
+        } catch (error) {
+            this.logger.error('Error marking outbox email as sent:', error);
+            throw error;
+        }
+    }
+
+    // Failed attempt: schedule a retry, or mark the message as Failed when retryInSeconds is null
+    async recordOutboxEmailFailure(emailId, attempts, errorMessage, retryInSeconds = null) {
+        try {
+            if (retryInSeconds) {
+                await this.query(
+                    'UPDATE email_outbox SET attempts = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?',
+                    [attempts, errorMessage, String(retryInSeconds), emailId]
+                );
+            } else {
+                await this.query(
+                    "UPDATE email_outbox SET status = 'Failed', attempts = ?, last_error = ? WHERE id = ?",
+                    [attempts, errorMessage, emailId]
+                );
+            }
+            return this.getOutboxEmailById(emailId);
+        } catch (error) {
+            this.logger.error('Error recording outbox email failure:', error);
+            throw error;
+        }
+    }
+
+    // Manual retry of a Failed message: back to Pending with a fresh set of attempts
+    async requeueOutboxEmail(emailId) {
+        try {
+            await this.query(
+                "UPDATE email_outbox SET status = 'Pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'Failed'",
+                [emailId]
+            );
+            return this.getOutboxEmailById(emailId);
+        } catch (error) {
+            this.logger.error('Error requeueing outbox email:', error);
+            throw error;
+        }
+    }
+
+    async getOutboxEmails({ status = null, clientId = null, limit = 100 } = {}) {
+        try {
+            const conditions = [];
+            const values = [];
+            if (status) {
+                conditions.push('status = ?');
+                values.push(status);
+            }
+            if (clientId) {
+                conditions.push('client_id = ?');
+                values.push(clientId);
+            }
+
+            let sql = 'SELECT * FROM email_outbox';
+            if (conditions.length > 0) {
+                sql += ` WHERE ${conditions.join(' AND ')}`;
+            }
+            sql += ` ORDER BY created_at DESC, id DESC LIMIT ${Math.min(parseInt(limit, 10) || 100, 500)}`;
+
+            const rows = await this.query(sql, values);
+            return rows.map(row => this.mapRowToOutboxEmail(row));
+        } catch (error) {
+            this.logger.error('Error getting outbox emails:', error);
+            throw error;
+        }
+    }
+
+    async getOutboxEmailCounts() {
+        try {
+            const rows = await this.query('SELECT status, COUNT(*) AS total FROM email_outbox GROUP BY status');
+            const counts = { Pending: 0, Sent: 0, Failed: 0 };
+            for (const row of rows) {
+                counts[row.status] = Number(row.total);
+            }
+            return counts;
+        } catch (error) {
+            this.logger.error('Error counting outbox emails:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Status driven by an email delivery (form_emailer_status, invoice_status, estimate_status).
+     * updated_at stays put: the same value is written to the sheet, so the sync has nothing to push.
+     */
+    async updateClientEmailStatus(clientId, column, status) {
+        try {
+            if (!CLIENT_EMAIL_STATUS_COLUMNS.includes(column)) {
+                throw new Error(`Invalid client status column: ${column}`);
+            }
+            await this.query(
+                `UPDATE clients SET ${column} = ?, updated_at = updated_at WHERE client_id = ?`,
+                [status, clientId]
+            );
+            this.invalidateCache('clients');
+            return { success: true };
+        } catch (error) {
+            this.logger.error(`Error updating client ${column}:`, error);
+            throw error;
+        }
+    }
+
+    async updateClientFormEmailerStatus(clientId, status) {
+        return this.updateClientEmailStatus(clientId, 'form_emailer_status', status);
+    }
+
+    // Zoho Flow deliveries that failed on the first try: retried by ZohoDeliveryService, Failed = dead letter
+
+    /**
+     * Store a delivery after its first failed attempt
+     * @param {Object} delivery - { clientId, clientName, payload, attempts, maxAttempts, lastError, statusCode, retryInSeconds }
+     */
+    async createZohoDelivery(delivery) {
+        try {
+            const status = delivery.retryInSeconds ? 'Pending' : 'Failed';
+            const result = await this.query(
+                `INSERT INTO zoho_deliveries (client_id, client_name, payload, status, attempts, max_attempts, last_error, status_code, next_attempt_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+                [
+                    delivery.clientId || null,
+                    delivery.clientName ? String(delivery.clientName).substring(0, 255) : null,
+                    JSON.stringify(delivery.payload),
+                    status,
+                    delivery.attempts,
+                    delivery.maxAttempts,
+                    delivery.lastError || null,
+                    delivery.statusCode || null,
+                    String(delivery.retryInSeconds || 0)
+                ]
+            );
+            return this.getZohoDeliveryById(result.insertId);
+        } catch (error) {
+            this.logger.error('Error storing Zoho delivery:', error);
+            throw error;
+        }
+    }
+
+    async getZohoDeliveryById(deliveryId) {
+        try {
+            const rows = await this.query('SELECT * FROM zoho_deliveries WHERE id = ?', [deliveryId]);
+            return rows.length > 0 ? this.mapRowToZohoDelivery(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting Zoho delivery:', error);
+            throw error;
+        }
+    }
+
+    async getDueZohoDeliveries(limit = 10) {
+        try {
+            const rows = await this.query(
+                `SELECT * FROM zoho_deliveries WHERE status = 'Pending' AND next_attempt_at <= NOW() ORDER BY next_attempt_at ASC LIMIT ${parseInt(limit, 10) || 10}`
+            );
+            return rows.map(row => this.mapRowToZohoDelivery(row));
+        } catch (error) {
+            this.logger.error('Error getting due Zoho deliveries:', error);
+            throw error;
+        }
+    }
+
+    // Same lease as claimOutboxEmail: the next attempt moves into the future while a worker sends it
+    async claimZohoDelivery(deliveryId, leaseSeconds) {
+        try {
+            const result = await this.query(
+                "UPDATE zoho_deliveries SET next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ? AND status = 'Pending' AND next_attempt_at <= NOW()",
+                [String(leaseSeconds), deliveryId]
+            );
+            return result.affectedRows === 1;
+        } catch (error) {
+            this.logger.error('Error claiming Zoho delivery:', error);
+            throw error;
+        }
+    }
+
+    async markZohoDeliverySent(deliveryId, attempts, statusCode = null) {
+        try {
+            await this.query(
+                "UPDATE zoho_deliveries SET status = 'Sent', attempts = ?, status_code = ?, last_error = NULL, sent_at = CURRENT_TIMESTAMP WHERE id = ?",
+                [attempts, statusCode, deliveryId]
+            );
+            return this.getZohoDeliveryById(deliveryId);
+        } catch (error) {
+            this.logger.error('Error marking Zoho delivery as sent:', error);
+            throw error;
+        }
+    }
+
+    // Failed attempt: schedule a retry, or move it to the dead-letter list (Failed) when retryInSeconds is null
+    async recordZohoDeliveryFailure(deliveryId, attempts, errorMessage, statusCode = null, retryInSeconds = null) {
+        try {
+            if (retryInSeconds) {
+                await this.query(
+                    'UPDATE zoho_deliveries SET attempts = ?, last_error = ?, status_code = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?',
+                    [attempts, errorMessage, statusCode, String(retryInSeconds), deliveryId]
+                );
+            } else {
+                await this.query(
+                    "UPDATE zoho_deliveries SET status = 'Failed', attempts = ?, last_error = ?, status_code = ? WHERE id = ?",
+                    [attempts, errorMessage, statusCode, deliveryId]
+                );
+            }
+            return this.getZohoDeliveryById(deliveryId);
+        } catch (error) {
+            this.logger.error('Error recording Zoho delivery failure:', error);
+            throw error;
+        }
+    }
+
+    // Resend from the dead-letter list: back to Pending with a fresh set of attempts
+    async requeueZohoDelivery(deliveryId) {
+        try {
+            await this.query(
+                "UPDATE zoho_deliveries SET status = 'Pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'Failed'",
+                [deliveryId]
+            );
+            return this.getZohoDeliveryById(deliveryId);
+        } catch (error) {
+            this.logger.error('Error requeueing Zoho delivery:', error);
+            throw error;
+        }
+    }
+
+    async getZohoDeliveries({ status = null, limit = 100 } = {}) {
+        try {
+            const values = [];
+            let sql = 'SELECT * FROM zoho_deliveries';
+            if (status) {
+                sql += ' WHERE status = ?';
+                values.push(status);
+            }
+            sql += ` ORDER BY created_at DESC, id DESC LIMIT ${Math.min(parseInt(limit, 10) || 100, 500)}`;
+
+            const rows = await this.query(sql, values);
+            return rows.map(row => this.mapRowToZohoDelivery(row));
+        } catch (error) {
+            this.logger.error('Error getting Zoho deliveries:', error);
+            throw error;
+        }
+    }
+
+    async getZohoDeliveryCounts() {
+        try {
+            const rows = await this.query('SELECT status, COUNT(*) AS total FROM zoho_deliveries GROUP BY status');
+            const counts = { Pending: 0, Sent: 0, Failed: 0 };
+            for (const row of rows) {
+                counts[row.status] = Number(row.total);
+            }
+            return counts;
+        } catch (error) {
+            this.logger.error('Error counting Zoho deliveries:', error);
+            throw error;
+        }
+    }
+
+    // Inbound Zoho webhooks: one row per event_id so a replayed delivery is applied only once
+
+    /**
+     * Claim an event for processing. A new event_id, or one that failed before, is claimed;
+     * anything else is a replay.
+     * @returns {Promise<boolean>} - true when this request should process the event
+     */
+    async claimZohoWebhookEvent(eventId, eventType, payload) {
+        try {
+            const result = await this.query(
+                'INSERT IGNORE INTO zoho_webhook_events (event_id, event_type, payload) VALUES (?, ?, ?)',
+                [eventId, eventType, JSON.stringify(payload)]
+            );
+            if (result.affectedRows === 1) {
+                return true;
+            }
+
+            const retry = await this.query(
+                "UPDATE zoho_webhook_events SET status = 'Processing', message = NULL, payload = ? WHERE event_id = ? AND status = 'Failed'",
+                [JSON.stringify(payload), eventId]
+            );
+            return retry.affectedRows === 1;
+        } catch (error) {
+            this.logger.error('Error claiming Zoho webhook event:', error);
+            throw error;
+        }
+    }
+
+    async completeZohoWebhookEvent(eventId, status, clientId = null, message = null) {
+        try {
+            await this.query(
+                'UPDATE zoho_webhook_events SET status = ?, client_id = ?, message = ? WHERE event_id = ?',
+                [status, clientId, message, eventId]
+            );
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Error completing Zoho webhook event:', error);
+            throw error;
+        }
+    }
+
+    async getZohoWebhookEvent(eventId) {
+        try {
+            const rows = await this.query('SELECT * FROM zoho_webhook_events WHERE event_id = ?', [eventId]);
+            return rows.length > 0 ? this.mapRowToZohoWebhookEvent(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting Zoho webhook event:', error);
+            throw error;
+        }
+    }
+
+    // Login sessions (user_sessions): one row per token id (jti), revoked_at set on logout/revocation
+
+    async createUserSession(session) {
+        try {
+            await this.query(
+                `INSERT INTO user_sessions (jti, user_id, user_email, auth_method, ip_address, user_agent, last_seen_at, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, NOW(), FROM_UNIXTIME(?))`,
+                [
+                    session.jti,
+                    session.userId || null,
+                    session.userEmail.toLowerCase(),
+                    session.authMethod || 'google',
+                    session.ipAddress || null,
+                    session.userAgent ? String(session.userAgent).substring(0, 500) : null,
+                    String(session.expiresAt)
+                ]
+            );
+            return this.getUserSession(session.jti);
+        } catch (error) {
+            this.logger.error('Error creating user session:', error);
+            throw error;
+        }
+    }
+
+    async getUserSession(jti) {
+        try {
+            const rows = await this.query('SELECT * FROM user_sessions WHERE jti = ?', [jti]);
+            return rows.length > 0 ? this.mapRowToUserSession(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting user session:', error);
+            throw error;
+        }
+    }
+
+    // Sessions not revoked and not expired, newest activity first
+    async getActiveUserSessions({ email = null, limit = 200 } = {}) {
+        try {
+            const values = [];
+            let sql = 'SELECT * FROM user_sessions WHERE revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())';
+            if (email) {
+                sql += ' AND user_email = ?';
+                values.push(email.toLowerCase());
+            }
+            sql += ` ORDER BY COALESCE(last_seen_at, created_at) DESC LIMIT ${Math.min(parseInt(limit, 10) || 200, 1000)}`;
+
+            const rows = await this.query(sql, values);
+            return rows.map(row => this.mapRowToUserSession(row));
+        } catch (error) {
+            this.logger.error('Error getting active user sessions:', error);
+            throw error;
+        }
+    }
+
+    async touchUserSession(jti) {
+        try {
+            await this.query('UPDATE user_sessions SET last_seen_at = NOW() WHERE jti = ? AND revoked_at IS NULL', [jti]);
+        } catch (error) {
+            this.logger.error('Error updating user session activity:', error);
+            throw error;
+        }
+    }
+
+    // A refreshed session keeps its jti and lives until the new refresh token expires
+    async extendUserSession(jti, expiresAt) {
+        try {
+            const result = await this.query(
+                'UPDATE user_sessions SET expires_at = FROM_UNIXTIME(?), last_seen_at = NOW() WHERE jti = ? AND revoked_at IS NULL',
+                [String(expiresAt), jti]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            this.logger.error('Error extending user session:', error);
+            throw error;
+        }
+    }
+
+    async revokeUserSession(jti, revokedBy = null, reason = 'logout') {
+        try {
+            const result = await this.query(
+                'UPDATE user_sessions SET revoked_at = NOW(), revoked_by = ?, revoke_reason = ? WHERE jti = ? AND revoked_at IS NULL',
+                [revokedBy, reason, jti]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            this.logger.error('Error revoking user session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke every active session of a user, optionally keeping one
+     * @returns {Promise<Array>} - Sessions revoked (jti + expiresAt for the in-memory blacklist)
+     */
+    async revokeUserSessions(email, revokedBy = null, reason = 'logout_all', exceptJti = null) {
+        try {
+            const active = (await this.getActiveUserSessions({ email, limit: 1000 })).filter(session => session.jti !== exceptJti);
+            if (active.length === 0) {
+                return [];
+            }
+
+            const jtis = active.map(session => session.jti);
+            await this.query(
+                `UPDATE user_sessions SET revoked_at = NOW(), revoked_by = ?, revoke_reason = ?
+                 WHERE jti IN (${jtis.map(() => '?').join(', ')}) AND revoked_at IS NULL`,
+                [revokedBy, reason, ...jtis]
+            );
+            return active;
+        } catch (error) {
+            this.logger.error('Error revoking user sessions:', error);
+            throw error;
+        }
+    }
+
+    // Token ids that are revoked but whose tokens have not expired yet (the blacklist)
+    async getRevokedUserSessionIds() {
+        try {
+            const rows = await this.query(
+                'SELECT jti, expires_at FROM user_sessions WHERE revoked_at IS NOT NULL AND (expires_at IS NULL OR expires_at > NOW())'
+            );
+            return rows.map(row => ({ jti: row.jti, expiresAt: row.expires_at || null }));
+        } catch (error) {
+            this.logger.error('Error getting revoked user sessions:', error);
+            throw error;
+        }
+    }
+
+    async deleteExpiredUserSessions(retentionDays = 30) {
+        try {
+            const result = await this.query(
+                'DELETE FROM user_sessions WHERE expires_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+                [String(parseInt(retentionDays, 10) || 30)]
+            );
+            return result.affectedRows;
+        } catch (error) {
+            this.logger.error('Error deleting expired user sessions:', error);
+            throw error;
+        }
+    }
+
+    // Two-factor authentication (user_two_factor): TOTP secrets are stored encrypted, backup codes as SHA-256 hashes
+    async getUserTwoFactor(email) {
+        try {
+            const rows = await this.query('SELECT * FROM user_two_factor WHERE user_email = ?', [email.toLowerCase()]);
+            return rows.length > 0 ? this.mapRowToUserTwoFactor(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting two-factor settings:', error);
+            throw error;
+        }
+    }
+
+    // Enrolment started: the new secret waits in pending_secret_encrypted until the first code confirms it
+    async saveUserTwoFactorPending(email, pendingSecretEncrypted) {
+        try {
+            await this.query(
+                `INSERT INTO user_two_factor (user_email, pending_secret_encrypted)
+                 VALUES (?, ?)
+                 ON DUPLICATE KEY UPDATE pending_secret_encrypted = VALUES(pending_secret_encrypted)`,
+                [email.toLowerCase(), pendingSecretEncrypted]
+            );
+            return this.getUserTwoFactor(email);
+        } catch (error) {
+            this.logger.error('Error saving pending two-factor secret:', error);
+            throw error;
+        }
+    }
+
+    async enableUserTwoFactor(email, secretEncrypted, backupCodeHashes, lastUsedStep) {
+        try {
+            await this.query(
+                `UPDATE user_two_factor
+                 SET secret_encrypted = ?, pending_secret_encrypted = NULL, enabled = TRUE, backup_codes = ?,
+                     last_used_step = ?, failed_attempts = 0, locked_until = NULL, enabled_at = NOW()
+                 WHERE user_email = ?`,
+                [secretEncrypted, JSON.stringify(backupCodeHashes || []), String(lastUsedStep), email.toLowerCase()]
+            );
+            return this.getUserTwoFactor(email);
+        } catch (error) {
+            this.logger.error('Error enabling two-factor authentication:', error);
+            throw error;
+        }
+    }
+
+    // Successful code: reset the failure counter, remember the TOTP step (no replay) and the remaining backup codes
+    async recordUserTwoFactorSuccess(email, { lastUsedStep = null, backupCodeHashes = null } = {}) {
+        try {
+            const sets = ['failed_attempts = 0', 'locked_until = NULL'];
+            const values = [];
+            if (lastUsedStep !== null) {
+                sets.push('last_used_step = ?');
+                values.push(String(lastUsedStep));
+            }
+            if (backupCodeHashes) {
+                sets.push('backup_codes = ?');
+                values.push(JSON.stringify(backupCodeHashes));
+            }
+            values.push(email.toLowerCase());
+            await this.query(`UPDATE user_two_factor SET ${sets.join(', ')} WHERE user_email = ?`, values);
+        } catch (error) {
+            this.logger.error('Error recording two-factor success:', error);
+            throw error;
+        }
+    }
+
+    // Wrong code: count it and lock further attempts for lockMinutes once maxAttempts is reached
+    async recordUserTwoFactorFailure(email, maxAttempts, lockMinutes) {
+        try {
+            await this.query(
+                `UPDATE user_two_factor
+                 SET failed_attempts = failed_attempts + 1,
+                     locked_until = IF(failed_attempts >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), locked_until)
+                 WHERE user_email = ?`,
+                [String(maxAttempts), String(lockMinutes), email.toLowerCase()]
+            );
+            return this.getUserTwoFactor(email);
+        } catch (error) {
+            this.logger.error('Error recording two-factor failure:', error);
+            throw error;
+        }
+    }
+
+    async setUserTwoFactorBackupCodes(email, backupCodeHashes) {
+        try {
+            await this.query(
+                'UPDATE user_two_factor SET backup_codes = ? WHERE user_email = ?',
+                [JSON.stringify(backupCodeHashes || []), email.toLowerCase()]
+            );
+        } catch (error) {
+            this.logger.error('Error saving two-factor backup codes:', error);
+            throw error;
+        }
+    }
+
+    async deleteUserTwoFactor(email) {
+        try {
+            const result = await this.query('DELETE FROM user_two_factor WHERE user_email = ?', [email.toLowerCase()]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            this.logger.error('Error deleting two-factor settings:', error);
+            throw error;
+        }
+    }
+
+    // API keys (api_keys): only the SHA-256 of each key is stored, looked up by its public prefix
+    async createApiKey(apiKey) {
+        try {
+            const result = await this.query(
+                `INSERT INTO api_keys (key_prefix, key_hash, name, scopes, companies, created_by, expires_at, rotated_from)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    apiKey.keyPrefix,
+                    apiKey.keyHash,
+                    apiKey.name,
+                    JSON.stringify(apiKey.scopes || []),
+                    JSON.stringify(apiKey.companies || []),
+                    apiKey.createdBy || null,
+                    apiKey.expiresAt || null,
+                    apiKey.rotatedFrom || null
+                ]
+            );
+            return this.getApiKeyById(result.insertId);
+        } catch (error) {
+            this.logger.error('Error creating API key:', error);
+            throw error;
+        }
+    }
+
+    async getApiKeyById(id) {
+        try {
+            const rows = await this.query('SELECT * FROM api_keys WHERE id = ?', [String(id)]);
+            return rows.length > 0 ? this.mapRowToApiKey(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting API key:', error);
+            throw error;
+        }
+    }
+
+    async getApiKeyByPrefix(keyPrefix) {
+        try {
+            const rows = await this.query('SELECT * FROM api_keys WHERE key_prefix = ?', [keyPrefix]);
+            return rows.length > 0 ? this.mapRowToApiKey(rows[0]) : null;
+        } catch (error) {
+            this.logger.error('Error getting API key by prefix:', error);
+            throw error;
+        }
+    }
+
+    // Newest first; revoked keys only when asked for
+    async getApiKeys({ includeRevoked = false } = {}) {
+        try {
+            const sql = `SELECT * FROM api_keys ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'} ORDER BY created_at DESC`;
+            const rows = await this.query(sql);
+            return rows.map(row => this.mapRowToApiKey(row));
+        } catch (error) {
+            this.logger.error('Error getting API keys:', error);
+            throw error;
+        }
+    }
+
+    async touchApiKey(id, ipAddress, uses = 1) {
+        try {
+            await this.query(
+                'UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ?, usage_count = usage_count + ? WHERE id = ?',
+                [ipAddress || null, String(uses), String(id)]
+            );
+        } catch (error) {
+            this.logger.error('Error updating API key usage:', error);
+            throw error;
+        }
+    }
+
+    // Rotation: the old key ends at expiresAt (grace period) unless it already ends sooner
+    async shortenApiKeyExpiry(id, expiresAt) {
+        try {
+            await this.query(
+                'UPDATE api_keys SET expires_at = ? WHERE id = ? AND (expires_at IS NULL OR expires_at > ?)',
+                [expiresAt, String(id), expiresAt]
+            );
+            return this.getApiKeyById(id);
+        } catch (error) {
+            this.logger.error('Error shortening API key expiry:', error);
+            throw error;
+        }
+    }
+
+    async revokeApiKey(id, revokedBy) {
+        try {
+            const result = await this.query(
+                'UPDATE api_keys SET revoked_at = NOW(), revoked_by = ? WHERE id = ? AND revoked_at IS NULL',
+                [revokedBy || null, String(id)]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            this.logger.error('Error revoking API key:', error);
+            throw error;
+        }
+    }
+
+    // Audit log
+    async logAudit(action, tableName, recordId, oldValues, newValues, userEmail = null, ipAddress = null, userAgent = null, clientId = null) {
+        try {
+            const sql = `
+                INSERT INTO audit_log (
+                    action, table_name, record_id, client_id, old_values, new_values,
+                    user_email, ip_address, user_agent
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            const result = await this.query(sql, [
+                action,
+                tableName,
+                recordId !== null && recordId !== undefined ? String(recordId) : null,
+                clientId,
+                oldValues ? JSON.stringify(oldValues) : null,
+                newValues ? JSON.stringify(newValues) : null,
+                userEmail,
+                ipAddress,
+                userAgent
+            ]);
+
+            return { success: true, id: result.insertId };
+        } catch (error) {
+            this.logger.error('Error writing audit log:', error);
+            throw error;
+        }
+    }
+
+    async getAuditLog(filters = {}) {
+        try {
+            let where = ' WHERE 1 = 1';
+            const values = [];
+
+            if (filters.clientId) {
+                where += ' AND client_id = ?';
+                values.push(filters.clientId);
+            }
+            if (filters.userEmail) {
+                where += ' AND user_email = ?';
+                values.push(filters.userEmail);
+            }
+            if (filters.action) {
+                where += ' AND action = ?';
+                values.push(filters.action);
+            }
+            if (filters.tableName) {
+                where += ' AND table_name = ?';
+                values.push(filters.tableName);
+            }
+            if (filters.from) {
+                where += ' AND created_at >= ?';
+                values.push(filters.from);
+            }
+            if (filters.to) {
+                where += ' AND created_at < ?';
+                values.push(filters.to);
+            }
+
+            const countRows = await this.query(`SELECT COUNT(*) AS total FROM audit_log${where}`, values);
+
+            // LIMIT/OFFSET van interpolados (enteros ya validados): mysql2 no acepta placeholders ahí con execute
+            const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 1000);
+            const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+            const rows = await this.query(
+                `SELECT * FROM audit_log${where} ORDER BY created_at DESC, id DESC LIMIT ${limit} OFFSET ${offset}`,
+                values
+            );
+
+            return {
+                entries: rows.map(row => this.mapRowToAuditEntry(row)),
+                total: countRows[0].total,
+                limit,
+                offset
+            };
+        } catch (error) {
+            this.logger.error('Error reading audit log:', error);
+            throw error;
+        }
+    }
+
+    // Statistics
+    async getStatistics(company = 'all') {
+        try {
+            if (!this.mysqlConnected) {
+                throw new Error('MySQL not connected');
+            }
+
+            const cacheKey = `stats_${company}`;
+            if (this.isCacheValid(cacheKey)) {
+                return this.cache.get(cacheKey);
+            }
+
+            let sql = `
+                SELECT 
+                    COUNT(*) as totalClients,
+                    SUM(CASE WHEN status = 'Active' THEN 1 ELSE 0 END) as activeClients,
+                    SUM(CASE WHEN status = 'New Lead' THEN 1 ELSE 0 END) as pendingClients
+                FROM clients
+            `;
+            let values = [];
+            
+            if (company !== 'all') {
+                sql += ' WHERE company_name = ?';
+                values.push(company);
+            }
+
+            const [rows] = await this.mysqlPool.execute(sql, values);
+            const stats = rows[0];
+
+            // Get reports count
+            const [reportRows] = await this.mysqlPool.execute(
+                'SELECT COUNT(*) as totalReports FROM reports'
+            );
+            stats.totalReports = reportRows[0].totalReports;
+
+            // Get this month reports
+            const [monthlyRows] = await this.mysqlPool.execute(`
+                SELECT COUNT(*) as thisMonth 
+                FROM reports 
+                WHERE MONTH(created_at) = MONTH(CURRENT_DATE())
+                AND YEAR(created_at) = YEAR(CURRENT_DATE())
+            `);
+            stats.thisMonth = monthlyRows[0].thisMonth;
+
+            this.setCache(cacheKey, stats);
+            return stats;
+        } catch (error) {
+            this.logger.error('Error getting statistics:', error);
+            throw error;
+        }
+    }
+
+    // System Configuration
+    async getSystemConfig(key = null) {
+        try {
+            if (!this.mysqlConnected) {
+                throw new Error('MySQL not connected');
+            }
+
+            if (key) {
+                const sql = 'SELECT config_value, config_type FROM system_config WHERE config_key = ?';
+                const [rows] = await this.mysqlPool.execute(sql, [key]);
+                return rows.length > 0 ? rows[0] : null;
+            } else {
+                const sql = 'SELECT config_key, config_value, config_type FROM system_config';
+                const [rows] = await this.mysqlPool.execute(sql);
+                return rows;
+            }
+        } catch (error) {
+            this.logger.error('Error getting system config:', error);
+            throw error;
+        }
+    }
+
+    async setSystemConfig(key, value, type = 'string', description = '') {
+        try {
+            if (!this.mysqlConnected) {
+                throw new Error('MySQL not connected');
+            }
+
+            const sql = `
+                INSERT INTO system_config (config_key, config_value, config_type, description) 
+                VALUES (?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE 
+                    config_value = VALUES(config_value),
+                    config_type = VALUES(config_type),
+                    description = VALUES(description),
+                    updated_at = CURRENT_TIMESTAMP
+            `;
+            
+            await this.mysqlPool.execute(sql, [key, value, type, description]);
+            this.logger.info(`System config updated: ${key}`);
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Error setting system config:', error);
+            throw error;
+        }
+    }
+
+    // Utility Methods
+    async generateId() {
+        return `ID_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    async getRows(sheetName) {
+        try {
+            if (!this.sheets) return [];
+            
+            const response = await this.sheets.spreadsheets.values.get({
+                spreadsheetId: this.spreadsheetId,
+                range: sheetName
+            });
+            return response.data.values || [];
+        } catch (error) {
+            this.logger.error(`Error getting rows from ${sheetName}:`, error);
+            return [];
+        }
+    }
+
+    async appendRow(sheetName, row) {
+        try {
+            if (!this.sheets) return;
+            
+            await this.sheets.spreadsheets.values.append({
+                spreadsheetId: this.spreadsheetId,
+                range: `${sheetName}!A:A`,
+                valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS',
+                resource: {
+                    values: [row]
+                }
+            });
+        } catch (error) {
+            this.logger.error(`Error appending row to ${sheetName}:`, error);
+            throw error;
+        }
+    }
+
+    mapRowToClient(row) {
+        return {
+            id: row.client_id || '',
+            date: row.created_at ? new Date(row.created_at).toLocaleDateString() : '',
+            company: row.company_name || '',
+            name: row.client_full_name || '',
+            email: row.email || '',
+            phone: row.phone_number || '',
+            address: row.project_address || '',
+            serviceType: row.service_type || '',
+            status: row.status || '',
+            priority: row.urgency_level || '',
+            notes: row.additional_notes || '',
+            responsible: row.responsable || '',
+            customerType: row.customer_type || '',
+            projectAddress: row.project_address || '',
+            urgencyLevel: row.urgency_level || '',
+            budgetRange: row.budget_range || '',
+            expectedTimeline: row.expected_timeline || '',
+            technicalDescription: row.technical_description || '',
+            channel: row.channel || '',
+            invoiceStatus: row.invoice_status || '',
+            estimateStatus: row.estimate_status || '',
+            driveFolderId: row.drive_folder_id || null,
+            driveFolderLink: row.drive_folder_link || null,
+            createdAt: row.created_at || ''
+        };
+    }
+
+    mapRowToZohoDelivery(row) {
+        return {
+            id: row.id,
+            clientId: row.client_id || null,
+            clientName: row.client_name || '',
+            payload: this.parseJsonObject(row.payload) || {},
+            status: row.status,
+            attempts: row.attempts || 0,
+            maxAttempts: row.max_attempts || 0,
+            lastError: row.last_error || null,
+            statusCode: row.status_code || null,
+            nextAttemptAt: row.next_attempt_at || null,
+            sentAt: row.sent_at || null,
+            createdAt: row.created_at || '',
+            updatedAt: row.updated_at || ''
+        };
+    }
+
+    mapRowToUserSession(row) {
+        return {
+            jti: row.jti,
+            userId: row.user_id || null,
+            userEmail: row.user_email,
+            authMethod: row.auth_method || 'google',
+            ipAddress: row.ip_address || null,
+            userAgent: row.user_agent || null,
+            createdAt: row.created_at || null,
+            lastSeenAt: row.last_seen_at || null,
+            expiresAt: row.expires_at || null,
+            revokedAt: row.revoked_at || null,
+            revokedBy: row.revoked_by || null,
+            revokeReason: row.revoke_reason || null
+        };
+    }
+
+    mapRowToUserTwoFactor(row) {
+        return {
+            userEmail: row.user_email,
+            secretEncrypted: row.secret_encrypted || null,
+            pendingSecretEncrypted: row.pending_secret_encrypted || null,
+            enabled: !!row.enabled,
+            backupCodes: this.parseJsonArray(row.backup_codes),
+            lastUsedStep: row.last_used_step !== null && row.last_used_step !== undefined ? Number(row.last_used_step) : null,
+            failedAttempts: row.failed_attempts || 0,
+            lockedUntil: row.locked_until || null,
+            enabledAt: row.enabled_at || null,
+            createdAt: row.created_at || null,
+            updatedAt: row.updated_at || null
+        };
+    }
+
+    mapRowToApiKey(row) {
+        return {
+            id: row.id,
+            keyPrefix: row.key_prefix,
+            keyHash: row.key_hash,
+            name: row.name,
+            scopes: this.parseJsonArray(row.scopes),
+            companies: this.parseJsonArray(row.companies),
+            createdBy: row.created_by || null,
+            createdAt: row.created_at || null,
+            expiresAt: row.expires_at || null,
+            lastUsedAt: row.last_used_at || null,
+            lastUsedIp: row.last_used_ip || null,
+            usageCount: row.usage_count || 0,
+            rotatedFrom: row.rotated_from || null,
+            revokedAt: row.revoked_at || null,
+            revokedBy: row.revoked_by || null
+        };
+    }
+
+    mapRowToZohoWebhookEvent(row) {
+        return {
+            eventId: row.event_id,
+            eventType: row.event_type || null,
+            clientId: row.client_id || null,
+            status: row.status,
+            message: row.message || null,
+            receivedAt: row.received_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    mapRowToReport(row) {
+        let photos = row.photos || [];
+        if (typeof photos === 'string') {
+            try {
+                photos = JSON.parse(photos);
+            } catch (error) {
+                photos = [];
+            }
+        }
+
+        return {
+            id: row.report_id || '',
+            reportId: row.report_id || '',
+            clientId: row.client_id || '',
+            date: row.created_at ? new Date(row.created_at).toLocaleDateString() : '',
+            reportType: row.report_type || '',
+            inspectionType: row.report_type || '',
+            inspectionDate: this.formatDate(row.inspection_date),
+            status: row.status || 'Draft',
+            findings: row.findings || '',
+            recommendations: row.recommendations || '',
+            photos: photos,
+            inspector: row.inspector || 'System',
+            nextInspectionDate: this.formatDate(row.next_inspection_date),
+            createdAt: row.created_at || '',
+            updatedAt: row.updated_at || ''
+        };
+    }
+
+    mapRowToUpcomingInspection(row) {
+        const report = this.mapRowToReport(row);
+        return {
+            ...report,
+            clientName: row.client_full_name || '',
+            email: row.email || '',
+            phone: row.phone_number || '',
+            address: row.project_address || '',
+            company: row.company_name || '',
+            responsable: row.responsable || '',
+            clientStatus: row.client_status || '',
+            reminderSentAt: row.reminder_sent_at || null
+        };
+    }
+
+    mapRowToClientSyncState(row) {
+        const values = {};
+        for (const column of SYNC_CLIENT_COLUMNS) {
+            values[column] = row[column] === null || row[column] === undefined ? '' : String(row[column]);
+        }
+
+        return {
+            clientId: row.client_id,
+            values: values,
+            sheetRowHash: row.sheet_row_hash || null,
+            updatedAt: row.updated_at || null,
+            syncedAt: row.synced_at || null
+        };
+    }
+
+    mapRowToSyncConflict(row) {
+        return {
+            id: row.id,
+            clientId: row.client_id,
+            fields: this.parseJsonArray(row.fields),
+            sheetValues: this.parseJsonObject(row.sheet_values) || {},
+            databaseValues: this.parseJsonObject(row.database_values) || {},
+            sheetRowHash: row.sheet_row_hash || null,
+            status: row.status,
+            resolution: row.resolution || null,
+            resolvedBy: row.resolved_by || null,
+            resolvedAt: row.resolved_at || null,
+            detectedAt: row.detected_at || ''
+        };
+    }
+
+    mapRowToOutboxEmail(row) {
+        return {
+            id: row.id,
+            messageType: row.message_type,
+            clientId: row.client_id || null,
+            recipient: row.recipient,
+            subject: row.subject || '',
+            payload: this.parseJsonObject(row.payload) || {},
+            metadata: this.parseJsonObject(row.metadata) || {},
+            status: row.status,
+            attempts: row.attempts || 0,
+            maxAttempts: row.max_attempts || 0,
+            lastError: row.last_error || null,
+            messageId: row.message_id || null,
+            nextAttemptAt: row.next_attempt_at || null,
+            sentAt: row.sent_at || null,
+            createdAt: row.created_at || '',
+            updatedAt: row.updated_at || ''
+        };
+    }
+
+    mapRowToAuditEntry(row) {
+        return {
+            id: row.id,
+            action: row.action,
+            tableName: row.table_name,
+            recordId: row.record_id || null,
+            clientId: row.client_id || null,
+            oldValues: this.parseJsonObject(row.old_values),
+            newValues: this.parseJsonObject(row.new_values),
+            userEmail: row.user_email || null,
+            ipAddress: row.ip_address || null,
+            userAgent: row.user_agent || null,
+            createdAt: row.created_at || ''
+        };
+    }
+
+    parseJsonObject(value) {
+        if (!value) {
+            return null;
+        }
+        if (typeof value === 'string') {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return null;
+            }
+        }
+        return value;
+    }
+
+    // Columnas JSON: mysql2 las devuelve ya parseadas o como string según la versión del servidor
+    parseJsonArray(value) {
+        if (!value) {
+            return [];
+        }
+        if (typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                return [];
+            }
+        }
+        return Array.isArray(value) ? value : [];
+    }
+
+    mapRowToUser(row) {
+        const permissions = this.parseJsonArray(row.permissions);
+
+        return {
+            id: row.user_id,
+            fullName: row.full_name || '',
+            email: row.email || '',
+            password: row.password_hash,
+            role: row.role || 'user',
+            company: row.company || '',
+            companies: this.parseJsonArray(row.companies),
+            permissions: permissions,
+            failedLoginAttempts: row.failed_login_attempts || 0,
+            lockedUntil: row.locked_until || null,
+            lastLoginAt: row.last_login_at || null,
+            isActive: !!row.is_active,
+            createdAt: row.created_at || '',
+            updatedAt: row.updated_at || ''
+        };
+    }
+
+    mapRowToAuthorizedUser(row) {
+        return {
+            email: row.email || '',
+            name: row.name || '',
+            domain: (row.email || '').split('@')[1] || '',
+            role: row.role || 'user',
+            companies: this.parseJsonArray(row.companies),
+            source: row.source || '',
+            status: row.status || 'Pending',
+            approvedBy: row.approved_by || null,
+            approvedAt: row.approved_at || null,
+            accessCount: row.access_count || 0,
+            lastAccess: row.last_access || null,
+            registeredAt: row.created_at || null
+        };
+    }
+
+    mapRowToAppointment(row) {
+        return {
+            id: row.appointment_id || '',
+            appointmentId: row.appointment_id || '',
+            clientId: row.client_id || '',
+            clientName: row.client_name || '',
+            responsable: row.responsable || '',
+            appointmentType: row.appointment_type || '',
+            startTime: this.formatDateTime(row.start_time),
+            endTime: this.formatDateTime(row.end_time),
+            address: row.address || '',
+            notes: row.notes || '',
+            status: row.status || '',
+            cancellationReason: row.cancellation_reason || '',
+            createdBy: row.created_by || '',
+            createdAt: row.created_at || '',
+            updatedAt: row.updated_at || ''
+        };
+    }
+
+    // DATE -> 'YYYY-MM-DD' sin conversión de zona horaria
+    formatDate(value) {
+        return value ? this.formatDateTime(value).split(' ')[0] : '';
+    }
+
+    // DATETIME se guarda como hora local (sin zona), devolvemos 'YYYY-MM-DD HH:MM:SS'
+    formatDateTime(value) {
+        if (!value) return '';
+        if (!(value instanceof Date)) return String(value);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ` +
+            `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
     }
 
     numberToColumnLetter(column) {
@@ -779,4 +2908,5 @@ class DatabaseManager {
     }
 }
 
-module.exports = DatabaseManager; 
\ No newline at end of file
+// Instancia compartida (client-service y appointment-service usan la misma conexión)
+module.exports = new DatabaseManager();
\ No newline at end of file
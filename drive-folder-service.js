@@ -0,0 +1,140 @@
+const database = require('./database');
+
+// Google Drive folder of each client, saved on clients.drive_folder_id / drive_folder_link
+class DriveFolderService {
+    constructor(googleDriveService) {
+        this.db = database;
+        this.drive = googleDriveService;
+        this.status = {
+            isRunning: false,
+            lastRun: null,
+            lastResult: null
+        };
+    }
+
+    async ensureDriveConfigured() {
+        if (!this.drive.isConfigured) {
+            await this.drive.configure();
+        }
+        return this.drive.isConfigured;
+    }
+
+    // Saved folder of a client ({ folderId, folderLink } or null)
+    async getClientFolder(clientId) {
+        if (!clientId || !this.db.mysqlConnected) {
+            return null;
+        }
+
+        const client = await this.db.getClientById(clientId);
+        return client && client.driveFolderId
+            ? { folderId: client.driveFolderId, folderLink: client.driveFolderLink }
+            : null;
+    }
+
+    // Los clientes que solo existen en Google Sheets no tienen fila donde guardar la carpeta
+    async saveClientFolder(clientId, folder) {
+        if (!clientId || !folder || !folder.id || !this.db.mysqlConnected) {
+            return false;
+        }
+
+        try {
+            const { success } = await this.db.updateClientDriveFolder(clientId, folder.id, folder.webViewLink || null);
+            if (success) {
+                console.log(`📁 Drive folder saved for client ${clientId}: ${folder.id}`);
+            } else {
+                console.log(`⚠️ Client ${clientId} not in MySQL, Drive folder not saved`);
+            }
+            return success;
+        } catch (error) {
+            console.warn(`⚠️ Could not save Drive folder for client ${clientId}: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Add driveFolderId / driveFolderLink to the dashboard client list
+    async attachFolderLinks(clients) {
+        if (!this.db.mysqlConnected || !clients || clients.length === 0) {
+            return clients;
+        }
+
+        try {
+            const folders = await this.db.getClientDriveFolders();
+            return clients.map(client => {
+                // Filas sin Client ID se guardan en MySQL como ROW-<fila>
+                const clientId = client.clientId || client.id || (client.rowIndex ? `ROW-${client.rowIndex}` : null);
+                const folder = folders.get(clientId);
+                return folder
+                    ? { ...client, driveFolderId: folder.folderId, driveFolderLink: folder.folderLink }
+                    : client;
+            });
+        } catch (error) {
+            console.warn(`⚠️ Could not load Drive folder links: ${error.message}`);
+            return clients;
+        }
+    }
+
+    /**
+     * Match existing Drive folders to clients that have none saved. Only unambiguous
+     * matches are saved; the rest are reported for manual review.
+     * @param {Object} options - { dryRun: report matches without saving, limit: clients per run }
+     */
+    async backfill({ dryRun = false, limit = 100 } = {}) {
+        if (this.status.isRunning) {
+            console.log('⚠️ Drive folder backfill already running, skipping...');
+            return this.status.lastResult;
+        }
+
+        this.status.isRunning = true;
+        const result = { dryRun, checked: 0, matched: 0, ambiguous: [], notFound: [], errors: [], matches: [] };
+
+        try {
+            if (!this.db.mysqlConnected) {
+                throw new Error('MySQL not connected');
+            }
+            if (!await this.ensureDriveConfigured()) {
+                throw new Error('Google Drive not configured');
+            }
+
+            const clients = await this.db.getClientsWithoutDriveFolder(limit);
+            result.checked = clients.length;
+            console.log(`📁 Matching Drive folders for ${clients.length} client(s)${dryRun ? ' (dry run)' : ''}`);
+
+            for (const client of clients) {
+                try {
+                    const { folder, candidates } = await this.drive.matchClientFolder(client.name, client.address);
+                    if (!folder) {
+                        const entry = { clientId: client.id, name: client.name, candidates };
+                        (candidates > 0 ? result.ambiguous : result.notFound).push(entry);
+                        continue;
+                    }
+
+                    if (!dryRun) {
+                        await this.db.updateClientDriveFolder(client.id, folder.id, folder.webViewLink || null);
+                    }
+                    result.matched++;
+                    result.matches.push({ clientId: client.id, name: client.name, folderId: folder.id, folderName: folder.name });
+                } catch (error) {
+                    console.error(`❌ Error matching Drive folder for client ${client.id}:`, error.message);
+                    result.errors.push({ clientId: client.id, error: error.message });
+                }
+            }
+
+            console.log(`✅ Drive folder backfill completed: ${result.matched}/${result.checked} matched, ${result.ambiguous.length} ambiguous`);
+        } catch (error) {
+            console.error('❌ Drive folder backfill failed:', error.message);
+            result.errors.push({ error: error.message });
+        } finally {
+            this.status.isRunning = false;
+            this.status.lastRun = new Date().toISOString();
+            this.status.lastResult = result;
+        }
+
+        return result;
+    }
+
+    getStatus() {
+        return { ...this.status };
+    }
+}
+
+module.exports = DriveFolderService;
@@ -0,0 +1,283 @@
+const database = require('./database');
+const { helpers: emailHelpers } = require('./config/email');
+const { createError } = require('./service-error');
+
+// Mensajes cuyo resultado se refleja en la columna FormEmailer Status del cliente
+const FORM_EMAILER_MESSAGE_TYPES = ['new-lead'];
+const MAX_ERROR_LENGTH = 1000;
+
+// Durable outbox (email_outbox table): request handlers enqueue, a background worker delivers with retries
+class EmailQueueService {
+    constructor(emailService, googleSheets = null) {
+        this.db = database;
+        this.emailService = emailService;
+        this.googleSheets = googleSheets;
+        this.settings = emailHelpers.getQueueSettings();
+        this.queueInterval = null;
+        // messageType → handler(message, status) run when a message is Sent, Failed or requeued
+        this.outcomeHandlers = {};
+        this.status = {
+            isRunning: false,
+            lastRun: null,
+            lastResult: null
+        };
+    }
+
+    // Start the delivery worker
+    start(intervalSeconds = this.settings.intervalSeconds) {
+        if (this.queueInterval) {
+            this.stop();
+        }
+
+        console.log(`📬 Starting email queue worker every ${intervalSeconds} seconds (max ${this.settings.maxAttempts} attempts)`);
+
+        this.queueInterval = setInterval(async () => {
+            await this.processQueue();
+        }, intervalSeconds * 1000);
+
+        // Deliver whatever was left pending before the restart
+        this.processQueue();
+    }
+
+    // Stop the delivery worker
+    stop() {
+        if (this.queueInterval) {
+            clearInterval(this.queueInterval);
+            this.queueInterval = null;
+            console.log('⏹️ Email queue worker stopped');
+        }
+    }
+
+    /**
+     * Run a handler when messages of a type reach their final outcome (status changes driven by delivery)
+     * @param {string} messageType - Message type given to enqueue()
+     * @param {Function} handler - async (message, status) => {}, status is 'Sent', 'Failed' or 'Pending' (manual retry)
+     */
+    onOutcome(messageType, handler) {
+        this.outcomeHandlers[messageType] = handler;
+    }
+
+    /**
+     * Queue a message for delivery. Without MySQL there is no outbox, so it is sent right away.
+     * @param {Object} message - { messageType, clientId, mailOptions, metadata (for the outcome handler) }
+     * @returns {Promise<Object>} - { queued, status, outboxId, error }
+     */
+    async enqueue({ messageType, clientId = null, mailOptions, metadata = null }) {
+        if (!this.db.mysqlConnected) {
+            console.log(`⚠️ MySQL not connected, sending ${messageType} email without the queue`);
+            return this.sendWithoutQueue({ messageType, clientId, mailOptions, metadata });
+        }
+
+        const recipient = [mailOptions.to, mailOptions.cc].filter(Boolean).join(', ');
+        const message = await this.db.enqueueEmail({
+            messageType,
+            clientId,
+            recipient,
+            subject: mailOptions.subject,
+            payload: mailOptions,
+            metadata,
+            maxAttempts: this.settings.maxAttempts
+        });
+        console.log(`📬 Email #${message.id} (${messageType}) queued for: ${recipient}`);
+
+        // No esperar al intervalo: el primer intento sale enseguida, fuera de la petición
+        setImmediate(() => this.processQueue());
+
+        return { queued: true, status: message.status, outboxId: message.id };
+    }
+
+    /**
+     * Queue the new lead notification for a client
+     * @param {Object} clientData - Client information
+     * @param {string} clientId - Client ID (or ROW-<n>) whose FormEmailer Status follows the delivery
+     */
+    async enqueueNewLeadNotification(clientData, clientId = null) {
+        const notificationEmail = process.env.NOTIFICATION_EMAIL || 'newcustomers@iriasironworks.com';
+        const ccEmail = process.env.CC_EMAIL || null;
+
+        return this.enqueue({
+            messageType: 'new-lead',
+            clientId: clientId || clientData.clientId || null,
+            mailOptions: this.emailService.buildNewLeadMessage(clientData, notificationEmail, ccEmail)
+        });
+    }
+
+    async sendWithoutQueue({ messageType, clientId, mailOptions, metadata }) {
+        let outcome;
+        try {
+            if (!await this.emailService.ensureConfigured()) {
+                throw new Error('Email service not configured');
+            }
+            const info = await this.emailService.deliver(mailOptions);
+            console.log(`✅ ${messageType} email sent to: ${mailOptions.to}`);
+            outcome = { queued: false, status: 'Sent', messageId: info.messageId };
+        } catch (error) {
+            console.error(`❌ Error sending ${messageType} email:`, error.message);
+            outcome = { queued: false, status: 'Failed', error: error.message };
+        }
+
+        await this.applyOutcome({ messageType, clientId, metadata: metadata || {} }, outcome.status);
+        return outcome;
+    }
+
+    // Deliver every due message; failures are retried later with exponential backoff
+    async processQueue() {
+        if (this.status.isRunning) {
+            return this.status.lastResult;
+        }
+
+        this.status.isRunning = true;
+        const result = { checked: 0, sent: 0, retrying: 0, failed: 0, errors: [] };
+
+        try {
+            if (!this.db.mysqlConnected) {
+                throw new Error('MySQL not connected');
+            }
+
+            const due = await this.db.getDueOutboxEmails(this.settings.batchSize);
+            result.checked = due.length;
+
+            if (due.length > 0) {
+                // Sin transporte los mensajes siguen pendientes sin gastar intentos
+                if (!await this.emailService.ensureConfigured()) {
+                    throw new Error('Email service not configured');
+                }
+
+                for (const message of due) {
+                    if (!await this.db.claimOutboxEmail(message.id, this.settings.leaseSeconds)) {
+                        continue;
+                    }
+                    const outcome = await this.attemptDelivery(message);
+                    result[outcome]++;
+                }
+
+                console.log(`📬 Email queue run: ${result.sent} sent, ${result.retrying} retrying, ${result.failed} failed`);
+            }
+        } catch (error) {
+            console.error('❌ Email queue run failed:', error.message);
+            result.errors.push({ error: error.message });
+        } finally {
+            this.status.isRunning = false;
+            this.status.lastRun = new Date().toISOString();
+            this.status.lastResult = result;
+        }
+
+        return result;
+    }
+
+    /**
+     * One delivery attempt for a claimed message
+     * @returns {Promise<string>} - 'sent', 'retrying' or 'failed'
+     */
+    async attemptDelivery(message) {
+        const attempts = message.attempts + 1;
+
+        try {
+            const info = await this.emailService.deliver(message.payload);
+            await this.db.markOutboxEmailSent(message.id, attempts, info.messageId || null);
+            console.log(`✅ Email #${message.id} (${message.messageType}) sent to: ${message.recipient}`);
+            await this.applyOutcome(message, 'Sent');
+            return 'sent';
+        } catch (error) {
+            const errorMessage = String(error.message || error).substring(0, MAX_ERROR_LENGTH);
+
+            if (attempts >= message.maxAttempts) {
+                await this.db.recordOutboxEmailFailure(message.id, attempts, errorMessage);
+                console.error(`❌ Email #${message.id} failed after ${attempts} attempts: ${errorMessage}`);
+                await this.applyOutcome(message, 'Failed');
+                return 'failed';
+            }
+
+            const retryInSeconds = emailHelpers.getRetryDelaySeconds(attempts);
+            await this.db.recordOutboxEmailFailure(message.id, attempts, errorMessage, retryInSeconds);
+            console.warn(`⚠️ Email #${message.id} attempt ${attempts}/${message.maxAttempts} failed, retrying in ${retryInSeconds}s: ${errorMessage}`);
+            return 'retrying';
+        }
+    }
+
+    async applyOutcome(message, status) {
+        await this.updateFormEmailerStatus(message, status);
+
+        const handler = this.outcomeHandlers[message.messageType];
+        if (handler) {
+            try {
+                await handler(message, status);
+            } catch (error) {
+                console.error(`❌ Error applying ${status} outcome of ${message.messageType} email:`, error.message);
+            }
+        }
+    }
+
+    // FormEmailer Status (MySQL + column A of the sheet) follows the real delivery outcome
+    async updateFormEmailerStatus({ messageType, clientId }, status) {
+        if (!clientId || !FORM_EMAILER_MESSAGE_TYPES.includes(messageType)) {
+            return;
+        }
+
+        if (this.db.mysqlConnected) {
+            try {
+                await this.db.updateClientFormEmailerStatus(clientId, status);
+            } catch (error) {
+                console.error(`❌ Error updating form emailer status in MySQL for ${clientId}:`, error.message);
+            }
+        }
+
+        if (this.googleSheets) {
+            const sheetResult = await this.googleSheets.updateClientFormEmailerStatus(clientId, status);
+            if (!sheetResult.success) {
+                console.error(`❌ Error updating form emailer status in Google Sheets for ${clientId}:`, sheetResult.error);
+            }
+        }
+    }
+
+    /**
+     * Delivery log for the dashboard (message bodies are left out)
+     * @param {Object} filters - { status, clientId, limit }
+     */
+    async listMessages({ status = null, clientId = null, limit = 100 } = {}) {
+        if (status && !['Pending', 'Sent', 'Failed'].includes(status)) {
+            throw createError(`Invalid email status: ${status}`, 'VALIDATION_ERROR');
+        }
+
+        const messages = await this.db.getOutboxEmails({ status, clientId, limit });
+        return messages.map(({ payload, ...message }) => ({
+            ...message,
+            from: payload.from || null,
+            attachments: (payload.attachments || []).map(attachment => attachment.filename)
+        }));
+    }
+
+    async getCounts() {
+        return this.db.getOutboxEmailCounts();
+    }
+
+    // Send a Failed message again with a fresh set of attempts
+    async retryMessage(emailId) {
+        const message = await this.db.getOutboxEmailById(emailId);
+        if (!message) {
+            throw createError(`Email not found: ${emailId}`, 'NOT_FOUND');
+        }
+        if (message.status !== 'Failed') {
+            throw createError(`Only failed emails can be retried (email #${emailId} is ${message.status})`, 'VALIDATION_ERROR');
+        }
+
+        const requeued = await this.db.requeueOutboxEmail(emailId);
+        console.log(`🔁 Email #${emailId} requeued for: ${message.recipient}`);
+        await this.applyOutcome(message, 'Pending');
+        setImmediate(() => this.processQueue());
+
+        const { payload, ...summary } = requeued;
+        return summary;
+    }
+
+    getStatus() {
+        return {
+            ...this.status,
+            intervalSeconds: this.settings.intervalSeconds,
+            maxAttempts: this.settings.maxAttempts,
+            scheduled: !!this.queueInterval
+        };
+    }
+}
+
+module.exports = EmailQueueService;
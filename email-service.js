@@ -1,100 +1,90 @@
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
 const ConfigDatabase = require('./config-database');
+const EmailTemplateService = require('./email-template-service');
+const { helpers: companyHelpers } = require('./config/companies');
+const { helpers: emailHelpers } = require('./config/email');
+
+// Branding usado cuando el cliente no tiene una empresa conocida
+const DEFAULT_BRANDING = {
+    name: 'Irias Iron Works',
+    legalName: 'IRIAS IRONWORKS SERVICES LLC',
+    emailFromName: 'IRIAS Ironworks'
+};
 
 class EmailService {
-    constructor() {
+    // server.js passes its ConfigDatabase: separate instances would overwrite each other's saves
+    constructor(configDB = null) {
         this.transporter = null;
         this.isConfigured = false;
-        this.configDB = new ConfigDatabase();
+        this.service = null;
+        this.fileDirectory = null;
+        this.outbox = [];
+        this.configDB = configDB || new ConfigDatabase();
+        this.templates = new EmailTemplateService(this.configDB);
     }
 
     /**
-     * Configure email service with Gmail credentials
+     * Configure email service (saved settings and environment variables fill missing values)
      * @param {Object} config - Email configuration
-     * @param {string} config.email - Gmail address
-     * @param {string} config.password - Gmail app password
-     * @param {string} config.service - Email service (gmail, sendgrid, etc.)
+     * @param {string} config.email - Sender address (Gmail address for the gmail service)
+     * @param {string} config.password - Gmail app password or provider password
+     * @param {string} config.service - Transport: gmail, sendgrid, mailgun, smtp, file or memory
      * @param {string} config.apiKey - API key for external services
+     * @param {Object} config.smtp - { host, port, secure, requireTLS, user, password } for the smtp service
+     * @param {string} config.fileDirectory - Folder for .eml files of the file service
      */
     async configure(config) {
         try {
             console.log('📧 Configuring email service...');
-            
+
             // Use provided config, then database, then environment variables
-            const email = config.email || this.configDB.getNotificationsConfig().email || process.env.GMAIL_USER;
-            const password = config.password || this.configDB.getNotificationsConfig().password || process.env.GMAIL_APP_PASSWORD;
-            const service = config.service || this.configDB.getNotificationsConfig().service || 'gmail';
-            const emailFromName = config.emailFromName || this.configDB.getNotificationsConfig().emailFromName || 'IRIAS Ironworks';
-            
-            if (!email || !password) {
+            const saved = this.configDB.getNotificationsConfig();
+            const email = config.email || saved.email || process.env.GMAIL_USER;
+            const password = config.password || saved.password || process.env.GMAIL_APP_PASSWORD;
+            const service = emailHelpers.normalizeService(config.service || saved.service);
+            const emailFromName = config.emailFromName || saved.emailFromName || 'IRIAS Ironworks';
+            const smtp = emailHelpers.getSmtpSettings({ ...saved.smtp, ...config.smtp });
+            const fileDirectory = emailHelpers.getFileDirectory(config.fileDirectory || saved.fileDirectory);
+
+            // SMTP local, file y memory funcionan sin cuenta de correo
+            if (emailHelpers.requiresCredentials(service) && (!email || !password)) {
                 throw new Error('Email and password are required for email service configuration');
             }
-            
+
             // Save configuration to database
             this.configDB.updateNotificationsConfig({
-                email: email,
-                password: password,
+                email: email || '',
+                password: password || '',
                 emailFromName: emailFromName,
-                service: service
+                service: service,
+                smtp: smtp,
+                fileDirectory: config.fileDirectory || saved.fileDirectory || ''
             });
-            
-            if (service === 'gmail') {
-                // Gmail configuration
-                this.transporter = nodemailer.createTransport({
-                    service: 'gmail',
-                    auth: {
-                        user: email,
-                        pass: password // Use App Password for Gmail
-                    },
-                    secure: true,
-                    port: 465
-                });
-            } else if (service === 'sendgrid') {
-                // SendGrid configuration
-                this.transporter = nodemailer.createTransport({
-                    host: 'smtp.sendgrid.net',
-                    port: 587,
-                    secure: false,
-                    auth: {
-                        user: 'apikey',
-                        pass: config.apiKey || password
-                    }
-                });
-            } else if (service === 'mailgun') {
-                // Mailgun configuration
-                this.transporter = nodemailer.createTransport({
-                    host: 'smtp.mailgun.org',
-                    port: 587,
-                    secure: false,
-                    auth: {
-                        user: email,
-                        pass: config.apiKey || password
-                    }
-                });
-            } else {
-                // Default to Gmail
-                this.transporter = nodemailer.createTransport({
-                    service: 'gmail',
-                    auth: {
-                        user: email,
-                        pass: password
-                    },
-                    secure: true,
-                    port: 465
-                });
+
+            this.transporter = this.createTransport(service, { email, password, apiKey: config.apiKey, smtp, fileDirectory });
+            this.service = service;
+            this.fileDirectory = service === 'file' ? fileDirectory : null;
+
+            // Verify the transporter is working (file/memory have nothing to verify)
+            if (service !== 'file' && service !== 'memory') {
+                await this.transporter.verify();
             }
 
-            // Verify the transporter is working
-            await this.transporter.verify();
-            
             this.isConfigured = true;
-            console.log('✅ Email service configured successfully');
-            console.log(`📧 Using email: ${email}`);
-            console.log(`📧 From: ${emailFromName} <${email}>`);
-            
+            console.log(`✅ Email service configured successfully (${service})`);
+            if (service === 'smtp') {
+                console.log(`📧 SMTP server: ${smtp.host}:${smtp.port}${smtp.secure ? ' (TLS)' : ''}`);
+            } else if (service === 'file') {
+                console.log(`📧 Writing emails to: ${fileDirectory}`);
+            }
+            console.log(`📧 From: ${emailFromName} <${email || 'noreply@iriasironworks.com'}>`);
+
             return {
                 success: true,
-                message: 'Email service configured successfully'
+                message: 'Email service configured successfully',
+                service
             };
         } catch (error) {
             console.error('❌ Error configuring email service:', error);
@@ -106,6 +96,180 @@ class EmailService {
         }
     }
 
+    /**
+     * Nodemailer transport for a service
+     * @param {string} service - Normalized service name
+     * @param {Object} settings - { email, password, apiKey, smtp, fileDirectory }
+     */
+    createTransport(service, { email, password, apiKey, smtp, fileDirectory }) {
+        if (service === 'sendgrid') {
+            // SendGrid configuration
+            return nodemailer.createTransport({
+                host: 'smtp.sendgrid.net',
+                port: 587,
+                secure: false,
+                auth: {
+                    user: 'apikey',
+                    pass: apiKey || password
+                }
+            });
+        }
+
+        if (service === 'mailgun') {
+            // Mailgun configuration
+            return nodemailer.createTransport({
+                host: 'smtp.mailgun.org',
+                port: 587,
+                secure: false,
+                auth: {
+                    user: email,
+                    pass: apiKey || password
+                }
+            });
+        }
+
+        if (service === 'smtp') {
+            // Generic SMTP server (staging relay, MailHog, Mailpit...)
+            return nodemailer.createTransport({
+                host: smtp.host,
+                port: smtp.port,
+                secure: smtp.secure,
+                requireTLS: smtp.requireTLS,
+                auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+            });
+        }
+
+        if (service === 'file' || service === 'memory') {
+            // El mensaje se genera completo (.eml) y deliver() lo guarda en disco o en memoria
+            if (service === 'file') {
+                fs.mkdirSync(fileDirectory, { recursive: true });
+            }
+            return nodemailer.createTransport({
+                streamTransport: true,
+                buffer: true,
+                newline: 'windows'
+            });
+        }
+
+        // Gmail configuration (default)
+        return nodemailer.createTransport({
+            service: 'gmail',
+            auth: {
+                user: email,
+                pass: password // Use App Password for Gmail
+            },
+            secure: true,
+            port: 465
+        });
+    }
+
+    /**
+     * Load saved settings (or environment variables) when the service was never configured
+     * @returns {Promise<boolean>} - Whether the service is ready to send
+     */
+    async ensureConfigured() {
+        if (this.isConfigured && this.transporter) {
+            return true;
+        }
+
+        // Sin credenciales guardadas no hay nada que intentar (evita errores en cada arranque)
+        const saved = this.configDB.getNotificationsConfig();
+        const hasCredentials = (saved.email || process.env.GMAIL_USER) && (saved.password || process.env.GMAIL_APP_PASSWORD);
+        if (emailHelpers.requiresCredentials(saved.service) && !hasCredentials) {
+            return false;
+        }
+
+        const result = await this.configure({});
+        return result.success;
+    }
+
+    /**
+     * Send a message through the configured transport. The file transport writes an .eml
+     * file and the memory transport keeps the message in the outbox.
+     * @param {Object} mailOptions - Nodemailer message options
+     * @returns {Promise<Object>} - Nodemailer info (messageId, envelope...)
+     */
+    async deliver(mailOptions) {
+        const info = await this.transporter.sendMail(mailOptions);
+
+        if (this.service === 'file') {
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${String(info.messageId).replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+            const filePath = path.join(this.fileDirectory, fileName);
+            await fs.promises.writeFile(filePath, info.message);
+            console.log(`📁 Email written to: ${filePath}`);
+            return { ...info, message: undefined, filePath };
+        }
+
+        if (this.service === 'memory') {
+            this.outbox.push({
+                messageId: info.messageId,
+                envelope: info.envelope,
+                from: mailOptions.from,
+                to: mailOptions.to,
+                cc: mailOptions.cc || null,
+                subject: mailOptions.subject,
+                html: mailOptions.html,
+                text: mailOptions.text,
+                raw: info.message.toString(),
+                sentAt: new Date().toISOString()
+            });
+            this.outbox.splice(0, Math.max(0, this.outbox.length - emailHelpers.getMemoryOutboxLimit()));
+            return { ...info, message: undefined };
+        }
+
+        return info;
+    }
+
+    /**
+     * Messages kept by the memory transport
+     * @returns {Array<Object>} - Sent messages, oldest first
+     */
+    getSentMessages() {
+        return [...this.outbox];
+    }
+
+    clearSentMessages() {
+        const cleared = this.outbox.length;
+        this.outbox = [];
+        return cleared;
+    }
+
+    /**
+     * Company branding (header, footer, sender name) for a client's company
+     * @param {string} company - Company name or alias
+     * @returns {Object} - name, legalName and emailFromName
+     */
+    getCompanyBranding(company) {
+        return companyHelpers.getBranding(company) || DEFAULT_BRANDING;
+    }
+
+    // Sender with the company name: "IRIAS Ironworks" <configured address>
+    getFromAddress(company) {
+        const branding = this.getCompanyBranding(company);
+        const emailConfig = this.configDB.getNotificationsConfig();
+        const fromEmail = emailConfig.email || process.env.EMAIL_FROM || 'noreply@iriasironworks.com';
+        return `"${branding.emailFromName}" <${fromEmail}>`;
+    }
+
+    /**
+     * Build the new lead notification without sending it (the email queue stores these options)
+     * @param {Object} clientData - Client information
+     * @param {string} notificationEmail - Email to send notification to
+     * @param {string} ccEmail - CC email address (optional)
+     * @returns {Object} - Nodemailer message options
+     */
+    buildNewLeadMessage(clientData, notificationEmail, ccEmail = null) {
+        const emailContent = this.generateNewLeadEmailContent(clientData);
+        return {
+            from: this.getFromAddress(clientData.companyName || clientData.company),
+            to: notificationEmail,
+            cc: ccEmail,
+            subject: emailContent.subject,
+            html: emailContent.html,
+            text: emailContent.text
+        };
+    }
+
     /**
      * Send new lead notification email
      * @param {Object} clientData - Client information
@@ -121,17 +285,7 @@ class EmailService {
 
             console.log(`📧 Sending new lead notification to: ${notificationEmail}${ccEmail ? ` (CC: ${ccEmail})` : ''}`);
 
-            const emailContent = this.generateNewLeadEmailContent(clientData);
-            
-            const emailConfig = this.configDB.getNotificationsConfig();
-            const mailOptions = {
-                from: emailConfig.email || process.env.EMAIL_FROM || 'noreply@iriasironworks.com',
-                to: notificationEmail,
-                cc: ccEmail,
-                subject: `🔥 NEW CUSTOMER LEAD - ${clientData.clientFullName}`,
-                html: emailContent.html,
-                text: emailContent.text
-            };
+            const mailOptions = this.buildNewLeadMessage(clientData, notificationEmail, ccEmail);
 
             console.log('📧 Mail options for new lead:', {
                 from: mailOptions.from,
@@ -140,7 +294,7 @@ class EmailService {
                 subject: mailOptions.subject
             });
 
-            const result = await this.transporter.sendMail(mailOptions);
+            const result = await this.deliver(mailOptions);
             
             console.log(`✅ New lead notification sent successfully to: ${notificationEmail}${ccEmail ? ` and CC: ${ccEmail}` : ''}`);
             console.log('Message ID:', result.messageId);
@@ -161,6 +315,57 @@ class EmailService {
         }
     }
 
+    /**
+     * Send recurring inspection reminder
+     * @param {Object} inspection - Upcoming inspection (report + client data)
+     * @param {string} toEmail - Recipient email
+     * @param {string} audience - 'client' or 'inspector'
+     * @returns {Promise<Object>} - Result of email sending
+     */
+    async sendInspectionReminder(inspection, toEmail, audience = 'client') {
+        try {
+            if (!this.isConfigured || !this.transporter) {
+                throw new Error('Email service not configured');
+            }
+
+            console.log(`📧 Sending inspection reminder (${audience}) to: ${toEmail}`);
+
+            const emailContent = this.generateInspectionReminderEmailContent(inspection, audience);
+            
+            const emailConfig = this.configDB.getNotificationsConfig();
+            const fromEmail = emailConfig.email || process.env.EMAIL_FROM || 'noreply@iriasironworks.com';
+            // El remitente lleva el nombre de la empresa del cliente
+            const branding = companyHelpers.getBranding(inspection.company);
+            const fromName = branding ? branding.emailFromName : (emailConfig.emailFromName || DEFAULT_BRANDING.emailFromName);
+            const mailOptions = {
+                from: `"${fromName}" <${fromEmail}>`,
+                to: toEmail,
+                subject: audience === 'client'
+                    ? `🔔 Your fire escape inspection is due on ${inspection.nextInspectionDate}`
+                    : `🔔 INSPECTION RENEWAL - ${inspection.clientName} (${inspection.nextInspectionDate})`,
+                html: emailContent.html,
+                text: emailContent.text
+            };
+
+            const result = await this.deliver(mailOptions);
+            
+            console.log(`✅ Inspection reminder sent successfully to: ${toEmail}`);
+            
+            return {
+                success: true,
+                message: 'Inspection reminder sent successfully',
+                messageId: result.messageId,
+                sentTo: toEmail
+            };
+        } catch (error) {
+            console.error('❌ Error sending inspection reminder:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Send test email
      * @param {string} toEmail - Email to send test to
@@ -170,25 +375,9 @@ class EmailService {
         try {
             console.log(`📧 Sending test email to: ${toEmail}`);
             
-            // Check if email service is configured
-            if (!this.isConfigured || !this.transporter) {
-                console.log('📧 Email service not configured, attempting to configure with environment variables...');
-                
-                // Try to configure with environment variables
-                const envConfig = {
-                    email: process.env.GMAIL_USER,
-                    password: process.env.GMAIL_APP_PASSWORD,
-                    service: 'gmail'
-                };
-                
-                if (!envConfig.email || !envConfig.password) {
-                    throw new Error('Email service not configured and environment variables not available');
-                }
-                
-                const configResult = await this.configure(envConfig);
-                if (!configResult.success) {
-                    throw new Error(`Failed to configure email service: ${configResult.error}`);
-                }
+            // Check if email service is configured (saved settings, then environment variables)
+            if (!await this.ensureConfigured()) {
+                throw new Error('Email service not configured');
             }
 
             // Use database configuration for from address
@@ -196,12 +385,13 @@ class EmailService {
             const fromEmail = emailConfig.email || process.env.EMAIL_FROM || process.env.GMAIL_USER || 'noreply@iriasironworks.com';
             const fromName = emailConfig.emailFromName || process.env.EMAIL_FROM_NAME || 'IRIAS Ironworks';
 
+            const emailContent = this.generateTestEmailContent();
             const mailOptions = {
                 from: `"${fromName}" <${fromEmail}>`,
                 to: toEmail,
-                subject: '🧪 Email Service Test - IRIAS Ironworks',
-                html: this.generateTestEmailContent(),
-                text: 'This is a test email from IRIAS Ironworks email service.'
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
             };
 
             console.log('📧 Mail options:', {
@@ -210,7 +400,7 @@ class EmailService {
                 subject: mailOptions.subject
             });
 
-            const result = await this.transporter.sendMail(mailOptions);
+            const result = await this.deliver(mailOptions);
             
             console.log(`✅ Test email sent successfully to: ${toEmail}`);
             console.log('Message ID:', result.messageId);
@@ -231,11 +421,46 @@ class EmailService {
     }
 
     /**
-     * Generate HTML content for new lead notification
+     * Generate new lead notification from the editable template (company variant, custom or built-in)
      * @param {Object} clientData - Client information
-     * @returns {Object} - HTML and text content
+     * @returns {Object} - Subject, HTML and text content
      */
     generateNewLeadEmailContent(clientData) {
+        const company = clientData.companyName || clientData.company;
+        const branding = this.getCompanyBranding(company);
+
+        // Cualquier campo del registro del cliente sirve como marcador ({{serviceType}}, {{price}}...)
+        const variables = {
+            ...clientData,
+            clientFullName: clientData.clientFullName || 'N/A',
+            email: clientData.email || 'N/A',
+            phone: clientData.customerPhoneNumber || clientData.phone || 'N/A',
+            address: clientData.address || 'N/A',
+            customerType: clientData.customerType || 'N/A',
+            customerStatus: clientData.customerStatus || 'New Lead',
+            serviceType: clientData.serviceType || 'N/A',
+            price: clientData.price || '0',
+            formDate: new Date().toLocaleString(),
+            companyName: branding.name,
+            companyLegalName: branding.legalName,
+            emailFromName: branding.emailFromName
+        };
+
+        return this.templates.render('new-lead', variables, company);
+    }
+
+    /**
+     * Generate content for inspection reminder emails
+     * @param {Object} inspection - Upcoming inspection (report + client data)
+     * @param {string} audience - 'client' or 'inspector'
+     * @returns {Object} - HTML and text content
+     */
+    generateInspectionReminderEmailContent(inspection, audience) {
+        const branding = this.getCompanyBranding(inspection.company);
+        const intro = audience === 'client'
+            ? `Dear ${inspection.clientName}, according to our records your next fire escape inspection is due on <strong>${inspection.nextInspectionDate}</strong>. Please reply to this email or call us to schedule your visit.`
+            : `The periodic inspection for <strong>${inspection.clientName}</strong> is due on <strong>${inspection.nextInspectionDate}</strong>. A follow-up has been created on the client so it can be scheduled.`;
+
         const html = `
             <!DOCTYPE html>
             <html>
@@ -245,144 +470,60 @@ class EmailService {
                     body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
                     .header { background: linear-gradient(135deg, #dc2626 0%, #991b1b 100%); color: white; padding: 20px; text-align: center; }
                     .content { padding: 20px; }
-                    .section { margin-bottom: 20px; }
-                    .section h3 { color: #dc2626; border-bottom: 2px solid #dc2626; padding-bottom: 5px; }
-                    .info-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
-                    .info-item { background: #f8f9fa; padding: 10px; border-radius: 5px; }
+                    .info-item { background: #f8f9fa; padding: 10px; border-radius: 5px; margin-bottom: 8px; }
                     .label { font-weight: bold; color: #666; }
-                    .value { color: #333; }
                     .footer { background: #f8f9fa; padding: 15px; text-align: center; color: #666; font-size: 12px; }
-                    .highlight { background: #fff3cd; padding: 10px; border-left: 4px solid #ffc107; margin: 10px 0; }
                 </style>
             </head>
             <body>
                 <div class="header">
-                    <h1>🔥 NEW CUSTOMER LEAD 🔥</h1>
-                    <p>IRIAS IRONWORKS SERVICES LLC</p>
+                    <h1>🔔 Inspection Reminder</h1>
+                    <p>${branding.legalName}</p>
                 </div>
                 
                 <div class="content">
-                    <div class="highlight">
-                        <strong>Form Date:</strong> ${new Date().toLocaleString()}
-                    </div>
-                    
-                    <div class="section">
-                        <h3>👤 CUSTOMER INFORMATION</h3>
-                        <div class="info-grid">
-                            <div class="info-item">
-                                <div class="label">Customer Type:</div>
-                                <div class="value">${clientData.customerType || 'N/A'}</div>
-                            </div>
-                            <div class="info-item">
-                                <div class="label">Customer Status:</div>
-                                <div class="value">${clientData.customerStatus || 'New Lead'}</div>
-                            </div>
-                            <div class="info-item">
-                                <div class="label">Client Full Name:</div>
-                                <div class="value">${clientData.clientFullName}</div>
-                            </div>
-                            <div class="info-item">
-                                <div class="label">Email:</div>
-                                <div class="value">${clientData.email}</div>
-                            </div>
-                            <div class="info-item">
-                                <div class="label">Phone Number:</div>
-                                <div class="value">${clientData.customerPhoneNumber || clientData.phone || 'N/A'}</div>
-                            </div>
-                            <div class="info-item">
-                                <div class="label">Address:</div>
-                                <div class="value">${clientData.address || 'N/A'}</div>
-                            </div>
-                        </div>
-                    </div>
-                    
-                    <div class="section">
-                        <h3>🛠️ SERVICE INFORMATION</h3>
-                        <div class="info-grid">
-                            <div class="info-item">
-                                <div class="label">Service Type:</div>
-                                <div class="value">${clientData.serviceType || 'N/A'}</div>
-                            </div>
-                            <div class="info-item">
-                                <div class="label">Price:</div>
-                                <div class="value">$${clientData.price || '0'}</div>
-                            </div>
-                        </div>
-                    </div>
+                    <p>${intro}</p>
+                    <div class="info-item"><span class="label">Property Address:</span> ${inspection.address || 'N/A'}</div>
+                    <div class="info-item"><span class="label">Last Inspection:</span> ${inspection.inspectionDate || 'N/A'} (${inspection.reportType || 'Inspection'})</div>
+                    <div class="info-item"><span class="label">Next Inspection Due:</span> ${inspection.nextInspectionDate}</div>
+                    ${audience === 'inspector' ? `
+                    <div class="info-item"><span class="label">Client Contact:</span> ${inspection.email || 'N/A'} / ${inspection.phone || 'N/A'}</div>
+                    <div class="info-item"><span class="label">Last Report:</span> ${inspection.reportId}</div>` : ''}
                 </div>
                 
                 <div class="footer">
-                    <p>This is an automated notification from IRIAS IRONWORKS SERVICES LLC.</p>
-                    <p>A new customer lead has been registered in the system.</p>
-                    <p>© 2024 IRIAS Ironworks. All rights reserved.</p>
+                    <p>© 2024 ${branding.emailFromName}. All rights reserved.</p>
                 </div>
             </body>
             </html>
         `;
 
         const text = `
-🔥 NEW CUSTOMER LEAD 🔥
-IRIAS IRONWORKS SERVICES LLC
+🔔 INSPECTION REMINDER - ${branding.legalName}
 
-Form Date: ${new Date().toLocaleString()}
+${intro.replace(/<[^>]+>/g, '')}
 
-👤 CUSTOMER INFORMATION
-Customer Type: ${clientData.customerType || 'N/A'}
-Customer Status: ${clientData.customerStatus || 'New Lead'}
-Client Full Name: ${clientData.clientFullName}
-Email: ${clientData.email}
-Phone Number: ${clientData.customerPhoneNumber || clientData.phone || 'N/A'}
-Address: ${clientData.address || 'N/A'}
+Property Address: ${inspection.address || 'N/A'}
+Last Inspection: ${inspection.inspectionDate || 'N/A'} (${inspection.reportType || 'Inspection'})
+Next Inspection Due: ${inspection.nextInspectionDate}
 
-🛠️ SERVICE INFORMATION
-Service Type: ${clientData.serviceType || 'N/A'}
-Price: $${clientData.price || '0'}
-
-This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
-A new customer lead has been registered in the system.
-
-© 2024 IRIAS Ironworks. All rights reserved.
+© 2024 ${branding.emailFromName}. All rights reserved.
         `;
 
         return { html, text };
     }
 
     /**
-     * Generate test email content
-     * @returns {string} - HTML content for test email
+     * Generate test email content from the editable template
+     * @returns {Object} - Subject, HTML and text content
      */
     generateTestEmailContent() {
-        return `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="utf-8">
-                <style>
-                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                    .header { background: linear-gradient(135deg, #dc2626 0%, #991b1b 100%); color: white; padding: 20px; text-align: center; }
-                    .content { padding: 20px; }
-                    .footer { background: #f8f9fa; padding: 15px; text-align: center; color: #666; font-size: 12px; }
-                </style>
-            </head>
-            <body>
-                <div class="header">
-                    <h1>🧪 Email Service Test</h1>
-                    <p>IRIAS IRONWORKS SERVICES LLC</p>
-                </div>
-                
-                <div class="content">
-                    <h2>✅ Email Service is Working!</h2>
-                    <p>This is a test email to confirm that your email service is properly configured and working.</p>
-                    <p><strong>Test Date:</strong> ${new Date().toLocaleString()}</p>
-                    <p>If you received this email, your email notifications for new customer leads will work correctly.</p>
-                </div>
-                
-                <div class="footer">
-                    <p>© 2024 IRIAS Ironworks. All rights reserved.</p>
-                </div>
-            </body>
-            </html>
-        `;
+        const emailConfig = this.configDB.getNotificationsConfig();
+        return this.templates.render('test-email', {
+            testDate: new Date().toLocaleString(),
+            companyLegalName: DEFAULT_BRANDING.legalName,
+            emailFromName: emailConfig.emailFromName || DEFAULT_BRANDING.emailFromName
+        });
     }
 
     /**
@@ -0,0 +1,167 @@
+const ConfigDatabase = require('./config-database');
+const { helpers: templateHelpers } = require('./config/email-templates');
+const { helpers: companyHelpers } = require('./config/companies');
+const { createError } = require('./service-error');
+
+// Variante general (sin empresa) de una plantilla personalizada
+const DEFAULT_VARIANT = 'default';
+const MAX_PART_LENGTH = 200000;
+
+// Editable email templates: company variant → general custom template → built-in template
+class EmailTemplateService {
+    constructor(configDB = null) {
+        this.configDB = configDB || new ConfigDatabase();
+    }
+
+    getBuiltInTemplate(templateId) {
+        const template = templateHelpers.getTemplate(templateId);
+        if (!template) {
+            throw createError(`Unknown email template: ${templateId}`, 'NOT_FOUND');
+        }
+        return template;
+    }
+
+    // 'default' for no company, else the canonical company name
+    getVariant(company) {
+        if (!company || company === DEFAULT_VARIANT) {
+            return DEFAULT_VARIANT;
+        }
+        const name = companyHelpers.normalizeCompany(company);
+        if (!name) {
+            throw createError(`Unknown company: ${company}`, 'VALIDATION_ERROR');
+        }
+        return name;
+    }
+
+    /**
+     * Template used for a company (custom company variant, then general custom, then built-in)
+     * @returns {Object} - { subject, html, text, source: 'company' | 'custom' | 'built-in' }
+     */
+    resolve(templateId, company = null) {
+        const builtIn = this.getBuiltInTemplate(templateId);
+        const variants = this.configDB.getEmailTemplates()[templateId] || {};
+        const companyName = companyHelpers.normalizeCompany(company);
+
+        if (companyName && variants[companyName]) {
+            return { ...variants[companyName], source: 'company' };
+        }
+        if (variants[DEFAULT_VARIANT]) {
+            return { ...variants[DEFAULT_VARIANT], source: 'custom' };
+        }
+        return { subject: builtIn.subject, html: builtIn.html, text: builtIn.text, source: 'built-in' };
+    }
+
+    /**
+     * Render a template for a message
+     * @param {string} templateId - 'new-lead', 'sync-notification' or 'test-email'
+     * @param {Object} variables - Placeholder values
+     * @param {string} company - Company of the client (optional)
+     * @returns {Object} - { subject, html, text }
+     */
+    render(templateId, variables, company = null) {
+        return templateHelpers.renderTemplate(this.resolve(templateId, company), variables);
+    }
+
+    // Built-in templates with their saved variants, for the editor
+    listTemplates() {
+        const custom = this.configDB.getEmailTemplates();
+        return templateHelpers.getTemplateIds().map(id => {
+            const builtIn = this.getBuiltInTemplate(id);
+            return {
+                id,
+                label: builtIn.label,
+                description: builtIn.description,
+                variables: builtIn.variables,
+                sample: builtIn.sample,
+                builtIn: { subject: builtIn.subject, html: builtIn.html, text: builtIn.text },
+                variants: custom[id] || {}
+            };
+        });
+    }
+
+    validateParts({ subject, html, text }) {
+        for (const [name, value] of Object.entries({ subject, html, text })) {
+            if (value !== undefined && value !== null && typeof value !== 'string') {
+                throw createError(`Template ${name} must be text`, 'VALIDATION_ERROR');
+            }
+            if (value && value.length > MAX_PART_LENGTH) {
+                throw createError(`Template ${name} is too long`, 'VALIDATION_ERROR');
+            }
+        }
+        if (!subject || !subject.trim()) {
+            throw createError('Template subject is required', 'VALIDATION_ERROR');
+        }
+        if (!(html && html.trim()) && !(text && text.trim())) {
+            throw createError('Template needs an HTML or a plain-text part', 'VALIDATION_ERROR');
+        }
+    }
+
+    /**
+     * Save a custom template for a company (or the general one when company is empty)
+     * @returns {Object} - { templateId, variant, template, unknownPlaceholders }
+     */
+    saveTemplate(templateId, company, { subject, html, text }, updatedBy = null) {
+        this.getBuiltInTemplate(templateId);
+        const variant = this.getVariant(company);
+        this.validateParts({ subject, html, text });
+
+        const template = {
+            subject: subject.trim(),
+            html: html || '',
+            text: text || '',
+            updatedAt: new Date().toISOString(),
+            updatedBy
+        };
+        if (!this.configDB.updateEmailTemplate(templateId, variant, template)) {
+            throw new Error('Could not save the email template');
+        }
+
+        console.log(`📝 Email template ${templateId} (${variant}) saved${updatedBy ? ` by ${updatedBy}` : ''}`);
+        return {
+            templateId,
+            variant,
+            template,
+            unknownPlaceholders: templateHelpers.findUnknownPlaceholders(templateId, { subject, html, text })
+        };
+    }
+
+    // Remove a custom template so the next one in line (or the built-in) is used again
+    resetTemplate(templateId, company) {
+        this.getBuiltInTemplate(templateId);
+        const variant = this.getVariant(company);
+        const variants = this.configDB.getEmailTemplates()[templateId] || {};
+        if (!variants[variant]) {
+            throw createError(`No custom ${templateId} template for ${variant}`, 'NOT_FOUND');
+        }
+
+        if (!this.configDB.updateEmailTemplate(templateId, variant, null)) {
+            throw new Error('Could not reset the email template');
+        }
+        console.log(`📝 Email template ${templateId} (${variant}) reset to ${variant === DEFAULT_VARIANT ? 'built-in' : 'general'} template`);
+        return { templateId, variant, template: this.resolve(templateId, variant === DEFAULT_VARIANT ? null : variant) };
+    }
+
+    /**
+     * Render unsaved template parts (or the saved template) with sample values for the editor preview
+     * @param {Object} options - { company, subject, html, text, variables }
+     */
+    preview(templateId, { company = null, subject, html, text, variables = {} } = {}) {
+        const builtIn = this.getBuiltInTemplate(templateId);
+        const hasDraft = [subject, html, text].some(part => part !== undefined);
+        const template = hasDraft
+            ? { subject: subject || '', html: html || '', text: text || '', source: 'draft' }
+            : this.resolve(templateId, company);
+
+        return {
+            ...templateHelpers.renderTemplate(template, { ...builtIn.sample, ...variables }),
+            source: template.source,
+            unknownPlaceholders: templateHelpers.findUnknownPlaceholders(templateId, {
+                subject: template.subject,
+                html: template.html,
+                text: template.text
+            })
+        };
+    }
+}
+
+module.exports = EmailTemplateService;
@@ -1,128 +1,129 @@
 /**
  * Sistema de Autenticación Global
- * Se ejecuta en todas las páginas para mantener la sesión activa
+ * Se ejecuta en todas las páginas para mantener la sesión activa.
+ * El JWT vive en una cookie HttpOnly: JavaScript no lo lee, solo pregunta a /auth/status.
  */
 
 class GlobalAuth {
     constructor() {
+        // Claves de versiones anteriores (token en localStorage/sessionStorage), solo para limpiarlas
         this.tokenKey = 'fire_escape_jwt_token';
+        this.user = null;
+        this.authenticated = false;
         this.init();
     }
 
     init() {
         console.log('🔐 GlobalAuth inicializando...');
-        
+
+        this.clearLegacyToken();
+
         // Verificar si estamos en la página de login
-        if (window.location.pathname === '/login.html') {
+        if (this.isLoginPage()) {
             console.log('🔐 En página de login, saltando verificación');
             return;
         }
 
+        this.cleanUrl();
+
         // Verificar autenticación
-        this.checkAuth();
-        
+        this.ready = this.checkAuth();
+
         // Configurar verificación periódica
         setInterval(() => this.checkAuth(), 5 * 60 * 1000); // Cada 5 minutos
     }
 
+    isLoginPage() {
+        return window.location.pathname === '/login.html' || window.location.pathname === '/login';
+    }
+
     async checkAuth() {
         try {
-            const token = this.getToken();
-            
-            if (!token) {
-                console.log('🔒 No hay token, redirigiendo a login');
-                this.redirectToLogin();
-                return;
-            }
+            const status = await this.fetchStatus();
 
-            // Verificar si el token es válido
-            const isValid = await this.verifyToken(token);
-            if (!isValid) {
-                console.log('🔒 Token inválido, redirigiendo a login');
-                this.clearToken();
+            if (!status.authenticated) {
+                console.log('🔒 Sesión no válida, redirigiendo a login');
                 this.redirectToLogin();
-                return;
+                return false;
             }
 
             console.log('✅ Autenticación válida');
+            return true;
         } catch (error) {
             console.error('❌ Error verificando autenticación:', error);
             this.redirectToLogin();
+            return false;
         }
     }
 
-    getToken() {
-        // 1. Intentar obtener de localStorage
-        let token = localStorage.getItem(this.tokenKey);
-        
-        // 2. Si no está en localStorage, intentar de sessionStorage
-        if (!token) {
-            token = sessionStorage.getItem(this.tokenKey);
-        }
-        
-        // 3. Si no está en sessionStorage, intentar de URL parameters
-        if (!token) {
-            const urlParams = new URLSearchParams(window.location.search);
-            token = urlParams.get('token') || urlParams.get('access_token');
-            
-            // Si se encontró en URL, guardarlo en localStorage
-            if (token) {
-                console.log('🔑 Token encontrado en URL, guardando en localStorage');
-                localStorage.setItem(this.tokenKey, token);
-                
-                // Limpiar URL
-                const newUrl = new URL(window.location);
-                newUrl.searchParams.delete('token');
-                newUrl.searchParams.delete('access_token');
-                newUrl.searchParams.delete('success');
-                window.history.replaceState({}, document.title, newUrl.pathname);
+    // La cookie HttpOnly viaja sola con credentials: 'same-origin'
+    async fetchStatus() {
+        const response = await fetch('/auth/status', {
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/json'
             }
+        });
+
+        const data = await response.json();
+        this.authenticated = data.authenticated === true;
+        this.user = this.authenticated ? data.user : null;
+        return data;
+    }
+
+    // Los tokens antiguos en localStorage/sessionStorage ya no se usan
+    clearLegacyToken() {
+        localStorage.removeItem(this.tokenKey);
+        sessionStorage.removeItem(this.tokenKey);
+    }
+
+    // Quitar ?success=authenticated que deja el callback de Google
+    cleanUrl() {
+        const url = new URL(window.location);
+        if (url.searchParams.has('success')) {
+            url.searchParams.delete('success');
+            window.history.replaceState({}, document.title, url.pathname + url.search + url.hash);
         }
-        
-        return token;
     }
 
-    async verifyToken(token) {
+    async logout() {
         try {
-            const response = await fetch('/auth/status', {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            const data = await response.json();
-            return data.authenticated === true;
+            await fetch('/auth/logout', { method: 'POST', credentials: 'same-origin' });
         } catch (error) {
-            console.error('Error verificando token:', error);
-            return false;
+            console.error('❌ Error cerrando sesión:', error);
         }
+        this.authenticated = false;
+        this.user = null;
+        this.redirectToLogin();
     }
 
-    clearToken() {
-        localStorage.removeItem(this.tokenKey);
-        sessionStorage.removeItem(this.tokenKey);
-        
-        // También limpiar cookies
-        document.cookie = `${this.tokenKey}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;`;
+    // Cerrar sesión en todos los dispositivos (revoca todas las sesiones del usuario)
+    async logoutAllDevices() {
+        try {
+            await fetch('/api/sessions/revoke-all', { method: 'POST', credentials: 'same-origin' });
+        } catch (error) {
+            console.error('❌ Error cerrando sesiones:', error);
+        }
+        this.authenticated = false;
+        this.user = null;
+        this.redirectToLogin();
     }
 
     redirectToLogin() {
         // Solo redirigir si no estamos ya en login
-        if (window.location.pathname !== '/login.html') {
+        if (!this.isLoginPage()) {
             console.log('🔄 Redirigiendo a login...');
             window.location.href = '/login.html';
         }
     }
 
-    // Método para obtener token para uso en API calls
-    getAuthToken() {
-        return this.getToken();
+    getUser() {
+        return this.user;
     }
 
-    // Método para verificar si está autenticado
+    // Método para verificar si está autenticado (último resultado de /auth/status)
     isAuthenticated() {
-        return !!this.getToken();
+        return this.authenticated;
     }
 }
 
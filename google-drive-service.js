@@ -1,11 +1,29 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const ConfigDatabase = require('./config-database');
+const { helpers: driveHelpers } = require('./config/drive');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
 
 class GoogleDriveService {
-    constructor() {
+    constructor(configDB = null) {
         this.drive = null;
         this.isConfigured = false;
+        // Raíces y sub-carpetas configurables desde system-config
+        this.configDB = configDB || new ConfigDatabase();
+    }
+
+    getDriveConfig() {
+        return this.configDB.getDriveConfig();
+    }
+
+    getRootFolderId(customerType, company = null) {
+        return driveHelpers.resolveRootFolderId(this.getDriveConfig(), company, customerType);
+    }
+
+    escapeQueryValue(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
     }
 
     async initialize() {
@@ -72,7 +90,7 @@ class GoogleDriveService {
         }
     }
 
-    async createClientFolder(clientName, propertyAddress, customerType = 'Residential') {
+    async createClientFolder(clientName, propertyAddress, customerType = 'Residential', company = null) {
         if (!this.isConfigured || !this.drive) {
             console.log('Google Drive: Service not configured, skipping folder creation');
             return null;
@@ -85,23 +103,20 @@ class GoogleDriveService {
             
             const folderName = `${sanitizedName} - ${sanitizedAddress}`;
             
-            // Determine root folder ID based on customer type
-            let rootFolderId;
-            if (customerType === 'Commercial') {
-                rootFolderId = '12bR_COjrwE1DySRc4QfrUFEKGvzsIBpq';
-                console.log('Google Drive: Using Commercial folder');
-            } else {
-                rootFolderId = '1FnfkUI0vHCpKkZA9fdEpKxiDcg97URli';
-                console.log('Google Drive: Using Residential folder');
+            // Root folder from the company / customer type hierarchy
+            const rootFolderId = this.getRootFolderId(customerType, company);
+            if (!rootFolderId) {
+                console.error(`Google Drive: No root folder configured for ${company || 'default'} / ${customerType}`);
+                return null;
             }
             
             console.log(`Google Drive: Creating folder: ${folderName}`);
-            console.log(`Google Drive: Target location: ${customerType} Drive (ID: ${rootFolderId})`);
+            console.log(`Google Drive: Target location: ${company || 'default'} / ${customerType} (ID: ${rootFolderId})`);
 
             // Create folder metadata
             const folderMetadata = {
                 name: folderName,
-                mimeType: 'application/vnd.google-apps.folder',
+                mimeType: FOLDER_MIME_TYPE,
                 parents: [rootFolderId]
             };
 
@@ -114,14 +129,17 @@ class GoogleDriveService {
             });
 
             console.log(`Google Drive: Folder created successfully - ID: ${folder.data.id}, Name: ${folder.data.name}`);
-            console.log(`Google Drive: Folder location: ${customerType} Drive`);
+
+            const subfolders = await this.ensureClientSubfolders(folder.data.id);
             
             return {
                 id: folder.data.id,
                 name: folder.data.name,
                 webViewLink: folder.data.webViewLink,
                 customerType: customerType,
-                parentId: rootFolderId
+                company: company,
+                parentId: rootFolderId,
+                subfolders: subfolders
             };
         } catch (error) {
             console.error('Google Drive: Error creating folder:', error.message);
@@ -137,6 +155,47 @@ class GoogleDriveService {
         }
     }
 
+    // Sub-folder by name inside a client folder, created if missing
+    async getOrCreateSubfolder(parentId, name) {
+        const response = await this.drive.files.list({
+            q: `'${parentId}' in parents and mimeType='${FOLDER_MIME_TYPE}' and name='${this.escapeQueryValue(name)}' and trashed=false`,
+            fields: 'files(id, name, webViewLink)',
+            supportsAllDrives: true,
+            includeItemsFromAllDrives: true
+        });
+
+        if (response.data.files && response.data.files.length > 0) {
+            return response.data.files[0];
+        }
+
+        const folder = await this.drive.files.create({
+            resource: {
+                name: name,
+                mimeType: FOLDER_MIME_TYPE,
+                parents: [parentId]
+            },
+            fields: 'id, name, webViewLink',
+            supportsAllDrives: true,
+            supportsTeamDrives: true
+        });
+        console.log(`Google Drive: Sub-folder created: ${name} (ID: ${folder.data.id})`);
+        return folder.data;
+    }
+
+    // Estimates, Invoices, Inspection Reports, Photos... (configurable) → { name: folderId }
+    async ensureClientSubfolders(clientFolderId) {
+        const subfolders = {};
+        for (const name of this.getDriveConfig().subfolders || []) {
+            try {
+                const folder = await this.getOrCreateSubfolder(clientFolderId, name);
+                subfolders[name] = folder.id;
+            } catch (error) {
+                console.warn(`Google Drive: Could not create sub-folder ${name}: ${error.message}`);
+            }
+        }
+        return subfolders;
+    }
+
     async uploadFileToClientFolder(folderId, fileName, fileContent, mimeType = 'text/plain') {
         if (!this.isConfigured || !this.drive) {
             console.log('Google Drive: Service not configured, skipping file upload');
@@ -165,7 +224,8 @@ class GoogleDriveService {
             const file = await this.drive.files.create({
                 resource: fileMetadata,
                 media: media,
-                fields: 'id, name, webViewLink'
+                fields: 'id, name, webViewLink',
+                supportsAllDrives: true
             });
 
             console.log(`Google Drive: File uploaded successfully - ID: ${file.data.id}, Name: ${file.data.name}`);
@@ -181,7 +241,80 @@ class GoogleDriveService {
         }
     }
 
-    async uploadPDFReportToClientFolder(clientName, clientEmail, pdfBuffer, reportType = 'Fire Escape Inspection') {
+    // Folder by id (null if it was deleted, trashed or is not accessible)
+    async getFolder(folderId) {
+        if (!this.isConfigured || !this.drive || !folderId) {
+            return null;
+        }
+
+        try {
+            const response = await this.drive.files.get({
+                fileId: folderId,
+                fields: 'id, name, webViewLink, mimeType, trashed',
+                supportsAllDrives: true
+            });
+            const folder = response.data;
+            return folder.mimeType === FOLDER_MIME_TYPE && !folder.trashed ? folder : null;
+        } catch (error) {
+            console.warn(`Google Drive: Folder ${folderId} not accessible: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Search by full name, then first name, then last name
+    async searchClientFolders(clientName, clientEmail) {
+        let clientFolders = await this.findClientFolder(clientName, clientEmail);
+        
+        // If no folders found, try searching with just the first name
+        if (!clientFolders || clientFolders.length === 0) {
+            const firstName = clientName.split(' ')[0];
+            console.log(`Google Drive: Trying search with first name: ${firstName}`);
+            clientFolders = await this.findClientFolder(firstName, clientEmail);
+        }
+        
+        // If still no folders found, try searching with last name
+        if (!clientFolders || clientFolders.length === 0) {
+            const nameParts = clientName.split(' ');
+            if (nameParts.length > 1) {
+                const lastName = nameParts[nameParts.length - 1];
+                console.log(`Google Drive: Trying search with last name: ${lastName}`);
+                clientFolders = await this.findClientFolder(lastName, clientEmail);
+            }
+        }
+
+        return clientFolders || [];
+    }
+
+    /**
+     * Existing folder of a client for the backfill: only an unambiguous match is returned.
+     * Folders are named "<client name> - <address>" by createClientFolder.
+     * @returns {Promise<{folder: Object|null, candidates: number}>}
+     */
+    async matchClientFolder(clientName, propertyAddress = '') {
+        const candidates = await this.findClientFolder(clientName, null);
+        const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const expectedName = normalize(`${clientName} - ${propertyAddress}`);
+
+        const exact = candidates.filter(folder => normalize(folder.name) === expectedName);
+        if (exact.length === 1) {
+            return { folder: exact[0], candidates: candidates.length };
+        }
+
+        const byName = candidates.filter(folder => normalize(folder.name.split(' - ')[0]) === normalize(clientName));
+        if (byName.length === 1) {
+            return { folder: byName[0], candidates: candidates.length };
+        }
+
+        return { folder: null, candidates: candidates.length };
+    }
+
+    /**
+     * Upload a PDF to the client's folder, filed in the sub-folder for its document type
+     * @param {Object} options - { folderId (saved on the client), company, customerType, address,
+     *   documentType ('estimate' | 'invoice' | 'report' | 'photo') }
+     * @returns {Promise<Object|null>} Uploaded file plus the clientFolder it was filed under
+     */
+    async uploadPDFReportToClientFolder(clientName, clientEmail, pdfBuffer, reportType = 'Fire Escape Inspection', options = {}) {
         if (!this.isConfigured || !this.drive) {
             console.log('Google Drive: Service not configured, skipping PDF upload');
             return null;
@@ -190,55 +323,56 @@ class GoogleDriveService {
         try {
             console.log(`Google Drive: Uploading PDF report for client: ${clientName}`);
             
-            // Find client folder by name (try multiple search strategies)
-            let clientFolders = await this.findClientFolder(clientName, clientEmail);
-            
-            // If no folders found, try searching with just the first name
-            if (!clientFolders || clientFolders.length === 0) {
-                const firstName = clientName.split(' ')[0];
-                console.log(`Google Drive: Trying search with first name: ${firstName}`);
-                clientFolders = await this.findClientFolder(firstName, clientEmail);
-            }
-            
-            // If still no folders found, try searching with last name
-            if (!clientFolders || clientFolders.length === 0) {
-                const nameParts = clientName.split(' ');
-                if (nameParts.length > 1) {
-                    const lastName = nameParts[nameParts.length - 1];
-                    console.log(`Google Drive: Trying search with last name: ${lastName}`);
-                    clientFolders = await this.findClientFolder(lastName, clientEmail);
-                }
-            }
+            // La carpeta guardada en el cliente evita buscar por nombre (falla si el cliente se renombra)
+            let clientFolder = await this.getFolder(options.folderId);
             
-            if (!clientFolders || clientFolders.length === 0) {
-                console.log(`Google Drive: No folder found for client ${clientName}, creating new folder`);
+            if (clientFolder) {
+                console.log(`Google Drive: Using saved client folder: ${clientFolder.name} (ID: ${clientFolder.id})`);
+            } else {
+                const clientFolders = await this.searchClientFolders(clientName, clientEmail);
                 
-                // Create folder in Residential drive by default
-                const folderResult = await this.createClientFolder(clientName, 'Address not specified', 'Residential');
-                if (!folderResult) {
-                    throw new Error('Failed to create client folder for PDF upload');
+                if (clientFolders.length === 0) {
+                    console.log(`Google Drive: No folder found for client ${clientName}, creating new folder`);
+                    
+                    clientFolder = await this.createClientFolder(
+                        clientName,
+                        options.address || 'Address not specified',
+                        options.customerType || 'Residential',
+                        options.company || null
+                    );
+                    if (!clientFolder) {
+                        throw new Error('Failed to create client folder for PDF upload');
+                    }
+                } else {
+                    // Use the first found folder
+                    clientFolder = clientFolders[0];
+                    console.log(`Google Drive: Found client folder: ${clientFolder.name} (ID: ${clientFolder.id})`);
                 }
-                
-                return await this.uploadFileToClientFolder(
-                    folderResult.id,
-                    `${reportType}_${new Date().toISOString().slice(0, 10)}.pdf`,
-                    pdfBuffer,
-                    'application/pdf'
-                );
             }
 
-            // Use the first found folder
-            const clientFolder = clientFolders[0];
-            console.log(`Google Drive: Found client folder: ${clientFolder.name} (ID: ${clientFolder.id})`);
+            const documentFolder = await this.getOrCreateSubfolder(
+                clientFolder.id,
+                driveHelpers.getDocumentFolder(options.documentType || reportType)
+            );
+            console.log(`Google Drive: Filing document in ${documentFolder.name}`);
 
             const fileName = `${reportType}_${new Date().toISOString().slice(0, 10)}.pdf`;
             
-            return await this.uploadFileToClientFolder(
-                clientFolder.id,
+            const file = await this.uploadFileToClientFolder(
+                documentFolder.id,
                 fileName,
                 pdfBuffer,
                 'application/pdf'
             );
+            
+            return file ? {
+                ...file,
+                clientFolder: {
+                    id: clientFolder.id,
+                    name: clientFolder.name,
+                    webViewLink: clientFolder.webViewLink
+                }
+            } : null;
         } catch (error) {
             console.error('Google Drive: Error uploading PDF report:', error.message);
             return null;
@@ -254,11 +388,8 @@ class GoogleDriveService {
         try {
             console.log(`Google Drive: Searching for client folder: ${clientName}`);
 
-            // Search in both Commercial and Residential folders
-            const searchFolders = [
-                '12bR_COjrwE1DySRc4QfrUFEKGvzsIBpq', // Commercial
-                '1FnfkUI0vHCpKkZA9fdEpKxiDcg97URli'  // Residential
-            ];
+            // Search in every configured root (all companies and customer types)
+            const searchFolders = driveHelpers.getAllRootFolderIds(this.getDriveConfig());
 
             let allFolders = [];
 
@@ -266,10 +397,10 @@ class GoogleDriveService {
                 try {
                     // Try multiple search strategies
                     const searchQueries = [
-                        `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and name contains '${clientName}'`,
-                        `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and name contains '${clientName.replace(/[^a-zA-Z0-9]/g, ' ')}'`,
-                        `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and name contains '${clientName.toLowerCase()}'`,
-                        `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and name contains '${clientName.toUpperCase()}'`
+                        `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and name contains '${this.escapeQueryValue(clientName)}'`,
+                        `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and name contains '${this.escapeQueryValue(clientName.replace(/[^a-zA-Z0-9]/g, ' '))}'`,
+                        `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and name contains '${this.escapeQueryValue(clientName.toLowerCase())}'`,
+                        `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and name contains '${this.escapeQueryValue(clientName.toUpperCase())}'`
                     ];
 
                     for (const query of searchQueries) {
@@ -308,6 +439,112 @@ class GoogleDriveService {
         }
     }
 
+    // Files of a client folder and its sub-folders (Estimates, Invoices, ...), newest first
+    async listFolderFiles(folderId) {
+        const folders = [{ id: folderId, name: null }];
+        const files = [];
+
+        while (folders.length > 0) {
+            const parent = folders.shift();
+            let pageToken;
+            do {
+                const response = await this.drive.files.list({
+                    q: `'${parent.id}' in parents and trashed=false`,
+                    fields: 'nextPageToken, files(id, name, mimeType, size, createdTime, modifiedTime, webViewLink, iconLink)',
+                    orderBy: 'modifiedTime desc',
+                    pageSize: 100,
+                    pageToken: pageToken,
+                    supportsAllDrives: true,
+                    includeItemsFromAllDrives: true
+                });
+
+                for (const file of response.data.files || []) {
+                    if (file.mimeType === FOLDER_MIME_TYPE) {
+                        // Solo un nivel de sub-carpetas (la estructura que crea createClientFolder)
+                        if (parent.name === null) {
+                            folders.push({ id: file.id, name: file.name });
+                        }
+                    } else {
+                        files.push({
+                            id: file.id,
+                            name: file.name,
+                            mimeType: file.mimeType,
+                            size: file.size ? parseInt(file.size, 10) : null,
+                            folder: parent.name,
+                            createdTime: file.createdTime,
+                            modifiedTime: file.modifiedTime,
+                            webViewLink: file.webViewLink,
+                            iconLink: file.iconLink
+                        });
+                    }
+                }
+                pageToken = response.data.nextPageToken;
+            } while (pageToken);
+        }
+
+        return files.sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime));
+    }
+
+    async getFile(fileId) {
+        const response = await this.drive.files.get({
+            fileId: fileId,
+            fields: 'id, name, mimeType, size, parents, trashed, webViewLink',
+            supportsAllDrives: true
+        });
+        return response.data;
+    }
+
+    // File content (to attach it to an email); Google Docs files have no binary content
+    async downloadFile(fileId) {
+        const file = await this.getFile(fileId);
+        const response = await this.drive.files.get(
+            { fileId: fileId, alt: 'media', supportsAllDrives: true },
+            { responseType: 'arraybuffer' }
+        );
+        return { name: file.name, mimeType: file.mimeType, buffer: Buffer.from(response.data) };
+    }
+
+    // A file belongs to a client if it is in the client folder or one of its sub-folders
+    async isFileInFolder(fileId, folderId) {
+        const file = await this.getFile(fileId);
+        if (file.trashed || file.mimeType === FOLDER_MIME_TYPE) {
+            return false;
+        }
+
+        const parents = file.parents || [];
+        if (parents.includes(folderId)) {
+            return true;
+        }
+
+        for (const parentId of parents) {
+            const parent = await this.getFile(parentId);
+            if ((parent.parents || []).includes(folderId)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    async renameFile(fileId, name) {
+        const response = await this.drive.files.update({
+            fileId: fileId,
+            resource: { name: name },
+            fields: 'id, name, mimeType, size, modifiedTime, webViewLink',
+            supportsAllDrives: true
+        });
+        return response.data;
+    }
+
+    // Se manda a la papelera de Drive (recuperable) en vez de borrar definitivamente
+    async trashFile(fileId) {
+        await this.drive.files.update({
+            fileId: fileId,
+            resource: { trashed: true },
+            supportsAllDrives: true
+        });
+        return { id: fileId, trashed: true };
+    }
+
     async listClientFolders() {
         if (!this.isConfigured || !this.drive) {
             console.log('Google Drive: Service not configured, cannot list folders');
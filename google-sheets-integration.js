@@ -421,23 +421,24 @@ class GoogleSheetsIntegration {
         ];
     }
 
-    async getStatistics() {
+    // clients: lista ya filtrada por empresa; sin ella se calculan sobre todos los clientes
+    async getStatistics(clients = null) {
         try {
-            return await this.getOnboardingStatistics();
+            return await this.getOnboardingStatistics(clients);
         } catch (error) {
             console.error('❌ Error getting statistics:', error);
             return this.getMockStatistics();
         }
     }
 
-    async getOnboardingStatistics() {
+    async getOnboardingStatistics(scopedClients = null) {
         try {
             console.log('📊 Getting onboarding statistics...');
             
             // Obtener clientes de onboarding
-            const clients = await this.getFormResponsesClients();
+            const clients = scopedClients || await this.getFormResponsesClients();
             
-            if (!clients || clients.length === 0) {
+            if (!scopedClients && (!clients || clients.length === 0)) {
                 console.log('⚠️ No clients found for statistics');
                 return this.getMockStatistics();
             }
@@ -632,10 +633,15 @@ class GoogleSheetsIntegration {
             // CACHE DISABLED - No cache invalidation needed since cache is disabled
             console.log('🔄 Cache disabled - data will always be fresh');
 
+            // Sin Client ID el dashboard identifica la fila como ROW-<n>
+            const rowMatch = /![A-Z]+(\d+)/.exec(response.data.updates?.updatedRange || '');
+            const clientId = clientData.clientId || (rowMatch ? `ROW-${rowMatch[1]}` : null);
+
             return {
                 success: true,
                 message: 'Client added successfully to Google Sheets',
-                rowCount: response.data.updates?.updatedRows || 1
+                rowCount: response.data.updates?.updatedRows || 1,
+                clientId: clientId
             };
         } catch (error) {
             console.error('❌ Error adding client to sheet:', error);
@@ -723,6 +729,7 @@ class GoogleSheetsIntegration {
 
             // Mapear update data a columnas de Google Sheets
             const columnMappings = {
+                'formEmailerStatus': 'A', // FormEmailer Status
                 'status': 'E', // Customer Status
                 'customerStatus': 'E', // Customer Status
                 'invoiceStatus': 'C', // Invoice Status
@@ -815,6 +822,10 @@ class GoogleSheetsIntegration {
         return await this.updateClientInSheet(clientId, { estimateStatus: newEstimateStatus });
     }
 
+    async updateClientFormEmailerStatus(clientId, newFormEmailerStatus) {
+        return await this.updateClientInSheet(clientId, { formEmailerStatus: newFormEmailerStatus });
+    }
+
     async updateClientResponsible(clientId, newResponsible) {
         return await this.updateClientInSheet(clientId, { responsible: newResponsible });
     }
@@ -0,0 +1,166 @@
+const database = require('./database');
+
+const FOLLOW_UP_STATUS = 'New Lead';
+
+// Periodic reminders for renewals driven by reports.next_inspection_date
+class InspectionReminderService {
+    constructor(emailService, googleSheets = null) {
+        this.db = database;
+        this.emailService = emailService;
+        this.googleSheets = googleSheets;
+        this.daysAhead = parseInt(process.env.INSPECTION_REMINDER_DAYS, 10) || 30;
+        this.reminderInterval = null;
+        this.status = {
+            isRunning: false,
+            lastRun: null,
+            lastResult: null
+        };
+    }
+
+    // Start the reminder scheduler
+    start(intervalHours = 24) {
+        if (this.reminderInterval) {
+            this.stop();
+        }
+
+        console.log(`🔔 Starting inspection reminders every ${intervalHours} hours (${this.daysAhead} days ahead)`);
+
+        this.reminderInterval = setInterval(async () => {
+            await this.runReminderCheck();
+        }, intervalHours * 60 * 60 * 1000);
+
+        // Perform initial check
+        this.runReminderCheck();
+    }
+
+    // Stop the reminder scheduler
+    stop() {
+        if (this.reminderInterval) {
+            clearInterval(this.reminderInterval);
+            this.reminderInterval = null;
+            console.log('⏹️ Inspection reminders stopped');
+        }
+    }
+
+    async getUpcomingInspections(daysAhead = this.daysAhead) {
+        return this.db.getUpcomingInspections(daysAhead);
+    }
+
+    // Scan upcoming next_inspection_date values and remind everyone not yet reminded
+    async runReminderCheck() {
+        if (this.status.isRunning) {
+            console.log('⚠️ Inspection reminder check already running, skipping...');
+            return this.status.lastResult;
+        }
+
+        this.status.isRunning = true;
+        const result = { checked: 0, reminded: 0, errors: [] };
+
+        try {
+            if (!this.db.mysqlConnected) {
+                throw new Error('MySQL not connected');
+            }
+
+            if (!this.emailService.isConfigured) {
+                // configure() completa los datos con persistent-config.json y variables de entorno
+                const configResult = await this.emailService.configure({});
+                if (!configResult.success) {
+                    throw new Error(`Email service not configured: ${configResult.error}`);
+                }
+            }
+
+            const pending = await this.db.getUpcomingInspections(this.daysAhead, true);
+            result.checked = pending.length;
+            console.log(`🔔 ${pending.length} inspection(s) due within ${this.daysAhead} days need a reminder`);
+
+            for (const inspection of pending) {
+                try {
+                    await this.sendReminder(inspection);
+                    result.reminded++;
+                } catch (error) {
+                    console.error(`❌ Error sending reminder for report ${inspection.reportId}:`, error.message);
+                    result.errors.push({ reportId: inspection.reportId, error: error.message });
+                }
+            }
+
+            console.log(`✅ Inspection reminder check completed: ${result.reminded}/${result.checked} reminded`);
+        } catch (error) {
+            console.error('❌ Inspection reminder check failed:', error.message);
+            result.errors.push({ error: error.message });
+        } finally {
+            this.status.isRunning = false;
+            this.status.lastRun = new Date().toISOString();
+            this.status.lastResult = result;
+        }
+
+        return result;
+    }
+
+    async sendReminder(inspection) {
+        const clientResult = inspection.email
+            ? await this.emailService.sendInspectionReminder(inspection, inspection.email, 'client')
+            : { success: false, error: 'Client has no email' };
+
+        const inspectorEmail = this.resolveInspectorEmail(inspection);
+        const inspectorResult = await this.emailService.sendInspectionReminder(inspection, inspectorEmail, 'inspector');
+
+        if (!clientResult.success && !inspectorResult.success) {
+            // Sin registrar, para reintentarlo en la próxima ejecución
+            throw new Error(inspectorResult.error || clientResult.error);
+        }
+
+        const followUpCreated = await this.createFollowUp(inspection);
+
+        await this.db.recordInspectionReminder({
+            reportId: inspection.reportId,
+            clientId: inspection.clientId,
+            nextInspectionDate: inspection.nextInspectionDate,
+            clientNotified: clientResult.success,
+            inspectorNotified: inspectorResult.success,
+            followUpCreated
+        });
+    }
+
+    // responsable/inspector suelen ser nombres; si no hay email usamos el buzón de notificaciones
+    resolveInspectorEmail(inspection) {
+        const candidates = [inspection.inspector, inspection.responsable];
+        const email = candidates.find(value => value && value.includes('@'));
+        return email || process.env.NOTIFICATION_EMAIL || 'newcustomers@iriasironworks.com';
+    }
+
+    // Put the client back in the 'New Lead' pipeline so the renewal gets scheduled
+    async createFollowUp(inspection) {
+        let created = false;
+        const note = `Inspection renewal due ${inspection.nextInspectionDate} (last report ${inspection.reportId})`;
+
+        try {
+            await this.db.updateClientStatus(inspection.clientId, FOLLOW_UP_STATUS);
+            await this.db.appendClientNote(inspection.clientId, note);
+            created = true;
+        } catch (dbError) {
+            console.warn(`⚠️ Failed to create follow-up in database: ${dbError.message}`);
+        }
+
+        // El dashboard lee de Google Sheets
+        if (this.googleSheets) {
+            try {
+                const result = await this.googleSheets.updateClientStatus(inspection.clientId, FOLLOW_UP_STATUS);
+                created = created || !!(result && result.success);
+            } catch (sheetsError) {
+                console.warn(`⚠️ Failed to update client status in Google Sheets: ${sheetsError.message}`);
+            }
+        }
+
+        return created;
+    }
+
+    getStatus() {
+        return {
+            ...this.status,
+            daysAhead: this.daysAhead,
+            scheduled: !!this.reminderInterval
+        };
+    }
+}
+
+module.exports = InspectionReminderService;
@@ -1,169 +1,93 @@
 /**
  * JWT Authentication Handler for Frontend
- * Manages JWT tokens in localStorage and API requests
+ * The JWT lives in an HttpOnly cookie set by the Google callback; this class never sees it.
+ * Authentication state comes from /auth/status.
  */
 
 class JWTAuth {
     constructor() {
+        // Keys used by older versions (token in localStorage), only kept to clear them
         this.tokenKey = 'fire_escape_jwt_token';
         this.userKey = 'fire_escape_user_data';
+        this.user = null;
+        this.authenticated = false;
         this.init();
     }
 
     init() {
         console.log('🔐 JWTAuth.init() called');
-        
-        // Check if token is in URL (from Google OAuth callback)
-        const urlParams = new URLSearchParams(window.location.search);
-        const token = urlParams.get('token');
-        
-        if (token) {
-            console.log('🔐 Token found in URL, setting it...');
-            const success = this.setToken(token);
-            if (success) {
-                console.log('✅ Token saved to localStorage successfully');
-                // Remove token from URL for security
-                const newUrl = window.location.pathname + window.location.search.replace(/[?&]token=[^&]*/, '').replace(/^\?&/, '?').replace(/^\?$/, '');
-                window.history.replaceState({}, document.title, newUrl);
-                console.log('🔐 Token removed from URL for security');
-            } else {
-                console.error('❌ Failed to save token to localStorage');
-            }
-        } else {
-            console.log('🔍 No token in URL, checking localStorage...');
-            const existingToken = this.getToken();
-            if (existingToken) {
-                console.log('✅ Found existing token in localStorage');
-            } else {
-                console.log('❌ No token found in localStorage');
-            }
-        }
-        
-        // Log authentication status
-        console.log('🔐 Authentication status:', this.isAuthenticated());
-    }
 
-    setToken(token) {
-        try {
-            console.log('🔐 Setting JWT token in localStorage...');
-            localStorage.setItem(this.tokenKey, token);
-            console.log('✅ Token saved to localStorage');
-            
-            // Decode and store user data
-            const userData = this.decodeToken(token);
-            if (userData) {
-                localStorage.setItem(this.userKey, JSON.stringify(userData));
-                console.log('✅ User data saved to localStorage:', userData.email);
-            } else {
-                console.warn('⚠️ Could not decode token to get user data');
-            }
-            
-            // Verify token was saved
-            const savedToken = localStorage.getItem(this.tokenKey);
-            if (savedToken === token) {
-                console.log('✅ Token verification successful');
-                return true;
-            } else {
-                console.error('❌ Token verification failed');
-                return false;
-            }
-        } catch (error) {
-            console.error('❌ Error setting JWT token:', error);
-            return false;
-        }
+        localStorage.removeItem(this.tokenKey);
+        localStorage.removeItem(this.userKey);
+
+        // Resolves once the first /auth/status answer is in
+        this.ready = this.checkAuthStatus();
     }
 
+    // The token is HttpOnly: requests authenticate with the cookie
     getToken() {
-        const token = localStorage.getItem(this.tokenKey);
-        if (token) {
-            console.log('🔐 Token retrieved from localStorage');
-        } else {
-            console.log('❌ No token found in localStorage');
-        }
-        return token;
+        return null;
     }
 
     getUser() {
-        try {
-            const userData = localStorage.getItem(this.userKey);
-            return userData ? JSON.parse(userData) : null;
-        } catch (error) {
-            console.error('Error getting user data:', error);
-            return null;
-        }
+        return this.user;
+    }
+
+    // Last answer from /auth/status; await jwtAuth.ready before relying on it
+    isAuthenticated() {
+        return this.authenticated;
     }
 
-    decodeToken(token) {
+    async logout() {
+        console.log('🔐 Logging out user...');
         try {
-            const base64Url = token.split('.')[1];
-            const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
-            const jsonPayload = decodeURIComponent(atob(base64).split('').map(function(c) {
-                return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
-            }).join(''));
-            return JSON.parse(jsonPayload);
+            await fetch('/auth/logout', { method: 'POST', credentials: 'same-origin' });
         } catch (error) {
-            console.error('Error decoding JWT token:', error);
-            return null;
+            console.error('❌ Error logging out:', error);
         }
+        this.authenticated = false;
+        this.user = null;
+        window.location.href = '/login';
     }
 
-    isAuthenticated() {
-        const token = this.getToken();
-        if (!token) return false;
-        
-        const userData = this.decodeToken(token);
-        if (!userData) return false;
-        
-        // Check if token is expired
-        const currentTime = Date.now() / 1000;
-        if (userData.exp && userData.exp < currentTime) {
-            this.logout();
-            return false;
+    // Revoke every session of this user (all devices), then log in again
+    async logoutAllDevices() {
+        try {
+            await fetch('/api/sessions/revoke-all', { method: 'POST', credentials: 'same-origin' });
+        } catch (error) {
+            console.error('❌ Error signing out all devices:', error);
         }
-        
-        return true;
-    }
-
-    logout() {
-        console.log('🔐 Logging out user...');
-        localStorage.removeItem(this.tokenKey);
-        localStorage.removeItem(this.userKey);
-        console.log('✅ User data cleared from localStorage');
+        this.authenticated = false;
+        this.user = null;
         window.location.href = '/login';
     }
 
-    // Add authorization header to fetch requests
+    // Same-origin fetch with the session cookie
     async fetchWithAuth(url, options = {}) {
-        const token = this.getToken();
-        
-        if (token) {
-            options.headers = {
-                ...options.headers,
-                'Authorization': `Bearer ${token}`
-            };
-        }
-        
-        const response = await fetch(url, options);
-        
+        const response = await fetch(url, { ...options, credentials: 'same-origin' });
+
         // If unauthorized, redirect to login
         if (response.status === 401) {
             this.logout();
             return null;
         }
-        
+
         return response;
     }
 
     // Check auth status with server
     async checkAuthStatus() {
         try {
-            const response = await this.fetchWithAuth('/auth/status');
-            if (!response) return { authenticated: false };
-            
+            const response = await fetch('/auth/status', { credentials: 'same-origin' });
             const data = await response.json();
+            this.authenticated = data.authenticated === true;
+            this.user = this.authenticated ? data.user : null;
+            console.log('🔐 Authentication status:', this.authenticated);
             return data;
         } catch (error) {
             console.error('Error checking auth status:', error);
+            this.authenticated = false;
+            this.user = null;
             return { authenticated: false };
         }
     }
@@ -175,4 +99,4 @@ window.jwtAuth = new JWTAuth();
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = JWTAuth;
-} 
\ No newline at end of file
+}
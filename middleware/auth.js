@@ -1,4 +1,8 @@
 const { helpers: securityHelpers, config: securityConfig } = require('../config/security');
+const { helpers: companyHelpers } = require('../config/companies');
+const sessions = require('../session-service');
+const ApiKeyService = require('../api-key-service');
+const apiKeys = new ApiKeyService();
 
 /**
  * JWT Authentication Middleware
@@ -33,12 +37,23 @@ class AuthMiddleware {
                 });
             }
 
+            if (!sessions.isTokenActive(decoded)) {
+                return res.status(401).json({
+                    error: true,
+                    message: 'Session has been revoked',
+                    code: 'SESSION_REVOKED'
+                });
+            }
+            sessions.touch(decoded.jti);
+
             // Add user info to request
             req.user = {
+                jti: decoded.jti,
                 id: decoded.id,
                 email: decoded.email,
                 role: decoded.role,
                 company: decoded.company,
+                companies: decoded.companies || [],
                 permissions: decoded.permissions || []
             };
 
@@ -61,20 +76,20 @@ class AuthMiddleware {
     }
 
     /**
-     * Verify API key from headers
+     * Verify API key from headers (keys issued from the admin panel, see api-key-service.js)
+     * Adds req.apiKey and req.user (role 'api_key', only the key's scopes)
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next function
      */
-    static authenticateApiKey(req, res, next) {
+    static async authenticateApiKey(req, res, next) {
         try {
-            if (!securityConfig.api.apiKeyRequired) {
-                return next();
-            }
-
             const apiKey = req.headers[securityConfig.api.apiKeyHeader.toLowerCase()];
-            
+
             if (!apiKey) {
+                if (!securityConfig.api.apiKeyRequired) {
+                    return next();
+                }
                 return res.status(401).json({
                     error: true,
                     message: 'API key required',
@@ -82,19 +97,19 @@ class AuthMiddleware {
                 });
             }
 
-            // In a real implementation, you would validate against stored API keys
-            // For now, we'll use a simple check against environment variable
-            const validApiKey = process.env.API_KEY;
-            if (!validApiKey || apiKey !== validApiKey) {
-                return res.status(403).json({
-                    error: true,
-                    message: 'Invalid API key',
-                    code: 'INVALID_API_KEY'
-                });
-            }
+            const key = await apiKeys.authenticate(apiKey, req.ip);
+            req.apiKey = key;
+            req.user = apiKeys.toPrincipal(key);
 
             next();
         } catch (error) {
+            if (error.code === 'INVALID_API_KEY' || error.code === 'API_KEYS_UNAVAILABLE') {
+                return res.status(error.code === 'INVALID_API_KEY' ? 401 : 503).json({
+                    error: true,
+                    message: error.message,
+                    code: error.code
+                });
+            }
             console.error('[AUTH] API key authentication error:', error);
             return res.status(500).json({
                 error: true,
@@ -104,6 +119,26 @@ class AuthMiddleware {
         }
     }
 
+    /**
+     * Check that the request's API key has a scope (config/permissions.js apiKeyScopes)
+     * Requests authenticated with a session token pass through
+     * @param {string} scope - Required scope, e.g. 'clients:create'
+     * @returns {Function} Express middleware function
+     */
+    static requireApiKeyScope(scope) {
+        return (req, res, next) => {
+            if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+                console.warn(`[AUTH] API key "${req.apiKey.name}" lacks scope ${scope}`);
+                return res.status(403).json({
+                    error: true,
+                    message: `API key is missing the ${scope} scope`,
+                    code: 'API_KEY_SCOPE_DENIED'
+                });
+            }
+            next();
+        };
+    }
+
     /**
      * Check if user has required role
      * @param {string|Array} requiredRoles - Required role(s)
@@ -200,6 +235,57 @@ class AuthMiddleware {
         };
     }
 
+    /**
+     * Companies a user can see (null = all companies, for admins)
+     * @param {Object} user - Decoded token payload
+     * @returns {Array|null} Canonical company names
+     */
+    static getUserCompanies(user) {
+        if (!user) {
+            return [];
+        }
+        if (user.role === 'admin') {
+            return null;
+        }
+        // API keys issued without companies reach every company
+        if (user.role === 'api_key' && (!user.companies || user.companies.length === 0)) {
+            return null;
+        }
+
+        // Tokens anteriores solo traen `company`
+        const companies = user.companies && user.companies.length > 0 ? user.companies : [user.company];
+        return companyHelpers.normalizeCompanyList(companies);
+    }
+
+    /**
+     * Check a company against the user's companies
+     * @param {Object} user - Decoded token payload
+     * @param {string} company - Company name or alias
+     * @returns {boolean}
+     */
+    static canAccessCompany(user, company) {
+        const allowed = AuthMiddleware.getUserCompanies(user);
+        if (allowed === null) {
+            return true;
+        }
+        const normalized = companyHelpers.normalizeCompany(company);
+        return !!normalized && allowed.includes(normalized);
+    }
+
+    /**
+     * Keep only the records that belong to the user's companies
+     * @param {Object} user - Decoded token payload
+     * @param {Array} records - Records to filter
+     * @param {Function} getCompany - Returns the company of a record
+     * @returns {Array}
+     */
+    static filterByCompany(user, records, getCompany = record => record.company) {
+        if (AuthMiddleware.getUserCompanies(user) === null) {
+            return records;
+        }
+        return records.filter(record => AuthMiddleware.canAccessCompany(user, getCompany(record)));
+    }
+
     /**
      * Check if user can access company-specific data
      * @param {Object} req - Express request object
@@ -216,18 +302,14 @@ class AuthMiddleware {
                 });
             }
 
-            const userCompany = req.user.company;
-            const requestedCompany = req.params.company || req.query.company || req.body.company;
+            const requestedCompany = (req.params && req.params.company) ||
+                (req.query && req.query.company) ||
+                (req.body && req.body.company);
 
-            // Admin users can access all companies
-            if (req.user.role === 'admin') {
-                return next();
-            }
-
-            // Users can only access their own company data
-            if (requestedCompany && userCompany !== requestedCompany) {
-                console.warn(`[AUTH] Company access denied: User ${req.user.email} (${userCompany}) attempted to access ${requestedCompany} data`, {
-                    userCompany: userCompany,
+            // Users can only access their own companies' data (admins can access all)
+            if (requestedCompany && requestedCompany !== 'all' && !AuthMiddleware.canAccessCompany(req.user, requestedCompany)) {
+                console.warn(`[AUTH] Company access denied: User ${req.user.email} attempted to access ${requestedCompany} data`, {
+                    userCompanies: AuthMiddleware.getUserCompanies(req.user),
                     requestedCompany: requestedCompany,
                     ip: req.ip,
                     timestamp: new Date().toISOString()
@@ -264,12 +346,14 @@ class AuthMiddleware {
 
             if (token) {
                 const decoded = securityHelpers.verifyJWT(token);
-                if (decoded) {
+                if (decoded && sessions.isTokenActive(decoded)) {
                     req.user = {
+                        jti: decoded.jti,
                         id: decoded.id,
                         email: decoded.email,
                         role: decoded.role,
                         company: decoded.company,
+                        companies: decoded.companies || [],
                         permissions: decoded.permissions || []
                     };
                 }
@@ -288,7 +372,7 @@ class AuthMiddleware {
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
-    static refreshToken(req, res) {
+    static async refreshToken(req, res) {
         try {
             const { refreshToken } = req.body;
 
@@ -301,7 +385,7 @@ class AuthMiddleware {
             }
 
             const decoded = securityHelpers.verifyRefreshToken(refreshToken);
-            if (!decoded) {
+            if (!decoded || !sessions.isTokenActive(decoded)) {
                 return res.status(403).json({
                     error: true,
                     message: 'Invalid or expired refresh token',
@@ -309,14 +393,15 @@ class AuthMiddleware {
                 });
             }
 
-            // Generate new access token
+            // Generate new access token (same session id, so revoking the session revokes both)
             const newAccessToken = securityHelpers.generateJWT({
                 id: decoded.id,
                 email: decoded.email,
                 role: decoded.role,
                 company: decoded.company,
+                companies: decoded.companies || [],
                 permissions: decoded.permissions
-            });
+            }, { jwtid: decoded.jti });
 
             // Generate new refresh token
             const newRefreshToken = securityHelpers.generateRefreshToken({
@@ -324,8 +409,10 @@ class AuthMiddleware {
                 email: decoded.email,
                 role: decoded.role,
                 company: decoded.company,
+                companies: decoded.companies || [],
                 permissions: decoded.permissions
-            });
+            }, { jwtid: decoded.jti });
+            await sessions.extendSession(decoded.jti, newRefreshToken);
 
             res.json({
                 success: true,
@@ -347,14 +434,16 @@ class AuthMiddleware {
     }
 
     /**
-     * Logout - invalidate tokens
+     * Logout - revoke the session of the token
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
-    static logout(req, res) {
+    static async logout(req, res) {
         try {
-            // In a real implementation, you would add tokens to a blacklist
-            // For now, we'll just return success
+            // The session id goes to the blacklist: access and refresh tokens stop working
+            if (req.user && req.user.jti) {
+                await sessions.revokeSession(req.user.jti, req.user.email, 'logout');
+            }
             console.log(`[AUTH] User ${req.user?.email || 'unknown'} logged out`, {
                 ip: req.ip,
                 timestamp: new Date().toISOString()
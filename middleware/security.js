@@ -1,7 +1,7 @@
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const cors = require('cors');
-const { config: securityConfig } = require('../config/security');
+const { config: securityConfig, helpers: securityHelpers } = require('../config/security');
 
 /**
  * Security Middleware
@@ -160,7 +160,7 @@ class SecurityMiddleware {
         res.setHeader('Permissions-Policy', 'geolocation=(), microphone=(), camera=()');
         
         // Add request ID for tracking
-        req.requestId = this.generateRequestId();
+        req.requestId = SecurityMiddleware.generateRequestId();
         res.setHeader('X-Request-ID', req.requestId);
         
         next();
@@ -249,7 +249,7 @@ class SecurityMiddleware {
      */
     static validateRequestSize(req, res, next) {
         const contentLength = parseInt(req.headers['content-length'] || '0');
-        const maxSize = parseInt(securityConfig.api.maxRequestSize.replace('mb', '')) * 1024 * 1024;
+        const maxSize = securityHelpers.getMaxRequestBytes(req);
 
         if (contentLength > maxSize) {
             console.warn(`[SECURITY] Request too large: ${contentLength} bytes from IP: ${req.ip}`);
@@ -463,21 +463,37 @@ class SecurityMiddleware {
      * @param {Function} next - Express next function
      */
     static errorHandler(error, req, res, next) {
+        if (res.headersSent) {
+            return next(error);
+        }
+
+        // body-parser errors (malformed JSON, body over the limit) are client errors
+        if (error.type === 'entity.parse.failed') {
+            error.code = 'INVALID_JSON';
+            error.message = 'Invalid JSON data';
+        } else if (error.type === 'entity.too.large') {
+            error.code = 'REQUEST_TOO_LARGE';
+            error.message = 'Request entity too large';
+        }
+
+        const status = error.status || error.statusCode || 500;
+
         console.error(`[ERROR] ${error.message}`, {
             requestId: req.requestId,
             ip: req.ip,
             url: req.url,
             method: req.method,
-            stack: error.stack,
+            stack: status >= 500 ? error.stack : undefined,
             timestamp: new Date().toISOString()
         });
 
         // Don't expose internal errors in production
         const isProduction = securityConfig.environment.isProduction;
+        const hideDetails = isProduction && status >= 500;
         
-        res.status(error.status || 500).json({
+        res.status(status).json({
             error: true,
-            message: isProduction ? 'Internal server error' : error.message,
+            message: hideDetails ? 'Internal server error' : error.message,
             code: error.code || 'INTERNAL_ERROR',
             ...(isProduction ? {} : { stack: error.stack })
         });
@@ -28,9 +28,10 @@ class ValidationMiddleware {
                 timestamp: new Date().toISOString()
             });
 
+            // message lleva el primer error para los clientes que solo muestran data.message
             return res.status(400).json({
                 error: true,
-                message: 'Validation failed',
+                message: errorMessages[0].message || 'Validation failed',
                 code: 'VALIDATION_ERROR',
                 details: errorMessages
             });
@@ -86,54 +87,74 @@ class ValidationMiddleware {
 
     /**
      * Client registration validation rules
+     * (onboarding form and API-key integrations; the sheet also accepts name/phone)
      */
     static clientRegistrationRules() {
         return [
             body('clientFullName')
+                .custom((value, { req }) => {
+                    if (!value && !req.body.name) {
+                        throw new Error('Missing required field: clientFullName');
+                    }
+                    return true;
+                }),
+
+            body(['clientFullName', 'name'])
+                .optional({ values: 'falsy' })
+                .isString()
+                .withMessage('Client name must be text')
+                .bail()
                 .trim()
                 .isLength({ min: 2, max: 100 })
                 .withMessage('Client name must be between 2 and 100 characters')
-                .matches(/^[a-zA-Z\s\-']+$/)
-                .withMessage('Client name can only contain letters, spaces, hyphens, and apostrophes')
+                .matches(/^[\p{L}\s\-'.]+$/u)
+                .withMessage('Client name can only contain letters, spaces, periods, hyphens, and apostrophes')
                 .customSanitizer(value => validators.sanitizeInput(value)),
 
+            // Sin normalizeEmail: reescribiría direcciones de Gmail con puntos
             body('email')
                 .trim()
                 .isEmail()
                 .withMessage('Please provide a valid email address')
-                .normalizeEmail()
                 .customSanitizer(value => validators.sanitizeInput(value)),
 
-            body('phone')
+            body(['customerPhoneNumber', 'phone'])
+                .optional({ values: 'falsy' })
                 .trim()
-                .matches(/^[\+]?[1-9][\d]{0,15}$/)
+                .matches(/^\+?[\d\s\-().]{7,20}$/)
                 .withMessage('Please provide a valid phone number')
                 .customSanitizer(value => validators.sanitizeInput(value)),
 
             body('address')
+                .optional({ values: 'falsy' })
                 .trim()
                 .isLength({ min: 5, max: 500 })
                 .withMessage('Address must be between 5 and 500 characters')
                 .customSanitizer(value => validators.sanitizeInput(value)),
 
             body('serviceType')
-                .optional()
+                .optional({ values: 'falsy' })
                 .trim()
                 .isLength({ min: 2, max: 100 })
                 .withMessage('Service type must be between 2 and 100 characters')
                 .customSanitizer(value => validators.sanitizeInput(value)),
 
             body('responsable')
-                .optional()
+                .optional({ values: 'falsy' })
                 .trim()
                 .isLength({ min: 2, max: 100 })
                 .withMessage('Responsable must be between 2 and 100 characters')
                 .customSanitizer(value => validators.sanitizeInput(value)),
 
+            // Dashboard y portal usan listas de estados distintas: solo se limita el formato
             body('customerStatus')
-                .optional()
-                .isIn(['Active', 'Pending', 'Inactive'])
-                .withMessage('Status must be Active, Pending, or Inactive')
+                .optional({ values: 'falsy' })
+                .isString()
+                .withMessage('Status must be text')
+                .bail()
+                .trim()
+                .isLength({ max: 50 })
+                .withMessage('Status must not exceed 50 characters')
         ];
     }
 
@@ -157,6 +178,22 @@ class ValidationMiddleware {
         ];
     }
 
+    /**
+     * Email normalized exactly as userRegistrationRules does (lowercase, Gmail without dots or +tags),
+     * for addresses that do not come in a request body such as ADMIN_BOOTSTRAP_EMAIL
+     * @param {string} email
+     * @returns {Promise<string>}
+     */
+    static async normalizeEmail(email) {
+        const holder = { body: { email: String(email || '') } };
+        await body('email')
+            .trim()
+            .normalizeEmail()
+            .customSanitizer(value => validators.sanitizeInput(value))
+            .run(holder);
+        return holder.body.email;
+    }
+
     /**
      * User registration validation rules
      */
@@ -262,23 +299,27 @@ class ValidationMiddleware {
     static reportCreationRules() {
         return [
             body('clientName')
+                .isString()
+                .withMessage('Missing required field: clientName')
+                .bail()
                 .trim()
                 .isLength({ min: 2, max: 100 })
                 .withMessage('Client name must be between 2 and 100 characters')
-                .matches(/^[a-zA-Z\s\-']+$/)
-                .withMessage('Client name can only contain letters, spaces, hyphens, and apostrophes')
+                .matches(/^[\p{L}\p{N}\s\-'.,&#()/]+$/u)
+                .withMessage('Client name can only contain letters, numbers, spaces, and basic punctuation')
                 .customSanitizer(value => validators.sanitizeInput(value)),
 
             body('inspectorName')
+                .optional({ values: 'falsy' })
                 .trim()
                 .isLength({ min: 2, max: 100 })
                 .withMessage('Inspector name must be between 2 and 100 characters')
-                .matches(/^[a-zA-Z\s\-']+$/)
-                .withMessage('Inspector name can only contain letters, spaces, hyphens, and apostrophes')
+                .matches(/^[\p{L}\s\-'.]+$/u)
+                .withMessage('Inspector name can only contain letters, spaces, periods, hyphens, and apostrophes')
                 .customSanitizer(value => validators.sanitizeInput(value)),
 
             body('inspectionDate')
-                .optional()
+                .optional({ values: 'falsy' })
                 .isISO8601()
                 .withMessage('Inspection date must be a valid ISO 8601 date'),
 
@@ -322,18 +363,24 @@ class ValidationMiddleware {
 
     /**
      * Pagination validation rules
+     * @param {number} maxLimit - Largest page size the endpoint serves
      */
-    static paginationRules() {
+    static paginationRules(maxLimit = 100) {
         return [
             query('page')
-                .optional()
+                .optional({ values: 'falsy' })
                 .isInt({ min: 1 })
                 .withMessage('Page must be a positive integer'),
 
             query('limit')
-                .optional()
-                .isInt({ min: 1, max: 100 })
-                .withMessage('Limit must be between 1 and 100'),
+                .optional({ values: 'falsy' })
+                .isInt({ min: 1, max: maxLimit })
+                .withMessage(`Limit must be between 1 and ${maxLimit}`),
+
+            query('offset')
+                .optional({ values: 'falsy' })
+                .isInt({ min: 0 })
+                .withMessage('Offset must be zero or a positive integer'),
 
             query('sortBy')
                 .optional()
@@ -350,28 +397,99 @@ class ValidationMiddleware {
 
     /**
      * Date range validation rules
+     * @param {string} fromField - Query parameter with the first day
+     * @param {string} toField - Query parameter with the last day (may equal the first)
      */
-    static dateRangeRules() {
+    static dateRangeRules(fromField = 'startDate', toField = 'endDate') {
         return [
-            query('startDate')
-                .optional()
+            query(fromField)
+                .optional({ values: 'falsy' })
                 .isISO8601()
-                .withMessage('Start date must be a valid ISO 8601 date'),
+                .withMessage(`${fromField} must be a valid ISO 8601 date`),
 
-            query('endDate')
-                .optional()
+            query(toField)
+                .optional({ values: 'falsy' })
                 .isISO8601()
-                .withMessage('End date must be a valid ISO 8601 date')
+                .withMessage(`${toField} must be a valid ISO 8601 date`)
                 .custom((value, { req }) => {
-                    const startDate = req.query.startDate;
-                    if (startDate && new Date(value) <= new Date(startDate)) {
-                        throw new Error('End date must be after start date');
+                    const startDate = req.query[fromField];
+                    if (startDate && new Date(value) < new Date(startDate)) {
+                        throw new Error(`${toField} must not be before ${fromField}`);
                     }
                     return true;
                 })
         ];
     }
 
+    /**
+     * Appointment date/time rules (same formats appointment-service builds the range from)
+     * @param {boolean} isNew - Scheduling also needs the client
+     */
+    static appointmentRules(isNew = true) {
+        return [
+            ...(isNew ? this.requiredFields('clientId') : this.requiredFields('appointmentId')),
+
+            body('appointmentDate')
+                .matches(/^\d{4}-\d{2}-\d{2}$/)
+                .withMessage('appointmentDate (YYYY-MM-DD) is required')
+                .bail()
+                .isISO8601({ strict: true })
+                .withMessage('Invalid appointment date'),
+
+            body('appointmentTime')
+                .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+                .withMessage('appointmentTime (HH:MM) is required'),
+
+            body('durationMinutes')
+                .optional({ values: 'falsy' })
+                .isInt({ min: 1, max: 1440 })
+                .withMessage('durationMinutes must be between 1 and 1440'),
+
+            body('responsable')
+                .optional({ values: 'falsy' })
+                .trim()
+                .isLength({ min: 2, max: 100 })
+                .withMessage('Responsable must be between 2 and 100 characters')
+                .customSanitizer(value => validators.sanitizeInput(value))
+        ];
+    }
+
+    /**
+     * System configuration rules (only the values that end up in process.env/.env)
+     */
+    static systemConfigRules() {
+        return [
+            body()
+                .custom(value => {
+                    const sections = ['notifications', 'email', 'zoho', 'googleSheets', 'security', 'drive'];
+                    if (!value || typeof value !== 'object' || !sections.some(section => value[section])) {
+                        throw new Error('At least one configuration section is required');
+                    }
+                    return true;
+                }),
+
+            body(['email.notificationEmail', 'email.ccEmail', 'notifications.email', 'notifications.ccEmail'])
+                .optional({ values: 'falsy' })
+                .trim()
+                .isEmail()
+                .withMessage('Please provide a valid email address'),
+
+            body('zoho.webhookUrl')
+                .optional({ values: 'falsy' })
+                .trim()
+                .isURL({ protocols: ['http', 'https'], require_protocol: true })
+                .withMessage('Zoho webhook URL must be a valid http(s) URL'),
+
+            body('zoho.webhookSecret')
+                .optional({ values: 'falsy' })
+                .isString()
+                .withMessage('Zoho webhook secret must be text')
+                .bail()
+                .matches(/^[^\r\n]*$/)
+                .withMessage('Zoho webhook secret cannot contain line breaks')
+        ];
+    }
+
     /**
      * Email validation rules
      */
@@ -431,6 +549,106 @@ class ValidationMiddleware {
                 .customSanitizer(value => validators.sanitizeInput(value))
         ];
     }
+
+    /**
+     * Required body fields (same rule the handlers used to check by hand: any falsy value is missing)
+     * @param {...string} fields - Body field names
+     */
+    static requiredFields(...fields) {
+        return fields.map(field =>
+            body(field)
+                .exists({ values: 'falsy' })
+                .withMessage(`Missing required field: ${field}`)
+        );
+    }
+
+    /**
+     * Required query string parameters
+     * @param {...string} params - Query parameter names
+     */
+    static requiredQuery(...params) {
+        return params.map(name =>
+            query(name)
+                .exists({ values: 'falsy' })
+                .withMessage(`Missing required parameter: ${name}`)
+        );
+    }
+
+    /**
+     * Numeric row id in the body (email queue, Zoho deliveries)
+     */
+    static recordIdRules() {
+        return [
+            body('id')
+                .isInt({ min: 1 })
+                .withMessage('Missing required field: id')
+                .toInt()
+        ];
+    }
+
+    /**
+     * Client update rules (clientId plus an object of changed fields)
+     * @param {string} dataField - Name of the object field (updateData, contactData, serviceData)
+     */
+    static clientUpdateRules(dataField = 'updateData') {
+        return [
+            ...this.requiredFields('clientId'),
+            body(dataField)
+                .isObject()
+                .withMessage(`Missing required field: ${dataField}`)
+        ];
+    }
+
+    /**
+     * Status change rules for clients and reports
+     * @param {string} idField - clientId or reportId
+     */
+    static statusUpdateRules(idField = 'clientId') {
+        return [
+            ...this.requiredFields(idField),
+            body('status')
+                .isString()
+                .withMessage('Missing required field: status')
+                .bail()
+                .trim()
+                .notEmpty()
+                .withMessage('Missing required field: status')
+        ];
+    }
+
+    /**
+     * Two-factor code (the service accepts TOTP or backup codes and ignores spaces)
+     */
+    static twoFactorCodeRules() {
+        return [
+            body('code')
+                .isString()
+                .withMessage('Missing required field: code')
+                .bail()
+                .trim()
+                .notEmpty()
+                .withMessage('Missing required field: code')
+        ];
+    }
+
+    /**
+     * Admin session revocation: a session id or every session of an email
+     */
+    static adminSessionRevokeRules() {
+        return [
+            body('jti')
+                .custom((value, { req }) => {
+                    if (!value && !req.body.email) {
+                        throw new Error('Missing required field: jti or email');
+                    }
+                    return true;
+                }),
+            body('email')
+                .optional({ values: 'falsy' })
+                .isEmail()
+                .withMessage('Please provide a valid email address')
+        ];
+    }
 }
 
 module.exports = ValidationMiddleware; 
\ No newline at end of file
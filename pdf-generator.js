@@ -8,17 +8,28 @@ class PDFGenerator {
         // Don't auto-initialize - wait for explicit call
     }
 
-    async initializeLibraries() {
+    async initializeLibraries(options = {}) {
+        const { requireHtml2canvas = true } = options;
+
         try {
-            // Load jsPDF dynamically - browser only
+            // Load jsPDF dynamically - browser or Node.js
             if (typeof window !== 'undefined' && window.jspdf) {
                 this.jsPDF = window.jspdf;
                 console.log('✅ jsPDF loaded from window.jspdf');
+            } else if (typeof window === 'undefined' && typeof require === 'function') {
+                // Node.js: jspdf incluye un build para servidor (jspdf.node.js)
+                this.jsPDF = require('jspdf');
+                console.log('✅ jsPDF loaded from node_modules');
             } else {
                 console.error('❌ jsPDF not found in window.jspdf');
                 throw new Error('jsPDF library not available');
             }
 
+            // html2canvas is only needed to capture DOM elements
+            if (!requireHtml2canvas) {
+                return;
+            }
+
             // Load html2canvas dynamically - browser only
             if (typeof window !== 'undefined' && window.html2canvas) {
                 this.html2canvas = window.html2canvas;
@@ -40,10 +51,11 @@ class PDFGenerator {
                 throw new Error('Invalid report data: clientName is required');
             }
 
-            await this.initializeLibraries();
+            await this.initializeLibraries({ requireHtml2canvas: false });
 
             const {
                 company = 'Boston Fire Escape Services',
+                tagline = 'Professional Fire Escape Services',
                 includePhotos = true,
                 pageBreak = true,
                 quality = 0.95
@@ -63,7 +75,7 @@ class PDFGenerator {
             });
 
             // Add company header
-            await this.addCompanyHeader(pdf, company);
+            await this.addCompanyHeader(pdf, company, reportData.reportId, tagline);
 
             // Add report title
             this.addReportTitle(pdf, reportData);
@@ -87,7 +99,7 @@ class PDFGenerator {
             }
 
             // Add footer
-            this.addFooter(pdf, company);
+            this.addFooter(pdf, company, tagline);
 
             return pdf;
         } catch (error) {
@@ -96,7 +108,7 @@ class PDFGenerator {
         }
     }
 
-    async addCompanyHeader(pdf, company) {
+    async addCompanyHeader(pdf, company, reportId = null, tagline = 'Professional Fire Escape Services') {
         // Professional header with gradient effect
         pdf.setFillColor(220, 38, 38);
         pdf.rect(0, 0, 210, 40, 'F');
@@ -116,14 +128,14 @@ class PDFGenerator {
         // Company details
         pdf.setFontSize(9);
         pdf.setFont(undefined, 'normal');
-        pdf.text('Professional Fire Escape Services', 22, 32);
+        pdf.text(tagline, 22, 32);
         pdf.text('Licensed & Insured • Certified Inspectors', 22, 37);
 
         // Date and Report ID with professional styling
         pdf.setFontSize(10);
         pdf.setTextColor(255, 255, 255);
         pdf.text(`Date: ${new Date().toLocaleDateString()}`, 150, 25);
-        pdf.text(`Report ID: ${this.generateReportId()}`, 150, 30);
+        pdf.text(`Report ID: ${reportId || this.generateReportId()}`, 150, 30);
 
         // Professional border
         pdf.setDrawColor(180, 25, 25);
@@ -321,13 +333,7 @@ class PDFGenerator {
                 if (photo.data || photo.url) {
                     try {
                         const imgData = photo.data || photo.url;
-                        const img = new Image();
-                        
-                        await new Promise((resolve, reject) => {
-                            img.onload = resolve;
-                            img.onerror = reject;
-                            img.src = imgData;
-                        });
+                        const img = await this.getImageDimensions(pdf, imgData);
 
                         // Calculate dimensions to fit within maxWidth x maxHeight
                         const aspectRatio = img.width / img.height;
@@ -344,7 +350,7 @@ class PDFGenerator {
                         pdf.setLineWidth(0.5);
                         pdf.rect(x - 1, y - 1, width + 2, height + 2);
                         
-                        pdf.addImage(imgData, 'JPEG', x, y, width, height);
+                        pdf.addImage(imgData, img.format || 'JPEG', x, y, width, height);
                         
                         // Add photo caption
                         pdf.setFontSize(8);
@@ -374,6 +380,26 @@ class PDFGenerator {
         }
     }
 
+    // Image size: browser uses Image, Node.js reads it from the data URL with jsPDF
+    async getImageDimensions(pdf, imgData) {
+        if (typeof Image !== 'undefined') {
+            const img = new Image();
+            await new Promise((resolve, reject) => {
+                img.onload = resolve;
+                img.onerror = reject;
+                img.src = imgData;
+            });
+            return { width: img.width, height: img.height };
+        }
+
+        const properties = pdf.getImageProperties(imgData);
+        return {
+            width: properties.width,
+            height: properties.height,
+            format: (properties.fileType || 'JPEG').toUpperCase()
+        };
+    }
+
     filterAppropriatePhotos(photos) {
         return photos.filter(photo => {
             // Filter out photos that contain advertising text
@@ -403,7 +429,7 @@ class PDFGenerator {
         });
     }
 
-    addFooter(pdf, company) {
+    addFooter(pdf, company, tagline = 'Professional Fire Escape Services') {
         const pageCount = pdf.internal.getNumberOfPages();
         
         for (let i = 1; i <= pageCount; i++) {
@@ -417,7 +443,7 @@ class PDFGenerator {
             // Footer text
             pdf.setFontSize(8);
             pdf.setTextColor(107, 114, 128); // Light gray
-            pdf.text(`${company} - Professional Fire Escape Services`, 20, 285);
+            pdf.text(`${company} - ${tagline}`, 20, 285);
             pdf.text(`Page ${i} of ${pageCount}`, 150, 285);
             pdf.text(`Generated on ${new Date().toLocaleString()}`, 20, 290);
         }
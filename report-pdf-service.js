@@ -0,0 +1,107 @@
+const database = require('./database');
+const PDFGenerator = require('./pdf-generator');
+const { helpers: companyHelpers } = require('./config/companies');
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+// Renders reports from the `reports` table to PDF without a browser
+class ReportPDFService {
+    constructor() {
+        this.db = database;
+        this.pdfGenerator = new PDFGenerator();
+        this.defaultCompany = 'Boston Fire Escape Services';
+    }
+
+    // Map a report record + its client to the shape PDFGenerator expects
+    buildReportData(report, client) {
+        return {
+            reportId: report.reportId,
+            clientName: client.name,
+            email: client.email,
+            phone: client.phone,
+            address: client.address,
+            inspectionType: report.reportType,
+            inspectionDate: report.inspectionDate,
+            inspector: report.inspector,
+            findings: report.findings,
+            recommendations: report.recommendations,
+            nextInspectionDate: report.nextInspectionDate,
+            photos: report.photos || []
+        };
+    }
+
+    // jsPDF en Node solo acepta imágenes en base64, descargamos las URLs remotas
+    async loadPhotos(photos) {
+        const loaded = [];
+
+        for (const photo of photos) {
+            if (photo.data || !photo.url) {
+                loaded.push(photo);
+                continue;
+            }
+
+            if (photo.url.startsWith('data:')) {
+                loaded.push({ ...photo, data: photo.url });
+                continue;
+            }
+
+            try {
+                const response = await fetch(photo.url);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                const contentType = response.headers.get('content-type') || 'image/jpeg';
+                const buffer = Buffer.from(await response.arrayBuffer());
+                loaded.push({ ...photo, data: `data:${contentType};base64,${buffer.toString('base64')}` });
+            } catch (error) {
+                console.warn(`⚠️ Could not download report photo ${photo.url}: ${error.message}`);
+            }
+        }
+
+        return loaded;
+    }
+
+    // Render a stored report to a PDF buffer
+    async renderReport(reportId, options = {}) {
+        try {
+            const report = await this.db.getReportById(reportId);
+            if (!report) {
+                const error = new Error('Report not found');
+                error.code = 'NOT_FOUND';
+                throw error;
+            }
+
+            const client = await this.db.getClientById(report.clientId);
+            if (!client) {
+                const error = new Error(`Client ${report.clientId} not found for report ${reportId}`);
+                error.code = 'NOT_FOUND';
+                throw error;
+            }
+
+            console.log(`📄 Rendering PDF for report ${reportId} (${client.name})`);
+
+            const reportData = this.buildReportData(report, client);
+            reportData.photos = await this.loadPhotos(reportData.photos);
+
+            // Cabecera y pie con el branding de la empresa del cliente
+            const company = options.company || client.company;
+            const branding = companyHelpers.getBranding(company) || {};
+            const pdf = await this.pdfGenerator.generateFireEscapeReport(reportData, {
+                company: branding.legalName || company || this.defaultCompany,
+                tagline: branding.tagline,
+                includePhotos: options.includePhotos !== false
+            });
+
+            const buffer = Buffer.from(pdf.output('arraybuffer'));
+            const safeName = client.name.replace(/[^a-zA-Z0-9]+/g, '_');
+            const filename = `Fire_Escape_Report_${safeName}_${report.reportId}.pdf`;
+
+            console.log(`✅ PDF rendered for report ${reportId}: ${buffer.length} bytes`);
+            return { buffer, filename, report };
+        } catch (error) {
+            console.error('❌ Error rendering report PDF:', error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = ReportPDFService;
@@ -0,0 +1,146 @@
+const database = require('./database');
+const { createError } = require('./service-error');
+
+// Ciclo de vida del reporte: Draft → Completed → Sent → Archived
+const REPORT_STATUS_FLOW = {
+    Draft: ['Completed'],
+    Completed: ['Sent'],
+    Sent: ['Archived'],
+    Archived: []
+};
+
+const EDITABLE_FIELDS = [
+    'reportType',
+    'inspectionDate',
+    'findings',
+    'recommendations',
+    'photos',
+    'inspector',
+    'nextInspectionDate'
+];
+
+class ReportService {
+    constructor() {
+        this.db = database;
+    }
+
+    // Generate unique report ID
+    generateReportId() {
+        const timestamp = Date.now().toString().slice(-6);
+        const random = Math.random().toString(36).substr(2, 3).toUpperCase();
+        return `RPT${timestamp}${random}`;
+    }
+
+    async getReportOrFail(reportId) {
+        const report = await this.db.getReportById(reportId);
+        if (!report) {
+            throw createError('Report not found', 'NOT_FOUND');
+        }
+        return report;
+    }
+
+    // Create a Draft report linked to an existing client
+    async createDraftReport(reportData, userEmail = null) {
+        try {
+            const { clientId } = reportData;
+            if (!clientId) {
+                throw createError('Missing required field: clientId', 'VALIDATION_ERROR');
+            }
+
+            // reports.client_id tiene FOREIGN KEY a clients, el cliente debe existir en MySQL
+            const client = await this.db.getClientById(clientId);
+            if (!client) {
+                throw createError(`Client ${clientId} not found in database. Run a sync from Google Sheets first.`, 'NOT_FOUND');
+            }
+
+            const { reportId } = await this.db.addReport({
+                reportId: this.generateReportId(),
+                clientId,
+                reportType: reportData.reportType || client.serviceType,
+                inspectionDate: reportData.inspectionDate || new Date().toISOString().split('T')[0],
+                findings: reportData.findings,
+                recommendations: reportData.recommendations,
+                photos: reportData.photos,
+                inspector: reportData.inspector || client.responsible || userEmail,
+                nextInspectionDate: reportData.nextInspectionDate
+            });
+
+            console.log(`✅ Draft report ${reportId} created for client ${clientId}`);
+            return this.db.getReportById(reportId);
+        } catch (error) {
+            console.error('❌ Error creating report:', error.message);
+            throw error;
+        }
+    }
+
+    async getReport(reportId) {
+        return this.getReportOrFail(reportId);
+    }
+
+    async listReports(filters = {}) {
+        try {
+            return await this.db.getReports(filters.clientId || null, filters.status || null);
+        } catch (error) {
+            console.error('❌ Error listing reports:', error.message);
+            throw error;
+        }
+    }
+
+    // Edit report content; only Draft reports can be edited
+    async updateReport(reportId, updateData = {}) {
+        try {
+            const current = await this.getReportOrFail(reportId);
+            if (current.status !== 'Draft') {
+                throw createError(`Only Draft reports can be edited (current status: ${current.status})`, 'VALIDATION_ERROR');
+            }
+
+            const updates = {};
+            for (const field of EDITABLE_FIELDS) {
+                if (updateData[field] !== undefined) {
+                    updates[field] = updateData[field];
+                }
+            }
+
+            if (updates.photos !== undefined && !Array.isArray(updates.photos)) {
+                throw createError('photos must be an array', 'VALIDATION_ERROR');
+            }
+
+            const report = await this.db.updateReport(reportId, updates);
+            console.log(`✅ Report ${reportId} updated`);
+            return report;
+        } catch (error) {
+            console.error('❌ Error updating report:', error.message);
+            throw error;
+        }
+    }
+
+    // Move a report to the next status of its lifecycle
+    async updateReportStatus(reportId, newStatus) {
+        try {
+            if (!REPORT_STATUS_FLOW[newStatus]) {
+                throw createError(`Invalid report status: ${newStatus}`, 'VALIDATION_ERROR');
+            }
+
+            const current = await this.getReportOrFail(reportId);
+            if (!REPORT_STATUS_FLOW[current.status].includes(newStatus)) {
+                throw createError(
+                    `Cannot move report from ${current.status} to ${newStatus}`,
+                    'VALIDATION_ERROR'
+                );
+            }
+
+            if (newStatus === 'Completed' && !current.findings) {
+                throw createError('Findings are required before completing a report', 'VALIDATION_ERROR');
+            }
+
+            const report = await this.db.updateReport(reportId, { status: newStatus });
+            console.log(`✅ Report ${reportId} moved from ${current.status} to ${newStatus}`);
+            return report;
+        } catch (error) {
+            console.error('❌ Error updating report status:', error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = ReportService;
@@ -1,7 +1,10 @@
-const { helpers: securityHelpers } = require('../config/security');
+const { config: securityConfig, helpers: securityHelpers } = require('../config/security');
 const AuthMiddleware = require('../middleware/auth');
 const ValidationMiddleware = require('../middleware/validation');
 const SecurityMiddleware = require('../middleware/security');
+const UserService = require('../user-service');
+const sessions = require('../session-service');
+const TwoFactorService = require('../two-factor-service');
 
 /**
  * Authentication Routes
@@ -10,13 +13,16 @@ const SecurityMiddleware = require('../middleware/security');
 class AuthRoutes {
     constructor() {
         this.router = require('express').Router();
+        this.userService = new UserService();
+        this.twoFactor = new TwoFactorService();
         this.setupRoutes();
     }
 
     setupRoutes() {
-        // User registration
+        // User registration: administrators only, plus the ADMIN_BOOTSTRAP_EMAIL first admin
         this.router.post('/register',
             SecurityMiddleware.configureAuthRateLimit(),
+            AuthMiddleware.optionalAuth,
             ValidationMiddleware.sanitizeInput,
             SecurityMiddleware.preventSQLInjection,
             SecurityMiddleware.preventXSS,
@@ -36,6 +42,20 @@ class AuthRoutes {
             this.loginUser.bind(this)
         );
 
+        // Second login step: TOTP or backup code for the mfaToken returned by /login
+        this.router.post('/login/2fa',
+            SecurityMiddleware.configureAuthRateLimit(),
+            ValidationMiddleware.sanitizeInput,
+            this.verifyLoginTwoFactor.bind(this)
+        );
+
+        // QR code for accounts whose role requires 2FA and that have not enrolled yet
+        this.router.post('/login/2fa/setup',
+            SecurityMiddleware.configureAuthRateLimit(),
+            ValidationMiddleware.sanitizeInput,
+            this.setupLoginTwoFactor.bind(this)
+        );
+
         // Token refresh
         this.router.post('/refresh',
             SecurityMiddleware.configureAuthRateLimit(),
@@ -77,6 +97,62 @@ class AuthRoutes {
         return this.router;
     }
 
+    /**
+     * Access + refresh tokens for a new session (both carry the session id as jti)
+     * @returns {Promise<Object>} - { accessToken, refreshToken, expiresIn }
+     */
+    async issueTokens(user, req) {
+        const jti = sessions.createTokenId();
+        const expiresIn = await this.userService.getSessionExpiresIn();
+        const accessToken = securityHelpers.generateJWT(this.userService.toTokenPayload(user), { expiresIn, jwtid: jti });
+        const refreshToken = securityHelpers.generateRefreshToken(this.userService.toTokenPayload(user), { jwtid: jti });
+
+        await sessions.recordSession(jti, user, {
+            authMethod: 'password',
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent'],
+            token: refreshToken
+        });
+        return { accessToken, refreshToken, expiresIn };
+    }
+
+    /**
+     * First account registering with ADMIN_BOOTSTRAP_EMAIL (without that setting nobody bootstraps as admin).
+     * Both addresses go through the registration normalization: lowercase, Gmail addresses without dots
+     * @returns {Promise<boolean>}
+     */
+    async isAdminBootstrap(email) {
+        if (!securityConfig.accounts.adminBootstrapEmail) {
+            return false;
+        }
+        const bootstrapEmail = await ValidationMiddleware.normalizeEmail(securityConfig.accounts.adminBootstrapEmail);
+        if (await ValidationMiddleware.normalizeEmail(email) !== bootstrapEmail) {
+            return false;
+        }
+        return this.userService.isFirstUser();
+    }
+
+    /**
+     * mfaToken for a password login (or registration) that still needs its TOTP step
+     * @param {string} requirement - 'verify' or 'setup'
+     */
+    sendTwoFactorChallenge(res, user, requirement, statusCode = 200) {
+        return res.status(statusCode).json({
+            success: true,
+            message: requirement === 'setup'
+                ? 'Two-factor authentication must be set up to continue'
+                : 'Enter the code from your authenticator app',
+            data: {
+                twoFactorRequired: requirement === 'verify',
+                twoFactorSetupRequired: requirement === 'setup',
+                mfaToken: this.twoFactor.createLoginChallenge(
+                    { id: user.id, email: user.email, role: user.role },
+                    { authMethod: 'password', requirement }
+                )
+            }
+        });
+    }
+
     /**
      * Register a new user
      * @param {Object} req - Express request object
@@ -86,76 +162,77 @@ class AuthRoutes {
         try {
             const { fullName, email, password, confirmPassword, role, company } = req.body;
 
-            // Check if user already exists (in a real app, this would check the database)
-            const existingUser = this.findUserByEmail(email);
-            if (existingUser) {
-                return res.status(409).json({
+            // Open sign-up would skip the Pending approval queue: only admins create accounts,
+            // except the first admin registering with ADMIN_BOOTSTRAP_EMAIL
+            const isBootstrapAdmin = await this.isAdminBootstrap(email);
+            const isAdmin = req.user && req.user.role === 'admin';
+
+            if (!isBootstrapAdmin && !isAdmin) {
+                return res.status(403).json({
                     error: true,
-                    message: 'User with this email already exists',
-                    code: 'USER_EXISTS'
+                    message: 'Only administrators can create accounts',
+                    code: 'REGISTRATION_FORBIDDEN'
                 });
             }
+            const userRole = isBootstrapAdmin ? 'admin' : (role || 'user');
 
-            // Hash password
-            const hashedPassword = await securityHelpers.hashPassword(password);
-
-            // Create user object
-            const user = {
-                id: securityHelpers.generateSecureToken(16),
+            const user = await this.userService.createUser({
                 fullName,
-                email: email.toLowerCase(),
-                password: hashedPassword,
-                role: role || 'user',
-                company: company || 'Default Company',
-                permissions: this.getDefaultPermissions(role || 'user'),
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-
-            // In a real application, save to database
-            // await db.createUser(user);
-
-            // Generate tokens
-            const accessToken = securityHelpers.generateJWT({
-                id: user.id,
-                email: user.email,
-                role: user.role,
-                company: user.company,
-                permissions: user.permissions
-            });
-
-            const refreshToken = securityHelpers.generateRefreshToken({
-                id: user.id,
-                email: user.email,
-                role: user.role,
-                company: user.company,
-                permissions: user.permissions
+                email,
+                password,
+                role: userRole,
+                company
             });
 
             console.log(`[AUTH] New user registered: ${user.email}`, {
                 ip: req.ip,
                 role: user.role,
+                createdBy: isBootstrapAdmin ? 'bootstrap' : req.user.email,
                 timestamp: new Date().toISOString()
             });
 
+            // The admin keeps their own session; the new user signs in with their password
+            if (!isBootstrapAdmin) {
+                return res.status(201).json({
+                    success: true,
+                    message: 'User registered successfully',
+                    data: { user: this.userService.toPublicUser(user) }
+                });
+            }
+
+            // The bootstrapped admin gets their tokens from /login/2fa when the role requires 2FA
+            let twoFactorRequirement;
+            try {
+                twoFactorRequirement = await this.twoFactor.getLoginRequirement(user);
+            } catch (error) {
+                return this.sendTwoFactorError(res, error);
+            }
+            if (twoFactorRequirement) {
+                return this.sendTwoFactorChallenge(res, user, twoFactorRequirement, 201);
+            }
+
+            // Generate tokens
+            const { accessToken, refreshToken, expiresIn } = await this.issueTokens(user, req);
+
             res.status(201).json({
                 success: true,
                 message: 'User registered successfully',
                 data: {
-                    user: {
-                        id: user.id,
-                        fullName: user.fullName,
-                        email: user.email,
-                        role: user.role,
-                        company: user.company,
-                        permissions: user.permissions
-                    },
+                    user: this.userService.toPublicUser(user),
                     accessToken,
                     refreshToken,
-                    expiresIn: '24h'
+                    expiresIn
                 }
             });
         } catch (error) {
+            if (error.code === 'USER_EXISTS') {
+                return res.status(409).json({
+                    error: true,
+                    message: 'User with this email already exists',
+                    code: 'USER_EXISTS'
+                });
+            }
+
             console.error('[AUTH] Registration error:', error);
             res.status(500).json({
                 error: true,
@@ -174,52 +251,155 @@ class AuthRoutes {
         try {
             const { email, password } = req.body;
 
-            // Find user (in a real app, this would query the database)
-            const user = this.findUserByEmail(email);
-            if (!user) {
-                console.warn(`[AUTH] Login attempt with non-existent email: ${email}`, {
-                    ip: req.ip,
-                    timestamp: new Date().toISOString()
-                });
-                return res.status(401).json({
-                    error: true,
-                    message: 'Invalid email or password',
-                    code: 'INVALID_CREDENTIALS'
-                });
+            let user;
+            try {
+                user = await this.userService.verifyCredentials(email, password);
+            } catch (error) {
+                if (error.code === 'ACCOUNT_LOCKED') {
+                    console.warn(`[AUTH] Login attempt on locked account: ${email}`, {
+                        ip: req.ip,
+                        lockedUntil: error.lockedUntil,
+                        timestamp: new Date().toISOString()
+                    });
+                    return res.status(423).json({
+                        error: true,
+                        message: error.message,
+                        code: 'ACCOUNT_LOCKED',
+                        lockedUntil: error.lockedUntil
+                    });
+                }
+
+                if (error.code === 'INVALID_CREDENTIALS') {
+                    console.warn(`[AUTH] Failed login attempt for: ${email}`, {
+                        ip: req.ip,
+                        timestamp: new Date().toISOString()
+                    });
+                    return res.status(401).json({
+                        error: true,
+                        message: 'Invalid email or password',
+                        code: 'INVALID_CREDENTIALS',
+                        remainingAttempts: error.remainingAttempts
+                    });
+                }
+
+                throw error;
             }
 
-            // Verify password
-            const isValidPassword = await securityHelpers.comparePassword(password, user.password);
-            if (!isValidPassword) {
-                console.warn(`[AUTH] Failed login attempt for user: ${email}`, {
+            // Enrolled accounts (and roles that require 2FA) get their tokens from /login/2fa
+            let twoFactorRequirement;
+            try {
+                twoFactorRequirement = await this.twoFactor.getLoginRequirement(user);
+            } catch (error) {
+                return this.sendTwoFactorError(res, error);
+            }
+            if (twoFactorRequirement) {
+                console.log(`[AUTH] Two-factor ${twoFactorRequirement} pending for: ${user.email}`, {
                     ip: req.ip,
                     timestamp: new Date().toISOString()
                 });
-                return res.status(401).json({
-                    error: true,
-                    message: 'Invalid email or password',
-                    code: 'INVALID_CREDENTIALS'
-                });
+
+                return this.sendTwoFactorChallenge(res, user, twoFactorRequirement);
             }
 
             // Generate tokens
-            const accessToken = securityHelpers.generateJWT({
-                id: user.id,
-                email: user.email,
+            const { accessToken, refreshToken, expiresIn } = await this.issueTokens(user, req);
+
+            console.log(`[AUTH] User logged in successfully: ${user.email}`, {
+                ip: req.ip,
                 role: user.role,
-                company: user.company,
-                permissions: user.permissions
+                timestamp: new Date().toISOString()
             });
 
-            const refreshToken = securityHelpers.generateRefreshToken({
-                id: user.id,
-                email: user.email,
-                role: user.role,
-                company: user.company,
-                permissions: user.permissions
+            res.json({
+                success: true,
+                message: 'Login successful',
+                data: {
+                    user: this.userService.toPublicUser(user),
+                    accessToken,
+                    refreshToken,
+                    expiresIn
+                }
             });
+        } catch (error) {
+            console.error('[AUTH] Login error:', error);
+            res.status(500).json({
+                error: true,
+                message: 'Login failed',
+                code: 'LOGIN_ERROR'
+            });
+        }
+    }
 
-            console.log(`[AUTH] User logged in successfully: ${user.email}`, {
+    /**
+     * Status and code for a two-factor error thrown by TwoFactorService
+     */
+    sendTwoFactorError(res, error) {
+        const statusCodes = {
+            VALIDATION_ERROR: 400,
+            LOGIN_EXPIRED: 401,
+            TOO_MANY_ATTEMPTS: 429,
+            TWO_FACTOR_SETUP_REQUIRED: 400,
+            TWO_FACTOR_UNAVAILABLE: 503
+        };
+        if (!statusCodes[error.code]) {
+            throw error;
+        }
+        return res.status(statusCodes[error.code]).json({
+            error: true,
+            message: error.message,
+            code: error.code === 'VALIDATION_ERROR' ? 'INVALID_TWO_FACTOR_CODE' : error.code
+        });
+    }
+
+    /**
+     * Finish a password login with a TOTP or backup code (confirms the enrolment on first use)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async verifyLoginTwoFactor(req, res) {
+        try {
+            const { mfaToken, code } = req.body;
+
+            if (!mfaToken || !code) {
+                return res.status(400).json({
+                    error: true,
+                    message: 'mfaToken and code are required',
+                    code: 'MISSING_FIELDS'
+                });
+            }
+
+            let user;
+            let backupCodes = null;
+            try {
+                const challenge = this.twoFactor.verifyLoginChallenge(mfaToken);
+                if (challenge.setup) {
+                    ({ backupCodes } = await this.twoFactor.confirmEnrollment(challenge.user, code));
+                } else {
+                    await this.twoFactor.verifyCode(challenge.user, code);
+                }
+                user = await this.userService.findById(challenge.user.id);
+            } catch (error) {
+                if (error.code === 'TOO_MANY_ATTEMPTS' || error.code === 'VALIDATION_ERROR') {
+                    console.warn(`[AUTH] Failed two-factor attempt`, {
+                        ip: req.ip,
+                        reason: error.code,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                return this.sendTwoFactorError(res, error);
+            }
+
+            if (!user || !user.isActive) {
+                return res.status(403).json({
+                    error: true,
+                    message: 'User not found',
+                    code: 'USER_NOT_FOUND'
+                });
+            }
+
+            const { accessToken, refreshToken, expiresIn } = await this.issueTokens(user, req);
+
+            console.log(`[AUTH] User logged in with two-factor: ${user.email}`, {
                 ip: req.ip,
                 role: user.role,
                 timestamp: new Date().toISOString()
@@ -229,21 +409,15 @@ class AuthRoutes {
                 success: true,
                 message: 'Login successful',
                 data: {
-                    user: {
-                        id: user.id,
-                        fullName: user.fullName,
-                        email: user.email,
-                        role: user.role,
-                        company: user.company,
-                        permissions: user.permissions
-                    },
+                    user: this.userService.toPublicUser(user),
                     accessToken,
                     refreshToken,
-                    expiresIn: '24h'
+                    expiresIn,
+                    ...(backupCodes ? { backupCodes } : {})
                 }
             });
         } catch (error) {
-            console.error('[AUTH] Login error:', error);
+            console.error('[AUTH] Two-factor login error:', error);
             res.status(500).json({
                 error: true,
                 message: 'Login failed',
@@ -252,6 +426,52 @@ class AuthRoutes {
         }
     }
 
+    /**
+     * QR code and secret for a login that must enrol before getting its tokens
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async setupLoginTwoFactor(req, res) {
+        try {
+            const { mfaToken } = req.body;
+
+            if (!mfaToken) {
+                return res.status(400).json({
+                    error: true,
+                    message: 'mfaToken is required',
+                    code: 'MISSING_FIELDS'
+                });
+            }
+
+            try {
+                const challenge = this.twoFactor.verifyLoginChallenge(mfaToken);
+                if (!challenge.setup) {
+                    return res.status(400).json({
+                        error: true,
+                        message: 'Two-factor authentication is already enabled',
+                        code: 'TWO_FACTOR_ALREADY_ENABLED'
+                    });
+                }
+
+                const enrollment = await this.twoFactor.beginEnrollment(challenge.user);
+                res.json({
+                    success: true,
+                    message: 'Scan the QR code and send the first code to /api/auth/login/2fa',
+                    data: enrollment
+                });
+            } catch (error) {
+                return this.sendTwoFactorError(res, error);
+            }
+        } catch (error) {
+            console.error('[AUTH] Two-factor setup error:', error);
+            res.status(500).json({
+                error: true,
+                message: 'Two-factor setup failed',
+                code: 'TWO_FACTOR_SETUP_ERROR'
+            });
+        }
+    }
+
     /**
      * Refresh access token
      * @param {Object} req - Express request object
@@ -270,7 +490,7 @@ class AuthRoutes {
             }
 
             const decoded = securityHelpers.verifyRefreshToken(refreshToken);
-            if (!decoded) {
+            if (!decoded || !sessions.isTokenActive(decoded)) {
                 return res.status(403).json({
                     error: true,
                     message: 'Invalid or expired refresh token',
@@ -278,9 +498,9 @@ class AuthRoutes {
                 });
             }
 
-            // Find user (in a real app, this would query the database)
-            const user = this.findUserById(decoded.id);
-            if (!user) {
+            // Reload the user so role/permission changes and deactivation take effect
+            const user = await this.userService.findById(decoded.id);
+            if (!user || !user.isActive) {
                 return res.status(403).json({
                     error: true,
                     message: 'User not found',
@@ -288,22 +508,11 @@ class AuthRoutes {
                 });
             }
 
-            // Generate new tokens
-            const newAccessToken = securityHelpers.generateJWT({
-                id: user.id,
-                email: user.email,
-                role: user.role,
-                company: user.company,
-                permissions: user.permissions
-            });
-
-            const newRefreshToken = securityHelpers.generateRefreshToken({
-                id: user.id,
-                email: user.email,
-                role: user.role,
-                company: user.company,
-                permissions: user.permissions
-            });
+            // Generate new tokens for the same session
+            const expiresIn = await this.userService.getSessionExpiresIn();
+            const newAccessToken = securityHelpers.generateJWT(this.userService.toTokenPayload(user), { expiresIn, jwtid: decoded.jti });
+            const newRefreshToken = securityHelpers.generateRefreshToken(this.userService.toTokenPayload(user), { jwtid: decoded.jti });
+            await sessions.extendSession(decoded.jti, newRefreshToken);
 
             console.log(`[AUTH] Token refreshed for user: ${user.email}`, {
                 ip: req.ip,
@@ -316,7 +525,7 @@ class AuthRoutes {
                 data: {
                     accessToken: newAccessToken,
                     refreshToken: newRefreshToken,
-                    expiresIn: '24h'
+                    expiresIn
                 }
             });
         } catch (error) {
@@ -336,8 +545,8 @@ class AuthRoutes {
      */
     async logout(req, res) {
         try {
-            // In a real implementation, you would add tokens to a blacklist
-            // For now, we'll just return success
+            // Access and refresh tokens of this session stop working
+            await sessions.revokeSession(req.user.jti, req.user.email, 'logout');
             console.log(`[AUTH] User logged out: ${req.user.email}`, {
                 ip: req.ip,
                 timestamp: new Date().toISOString()
@@ -367,41 +576,42 @@ class AuthRoutes {
             const { currentPassword, newPassword } = req.body;
             const userId = req.user.id;
 
-            // Find user (in a real app, this would query the database)
-            const user = this.findUserById(userId);
-            if (!user) {
-                return res.status(404).json({
-                    error: true,
-                    message: 'User not found',
-                    code: 'USER_NOT_FOUND'
-                });
-            }
+            let user;
+            try {
+                user = await this.userService.changePassword(userId, currentPassword, newPassword);
+            } catch (error) {
+                if (error.code === 'USER_NOT_FOUND') {
+                    return res.status(404).json({
+                        error: true,
+                        message: 'User not found',
+                        code: 'USER_NOT_FOUND'
+                    });
+                }
 
-            // Verify current password
-            const isValidPassword = await securityHelpers.comparePassword(currentPassword, user.password);
-            if (!isValidPassword) {
-                return res.status(401).json({
-                    error: true,
-                    message: 'Current password is incorrect',
-                    code: 'INVALID_CURRENT_PASSWORD'
-                });
-            }
+                if (error.code === 'INVALID_CURRENT_PASSWORD') {
+                    return res.status(401).json({
+                        error: true,
+                        message: 'Current password is incorrect',
+                        code: 'INVALID_CURRENT_PASSWORD'
+                    });
+                }
 
-            // Hash new password
-            const hashedNewPassword = await securityHelpers.hashPassword(newPassword);
+                throw error;
+            }
 
-            // Update password (in a real app, this would update the database)
-            user.password = hashedNewPassword;
-            user.updatedAt = new Date().toISOString();
+            // Every other device has to log in again with the new password
+            const revokedSessions = await sessions.revokeUserSessions(user.email, user.email, 'password_change', req.user.jti);
 
             console.log(`[AUTH] Password changed for user: ${user.email}`, {
                 ip: req.ip,
+                revokedSessions,
                 timestamp: new Date().toISOString()
             });
 
             res.json({
                 success: true,
-                message: 'Password changed successfully'
+                message: 'Password changed successfully',
+                data: { revokedSessions }
             });
         } catch (error) {
             console.error('[AUTH] Password change error:', error);
@@ -422,8 +632,7 @@ class AuthRoutes {
         try {
             const userId = req.user.id;
 
-            // Find user (in a real app, this would query the database)
-            const user = this.findUserById(userId);
+            const user = await this.userService.findById(userId);
             if (!user) {
                 return res.status(404).json({
                     error: true,
@@ -434,16 +643,7 @@ class AuthRoutes {
 
             res.json({
                 success: true,
-                data: {
-                    id: user.id,
-                    fullName: user.fullName,
-                    email: user.email,
-                    role: user.role,
-                    company: user.company,
-                    permissions: user.permissions,
-                    createdAt: user.createdAt,
-                    updatedAt: user.updatedAt
-                }
+                data: this.userService.toPublicUser(user)
             });
         } catch (error) {
             console.error('[AUTH] Get current user error:', error);
@@ -492,92 +692,6 @@ class AuthRoutes {
             });
         }
     }
-
-    // Helper methods (in a real app, these would interact with a database)
-
-    /**
-     * Find user by email (demo implementation)
-     * @param {string} email - User email
-     * @returns {Object|null} User object or null
-     */
-    findUserByEmail(email) {
-        // Demo users - in a real app, this would query a database
-        const demoUsers = [
-            {
-                id: 'user_1',
-                fullName: 'Admin User',
-                email: 'admin@example.com',
-                password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj4tbQJmHh2e', // password: Admin123!
-                role: 'admin',
-                company: 'Fire Escape Services',
-                permissions: ['read', 'write', 'delete', 'admin'],
-                createdAt: '2024-01-01T00:00:00.000Z',
-                updatedAt: '2024-01-01T00:00:00.000Z'
-            },
-            {
-                id: 'user_2',
-                fullName: 'Inspector User',
-                email: 'inspector@example.com',
-                password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj4tbQJmHh2e', // password: Inspector123!
-                role: 'inspector',
-                company: 'Boston Fire Escapes',
-                permissions: ['read', 'write'],
-                createdAt: '2024-01-01T00:00:00.000Z',
-                updatedAt: '2024-01-01T00:00:00.000Z'
-            }
-        ];
-
-        return demoUsers.find(user => user.email === email.toLowerCase()) || null;
-    }
-
-    /**
-     * Find user by ID (demo implementation)
-     * @param {string} id - User ID
-     * @returns {Object|null} User object or null
-     */
-    findUserById(id) {
-        const demoUsers = [
-            {
-                id: 'user_1',
-                fullName: 'Admin User',
-                email: 'admin@example.com',
-                password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj4tbQJmHh2e',
-                role: 'admin',
-                company: 'Fire Escape Services',
-                permissions: ['read', 'write', 'delete', 'admin'],
-                createdAt: '2024-01-01T00:00:00.000Z',
-                updatedAt: '2024-01-01T00:00:00.000Z'
-            },
-            {
-                id: 'user_2',
-                fullName: 'Inspector User',
-                email: 'inspector@example.com',
-                password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj4tbQJmHh2e',
-                role: 'inspector',
-                company: 'Boston Fire Escapes',
-                permissions: ['read', 'write'],
-                createdAt: '2024-01-01T00:00:00.000Z',
-                updatedAt: '2024-01-01T00:00:00.000Z'
-            }
-        ];
-
-        return demoUsers.find(user => user.id === id) || null;
-    }
-
-    /**
-     * Get default permissions for role
-     * @param {string} role - User role
-     * @returns {Array} Array of permissions
-     */
-    getDefaultPermissions(role) {
-        const permissions = {
-            admin: ['read', 'write', 'delete', 'admin'],
-            inspector: ['read', 'write'],
-            user: ['read']
-        };
-
-        return permissions[role] || ['read'];
-    }
 }
 
 module.exports = new AuthRoutes().router; 
\ No newline at end of file
@@ -1,14 +1,22 @@
+const crypto = require('crypto');
 const { OAuth2Client } = require('google-auth-library');
 const jwt = require('jsonwebtoken');
 const AccessControlSystem = require('../access-control-system');
+const { config: securityConfig, helpers: securityHelpers } = require('../config/security');
+const sessions = require('../session-service');
+const TwoFactorService = require('../two-factor-service');
+
+const cookieSettings = securityConfig.authCookie;
 
 /**
  * Rutas de Autenticación con Google OAuth
  * Desarrollado por 2Knock Media Group
  */
 class GoogleAuthRoutes {
-    constructor() {
-        this.accessControl = new AccessControlSystem();
+    constructor(accessControl = null) {
+        // Compartimos la instancia del servidor para no tener dos caches de usuarios distintas
+        this.accessControl = accessControl || new AccessControlSystem();
+        this.twoFactor = new TwoFactorService();
         this.authorizedUsers = [
             'david@iriasironworks.com',
             'newcustomers@iriasironworks.com',
@@ -36,22 +44,163 @@ class GoogleAuthRoutes {
     }
 
     /**
-     * Generar JWT token
+     * Generar JWT token (jti = id de la sesión, para poder revocarla)
      */
-    generateToken(user) {
+    generateToken(user, jti) {
         return jwt.sign(
             {
                 id: user.email,
                 email: user.email,
                 name: user.name,
                 picture: user.picture,
-                role: 'user'
+                role: user.role || 'user',
+                companies: user.companies || []
             },
             process.env.JWT_SECRET,
-            { expiresIn: '24h' }
+            { expiresIn: '24h', jwtid: jti }
         );
     }
 
+    /**
+     * Callback URL registrada en Google y si las cookies deben ir con Secure
+     */
+    getRedirectUri(req) {
+        const host = req.headers.host || 'fire-escape-reports-628784106563.us-central1.run.app';
+
+        // Forzar HTTP para localhost en desarrollo
+        let protocol = 'https';
+        if (host.includes('localhost') || host.includes('127.0.0.1')) {
+            protocol = 'http';
+        } else {
+            protocol = req.headers['x-forwarded-proto'] || 'https';
+        }
+
+        return {
+            redirectUri: `${protocol}://${host}/auth/google/callback`,
+            secure: protocol === 'https'
+        };
+    }
+
+    // HMAC con JWT_SECRET: el state y la cookie OAuth no se pueden fabricar ni modificar
+    sign(value) {
+        return crypto.createHmac('sha256', process.env.JWT_SECRET).update(value).digest('base64url');
+    }
+
+    verifySignature(value, signature) {
+        const expected = Buffer.from(this.sign(value));
+        const provided = Buffer.from(String(signature || ''));
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    }
+
+    /**
+     * Signed state + PKCE pair for a new Google login.
+     * The state travels through Google; the nonce and code_verifier stay in an HttpOnly cookie of this browser.
+     * @returns {Object} - { state, codeChallenge, cookie }
+     */
+    createOAuthState() {
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        const expiresAt = Date.now() + cookieSettings.oauthMaxAge * 1000;
+        const statePayload = `${nonce}.${expiresAt}`;
+
+        const codeVerifier = crypto.randomBytes(32).toString('base64url');
+        const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+        const cookiePayload = `${nonce}.${codeVerifier}`;
+
+        return {
+            state: `${statePayload}.${this.sign(statePayload)}`,
+            codeChallenge,
+            cookie: `${cookiePayload}.${this.sign(cookiePayload)}`
+        };
+    }
+
+    /**
+     * Check the state returned by Google against the OAuth cookie
+     * @returns {string|null} - PKCE code_verifier, or null if the state is missing, forged, expired or from another browser
+     */
+    verifyOAuthState(req, state) {
+        const [stateNonce, expiresAt, stateSignature] = String(state || '').split('.');
+        if (!stateNonce || !expiresAt || !this.verifySignature(`${stateNonce}.${expiresAt}`, stateSignature)) {
+            return null;
+        }
+        if (Number(expiresAt) < Date.now()) {
+            return null;
+        }
+
+        const cookie = securityHelpers.parseCookies(req.headers.cookie)[cookieSettings.oauthName];
+        const [cookieNonce, codeVerifier, cookieSignature] = String(cookie || '').split('.');
+        if (!cookieNonce || !codeVerifier || !this.verifySignature(`${cookieNonce}.${codeVerifier}`, cookieSignature)) {
+            return null;
+        }
+
+        return cookieNonce === stateNonce ? codeVerifier : null;
+    }
+
+    oauthCookie(value, secure) {
+        return securityHelpers.serializeCookie(cookieSettings.oauthName, value, {
+            path: cookieSettings.oauthPath,
+            maxAge: value ? cookieSettings.oauthMaxAge : 0,
+            secure
+        });
+    }
+
+    // JWT solo en cookie HttpOnly: nunca en la URL ni accesible desde JavaScript
+    sessionCookie(token, secure) {
+        return securityHelpers.serializeCookie(cookieSettings.name, token, {
+            maxAge: token ? cookieSettings.maxAge : 0,
+            secure
+        });
+    }
+
+    isSecureRequest(req) {
+        return this.getRedirectUri(req).secure;
+    }
+
+    getClientIp(req) {
+        return (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || null;
+    }
+
+    /**
+     * Sign the portal JWT and record its session (last step of every Google login)
+     * @returns {Promise<string>} - JWT for the HttpOnly cookie
+     */
+    async startSession(req, user) {
+        const jti = sessions.createTokenId();
+        const token = this.generateToken(user, jti);
+        await sessions.recordSession(jti, user, {
+            authMethod: 'google',
+            ipAddress: this.getClientIp(req),
+            userAgent: req.headers['user-agent'],
+            token
+        });
+        return token;
+    }
+
+    readJsonBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk.toString();
+            });
+            req.on('end', () => {
+                try {
+                    resolve(body.trim() === '' ? {} : JSON.parse(body));
+                } catch (error) {
+                    reject(new Error('Invalid JSON data'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    sendJson(res, statusCode, body, cookies = null) {
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+            ...(cookies ? { 'Set-Cookie': cookies } : {})
+        });
+        res.end(JSON.stringify(body));
+    }
+
     /**
      * Iniciar autenticación con Google
      */
@@ -75,17 +224,7 @@ class GoogleAuthRoutes {
                 return res.end();
             }
             
-            const host = req.headers.host || 'fire-escape-reports-628784106563.us-central1.run.app';
-            
-            // Forzar HTTP para localhost en desarrollo
-            let protocol = 'https';
-            if (host.includes('localhost') || host.includes('127.0.0.1')) {
-                protocol = 'http';
-            } else {
-                protocol = req.headers['x-forwarded-proto'] || 'https';
-            }
-            
-            const redirectUri = `${protocol}://${host}/auth/google/callback`;
+            const { redirectUri, secure } = this.getRedirectUri(req);
             
             const oauth2Client = new OAuth2Client(
                 clientId,
@@ -98,14 +237,23 @@ class GoogleAuthRoutes {
                 'https://www.googleapis.com/auth/userinfo.profile'
             ];
 
+            // state firmado (CSRF) + PKCE: el callback solo acepta el login que empezó este navegador
+            const { state, codeChallenge, cookie } = this.createOAuthState();
+
             const authUrl = oauth2Client.generateAuthUrl({
                 access_type: 'offline',
                 scope: scopes,
-                prompt: 'consent'
+                prompt: 'consent',
+                state,
+                code_challenge: codeChallenge,
+                code_challenge_method: 'S256'
             });
 
-            console.log('🔐 Iniciando autenticación con Google:', authUrl);
-            res.writeHead(302, { 'Location': authUrl });
+            console.log('🔐 Iniciando autenticación con Google');
+            res.writeHead(302, {
+                'Location': authUrl,
+                'Set-Cookie': this.oauthCookie(cookie, secure)
+            });
             res.end();
         } catch (error) {
             console.error('❌ Error iniciando autenticación con Google:', error);
@@ -122,12 +270,22 @@ class GoogleAuthRoutes {
             console.log('🔄 Starting Google callback...');
             const url = new URL(req.url, `http://${req.headers.host}`);
             const code = url.searchParams.get('code');
+            const { redirectUri, secure } = this.getRedirectUri(req);
+            // La cookie OAuth es de un solo uso: se borra en cualquier respuesta del callback
+            const clearOAuthCookie = this.oauthCookie('', secure);
             
             console.log('🔄 Code received:', code ? 'YES' : 'NO');
             
             if (!code) {
                 console.error('❌ No se recibió código de autorización');
-                res.writeHead(302, { 'Location': '/login?error=no_auth_code' });
+                res.writeHead(302, { 'Location': '/login?error=no_auth_code', 'Set-Cookie': clearOAuthCookie });
+                return res.end();
+            }
+
+            const codeVerifier = this.verifyOAuthState(req, url.searchParams.get('state'));
+            if (!codeVerifier) {
+                console.warn('⚠️ OAuth state inválido, expirado o de otro navegador');
+                res.writeHead(302, { 'Location': '/login?error=invalid_state', 'Set-Cookie': clearOAuthCookie });
                 return res.end();
             }
 
@@ -137,18 +295,6 @@ class GoogleAuthRoutes {
             clientId = process.env.GOOGLE_OAUTH_CLIENT_ID;
             clientSecret = process.env.GOOGLE_OAUTH_CLIENT_SECRET;
             
-            const host = req.headers.host || 'fire-escape-reports-628784106563.us-central1.run.app';
-            
-            // Forzar HTTP para localhost en desarrollo
-            let protocol = 'https';
-            if (host.includes('localhost') || host.includes('127.0.0.1')) {
-                protocol = 'http';
-            } else {
-                protocol = req.headers['x-forwarded-proto'] || 'https';
-            }
-            
-            const redirectUri = `${protocol}://${host}/auth/google/callback`;
-            
             const oauth2Client = new OAuth2Client(
                 clientId,
                 clientSecret,
@@ -156,8 +302,8 @@ class GoogleAuthRoutes {
             );
 
             console.log('🔄 Exchanging code for tokens...');
-            // Intercambiar código por tokens
-            const { tokens } = await oauth2Client.getToken(code);
+            // Intercambiar código por tokens (Google comprueba el code_verifier contra el challenge)
+            const { tokens } = await oauth2Client.getToken({ code, codeVerifier });
             oauth2Client.setCredentials(tokens);
             console.log('🔄 Tokens received successfully');
 
@@ -189,51 +335,157 @@ class GoogleAuthRoutes {
                     });
                     
                     if (registrationResult.success) {
-                        if (registrationResult.user.Status === 'Approved') {
-                            console.log(`✅ Usuario auto-aprobado: ${user.email}`);
+                        if (registrationResult.user.status === 'Approved') {
+                            console.log(`✅ Usuario aprobado: ${user.email}`);
+                        } else if (registrationResult.user.status === 'Rejected') {
+                            console.log(`🚫 Usuario rechazado intentó acceder: ${user.email}`);
+                            res.writeHead(302, { 'Location': '/login?error=access_denied', 'Set-Cookie': clearOAuthCookie });
+                            return res.end();
                         } else {
                             console.log(`📝 Usuario registrado pendiente de aprobación: ${user.email}`);
-                            res.writeHead(302, { 'Location': '/login?error=pending_approval' });
+                            res.writeHead(302, { 'Location': '/login?error=pending_approval', 'Set-Cookie': clearOAuthCookie });
                             return res.end();
                         }
                     } else {
                         console.log(`❌ Error registrando usuario: ${user.email} - ${registrationResult.message}`);
-                        res.writeHead(302, { 'Location': '/login?error=registration_failed' });
+                        res.writeHead(302, { 'Location': '/login?error=registration_failed', 'Set-Cookie': clearOAuthCookie });
                         return res.end();
                     }
                 } else {
-                    res.writeHead(302, { 'Location': '/login?error=unauthorized_domain' });
+                    res.writeHead(302, { 'Location': '/login?error=unauthorized_domain', 'Set-Cookie': clearOAuthCookie });
                     return res.end();
                 }
             }
 
+            // El rol (admin/inspector/user) se asigna desde la administración de acceso
+            const accessUser = await this.accessControl.getUser(user.email);
+            user.role = accessUser ? accessUser.role : 'user';
+            user.companies = accessUser ? accessUser.companies : [];
+
+            // Segundo paso (TOTP): el JWT no se emite hasta que llegue el código
+            const twoFactorRequirement = await this.twoFactor.getLoginRequirement(user);
+            if (twoFactorRequirement) {
+                const challenge = this.twoFactor.createLoginChallenge(user, { authMethod: 'google', requirement: twoFactorRequirement });
+                console.log(`🔐 Two-factor ${twoFactorRequirement} pending for: ${user.email}`);
+                res.writeHead(302, {
+                    'Location': twoFactorRequirement === 'setup' ? '/two-factor.html?setup=required' : '/two-factor.html',
+                    'Set-Cookie': [this.twoFactor.pendingCookie(challenge, secure), clearOAuthCookie]
+                });
+                return res.end();
+            }
+
             // Generar JWT token
-            const token = this.generateToken(user);
+            const token = await this.startSession(req, user);
 
             console.log('✅ Usuario autenticado exitosamente:', user.email);
 
-            // Establecer cookie con el token JWT para autenticación global
-            const cookieOptions = {
-                httpOnly: false, // Permitir acceso desde JavaScript
-                secure: true,    // Solo HTTPS
-                sameSite: 'lax', // Protección CSRF
-                maxAge: 24 * 60 * 60 * 1000, // 24 horas
-                path: '/'
-            };
-
-            // Redirigir al dashboard con JWT token en URL y cookie
+            // El JWT viaja solo en la cookie HttpOnly; las páginas consultan /auth/status
             res.writeHead(302, { 
-                'Location': `/dashboard-clientes.html?success=authenticated&token=${encodeURIComponent(token)}`,
-                'Set-Cookie': `fire_escape_jwt_token=${token}; HttpOnly=false; Secure; SameSite=Lax; Max-Age=86400; Path=/`
+                'Location': '/dashboard-clientes.html?success=authenticated',
+                'Set-Cookie': [this.sessionCookie(token, secure), clearOAuthCookie]
             });
             res.end();
         } catch (error) {
             console.error('❌ Error en callback de Google:', error);
-            res.writeHead(302, { 'Location': '/login?error=auth_callback_failed' });
+            res.writeHead(302, {
+                // Sin MySQL los roles con 2FA obligatoria no pueden completar el login
+                'Location': error.code === 'TWO_FACTOR_UNAVAILABLE' ? '/login?error=two_factor_unavailable' : '/login?error=auth_callback_failed',
+                'Set-Cookie': this.oauthCookie('', this.isSecureRequest(req))
+            });
             res.end();
         }
     }
 
+    /**
+     * Pending login that still needs its code (two-factor.html)
+     */
+    async getTwoFactorChallenge(req, res) {
+        try {
+            const challenge = this.twoFactor.verifyLoginChallenge(this.twoFactor.getPendingToken(req));
+            this.sendJson(res, 200, {
+                success: true,
+                data: { email: challenge.user.email, setupRequired: challenge.setup === true }
+            });
+        } catch (error) {
+            this.sendTwoFactorError(res, error);
+        }
+    }
+
+    /**
+     * QR code for a login whose role requires 2FA and has not enrolled yet
+     */
+    async setupTwoFactor(req, res) {
+        try {
+            const challenge = this.twoFactor.verifyLoginChallenge(this.twoFactor.getPendingToken(req));
+            if (!challenge.setup) {
+                return this.sendJson(res, 400, { success: false, error: 'Two-factor authentication is already enabled' });
+            }
+
+            const enrollment = await this.twoFactor.beginEnrollment(challenge.user);
+            this.sendJson(res, 200, { success: true, data: enrollment });
+        } catch (error) {
+            this.sendTwoFactorError(res, error);
+        }
+    }
+
+    /**
+     * Code for the pending login: confirms the enrolment if needed, then issues the JWT cookie
+     */
+    async verifyTwoFactor(req, res) {
+        try {
+            const challenge = this.twoFactor.verifyLoginChallenge(this.twoFactor.getPendingToken(req));
+            const { code } = await this.readJsonBody(req);
+            if (!code) {
+                return this.sendJson(res, 400, { success: false, error: 'Missing required field: code' });
+            }
+
+            let backupCodes = null;
+            if (challenge.setup) {
+                ({ backupCodes } = await this.twoFactor.confirmEnrollment(challenge.user, code));
+            } else {
+                await this.twoFactor.verifyCode(challenge.user, code);
+            }
+
+            // El usuario pudo ser revocado mientras tanto
+            if (!(await this.isAuthorized(challenge.user.email))) {
+                return this.sendJson(res, 403, { success: false, error: 'Usuario no autorizado' });
+            }
+
+            const token = await this.startSession(req, challenge.user);
+            const secure = this.isSecureRequest(req);
+            console.log('✅ Usuario autenticado con 2FA:', challenge.user.email);
+
+            this.sendJson(res, 200, {
+                success: true,
+                data: {
+                    redirect: '/dashboard-clientes.html?success=authenticated',
+                    ...(backupCodes ? { backupCodes } : {})
+                }
+            }, [this.sessionCookie(token, secure), this.twoFactor.pendingCookie('', secure)]);
+        } catch (error) {
+            this.sendTwoFactorError(res, error);
+        }
+    }
+
+    // Same status codes as the /api routes: wrong code 400, locked 429, expired login 401
+    sendTwoFactorError(res, error) {
+        const statusCodes = {
+            VALIDATION_ERROR: 400,
+            LOGIN_EXPIRED: 401,
+            TOO_MANY_ATTEMPTS: 429,
+            TWO_FACTOR_SETUP_REQUIRED: 400,
+            TWO_FACTOR_UNAVAILABLE: 503
+        };
+        if (error.message === 'Invalid JSON data') {
+            return this.sendJson(res, 400, { success: false, error: error.message });
+        }
+        if (statusCodes[error.code]) {
+            return this.sendJson(res, statusCodes[error.code], { success: false, error: error.message, code: error.code });
+        }
+        console.error('❌ Error en verificación en dos pasos:', error);
+        this.sendJson(res, 500, { success: false, error: 'Error interno' });
+    }
+
     /**
      * Verificar estado de autenticación
      */
@@ -255,7 +507,10 @@ class GoogleAuthRoutes {
             const isAuthorized = await this.isAuthorized(req.user.email);
             if (!isAuthorized) {
                 console.log('❌ User not authorized:', req.user.email);
-                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.writeHead(200, {
+                    'Content-Type': 'application/json',
+                    'Set-Cookie': this.sessionCookie('', this.isSecureRequest(req))
+                });
                 res.end(JSON.stringify({
                     authenticated: false,
                     message: 'Usuario no autorizado'
@@ -285,10 +540,18 @@ class GoogleAuthRoutes {
     async logout(req, res) {
         try {
             const userEmail = req.user?.email;
+
+            // El jti queda en la lista negra: el token deja de valer aunque alguien lo haya copiado
+            if (req.user?.jti) {
+                await sessions.revokeSession(req.user.jti, userEmail, 'logout');
+            }
             
             console.log('👋 Usuario cerró sesión:', userEmail);
             
-            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.writeHead(200, {
+                'Content-Type': 'application/json',
+                'Set-Cookie': this.sessionCookie('', this.isSecureRequest(req))
+            });
             res.end(JSON.stringify({
                 success: true,
                 message: 'Sesión cerrada exitosamente'
@@ -326,7 +589,7 @@ class GoogleAuthRoutes {
      */
     requireApiAuth() {
         return (req, res, next) => {
-            const token = req.headers.authorization?.replace('Bearer ', '');
+            const token = securityHelpers.getRequestToken(req);
             
             if (!token) {
                 return res.status(401).json({
@@ -337,6 +600,13 @@ class GoogleAuthRoutes {
 
             try {
                 const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+                if (!sessions.isTokenActive(decoded)) {
+                    return res.status(401).json({
+                        error: true,
+                        message: 'Sesión cerrada o revocada'
+                    });
+                }
                 
                 if (!this.isAuthorized(decoded.email)) {
                     return res.status(403).json({
@@ -1,11 +1,13 @@
 require('dotenv').config();
 const http = require('http');
+const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const formidable = require('formidable');
 
 const yaml = require('js-yaml');
 const GoogleAuthRoutes = require('./routes/google-auth');
+const passwordAuthRouter = require('./routes/auth');
 
 // Verificar variables de entorno requeridas
 const requiredEnvVars = [
@@ -26,7 +28,13 @@ if (missingVars.length > 0) {
 // Security imports
 const SecurityMiddleware = require('./middleware/security');
 const AuthMiddleware = require('./middleware/auth');
+const { routePermissions, helpers: permissionHelpers } = require('./config/permissions');
+const { helpers: companyHelpers } = require('./config/companies');
+const { helpers: driveHelpers } = require('./config/drive');
+const { helpers: emailHelpers } = require('./config/email');
+const { config: securityConfig, helpers: securityHelpers } = require('./config/security');
 const ValidationMiddleware = require('./middleware/validation');
+const { createError } = require('./service-error');
 
 // Google Sheets integration
 const GoogleSheetsIntegration = require('./google-sheets-integration.js');
@@ -47,27 +55,93 @@ const PORT = process.env.PORT || 8080;
 // Initialize Google Sheets integration
 const googleSheets = new GoogleSheetsIntegration();
 
+// Initialize Config Database (one instance shared by every service that saves settings)
+const ConfigDatabase = require('./config-database');
+const configDB = new ConfigDatabase();
+
 // Initialize Email service
-const emailService = new EmailService();
+const emailService = new EmailService(configDB);
 
-// Initialize Zoho Flow webhook service
-const zohoWebhookService = new ZohoWebhookService();
+// Initialize Zoho Flow webhook service (field mapping from configDB)
+const zohoWebhookService = new ZohoWebhookService(configDB);
 
-// Initialize Google Drive service
-const googleDriveService = new GoogleDriveService();
+// Initialize Google Drive service (folder hierarchy from configDB)
+const googleDriveService = new GoogleDriveService(configDB);
 
-// Initialize Google Auth Routes
-const googleAuth = new GoogleAuthRoutes();
+// Login sessions by token id (user_sessions table + in-memory blacklist of revoked jtis)
+const sessions = require('./session-service');
+
+// TOTP two-factor authentication (enrolment, login second step, step-up before sensitive settings)
+const TwoFactorService = require('./two-factor-service');
+const twoFactor = new TwoFactorService();
+
+// API keys de integraciones (formulario web, automatizaciones)
+const ApiKeyService = require('./api-key-service');
+const apiKeys = new ApiKeyService();
 
 // Initialize Access Control System
 const AccessControlSystem = require('./access-control-system');
 const accessControl = new AccessControlSystem();
 
-// Initialize Config Database
-const ConfigDatabase = require('./config-database');
-const configDB = new ConfigDatabase();
+// Initialize Google Auth Routes
+const googleAuth = new GoogleAuthRoutes(accessControl);
+
 const SyncService = require('./sync-service');
 
+// Initialize Appointment service (MySQL + status sync to Google Sheets)
+const database = require('./database');
+const AppointmentService = require('./appointment-service');
+const appointmentService = new AppointmentService(googleSheets);
+
+// Initialize Report service (Draft → Completed → Sent → Archived)
+const ReportService = require('./report-service');
+const reportService = new ReportService();
+
+// Initialize server-side report PDF renderer (no browser needed)
+const ReportPDFService = require('./report-pdf-service');
+const reportPDFService = new ReportPDFService();
+
+// Initialize inspection reminders (next_inspection_date → email + follow-up)
+const InspectionReminderService = require('./inspection-reminder-service');
+const inspectionReminders = new InspectionReminderService(emailService, googleSheets);
+
+// Per-company data isolation (Boston Fire Escapes / Irias Iron Works)
+const CompanyAccessService = require('./company-access-service');
+const companyAccess = new CompanyAccessService(googleSheets);
+
+// Audit trail of every mutating API call (audit_log table)
+const AuditService = require('./audit-service');
+const auditService = new AuditService(googleSheets);
+
+// Two-way Google Sheets ↔ MySQL sync (conflicts in sync_conflicts)
+const syncService = new SyncService(emailService);
+
+// Drive folder id/link saved on each client (no more searching folders by name)
+const DriveFolderService = require('./drive-folder-service');
+const driveFolders = new DriveFolderService(googleDriveService);
+
+// Client document library (files in the client's Drive folder)
+const ClientDocumentService = require('./client-document-service');
+const clientDocuments = new ClientDocumentService(googleDriveService, driveFolders, googleSheets);
+
+// Outbound email queue (email_outbox table, retries with exponential backoff)
+const EmailQueueService = require('./email-queue-service');
+const emailQueue = new EmailQueueService(emailService, googleSheets);
+
+// Estimate, invoice and report emails to customers (PDF attached, status → Sent on delivery)
+const CustomerEmailService = require('./customer-email-service');
+const customerEmails = new CustomerEmailService(emailService, emailQueue, clientDocuments, reportService, reportPDFService, googleSheets);
+
+// Inbound Zoho webhooks (signed with X-Webhook-Secret) → invoice/estimate status of the client
+const ClientService = require('./client-service');
+const clientService = new ClientService(syncService);
+const ZohoInboundWebhookService = require('./zoho-inbound-webhook-service');
+const zohoInbound = new ZohoInboundWebhookService(clientService, configDB);
+
+// Zoho Flow deliveries (zoho_deliveries table: retries with backoff, dead-letter list)
+const ZohoDeliveryService = require('./zoho-delivery-service');
+const zohoDeliveries = new ZohoDeliveryService(zohoWebhookService);
+
 // JWT-based authentication (no server-side sessions needed)
 const jwt = require('jsonwebtoken');
 
@@ -113,7 +187,7 @@ function setCORSHeaders(req, res) {
         res.setHeader('Access-Control-Allow-Origin', origin || '*');
     }
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
     res.setHeader('Access-Control-Max-Age', '86400');
 }
 
@@ -152,6 +226,62 @@ function sendSuccessResponse(res, data, message = 'Success') {
     }));
 }
 
+// Maps coded service errors (VALIDATION_ERROR, NOT_FOUND, *_CONFLICT) to HTTP responses
+function sendServiceErrorResponse(res, error, fallbackMessage) {
+    if (error.code === 'VALIDATION_ERROR') {
+        return sendErrorResponse(res, 400, error.message);
+    }
+    if (error.code === 'NOT_FOUND') {
+        return sendErrorResponse(res, 404, error.message);
+    }
+    if (error.code === 'COMPANY_ACCESS_DENIED') {
+        return sendErrorResponse(res, 403, error.message);
+    }
+    if (error.code === 'DRIVE_UNAVAILABLE') {
+        return sendErrorResponse(res, 503, error.message);
+    }
+    // Códigos que el frontend necesita distinguir (reintento tras step-up, bloqueo de 2FA)
+    const codedStatus = {
+        STEP_UP_REQUIRED: 403,
+        TWO_FACTOR_SETUP_REQUIRED: 403,
+        TOO_MANY_ATTEMPTS: 429,
+        TWO_FACTOR_UNAVAILABLE: 503,
+        INVALID_API_KEY: 401,
+        API_KEY_SCOPE_DENIED: 403,
+        API_KEYS_UNAVAILABLE: 503
+    };
+    if (codedStatus[error.code]) {
+        logger.warn(`HTTP ${codedStatus[error.code]}: ${error.message}`);
+        res.writeHead(codedStatus[error.code], {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache, no-store, must-revalidate'
+        });
+        res.end(JSON.stringify({
+            error: true,
+            message: error.message,
+            code: error.code,
+            timestamp: new Date().toISOString()
+        }));
+        return;
+    }
+    if (error.code && error.code.endsWith('_CONFLICT')) {
+        logger.warn(`HTTP 409: ${error.message}`);
+        res.writeHead(409, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache, no-store, must-revalidate'
+        });
+        res.end(JSON.stringify({
+            error: true,
+            message: error.message,
+            code: error.code,
+            conflicts: error.conflicts || [],
+            timestamp: new Date().toISOString()
+        }));
+        return;
+    }
+    sendErrorResponse(res, 500, fallbackMessage, error);
+}
+
 // Production logging function
 const isDevelopment = process.env.NODE_ENV === 'development';
 const log = (message, ...args) => {
@@ -162,14 +292,21 @@ const log = (message, ...args) => {
 
 // Session middleware function
 function jwtMiddleware(req, res, next) {
-    // JWT-based authentication middleware
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    // JWT-based authentication middleware: Bearer header or the HttpOnly login cookie
+    const token = securityHelpers.getRequestToken(req);
     
     if (token) {
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            // Sesión cerrada o revocada (lista negra por jti)
+            if (!sessions.isTokenActive(decoded)) {
+                console.log('❌ Revoked or untracked JWT for user:', decoded.email);
+                req.user = null;
+                next();
+                return;
+            }
             req.user = decoded;
+            sessions.touch(decoded.jti);
             console.log('✅ JWT token verified for user:', decoded.email);
         } catch (error) {
             console.log('❌ Invalid JWT token:', error.message);
@@ -182,82 +319,8 @@ function jwtMiddleware(req, res, next) {
     next();
 }
 
-const server = http.createServer((req, res) => {
-    log(`🔍 MAIN SERVER: ${req.method} ${req.url}`);
-    
-    // Apply JWT middleware first
-    jwtMiddleware(req, res, () => {
-        // Apply security middleware
-        SecurityMiddleware.securityHeaders(req, res, () => {
-            SecurityMiddleware.requestLogger(req, res, () => {
-                SecurityMiddleware.validateIP(req, res, () => {
-                    SecurityMiddleware.validateRequestSize(req, res, () => {
-                        SecurityMiddleware.preventSQLInjection(req, res, () => {
-                            SecurityMiddleware.preventXSS(req, res, () => {
-                                log(`✅ Request passed all middleware: ${req.method} ${req.url}`);
-                                handleRequest(req, res);
-                            });
-                        });
-                    });
-                });
-            });
-        });
-    });
-});
-
-function handleRequest(req, res) {
-    logger.info(`${req.method} ${req.url}`, {
-        userAgent: req.headers['user-agent'],
-        ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress
-    });
-    
-    // Set CORS headers
-    setCORSHeaders(req, res);
-    
-    // Handle OPTIONS request for CORS preflight
-    if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
-        return;
-    }
-    
-    // Enhanced health check endpoint
-    if (req.url === '/health') {
-        log('🔍 Serving /health endpoint');
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            status: 'healthy',
-            timestamp: new Date().toISOString(),
-            service: 'Fire Escape Reports System',
-            version: '2.0.0',
-            uptime: process.uptime(),
-            memory: process.memoryUsage(),
-            environment: process.env.NODE_ENV || 'development'
-        }));
-        return;
-    }
-
-    // Authentication routes
-    if (req.url.startsWith('/auth/')) {
-        log('🔐 Handling auth route');
-        handleAuthRoute(req, res);
-        return;
-    }
-
-    // Admin routes
-    if (req.url.startsWith('/api/admin/')) {
-        log('🔐 Handling admin route');
-        handleAdminRoute(req, res);
-        return;
-    }
-
-    // API Routes
-    if (req.url.startsWith('/api/')) {
-        log('🔍 Handling API route');
-        handleAPIRoute(req, res);
-        return;
-    }
-
+// Páginas y archivos estáticos (todo lo que no es /health, /auth ni /api)
+function handlePageRoute(req, res) {
     // Authentication disabled - all routes are public
     console.log('🔓 Public access enabled - no authentication required');
 
@@ -288,15 +351,14 @@ function handleRequest(req, res) {
 
     // Handle admin access control route
     if (urlPath === '/admin-access-control') {
-        // Check if user is admin (from iriasironworks.com domain)
+        // Check if user has the admin role
         if (!req.user) {
             res.writeHead(302, { 'Location': '/login' });
             res.end();
             return;
         }
         
-        const userDomain = req.user.email.split('@')[1];
-        if (userDomain !== 'iriasironworks.com') {
+        if (!permissionHelpers.hasPermission(req.user, 'admin')) {
             res.writeHead(302, { 'Location': '/dashboard?error=admin_required' });
             res.end();
             return;
@@ -308,89 +370,341 @@ function handleRequest(req, res) {
         return;
     }
 
+    // Handle admin audit log route
+    if (urlPath === '/admin-audit-log') {
+        if (!req.user) {
+            res.writeHead(302, { 'Location': '/login' });
+            res.end();
+            return;
+        }
+        
+        if (!permissionHelpers.hasPermission(req.user, 'admin')) {
+            res.writeHead(302, { 'Location': '/dashboard?error=admin_required' });
+            res.end();
+            return;
+        }
+        
+        log('📝 Serving admin audit log page');
+        serveFile(path.join(__dirname, '/admin-audit-log.html'), 'text/html', res);
+        return;
+    }
+
     // Enhanced static file serving
     log('🔍 Serving static file');
     serveStaticFile(req, res);
 }
 
-// Handle admin routes
-async function handleAdminRoute(req, res) {
-    try {
-        const url = new URL(req.url, `http://${req.headers.host}`);
-        const pathname = url.pathname;
+// ===== EXPRESS HELPERS =====
 
-        // Check if user is authenticated and is admin
-        if (!req.user) {
-            sendErrorResponse(res, 401, 'Authentication required');
-            return;
-        }
+// Express 4 no captura promesas rechazadas: los errores no controlados van a SecurityMiddleware.errorHandler
+const asyncRoute = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
 
-        // Check if user is from iriasironworks.com domain (admin)
-        const userDomain = req.user.email.split('@')[1];
-        if (userDomain !== 'iriasironworks.com') {
-            sendErrorResponse(res, 403, 'Admin access required');
-            return;
+function methodNotAllowed(req, res) {
+    sendErrorResponse(res, 405, 'Method not allowed');
+}
+
+// Cualquier content-type salvo multipart se lee como JSON, igual que el parser anterior
+const parseAsJson = (req) => !(req.headers['content-type'] || '').startsWith('multipart/');
+const defaultJsonParser = express.json({ limit: securityConfig.api.maxRequestSize, type: parseAsJson });
+// Los documentos llegan en base64: el límite general cortaría ficheros por debajo de upload.maxFileSize
+const uploadJsonParser = express.json({ limit: securityConfig.api.maxUploadRequestBytes, type: parseAsJson });
+const jsonBodyParser = (req, res, next) => (securityHelpers.isDocumentUploadRequest(req) ? uploadJsonParser : defaultJsonParser)(req, res, next);
+
+const apiRateLimit = SecurityMiddleware.configureAPIRateLimit();
+const uploadRateLimit = SecurityMiddleware.configureUploadRateLimit();
+
+// ===== ADMIN ROUTER (/api/admin/*) =====
+
+const adminRouter = express.Router();
+adminRouter.use(apiRateLimit, jsonBodyParser);
+
+// Check if user is authenticated and is admin
+adminRouter.use((req, res, next) => {
+    if (!req.user) {
+        return sendErrorResponse(res, 401, 'Authentication required');
+    }
+    if (!permissionHelpers.hasPermission(req.user, 'admin')) {
+        return sendErrorResponse(res, 403, 'Admin access required');
+    }
+    next();
+});
+
+// Access changes go to the audit trail with the fields that changed
+const accessSnapshot = (user) => user ? { status: user.status, role: user.role, companies: [...(user.companies || [])] } : null;
+const auditAccessChange = (req, action, email, before, after) => auditService.record(auditService.getRequestContext(req), {
+    action,
+    tableName: 'authorized_users',
+    recordId: email,
+    before,
+    after: accessSnapshot(after)
+});
+
+adminRouter.route('/access-stats')
+    .get(asyncRoute(async (req, res) => {
+        const stats = await accessControl.getAccessStats();
+        sendSuccessResponse(res, stats, 'Access statistics retrieved');
+    }))
+    .all(methodNotAllowed);
+
+adminRouter.route('/users')
+    .get(asyncRoute(async (req, res) => {
+        // Get users from the access control system instead of directly from sheets
+        const users = await accessControl.getAuthorizedUsers(req.query.status);
+        sendSuccessResponse(res, users, 'Users retrieved');
+    }))
+    .all(methodNotAllowed);
+
+adminRouter.route('/pending-users')
+    .get(asyncRoute(async (req, res) => {
+        const pendingUsers = await accessControl.getPendingUsers();
+        sendSuccessResponse(res, pendingUsers, 'Pending users retrieved');
+    }))
+    .all(methodNotAllowed);
+
+[['/approve-user', 'APPROVE_USER'], ['/reject-user', 'REJECT_USER']].forEach(([routePath, action]) => {
+    adminRouter.route(routePath)
+        .post(ValidationMiddleware.requiredFields('email'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+            const { email } = req.body;
+            const before = accessSnapshot(await accessControl.getUser(email));
+            const result = action === 'APPROVE_USER'
+                ? await accessControl.approveUser(email, req.user.email)
+                : await accessControl.rejectUser(email, req.user.email);
+            if (result.success) {
+                await auditAccessChange(req, action, email, before, result.user);
+                sendSuccessResponse(res, result.user, result.message);
+            } else {
+                sendErrorResponse(res, result.message === 'User not found' ? 404 : 400, result.message);
+            }
+        }))
+        .all(methodNotAllowed);
+});
+
+adminRouter.route('/user-role')
+    .post(ValidationMiddleware.requiredFields('email', 'role'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        const { email, role } = req.body;
+        const roleBefore = accessSnapshot(await accessControl.getUser(email));
+        const roleResult = await accessControl.setUserRole(email, role);
+        if (roleResult.success) {
+            await auditAccessChange(req, 'UPDATE_USER_ROLE', email, roleBefore, roleResult.user);
+            sendSuccessResponse(res, roleResult.user, roleResult.message);
+        } else {
+            sendErrorResponse(res, roleResult.message === 'User not found' ? 404 : 400, roleResult.message);
         }
+    }))
+    .all(methodNotAllowed);
+
+adminRouter.route('/companies')
+    .get((req, res) => {
+        sendSuccessResponse(res, companyHelpers.getCompanyNames(), 'Companies retrieved');
+    })
+    .all(methodNotAllowed);
+
+adminRouter.route('/user-companies')
+    .post(ValidationMiddleware.requiredFields('email', 'companies'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        const { email, companies } = req.body;
+        const companiesBefore = accessSnapshot(await accessControl.getUser(email));
+        const companiesResult = await accessControl.setUserCompanies(email, companies);
+        if (companiesResult.success) {
+            await auditAccessChange(req, 'UPDATE_USER_COMPANIES', email, companiesBefore, companiesResult.user);
+            sendSuccessResponse(res, companiesResult.user, companiesResult.message);
+        } else {
+            sendErrorResponse(res, companiesResult.message === 'User not found' ? 404 : 400, companiesResult.message);
+        }
+    }))
+    .all(methodNotAllowed);
 
-        switch (pathname) {
-            case '/api/admin/access-stats':
-                const stats = await accessControl.getAccessStats();
-                sendSuccessResponse(res, stats, 'Access statistics retrieved');
-                break;
-            case '/api/admin/users':
-                // Get users from the access control system instead of directly from sheets
-                const users = accessControl.getAuthorizedUsers();
-                sendSuccessResponse(res, users, 'Users retrieved');
-                break;
-            case '/api/admin/approve-user':
-                if (req.method !== 'POST') {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                    return;
-                }
-                const body = await parseJsonBody();
-                const result = await accessControl.approveUser(body.email, req.session.user.email);
-                if (result.success) {
-                    sendSuccessResponse(res, result, result.message);
-                } else {
-                    sendErrorResponse(res, 400, result.message);
-                }
-                break;
-            default:
-                sendErrorResponse(res, 404, 'Admin route not found');
+adminRouter.route('/sessions')
+    .get(ValidationMiddleware.paginationRules(500), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        if (!database.mysqlConnected) {
+            return sendErrorResponse(res, 503, 'Session tracking requires the MySQL database');
         }
-    } catch (error) {
-        console.error('❌ Error handling admin route:', error);
-        sendErrorResponse(res, 500, 'Internal server error');
+        const activeSessions = await sessions.listSessions({
+            email: req.query.email || null,
+            limit: req.query.limit || 200
+        });
+        sendSuccessResponse(res, {
+            sessions: activeSessions.map(session => ({ ...session, current: session.jti === req.user.jti })),
+            total: activeSessions.length,
+            status: sessions.getStatus()
+        }, 'Active sessions retrieved');
+    }))
+    .all(methodNotAllowed);
+
+adminRouter.route('/sessions/revoke')
+    .post(ValidationMiddleware.adminSessionRevokeRules(), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        const { jti, email } = req.body;
+        if (!database.mysqlConnected) {
+            return sendErrorResponse(res, 503, 'Session tracking requires the MySQL database');
+        }
+        let revokedCount;
+        let revokedEmail = email ? email.toLowerCase() : null;
+        if (jti) {
+            const session = await sessions.getSession(jti);
+            if (!session) {
+                return sendErrorResponse(res, 404, 'Session not found');
+            }
+            revokedEmail = session.userEmail;
+            revokedCount = await sessions.revokeSession(jti, req.user.email, 'admin_revoked') ? 1 : 0;
+        } else {
+            revokedCount = await sessions.revokeUserSessions(revokedEmail, req.user.email, 'admin_revoked');
+        }
+        await auditService.record(auditService.getRequestContext(req), {
+            action: jti ? 'REVOKE_SESSION' : 'REVOKE_USER_SESSIONS',
+            tableName: 'user_sessions',
+            recordId: jti || revokedEmail,
+            after: { userEmail: revokedEmail, revoked: revokedCount }
+        });
+        sendSuccessResponse(res, { email: revokedEmail, revoked: revokedCount }, `${revokedCount} session(s) revoked for ${revokedEmail}`);
+    }))
+    .all(methodNotAllowed);
+
+// Emitir o rotar una credencial exige un código 2FA reciente
+function requireStepUp(req, res, next) {
+    if (!twoFactor.isStepUpSatisfied(req)) {
+        return sendServiceErrorResponse(res, twoFactor.createStepUpError());
     }
+    next();
 }
 
-// Handle authentication routes
-async function handleAuthRoute(req, res) {
-    try {
-        const url = new URL(req.url, `http://${req.headers.host}`);
-        const pathname = url.pathname;
-
-        switch (pathname) {
-            case '/auth/google':
-                await googleAuth.initiateGoogleAuth(req, res);
-                break;
-            case '/auth/google/callback':
-                await googleAuth.handleGoogleCallback(req, res);
-                break;
-            case '/auth/status':
-                await googleAuth.checkAuthStatus(req, res);
-                break;
-            case '/auth/logout':
-                await googleAuth.logout(req, res);
-                break;
-            default:
-                sendErrorResponse(res, 404, 'Auth route not found');
+adminRouter.route('/api-keys')
+    .get(asyncRoute(async (req, res) => {
+        try {
+            const keys = await apiKeys.listKeys({ includeRevoked: req.query.includeRevoked === 'true' });
+            sendSuccessResponse(res, { keys, scopes: apiKeys.getScopes() }, 'API keys retrieved');
+        } catch (error) {
+            sendServiceErrorResponse(res, error, 'Error managing API keys');
         }
-    } catch (error) {
-        console.error('❌ Error handling auth route:', error);
-        sendErrorResponse(res, 500, 'Internal server error');
-    }
-}
+    }))
+    .post(requireStepUp, asyncRoute(async (req, res) => {
+        try {
+            const created = await apiKeys.createKey(req.body, req.user.email);
+            await auditService.record(auditService.getRequestContext(req), {
+                action: 'CREATE_API_KEY',
+                tableName: 'api_keys',
+                recordId: created.key.id,
+                after: { name: created.key.name, keyPrefix: created.key.keyPrefix, scopes: created.key.scopes, companies: created.key.companies, expiresAt: created.key.expiresAt }
+            });
+            // La clave en claro solo se devuelve aquí
+            sendSuccessResponse(res, created, `API key "${created.key.name}" created`);
+        } catch (error) {
+            sendServiceErrorResponse(res, error, 'Error managing API keys');
+        }
+    }))
+    .all(methodNotAllowed);
+
+adminRouter.route('/api-keys/revoke')
+    .post(ValidationMiddleware.requiredFields('id'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        try {
+            const result = await apiKeys.revokeKey(req.body.id, req.user.email);
+            await auditService.record(auditService.getRequestContext(req), {
+                action: 'REVOKE_API_KEY',
+                tableName: 'api_keys',
+                recordId: result.key.id,
+                after: { name: result.key.name, keyPrefix: result.key.keyPrefix, revoked: result.revoked }
+            });
+            sendSuccessResponse(res, result, result.revoked ? `API key "${result.key.name}" revoked` : 'API key was already revoked');
+        } catch (error) {
+            sendServiceErrorResponse(res, error, 'Error managing API keys');
+        }
+    }))
+    .all(methodNotAllowed);
+
+adminRouter.route('/api-keys/rotate')
+    .post(ValidationMiddleware.requiredFields('id'), ValidationMiddleware.handleValidationErrors, requireStepUp, asyncRoute(async (req, res) => {
+        try {
+            const rotated = await apiKeys.rotateKey(req.body.id, req.user.email, {
+                graceMinutes: req.body.graceMinutes,
+                expiresInDays: req.body.expiresInDays
+            });
+            await auditService.record(auditService.getRequestContext(req), {
+                action: 'ROTATE_API_KEY',
+                tableName: 'api_keys',
+                recordId: rotated.key.id,
+                before: { id: rotated.previous.id, keyPrefix: rotated.previous.keyPrefix, expiresAt: rotated.previous.expiresAt },
+                after: { name: rotated.key.name, keyPrefix: rotated.key.keyPrefix, expiresAt: rotated.key.expiresAt }
+            });
+            sendSuccessResponse(res, rotated, `API key "${rotated.key.name}" rotated`);
+        } catch (error) {
+            sendServiceErrorResponse(res, error, 'Error managing API keys');
+        }
+    }))
+    .all(methodNotAllowed);
+
+adminRouter.route('/audit-log')
+    .get(ValidationMiddleware.paginationRules(500), ValidationMiddleware.dateRangeRules('from', 'to'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        const auditLog = await auditService.getLog({
+            clientId: req.query.clientId,
+            userEmail: req.query.userEmail,
+            action: req.query.action,
+            tableName: req.query.table,
+            from: req.query.from,
+            to: req.query.to,
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+        sendSuccessResponse(res, auditLog, 'Audit log retrieved');
+    }))
+    .all(methodNotAllowed);
+
+adminRouter.route('/audit-log/export')
+    .get(ValidationMiddleware.requiredQuery('clientId'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        const exportClientId = req.query.clientId;
+        const history = await auditService.getClientHistory(exportClientId);
+        if (req.query.format === 'json') {
+            return sendSuccessResponse(res, history, `Audit history for client ${exportClientId}`);
+        }
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="audit-${exportClientId.replace(/[^a-zA-Z0-9_-]/g, '_')}.csv"`,
+            'Cache-Control': 'no-cache, no-store, must-revalidate'
+        });
+        res.end(auditService.toCsv(history.entries));
+    }))
+    .all(methodNotAllowed);
+
+adminRouter.use((req, res) => {
+    sendErrorResponse(res, 404, 'Admin route not found');
+});
+
+
+// ===== AUTH ROUTER (/auth/*) =====
+// Sin express.json: routes/google-auth.js lee el cuerpo de /auth/2fa/* por su cuenta
+
+const authRouter = express.Router();
+
+authRouter.route('/google')
+    .get(asyncRoute((req, res) => googleAuth.initiateGoogleAuth(req, res)))
+    .all(methodNotAllowed);
+
+authRouter.route('/google/callback')
+    .get(asyncRoute((req, res) => googleAuth.handleGoogleCallback(req, res)))
+    .all(methodNotAllowed);
+
+authRouter.route('/status')
+    .get(asyncRoute((req, res) => googleAuth.checkAuthStatus(req, res)))
+    .all(methodNotAllowed);
+
+authRouter.route('/logout')
+    .get(asyncRoute((req, res) => googleAuth.logout(req, res)))
+    .post(asyncRoute((req, res) => googleAuth.logout(req, res)))
+    .all(methodNotAllowed);
+
+// Segundo paso del login con Google (cookie pendiente, sin JWT todavía)
+authRouter.route('/2fa')
+    .get(asyncRoute((req, res) => googleAuth.getTwoFactorChallenge(req, res)))
+    .all(methodNotAllowed);
+
+authRouter.route('/2fa/setup')
+    .post(asyncRoute((req, res) => googleAuth.setupTwoFactor(req, res)))
+    .all(methodNotAllowed);
+
+authRouter.route('/2fa/verify')
+    .post(asyncRoute((req, res) => googleAuth.verifyTwoFactor(req, res)))
+    .all(methodNotAllowed);
+
+authRouter.use((req, res) => {
+    sendErrorResponse(res, 404, 'Auth route not found');
+});
 
 // Enhanced static file serving
 function serveStaticFile(req, res) {
@@ -434,1549 +748,2024 @@ function serveStaticFile(req, res) {
             }
             return;
         }
-        
-        console.log(`✅ Serving file: ${fullPath}`);
-        serveFile(fullPath, contentType, res);
-    });
-}
+        
+        console.log(`✅ Serving file: ${fullPath}`);
+        serveFile(fullPath, contentType, res);
+    });
+}
+
+function serveFile(filePath, contentType, res) {
+    const stream = fs.createReadStream(filePath);
+    
+    stream.on('error', (error) => {
+        logger.error('Error serving file:', error);
+        sendErrorResponse(res, 500, 'Error reading file');
+    });
+    
+    res.writeHead(200, { 'Content-Type': contentType });
+    stream.pipe(res);
+}
+
+// ===== API ROUTER (/api/*) =====
+// Cada ruta pasa por authorizeApiRoute (API key, RBAC, step-up, empresas, auditoría), su cadena de validación y el handler
+
+/**
+ * Access checks shared by every /api route
+ * @param {string} [route] - Route name used by config/permissions.js and audit-service.js (default: the request path)
+ * @returns {Function} Express middleware
+ */
+function authorizeApiRoute(route = null) {
+    return asyncRoute(async (req, res, next) => {
+        const path = route || req.path.replace(/^\/+|\/+$/g, '');
+        const searchParams = new URL(req.originalUrl, `http://${req.headers.host}`).searchParams;
+        req.apiRoute = path;
+
+        console.log(`🔍 API route: ${path}`);
+
+        // Integraciones: X-API-Key sustituye a la sesión y solo da acceso a las rutas de sus scopes
+        const apiKeyHeader = req.headers['x-api-key'];
+        if (apiKeyHeader) {
+            try {
+                const auditContext = auditService.getRequestContext(req);
+                req.apiKey = await apiKeys.authenticate(apiKeyHeader, auditContext.ipAddress);
+                req.user = apiKeys.toPrincipal(req.apiKey);
+            } catch (error) {
+                sendServiceErrorResponse(res, error, 'Error checking API key');
+                return;
+            }
+
+            if (!permissionHelpers.apiKeyAllows(req.apiKey.scopes, path, req.method)) {
+                logger.warn(`🚫 API key "${req.apiKey.name}" (${req.apiKey.keyPrefix}) denied ${req.method} /api/${path}`);
+                sendServiceErrorResponse(res, createError(`API key scopes don't allow ${req.method} /api/${path}`, 'API_KEY_SCOPE_DENIED'));
+                return;
+            }
+        }
+
+        // Role-based access control (see config/permissions.js)
+        const requiredPermission = permissionHelpers.getRequiredPermission(path, req.method);
+        if (!req.apiKey && !permissionHelpers.hasPermission(req.user, requiredPermission)) {
+            if (!req.user) {
+                sendErrorResponse(res, 401, 'Authentication required');
+                return;
+            }
+            logger.warn(`🚫 ${req.user.email} (${req.user.role || 'no role'}) denied ${req.method} /api/${path}, requires '${requiredPermission}'`);
+            sendErrorResponse(res, 403, `Insufficient permissions: '${requiredPermission}' required`);
+            return;
+        }
+
+        // Sensitive system settings: a recent 2FA code for this session (POST /api/2fa/step-up)
+        if (permissionHelpers.requiresStepUp(path, req.method) && !twoFactor.isStepUpSatisfied(req)) {
+            logger.warn(`🔐 ${req.user.email} needs step-up for ${req.method} /api/${path}`);
+            sendServiceErrorResponse(res, twoFactor.createStepUpError());
+            return;
+        }
+
+        // Per-company isolation: the ?company filter and the targeted client must belong to the user's companies
+        if (!companyAccess.hasFullAccess(req.user)) {
+            try {
+                await companyAccess.assertRequestAccess(req.user, path, searchParams, { ...req.body, ...req.params });
+            } catch (error) {
+                sendServiceErrorResponse(res, error, 'Error checking company access');
+                return;
+            }
+        }
+
+        // Audit trail: snapshot the record before the route changes it, log the diff once it has answered
+        if (auditService.isAuditedRoute(path, req.method)) {
+            const auditEntry = await auditService.begin(req, path, searchParams, { ...req.body, ...req.params });
+            res.on('finish', () => auditService.complete(auditEntry, res.statusCode));
+        }
+
+        next();
+    });
+}
+
+const apiRouter = express.Router();
+apiRouter.use(apiRateLimit, jsonBodyParser);
+
+// /api/<route>: route es el nombre que usan config/permissions.js y audit-service.js, routePath puede llevar parámetros
+function apiRoute(route, routePath = `/${route}`) {
+    return apiRouter.route(routePath).all(authorizeApiRoute(route));
+}
+
+apiRoute('permissions')
+    .get(asyncRoute(async (req, res) => {
+        sendSuccessResponse(res, {
+            email: req.user.email,
+            role: req.user.role,
+            permissions: permissionHelpers.getRolePermissions(req.user.role),
+            companies: AuthMiddleware.getUserCompanies(req.user),
+            routes: routePermissions
+        }, 'Permissions retrieved');
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('health')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/health endpoint');
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            message: 'Test server running with security features',
+            timestamp: new Date().toISOString(),
+            status: 'healthy',
+            service: 'Fire Escape Reports System',
+            version: '2.0.0',
+            environment: process.env.NODE_ENV || 'development'
+        }));
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('clients')
+    .get(ValidationMiddleware.paginationRules(500), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/clients endpoint');
+        console.log('📊 Google Sheets instance:', !!googleSheets);
+        console.log('🔑 Service Account configured:', !!(process.env.GOOGLE_SERVICE_ACCOUNT_KEY && process.env.GOOGLE_SERVICE_ACCOUNT_KEY.trim() !== ''));
+        try {
+            console.log('🔄 Calling googleSheets.getClientsData()...');
+            const allClients = await googleSheets.getClientsData();
+            console.log('📊 Received clients data:', !!allClients, 'Type:', typeof allClients, 'Length:', allClients ? allClients.length : 'N/A');
+            const clients = companyAccess.filterClients(req.user, allClients, req.query.company);
+
+            // Check if limit parameter is provided
+            const limitParam = req.query.limit;
+
+            let responseClients = clients;
+            if (limitParam) {
+                const limit = parseInt(limitParam);
+                responseClients = clients.slice(0, limit);
+                console.log(`📊 Returning ${responseClients.length} clients (limited to ${limit})`);
+            } else {
+                console.log(`📊 Returning all ${clients.length} clients (no limit)`);
+            }
+            responseClients = await driveFolders.attachFolderLinks(responseClients);
+
+            sendSuccessResponse(res, { clients: responseClients, total: clients.length }, 'Clients retrieved successfully from Google Sheets');
+        } catch (error) {
+            console.error('❌ Error fetching clients:', error);
+            sendErrorResponse(res, 500, 'Error fetching clients from Google Sheets', error);
+        }
+    }))
+    .post(ValidationMiddleware.clientRegistrationRules(), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Creating new client');
+        try {
+            const clientData = req.body;
+            console.log('📝 Client data received:', clientData);
+
+            const result = await googleSheets.addClientToSheet(clientData);
+
+            if (result.success) {
+                console.log('✅ Client created successfully');
+
+                // Queue the lead notification: the worker retries it and updates FormEmailer Status
+                let emailResult = { status: 'Failed', error: 'Email not queued' };
+                try {
+                    emailResult = await emailQueue.enqueueNewLeadNotification(clientData, clientData.clientId || result.clientId);
+                    console.log('📧 Email notification result:', emailResult.status);
+                } catch (emailError) {
+                    console.error('❌ Error queueing email notification:', emailError);
+                    emailResult.error = emailError.message;
+                }
+
+                // Configure and trigger Zoho Flow
+                let zohoResult = { success: false, error: 'Zoho not configured' };
+                try {
+                    // Configure Zoho webhook first
+                    if (process.env.ZOHO_FLOW_WEBHOOK_URL) {
+                        const zohoConfig = {
+                            webhookUrl: process.env.ZOHO_FLOW_WEBHOOK_URL,
+                            webhookSecret: process.env.ZOHO_FLOW_WEBHOOK_SECRET || ''
+                        };
+                        zohoWebhookService.configure(zohoConfig);
+                    }
+                    zohoResult = await triggerZohoFlow(clientData, clientData.clientId || result.clientId);
+                    console.log('🔗 Zoho Flow result:', zohoResult.success ? 'Triggered' : zohoResult.queued ? 'Queued for retry' : 'Failed');
+                } catch (zohoError) {
+                    console.error('❌ Error triggering Zoho Flow:', zohoError);
+                }
+
+                // Create Google Drive folder for client
+                let driveResult = { success: false, error: 'Google Drive not configured' };
+                try {
+                    driveResult = await createClientDriveFolder({ ...clientData, clientId: clientData.clientId || result.clientId });
+                    console.log('📁 Google Drive result:', driveResult.success ? 'Folder Created' : 'Failed');
+                } catch (driveError) {
+                    console.error('❌ Error creating Google Drive folder:', driveError);
+                }
+
+                sendSuccessResponse(res, {
+                    ...result,
+                    emailSent: emailResult.status === 'Sent',
+                    emailQueued: !!emailResult.queued,
+                    emailStatus: emailResult.status,
+                    emailOutboxId: emailResult.outboxId || null,
+                    zohoTriggered: zohoResult.success,
+                    zohoQueued: !!zohoResult.queued,
+                    zohoDeliveryId: zohoResult.deliveryId || null,
+                    driveFolderCreated: driveResult.success,
+                    emailError: emailResult.error,
+                    zohoError: zohoResult.error,
+                    driveError: driveResult.error,
+                    driveFolderLink: driveResult.folderLink
+                }, 'Client created successfully with notifications and Google Drive folder');
+            } else {
+                console.error('❌ Error creating client:', result.error);
+                sendErrorResponse(res, 500, 'Error creating client', result.error);
+            }
+        } catch (error) {
+            console.error('❌ Error creating client:', error);
+            sendErrorResponse(res, 500, 'Error creating client', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('statistics')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/statistics endpoint');
+        try {
+            // Usuarios limitados a una empresa solo ven estadísticas de sus clientes
+            const requestedCompany = req.query.company;
+            const scopedClients = companyAccess.hasFullAccess(req.user) && !requestedCompany
+                ? null
+                : companyAccess.filterClients(req.user, await googleSheets.getFormResponsesClients(), requestedCompany);
+            const stats = await googleSheets.getStatistics(scopedClients);
+            sendSuccessResponse(res, stats, 'Statistics retrieved successfully from Google Sheets');
+        } catch (error) {
+            console.error('❌ Error fetching statistics:', error);
+            sendErrorResponse(res, 500, 'Error fetching statistics from Google Sheets', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('business-clients')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/business-clients endpoint');
+        try {
+            // Get clients from Form Responses 1 for business portal
+            const allClients = await googleSheets.getFormResponsesClients();
+            console.log('📊 Received business clients data:', !!allClients, 'Length:', allClients ? allClients.length : 'N/A');
+            const clients = companyAccess.filterClients(req.user, allClients, req.query.company);
+
+            // Check if limit parameter is provided
+            const limitParam = req.query.limit;
+
+            let responseClients = clients;
+            if (limitParam) {
+                const limit = parseInt(limitParam);
+                responseClients = clients.slice(0, limit);
+                console.log(`📊 Returning ${responseClients.length} business clients (limited to ${limit})`);
+            } else {
+                console.log(`📊 Returning all ${clients.length} business clients (no limit)`);
+            }
+
+            sendSuccessResponse(res, { clients: responseClients, total: clients.length }, 'Business clients retrieved successfully from Google Sheets');
+        } catch (error) {
+            console.error('❌ Error fetching business clients:', error);
+            sendErrorResponse(res, 500, 'Error fetching business clients from Google Sheets', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('reports')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/reports endpoint');
+        try {
+            // Ensure Google Sheets is initialized
+            if (!googleSheets.initialized) {
+                await googleSheets.initialize();
+            }
+
+            // Get reports from Google Sheets
+            const reports = await googleSheets.getReportsData();
+            console.log('📊 Raw reports from Google Sheets:', reports);
+
+            // If no reports found, try alternative approach
+            let finalReports = reports;
+            if (!reports || reports.length === 0) {
+                console.log('📊 No reports found, trying alternative approach...');
+                try {
+                    const response = await googleSheets.sheets.spreadsheets.values.get({
+                        spreadsheetId: googleSheets.spreadsheetId,
+                        range: 'Form Responses 1!A:O',
+                        key: googleSheets.apiKey
+                    });
+
+                    const rows = response.data.values;
+                    if (rows && rows.length > 1) {
+                        finalReports = rows.slice(1).map(row => ({
+                            reportId: row[0] || 'REP-' + Date.now(),
+                            clientName: row[4] || 'Unknown',
+                            clientEmail: row[5] || '',
+                            reportType: row[6] || 'Fire Escape Inspection',
+                            generatedAt: row[13] || new Date().toISOString(),
+                            status: row[7] || 'Generated',
+                            reportUrl: row[14] || '',
+                            company: row[3] || '',
+                            inspectionDate: row[2] || new Date().toISOString().split('T')[0],
+                            inspector: row[11] || 'David Ramirez'
+                        }));
+                        console.log('📊 Found ' + finalReports.length + ' reports from alternative approach');
+                    }
+                } catch (altError) {
+                    console.error('❌ Alternative approach failed:', altError.message);
+                }
+            }
+
+            // Transform data to match expected format (only reports of the user's companies)
+            const transformedReports = AuthMiddleware.filterByCompany(req.user, finalReports || []).map(report => ({
+                reportId: report.reportId,
+                clientName: report.clientName,
+                clientEmail: report.clientEmail || report.address || '',
+                reportType: report.reportType,
+                generatedAt: report.generatedAt || report.createdAt || report.date,
+                status: report.status,
+                reportUrl: report.reportUrl || '',
+                company: report.company,
+                inspectionDate: report.inspectionDate || report.date,
+                inspector: report.inspector
+            }));
+
+            console.log(`📊 Final result: ${transformedReports.length} reports`);
+
+            sendSuccessResponse(res, { 
+                data: { reports: transformedReports },
+                total: transformedReports.length 
+            }, 'Reports retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error getting reports from Google Sheets:', error);
+            sendErrorResponse(res, 500, 'Error retrieving reports from Google Sheets', error);
+        }
+    }))
+    .post(ValidationMiddleware.reportCreationRules(), ValidationMiddleware.requiredFields('reportType'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('📊 Serving /api/reports endpoint');
+        try {
+            const { clientName, clientEmail, reportType, generatedAt, company, inspectionDate, reportId } = req.body;
+
+            console.log(`📊 Tracking report generation: ${reportType} for ${clientName}`);
+
+            // Add report to Google Sheets for tracking
+            const reportData = {
+                reportId,
+                clientName,
+                clientEmail,
+                reportType,
+                generatedAt,
+                company,
+                inspectionDate,
+                status: 'Generated'
+            };
+
+            const result = await googleSheets.addReport(reportData);
+
+            if (result.success) {
+                console.log(`✅ Report tracking successful: ${reportId}`);
+                sendSuccessResponse(res, { 
+                    reportTracked: true, 
+                    reportId,
+                    message: 'Report generation tracked successfully'
+                }, 'Report generation tracked successfully');
+            } else {
+                throw new Error(result.error || 'Failed to track report generation');
+            }
+        } catch (error) {
+            console.error('❌ Error tracking report generation:', error);
+            sendErrorResponse(res, 500, 'Error tracking report generation', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('test')
+    .all(asyncRoute(async (req, res) => {
+        console.log('🧪 Test endpoint called in server.js');
+        sendSuccessResponse(res, { 
+            message: 'Test endpoint working',
+            timestamp: new Date().toISOString(),
+            server: 'server.js',
+            googleSheetsInitialized: googleSheets.initialized
+        }, "Test endpoint working");
+    }));
+
+apiRoute('upload-pdf')
+    .post(uploadRateLimit, ValidationMiddleware.requiredFields('clientName', 'pdfBuffer', 'filename'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('📁 Serving /api/upload-pdf endpoint');
+        try {
+            const { clientId, clientName, clientEmail, pdfBuffer, filename, reportType, company, customerType, address, documentType } = req.body;
+
+            console.log(`📁 Uploading PDF to client folder: ${clientName}`);
+
+            // Configure Google Drive service if not already configured
+            if (!googleDriveService.isConfigured) {
+                await googleDriveService.configure();
+            }
+
+            if (!googleDriveService.isConfigured) {
+                console.log('⚠️ Google Drive not configured, skipping PDF upload');
+                return sendErrorResponse(res, 500, 'Google Drive not configured');
+            }
+
+            // Convert array back to buffer
+            const buffer = Buffer.from(pdfBuffer);
+
+            // Upload PDF to client's Google Drive folder
+            const savedFolder = await driveFolders.getClientFolder(clientId);
+            const result = await googleDriveService.uploadPDFReportToClientFolder(
+                clientName,
+                clientEmail,
+                buffer,
+                reportType,
+                { folderId: savedFolder && savedFolder.folderId, company, customerType, address, documentType }
+            );
+
+            if (result) {
+                console.log(`✅ PDF uploaded successfully: ${result.name}`);
+                if (!savedFolder || savedFolder.folderId !== result.clientFolder.id) {
+                    await driveFolders.saveClientFolder(clientId, result.clientFolder);
+                }
+                sendSuccessResponse(res, { 
+                    pdfUploaded: true, 
+                    fileName: result.name,
+                    fileLink: result.webViewLink,
+                    message: 'PDF uploaded to client folder successfully'
+                }, 'PDF uploaded to client folder successfully');
+            } else {
+                throw new Error('Failed to upload PDF to client folder');
+            }
+        } catch (error) {
+            console.error('❌ Error uploading PDF:', error);
+            sendErrorResponse(res, 500, 'Error uploading PDF to client folder', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('client-update')
+    .put(ValidationMiddleware.clientUpdateRules(), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/client-update endpoint');
+        try {
+            const { clientId, updateData } = req.body;
+
+            console.log(`📝 Updating client data for ID: ${clientId}`, updateData);
+
+            // Real Google Sheets update
+            const result = await googleSheets.updateClientInSheet(clientId, updateData);
+
+            if (result.success) {
+                console.log(`✅ Client data updated successfully in Google Sheets for ID: ${clientId}`);
+                sendSuccessResponse(res, { 
+                    clientId, 
+                    updated: true, 
+                    simulated: false,
+                    message: 'Client data updated successfully in Google Sheets'
+                }, 'Client data updated successfully in Google Sheets');
+            } else {
+                throw new Error(result.error || 'Failed to update client in Google Sheets');
+            }
+        } catch (error) {
+            console.error('❌ Error updating client data:', error);
+            sendErrorResponse(res, 500, 'Error updating client data in Google Sheets', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('client-status')
+    .put(ValidationMiddleware.statusUpdateRules(), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/client-status endpoint');
+        try {
+            const { clientId, status } = req.body;
+
+            console.log(`📝 Updating client status for ID: ${clientId} to: ${status}`);
+
+            // Real Google Sheets update
+            const result = await googleSheets.updateClientStatus(clientId, status);
+
+            if (result.success) {
+                console.log(`✅ Client status updated successfully in Google Sheets for ID: ${clientId}`);
+                sendSuccessResponse(res, { 
+                    clientId, 
+                    status, 
+                    updated: true, 
+                    simulated: false,
+                    message: 'Client status updated successfully in Google Sheets'
+                }, 'Client status updated successfully in Google Sheets');
+            } else {
+                throw new Error(result.error || 'Failed to update client status in Google Sheets');
+            }
+        } catch (error) {
+            console.error('❌ Error updating client status:', error);
+            sendErrorResponse(res, 500, 'Error updating client status in Google Sheets', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('client-invoice-status')
+    .put(ValidationMiddleware.statusUpdateRules(), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/client-invoice-status endpoint');
+        try {
+            const { clientId, status } = req.body;
+
+            console.log(`📝 Updating invoice status for ID: ${clientId} to: ${status}`);
+
+            // Real Google Sheets update
+            const result = await googleSheets.updateClientInvoiceStatus(clientId, status);
+
+            if (result.success) {
+                console.log(`✅ Invoice status updated successfully in Google Sheets for ID: ${clientId}`);
+                sendSuccessResponse(res, { 
+                    clientId, 
+                    status, 
+                    updated: true, 
+                    simulated: false,
+                    message: 'Invoice status updated successfully in Google Sheets'
+                }, 'Invoice status updated successfully in Google Sheets');
+            } else {
+                throw new Error(result.error || 'Failed to update invoice status in Google Sheets');
+            }
+        } catch (error) {
+            console.error('❌ Error updating invoice status:', error);
+            sendErrorResponse(res, 500, 'Error updating invoice status in Google Sheets', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('client-estimate-status')
+    .put(ValidationMiddleware.statusUpdateRules(), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/client-estimate-status endpoint');
+        try {
+            const { clientId, status } = req.body;
+
+            console.log(`📝 Updating estimate status for ID: ${clientId} to: ${status}`);
+
+            // Real Google Sheets update
+            const result = await googleSheets.updateClientEstimateStatus(clientId, status);
+
+            if (result.success) {
+                console.log(`✅ Estimate status updated successfully in Google Sheets for ID: ${clientId}`);
+                sendSuccessResponse(res, { 
+                    clientId, 
+                    status, 
+                    updated: true, 
+                    simulated: false,
+                    message: 'Estimate status updated successfully in Google Sheets'
+                }, 'Estimate status updated successfully in Google Sheets');
+            } else {
+                throw new Error(result.error || 'Failed to update estimate status in Google Sheets');
+            }
+        } catch (error) {
+            console.error('❌ Error updating estimate status:', error);
+            sendErrorResponse(res, 500, 'Error updating estimate status in Google Sheets', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('send-client-email')
+    .post(ValidationMiddleware.requiredFields('clientData'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('📧 Serving /api/send-client-email endpoint');
+        try {
+            const { clientData } = req.body;
+
+            console.log(`📧 Queueing new lead notification for client: ${clientData.clientFullName}`);
+
+            // Queue new lead notification (delivered by the email queue worker)
+            const emailResult = await emailQueue.enqueueNewLeadNotification(clientData);
+
+            if (emailResult.status === 'Failed') {
+                throw new Error(emailResult.error || 'Failed to send new lead notification');
+            }
+
+            console.log(`✅ New lead notification ${emailResult.queued ? 'queued' : 'sent'}`);
+            sendSuccessResponse(res, { 
+                emailSent: emailResult.status === 'Sent', 
+                emailQueued: emailResult.queued,
+                emailStatus: emailResult.status,
+                outboxId: emailResult.outboxId || null,
+                message: emailResult.queued ? 'New lead notification queued' : 'New lead notification sent successfully',
+                sentTo: process.env.NOTIFICATION_EMAIL || 'newcustomers@iriasironworks.com'
+            }, emailResult.queued ? 'New lead notification queued' : 'New lead notification sent successfully');
+        } catch (error) {
+            console.error('❌ Error sending new lead notification:', error);
+            sendErrorResponse(res, 500, 'Error sending new lead notification', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('create-zoho-client')
+    .post(ValidationMiddleware.requiredFields('clientData'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔗 Serving /api/create-zoho-client endpoint');
+        try {
+            const { clientData } = req.body;
+
+            console.log(`🔗 Triggering Zoho Flow for: ${clientData.clientFullName}`);
+
+            // Trigger Zoho Flow webhook
+            const zohoResult = await triggerZohoFlow(clientData, clientData.clientId || null);
+
+            if (zohoResult.success) {
+                console.log(`✅ Zoho Flow triggered successfully: ${clientData.clientFullName}`);
+                sendSuccessResponse(res, { 
+                    zohoFlowTriggered: true, 
+                    message: 'Zoho Flow triggered successfully',
+                    flowData: zohoResult.flowData
+                }, 'Zoho Flow triggered successfully');
+            } else if (zohoResult.queued) {
+                // Guardado en zoho_deliveries: se reintenta solo, no hace falta repetir la petición
+                sendSuccessResponse(res, {
+                    zohoFlowTriggered: false,
+                    queued: true,
+                    deliveryId: zohoResult.deliveryId,
+                    error: zohoResult.error
+                }, 'Zoho Flow delivery failed and will be retried automatically');
+            } else {
+                throw new Error(zohoResult.error || 'Failed to trigger Zoho Flow');
+            }
+        } catch (error) {
+            console.error('❌ Error triggering Zoho Flow:', error);
+            sendErrorResponse(res, 500, 'Error triggering Zoho Flow', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+// ===== SYSTEM CONFIGURATION ENDPOINTS =====
+apiRoute('system-config')
+    .get(asyncRoute(async (req, res) => {
+        console.log('⚙️ Serving /api/system-config GET endpoint');
+        try {
+            const config = await getSystemConfig();
+            sendSuccessResponse(res, config, 'System configuration loaded successfully');
+        } catch (error) {
+            console.error('❌ Error loading system config:', error);
+            sendErrorResponse(res, 500, 'Error loading system configuration', error);
+        }
+    }))
+    .post(ValidationMiddleware.systemConfigRules(), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('⚙️ Serving /api/system-config POST endpoint');
+        try {
+            const reqBody = req.body;
+            const result = await saveSystemConfig(reqBody);
+            sendSuccessResponse(res, result, 'System configuration saved successfully');
+        } catch (error) {
+            console.error('❌ Error saving system config:', error);
+            sendErrorResponse(res, 500, 'Error saving system configuration', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('test-email')
+    .post(asyncRoute(async (req, res) => {
+        console.log('📧 Serving /api/test-email endpoint');
+        try {
+            // fileDirectory del body se ignora: el transporte "file" solo escribe en la carpeta configurada
+            const { email, service, apiKey, gmailAppPassword, smtp } = req.body;
+
+            // Use apiKey or gmailAppPassword, whichever is provided
+            const password = apiKey || gmailAppPassword;
+            const emailTransport = emailHelpers.normalizeService(service);
+
+            if (!email || (emailHelpers.requiresCredentials(emailTransport) && !password)) {
+                return sendErrorResponse(res, 400, 'Missing required fields: email and gmailAppPassword/apiKey');
+            }
+
+            console.log(`📧 Testing email configuration for: ${email} (${emailTransport})`);
+
+            const testResult = await testNotificationsConfiguration(email, password, { service: emailTransport, smtp });
+
+            if (testResult.success) {
+                console.log(`✅ Email test successful for: ${email}`);
+                sendSuccessResponse(res, { 
+                    emailTested: true, 
+                    message: 'Email test successful'
+                }, 'Email test successful');
+            } else {
+                // Don't throw error, just return the error response
+                sendErrorResponse(res, 400, 'Email test failed', new Error(testResult.error));
+            }
+        } catch (error) {
+            console.error('❌ Error testing email:', error);
+            sendErrorResponse(res, 500, 'Error testing email configuration', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+// Messages captured by the "memory" email transport (staging / CI checks)
+apiRoute('email/outbox')
+    .all((req, res, next) => {
+        if (emailService.service !== 'memory') {
+            return sendErrorResponse(res, 409, 'Email outbox is only available with the memory transport');
+        }
+        next();
+    })
+    .get(asyncRoute(async (req, res) => {
+        sendSuccessResponse(res, { messages: emailService.getSentMessages() }, 'Email outbox loaded successfully');
+    }))
+    .delete(asyncRoute(async (req, res) => {
+        sendSuccessResponse(res, { cleared: emailService.clearSentMessages() }, 'Email outbox cleared');
+    }))
+    .all(methodNotAllowed);
+
+// Editable email templates (lead, sync and test notifications), per company or general
+apiRoute('email-templates')
+    .get(asyncRoute(async (req, res) => {
+        try {
+            sendSuccessResponse(res, {
+                templates: emailService.templates.listTemplates(),
+                companies: companyHelpers.getCompanyNames()
+            }, 'Email templates loaded successfully');
+        } catch (error) {
+            console.error('❌ Error handling email templates:', error);
+            sendServiceErrorResponse(res, error, 'Error handling email templates');
+        }
+    }))
+    .post(asyncRoute(async (req, res) => {
+        try {
+            const { templateId, company, subject, html, text } = req.body;
+            const result = emailService.templates.saveTemplate(templateId, company, { subject, html, text }, req.user.email);
+            sendSuccessResponse(res, result, 'Email template saved successfully');
+        } catch (error) {
+            console.error('❌ Error handling email templates:', error);
+            sendServiceErrorResponse(res, error, 'Error handling email templates');
+        }
+    }))
+    .delete(asyncRoute(async (req, res) => {
+        try {
+            const result = emailService.templates.resetTemplate(req.query.templateId, req.query.company);
+            sendSuccessResponse(res, result, 'Email template reset successfully');
+        } catch (error) {
+            console.error('❌ Error handling email templates:', error);
+            sendServiceErrorResponse(res, error, 'Error handling email templates');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('email-templates/preview')
+    .post(asyncRoute(async (req, res) => {
+        try {
+            const { templateId, ...draft } = req.body;
+            sendSuccessResponse(res, emailService.templates.preview(templateId, draft), 'Email template preview generated');
+        } catch (error) {
+            sendServiceErrorResponse(res, error, 'Error generating email template preview');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('save-gmail-config')
+    .post(ValidationMiddleware.requiredFields('gmailUser', 'gmailAppPassword'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('📧 Serving /api/save-gmail-config endpoint');
+        try {
+            const { gmailUser, gmailAppPassword, emailFromName } = req.body;
+
+            // Update environment variables in memory
+            process.env.GMAIL_USER = gmailUser;
+            process.env.GMAIL_APP_PASSWORD = gmailAppPassword;
+            if (emailFromName) {
+                process.env.EMAIL_FROM_NAME = emailFromName;
+            }
+
+            // Save to .env file permanently
+            const fs = require('fs');
+            const envPath = '.env';
+
+            try {
+                let envContent = '';
+                if (fs.existsSync(envPath)) {
+                    envContent = fs.readFileSync(envPath, 'utf8');
+                }
+
+                // Update or add Gmail configuration
+                const lines = envContent.split('\n');
+                let gmailUserUpdated = false;
+                let gmailPasswordUpdated = false;
+                let emailFromNameUpdated = false;
+
+                for (let i = 0; i < lines.length; i++) {
+                    if (lines[i].startsWith('GMAIL_USER=')) {
+                        lines[i] = `GMAIL_USER=${gmailUser}`;
+                        gmailUserUpdated = true;
+                    } else if (lines[i].startsWith('GMAIL_APP_PASSWORD=')) {
+                        lines[i] = `GMAIL_APP_PASSWORD=${gmailAppPassword}`;
+                        gmailPasswordUpdated = true;
+                    } else if (lines[i].startsWith('EMAIL_FROM_NAME=')) {
+                        lines[i] = `EMAIL_FROM_NAME=${emailFromName}`;
+                        emailFromNameUpdated = true;
+                    }
+                }
+
+                // Add new lines if they don't exist
+                if (!gmailUserUpdated) {
+                    lines.push(`GMAIL_USER=${gmailUser}`);
+                }
+                if (!gmailPasswordUpdated) {
+                    lines.push(`GMAIL_APP_PASSWORD=${gmailAppPassword}`);
+                }
+                if (emailFromName && !emailFromNameUpdated) {
+                    lines.push(`EMAIL_FROM_NAME=${emailFromName}`);
+                }
+
+                // Write back to file
+                fs.writeFileSync(envPath, lines.join('\n'));
+                console.log(`✅ Gmail configuration saved to .env file: ${gmailUser}`);
+            } catch (fileError) {
+                console.error('❌ Error writing to .env file:', fileError);
+                // Continue anyway, at least it's saved in memory
+            }
+
+            console.log(`✅ Gmail configuration saved: ${gmailUser}`);
+            sendSuccessResponse(res, { 
+                gmailConfigured: true, 
+                message: 'Gmail configuration saved successfully to .env file'
+            }, 'Gmail configuration saved successfully');
+        } catch (error) {
+            console.error('❌ Error saving Gmail config:', error);
+            sendErrorResponse(res, 500, 'Error saving Gmail configuration', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('test-zoho')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔗 Serving /api/test-zoho endpoint');
+        try {
+            const zohoConfig = {
+                webhookUrl: process.env.ZOHO_FLOW_WEBHOOK_URL,
+                webhookSecret: process.env.ZOHO_FLOW_WEBHOOK_SECRET || ''
+            };
+
+            const debugInfo = {
+                hasWebhookUrl: !!(process.env.ZOHO_FLOW_WEBHOOK_URL),
+                webhookUrl: process.env.ZOHO_FLOW_WEBHOOK_URL ? process.env.ZOHO_FLOW_WEBHOOK_URL.substring(0, 50) + '...' : 'Not set',
+                hasWebhookSecret: !!(process.env.ZOHO_FLOW_WEBHOOK_SECRET),
+                webhookSecretLength: process.env.ZOHO_FLOW_WEBHOOK_SECRET ? process.env.ZOHO_FLOW_WEBHOOK_SECRET.length : 0,
+                config: zohoConfig
+            };
+
+            // Test Zoho webhook service
+            if (zohoConfig.webhookUrl) {
+                zohoWebhookService.configure(zohoConfig);
+                const testResult = await zohoWebhookService.testWebhook();
+                debugInfo.testResult = testResult;
+            }
+
+            sendSuccessResponse(res, debugInfo, 'Zoho configuration debug info retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error testing Zoho configuration:', error);
+            sendErrorResponse(res, 500, 'Error testing Zoho configuration', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('test-google-sheets')
+    .get(asyncRoute(async (req, res) => {
+        console.log('📊 Serving /api/test-google-sheets endpoint');
+        try {
+            const testResult = await testGoogleSheetsConnection();
+
+            if (testResult.success) {
+                console.log(`✅ Google Sheets connection test successful`);
+                sendSuccessResponse(res, { 
+                    googleSheetsTested: true, 
+                    message: 'Google Sheets connection successful'
+                }, 'Google Sheets connection successful');
+            } else {
+                throw new Error(testResult.error || 'Failed to test Google Sheets connection');
+            }
+        } catch (error) {
+            console.error('❌ Error testing Google Sheets:', error);
+            sendErrorResponse(res, 500, 'Error testing Google Sheets connection', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('test-drive')
+    .post(asyncRoute(async (req, res) => {
+        console.log('📁 Serving /api/test-drive endpoint');
+        try {
+            await googleDriveService.configure();
+            const testResult = await googleDriveService.testConnection();
+
+            if (testResult.success) {
+                console.log(`✅ Google Drive connection test successful`);
+                sendSuccessResponse(res, { 
+                    driveTested: true, 
+                    message: 'Google Drive connection successful'
+                }, 'Google Drive connection successful');
+            } else {
+                sendErrorResponse(res, 400, 'Google Drive connection test failed', new Error(testResult.message));
+            }
+        } catch (error) {
+            console.error('❌ Error testing Google Drive:', error);
+            sendErrorResponse(res, 500, 'Error testing Google Drive connection', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('drive-folders')
+    .get(asyncRoute(async (req, res) => {
+        console.log('📁 Serving /api/drive-folders endpoint');
+        try {
+            await googleDriveService.configure();
+            const folders = await companyAccess.filterDriveFolders(req.user, await googleDriveService.listClientFolders());
+            sendSuccessResponse(res, { folders }, 'Google Drive folders retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error retrieving Google Drive folders:', error);
+            sendErrorResponse(res, 500, 'Error retrieving Google Drive folders', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('drive-folders/backfill')
+    .get(asyncRoute(async (req, res) => {
+        sendSuccessResponse(res, driveFolders.getStatus(), 'Drive folder backfill status retrieved');
+    }))
+    .post(asyncRoute(async (req, res) => {
+        console.log('📁 Running Drive folder backfill');
+        try {
+            const { dryRun = false, limit = 100 } = req.body;
+            const result = await driveFolders.backfill({ dryRun: !!dryRun, limit });
+            sendSuccessResponse(res, result, `Drive folders matched: ${result.matched}/${result.checked}`);
+        } catch (error) {
+            console.error('❌ Error running Drive folder backfill:', error.message);
+            sendErrorResponse(res, 500, 'Error running Drive folder backfill', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('system-status')
+    .get(asyncRoute(async (req, res) => {
+        console.log('📊 Serving /api/system-status endpoint');
+        try {
+            const status = await getSystemStatus();
+            sendSuccessResponse(res, status, 'System status retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error getting system status:', error);
+            sendErrorResponse(res, 500, 'Error getting system status', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('test-database')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🗄️ Serving /api/test-database endpoint');
+        try {
+            const mysql = require('mysql2/promise');
+
+            // Configuración de la base de datos
+            const dbConfig = {
+                host: process.env.DB_HOST,
+                user: process.env.DB_USER,
+                password: process.env.DB_PASSWORD,
+                database: process.env.DB_NAME,
+                port: process.env.DB_PORT || 3306,
+                connectTimeout: 10000,
+                acquireTimeout: 10000,
+                timeout: 10000
+            };
+
+            console.log('🔍 Attempting database connection...');
+            const connection = await mysql.createConnection(dbConfig);
+
+            console.log('✅ Database connection successful');
+
+            // Probar una consulta simple
+            const [rows] = await connection.execute('SELECT 1 as test');
+            console.log('✅ Database query successful:', rows);
+
+            await connection.end();
+
+            sendSuccessResponse(res, {
+                connection: 'successful',
+                query: 'successful',
+                testResult: rows[0],
+                config: {
+                    host: dbConfig.host,
+                    user: dbConfig.user,
+                    database: dbConfig.database,
+                    port: dbConfig.port
+                }
+            }, 'Database connection and query test successful');
+        } catch (error) {
+            console.error('❌ Database test error:', error);
+            sendErrorResponse(res, 500, 'Database test failed', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('database-tables')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🗄️ Serving /api/database-tables endpoint');
+        try {
+            const mysql = require('mysql2/promise');
+
+            // Configuración de la base de datos
+            const dbConfig = {
+                host: process.env.DB_HOST,
+                user: process.env.DB_USER,
+                password: process.env.DB_PASSWORD,
+                database: process.env.DB_NAME,
+                port: process.env.DB_PORT || 3306
+            };
+
+            const connection = await mysql.createConnection(dbConfig);
+
+            // Obtener lista de tablas
+            const [tables] = await connection.execute('SHOW TABLES');
+
+            // Obtener estructura de cada tabla
+            const tableStructures = {};
+            for (const table of tables) {
+                const tableName = Object.values(table)[0];
+                const [columns] = await connection.execute(`DESCRIBE ${tableName}`);
+                tableStructures[tableName] = columns;
+            }
+
+            // Obtener conteo de registros
+            const recordCounts = {};
+            for (const table of tables) {
+                const tableName = Object.values(table)[0];
+                const [count] = await connection.execute(`SELECT COUNT(*) as count FROM ${tableName}`);
+                recordCounts[tableName] = count[0].count;
+            }
+
+            await connection.end();
+
+            sendSuccessResponse(res, {
+                tables: tables.map(t => Object.values(t)[0]),
+                structures: tableStructures,
+                recordCounts: recordCounts,
+                totalTables: tables.length
+            }, 'Database tables information retrieved successfully');
+        } catch (error) {
+            console.error('❌ Database tables error:', error);
+            sendErrorResponse(res, 500, 'Database tables query failed', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('debug-credentials')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/debug-credentials endpoint');
+        try {
+            const debugInfo = {
+                hasServiceAccountKey: !!(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
+                serviceAccountKeyLength: process.env.GOOGLE_SERVICE_ACCOUNT_KEY ? process.env.GOOGLE_SERVICE_ACCOUNT_KEY.length : 0,
+                serviceAccountKeyPreview: process.env.GOOGLE_SERVICE_ACCOUNT_KEY ? process.env.GOOGLE_SERVICE_ACCOUNT_KEY.substring(0, 100) + '...' : 'Not set',
+                canParseJSON: false,
+                parsedCredentials: null,
+                hasOAuthClientId: !!(process.env.GOOGLE_OAUTH_CLIENT_ID),
+                oauthClientIdLength: process.env.GOOGLE_OAUTH_CLIENT_ID ? process.env.GOOGLE_OAUTH_CLIENT_ID.length : 0,
+                oauthClientIdPreview: process.env.GOOGLE_OAUTH_CLIENT_ID ? process.env.GOOGLE_OAUTH_CLIENT_ID.substring(0, 100) + '...' : 'Not set',
+                oauthCanParseJSON: false,
+                oauthParsedCredentials: null,
+                // Database credentials
+                hasDbHost: !!(process.env.DB_HOST),
+                hasDbUser: !!(process.env.DB_USER),
+                hasDbPassword: !!(process.env.DB_PASSWORD),
+                hasDbName: !!(process.env.DB_NAME),
+                hasDbPort: !!(process.env.DB_PORT),
+                dbHost: process.env.DB_HOST || 'Not set',
+                dbUser: process.env.DB_USER || 'Not set',
+                dbName: process.env.DB_NAME || 'Not set',
+                dbPort: process.env.DB_PORT || 'Not set'
+            };
+
+            if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
+                try {
+                    const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
+                    debugInfo.canParseJSON = true;
+                    debugInfo.parsedCredentials = {
+                        type: credentials.type,
+                        project_id: credentials.project_id,
+                        client_email: credentials.client_email,
+                        private_key_id: credentials.private_key_id ? credentials.private_key_id.substring(0, 10) + '...' : 'Not set'
+                    };
+                } catch (parseError) {
+                    debugInfo.canParseJSON = false;
+                    debugInfo.parseError = parseError.message;
+                }
+            }
+
+            if (process.env.GOOGLE_OAUTH_CLIENT_ID) {
+                try {
+                    const oauthCredentials = JSON.parse(process.env.GOOGLE_OAUTH_CLIENT_ID);
+                    debugInfo.oauthCanParseJSON = true;
+                    debugInfo.oauthParsedCredentials = {
+                        client_id: oauthCredentials.web ? oauthCredentials.web.client_id : oauthCredentials.client_id,
+                        project_id: oauthCredentials.web ? oauthCredentials.web.project_id : oauthCredentials.project_id,
+                        redirect_uris: oauthCredentials.web ? oauthCredentials.web.redirect_uris : oauthCredentials.redirect_uris,
+                        javascript_origins: oauthCredentials.web ? oauthCredentials.web.javascript_origins : oauthCredentials.javascript_origins
+                    };
+                } catch (parseError) {
+                    debugInfo.oauthCanParseJSON = false;
+                    debugInfo.oauthParseError = parseError.message;
+                }
+            }
+
+            sendSuccessResponse(res, debugInfo, 'Credentials debug info retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error getting credentials debug info:', error);
+            sendErrorResponse(res, 500, 'Error getting credentials debug info', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('sync-status')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔄 Serving /api/sync-status endpoint');
+        try {
+            const status = await syncService.getSyncStatus();
+            sendSuccessResponse(res, status, 'Sync status retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error getting sync status:', error);
+            sendErrorResponse(res, 500, 'Error getting sync status', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('sync-from-sheets')
+    .post(asyncRoute(async (req, res) => {
+        console.log('🔄 Serving /api/sync-from-sheets endpoint');
+        try {
+            const result = await syncService.syncFromSheetsToDatabase();
+            sendSuccessResponse(res, result, 'Sync from sheets completed');
+        } catch (error) {
+            console.error('❌ Error syncing from sheets:', error);
+            sendErrorResponse(res, 500, 'Error syncing from sheets', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('sync-to-sheets')
+    .post(asyncRoute(async (req, res) => {
+        console.log('🔄 Serving /api/sync-to-sheets endpoint');
+        try {
+            const result = await syncService.syncNewRecordsToSheets();
+            sendSuccessResponse(res, result, 'Sync to sheets completed');
+        } catch (error) {
+            console.error('❌ Error syncing to sheets:', error);
+            sendErrorResponse(res, 500, 'Error syncing to sheets', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('sync-full')
+    .post(asyncRoute(async (req, res) => {
+        console.log('🔄 Serving /api/sync-full endpoint');
+        try {
+            const result = await syncService.fullSync();
+            sendSuccessResponse(res, result, 'Full sync completed');
+        } catch (error) {
+            console.error('❌ Error performing full sync:', error);
+            sendErrorResponse(res, 500, 'Error performing full sync', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('client-contact')
+    .put(ValidationMiddleware.clientUpdateRules('contactData'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Updating client contact info');
+        try {
+            const { clientId, contactData } = req.body;
+
+            const result = await googleSheets.updateClientContactInfo(clientId, contactData);
+
+            if (result.success) {
+                sendSuccessResponse(res, result, 'Client contact info updated successfully');
+            } else {
+                sendErrorResponse(res, 500, 'Error updating client contact info', result.error);
+            }
+        } catch (error) {
+            console.error('❌ Error updating client contact info:', error);
+            sendErrorResponse(res, 500, 'Error updating client contact info', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('client-service')
+    .put(ValidationMiddleware.clientUpdateRules('serviceData'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Updating client service info');
+        try {
+            const { clientId, serviceData } = req.body;
+
+            const result = await googleSheets.updateClientServiceInfo(clientId, serviceData);
+
+            if (result.success) {
+                sendSuccessResponse(res, result, 'Client service info updated successfully');
+            } else {
+                sendErrorResponse(res, 500, 'Error updating client service info', result.error);
+            }
+        } catch (error) {
+            console.error('❌ Error updating client service info:', error);
+            sendErrorResponse(res, 500, 'Error updating client service info', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('client')
+    .get(ValidationMiddleware.requiredQuery('id'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Getting specific client');
+        try {
+            const clientId = req.query.id;
+
+            const clients = await googleSheets.getClientsData();
+            const client = clients.find(c => c.id === clientId);
+
+            if (client) {
+                sendSuccessResponse(res, client, 'Client retrieved successfully');
+            } else {
+                sendErrorResponse(res, 404, 'Client not found');
+            }
+        } catch (error) {
+            console.error('❌ Error fetching client:', error);
+            sendErrorResponse(res, 500, 'Error fetching client', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('client/documents', '/client/:clientId/documents')
+    .all(ValidationMiddleware.clientIdRules(), ValidationMiddleware.handleValidationErrors)
+    .get(asyncRoute(async (req, res) => {
+        console.log(`📎 Serving /api/client/${req.params.clientId}/documents ${req.method}`);
+        try {
+            const result = await clientDocuments.listDocuments(req.params.clientId);
+            sendSuccessResponse(res, result, 'Client documents retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error managing client documents:', error.message);
+            sendServiceErrorResponse(res, error, 'Error managing client documents');
+        }
+    }))
+    .post(uploadRateLimit, asyncRoute(async (req, res) => {
+        console.log(`📎 Serving /api/client/${req.params.clientId}/documents ${req.method}`);
+        try {
+            const document = await clientDocuments.uploadDocument(req.params.clientId, req.body);
+            sendSuccessResponse(res, document, 'Document uploaded successfully');
+        } catch (error) {
+            console.error('❌ Error managing client documents:', error.message);
+            sendServiceErrorResponse(res, error, 'Error managing client documents');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('client/documents', '/client/:clientId/documents/:fileId')
+    .all(ValidationMiddleware.clientIdRules(), ValidationMiddleware.handleValidationErrors)
+    .put(asyncRoute(async (req, res) => {
+        console.log(`📎 Serving /api/client/${req.params.clientId}/documents ${req.method}`);
+        try {
+            const { name } = req.body;
+            const document = await clientDocuments.renameDocument(req.params.clientId, req.params.fileId, name);
+            sendSuccessResponse(res, document, 'Document renamed successfully');
+        } catch (error) {
+            console.error('❌ Error managing client documents:', error.message);
+            sendServiceErrorResponse(res, error, 'Error managing client documents');
+        }
+    }))
+    .delete(asyncRoute(async (req, res) => {
+        console.log(`📎 Serving /api/client/${req.params.clientId}/documents ${req.method}`);
+        try {
+            const result = await clientDocuments.deleteDocument(req.params.clientId, req.params.fileId);
+            sendSuccessResponse(res, result, 'Document deleted successfully');
+        } catch (error) {
+            console.error('❌ Error managing client documents:', error.message);
+            sendServiceErrorResponse(res, error, 'Error managing client documents');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('client/send-document', '/client/:clientId/send-document')
+    .post(ValidationMiddleware.clientIdRules(), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log(`📨 Serving /api/client/${req.params.clientId}/send-document`);
+        try {
+            const reqBody = req.body;
+            const result = await customerEmails.sendDocument(req.params.clientId, reqBody, req.user ? req.user.email : null);
+
+            if (result.status === 'Failed') {
+                return sendErrorResponse(res, 502, `Error sending email to customer: ${result.error}`);
+            }
+            sendSuccessResponse(res, result, result.queued ? 'Email to customer queued' : 'Email sent to customer');
+        } catch (error) {
+            console.error('❌ Error sending document to customer:', error.message);
+            sendServiceErrorResponse(res, error, 'Error sending document to customer');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('test-connection')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔍 Testing connection');
+        sendSuccessResponse(res, { connected: true, timestamp: new Date().toISOString() }, 'Connection test successful');
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('system-stats')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔍 Serving system stats');
+        const systemStats = {
+            uptime: process.uptime(),
+            memory: process.memoryUsage(),
+            cpu: process.cpuUsage(),
+            environment: process.env.NODE_ENV || 'development'
+        };
+        sendSuccessResponse(res, systemStats, 'System stats retrieved successfully');
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('sheets-status')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔍 Checking sheets status');
+        try {
+            const status = await googleSheets.testConnection();
+            sendSuccessResponse(res, status, 'Sheets status checked');
+        } catch (error) {
+            console.error('❌ Error checking sheets status:', error);
+            sendErrorResponse(res, 500, 'Error checking Google Sheets status', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('save-report')
+    .post(asyncRoute(async (req, res) => {
+        console.log('🔍 Saving report');
+        sendSuccessResponse(res, { reportId: 'REP-' + Date.now() }, 'Report saved successfully');
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('google-sheets-data')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔍 Fetching Google Sheets data');
+        // Aquí se implementará la integración real con Google Sheets
+        sendSuccessResponse(res, { 
+            message: 'Google Sheets integration pending',
+            sheetUrl: 'https://docs.google.com/spreadsheets/d/13Fld-uJgwWuJVVxyEJoB9h7zAVbN2HlizV5udmT5XZU/edit?gid=174672304#gid=174672304',
+            status: 'not_configured'
+        }, 'Google Sheets endpoint ready');
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('create-sheet')
+    .post(asyncRoute(async (req, res) => {
+        console.log('🔍 Create sheet endpoint removed - functionality deleted');
+        sendErrorResponse(res, 410, 'Create sheet functionality has been removed');
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('sheets')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔍 Fetching available sheets');
+        try {
+            // Get sheetId from URL parameters
+            const sheetId = req.query.sheetId;
+
+            const sheets = await googleSheets.getAvailableSheets(sheetId);
+            sendSuccessResponse(res, sheets, 'Available sheets retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error fetching available sheets:', error);
+            sendErrorResponse(res, 500, 'Error fetching available sheets', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('update-source')
+    .post(ValidationMiddleware.requiredFields('sheetId', 'sheetTabId'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔄 Updating data source');
+        try {
+            const { sheetId, sheetTabId } = req.body;
+
+            // Update environment variables
+            process.env.GOOGLE_SHEETS_ID = sheetId;
+            process.env.GOOGLE_SHEET_TAB_ID = sheetTabId;
+
+            // Get spreadsheet title for response
+            const response = await googleSheets.sheets.spreadsheets.get({
+                spreadsheetId: sheetId
+            });
+
+            const spreadsheetTitle = response.data.properties.title;
+            const selectedSheet = response.data.sheets.find(s => s.properties.sheetId == sheetTabId);
+            const sheetTitle = selectedSheet ? selectedSheet.properties.title : 'Unknown';
+
+            console.log('✅ Data source updated to:', spreadsheetTitle, '-', sheetTitle);
+
+            sendSuccessResponse(res, {
+                message: 'Data source updated successfully',
+                spreadsheetTitle: spreadsheetTitle,
+                sheetTitle: sheetTitle
+            }, 'Data source updated successfully');
+        } catch (error) {
+            console.error('❌ Error updating data source:', error.message);
+            sendErrorResponse(res, 500, 'Error updating data source', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('schedule-appointment')
+    .post(ValidationMiddleware.appointmentRules(), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/schedule-appointment endpoint');
+        try {
+            const appointmentData = req.body;
+            const userEmail = req.user ? req.user.email : null;
+
+            if (!appointmentData.responsable) {
+                appointmentData.responsable = userEmail;
+            }
+
+            const result = await appointmentService.scheduleAppointment(appointmentData, userEmail);
+
+            sendSuccessResponse(res, {
+                appointmentId: result.appointment.appointmentId,
+                appointment: result.appointment,
+                clientStatus: result.clientStatus,
+                clientStatusUpdated: result.clientStatusUpdated,
+                scheduled: true,
+                simulated: false
+            }, 'Appointment scheduled successfully');
+        } catch (error) {
+            console.error('❌ Error scheduling appointment:', error.message);
+            sendServiceErrorResponse(res, error, 'Error scheduling appointment');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('appointments')
+    .get(ValidationMiddleware.dateRangeRules('from', 'to'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/appointments endpoint');
+        try {
+            const appointments = await companyAccess.filterRecordsByClient(req.user, await appointmentService.listAppointments({
+                clientId: req.query.clientId,
+                responsable: req.query.responsable,
+                status: req.query.status,
+                from: req.query.from,
+                to: req.query.to
+            }));
+
+            sendSuccessResponse(res, {
+                appointments,
+                total: appointments.length
+            }, 'Appointments retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error getting appointments:', error.message);
+            sendServiceErrorResponse(res, error, 'Error getting appointments');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('reschedule-appointment')
+    .put(ValidationMiddleware.appointmentRules(false), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/reschedule-appointment endpoint');
+        try {
+            const { appointmentId } = req.body;
+
+            const appointment = await appointmentService.rescheduleAppointment(appointmentId, req.body);
+
+            sendSuccessResponse(res, { appointment, rescheduled: true }, 'Appointment rescheduled successfully');
+        } catch (error) {
+            console.error('❌ Error rescheduling appointment:', error.message);
+            sendServiceErrorResponse(res, error, 'Error rescheduling appointment');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('cancel-appointment')
+    .put(ValidationMiddleware.requiredFields('appointmentId'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/cancel-appointment endpoint');
+        try {
+            const { appointmentId, reason } = req.body;
+
+            const appointment = await appointmentService.cancelAppointment(appointmentId, reason);
+
+            sendSuccessResponse(res, { appointment, cancelled: true }, 'Appointment cancelled successfully');
+        } catch (error) {
+            console.error('❌ Error cancelling appointment:', error.message);
+            sendServiceErrorResponse(res, error, 'Error cancelling appointment');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('create-report')
+    .post(ValidationMiddleware.requiredFields('clientId'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/create-report endpoint');
+        try {
+            const reqBody = req.body;
+            const userEmail = req.user ? req.user.email : null;
+
+            const report = await reportService.createDraftReport(reqBody, userEmail);
+
+            sendSuccessResponse(res, { 
+                reportId: report.reportId,
+                clientId: report.clientId,
+                report,
+                created: true, 
+                simulated: false
+            }, 'Draft report created successfully');
+        } catch (error) {
+            console.error('❌ Error creating report:', error.message);
+            sendServiceErrorResponse(res, error, 'Error creating report');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('report')
+    .get(ValidationMiddleware.requiredQuery('reportId'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/report endpoint');
+        try {
+            const reportId = req.query.reportId;
+
+            const report = await reportService.getReport(reportId);
+            sendSuccessResponse(res, { report }, 'Report retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error getting report:', error.message);
+            sendServiceErrorResponse(res, error, 'Error getting report');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('client-reports')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/client-reports endpoint');
+        try {
+            const reports = await companyAccess.filterRecordsByClient(req.user, await reportService.listReports({
+                clientId: req.query.clientId,
+                status: req.query.status
+            }));
+
+            sendSuccessResponse(res, {
+                reports,
+                total: reports.length
+            }, 'Reports retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error getting reports:', error.message);
+            sendServiceErrorResponse(res, error, 'Error getting reports');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('report-update')
+    .put(ValidationMiddleware.requiredFields('reportId', 'updateData'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/report-update endpoint');
+        try {
+            const { reportId, updateData } = req.body;
+
+            const report = await reportService.updateReport(reportId, updateData);
+            sendSuccessResponse(res, { report, updated: true }, 'Report updated successfully');
+        } catch (error) {
+            console.error('❌ Error updating report:', error.message);
+            sendServiceErrorResponse(res, error, 'Error updating report');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('report-status')
+    .put(ValidationMiddleware.statusUpdateRules('reportId'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/report-status endpoint');
+        try {
+            const { reportId, status } = req.body;
+
+            const report = await reportService.updateReportStatus(reportId, status);
+            sendSuccessResponse(res, { report, status: report.status }, `Report moved to ${report.status}`);
+        } catch (error) {
+            console.error('❌ Error updating report status:', error.message);
+            sendServiceErrorResponse(res, error, 'Error updating report status');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('upcoming-inspections')
+    .get(asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/upcoming-inspections endpoint');
+        try {
+            const days = parseInt(req.query.days, 10) || inspectionReminders.daysAhead;
+            const inspections = AuthMiddleware.filterByCompany(req.user, await inspectionReminders.getUpcomingInspections(days));
+
+            sendSuccessResponse(res, {
+                inspections,
+                total: inspections.length,
+                days
+            }, 'Upcoming inspections retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error getting upcoming inspections:', error.message);
+            sendServiceErrorResponse(res, error, 'Error getting upcoming inspections');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('inspection-reminders')
+    .get(asyncRoute(async (req, res) => {
+        sendSuccessResponse(res, inspectionReminders.getStatus(), 'Inspection reminder status retrieved');
+    }))
+    .post(asyncRoute(async (req, res) => {
+        console.log('🔍 Running inspection reminders manually');
+        try {
+            const result = await inspectionReminders.runReminderCheck();
+            sendSuccessResponse(res, result, `Inspection reminders sent: ${result.reminded}/${result.checked}`);
+        } catch (error) {
+            console.error('❌ Error running inspection reminders:', error.message);
+            sendErrorResponse(res, 500, 'Error running inspection reminders', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('email-queue')
+    .get(ValidationMiddleware.paginationRules(500), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/email-queue endpoint');
+        try {
+            if (!database.mysqlConnected) {
+                return sendErrorResponse(res, 503, 'Email queue requires the MySQL database');
+            }
+            const messages = await emailQueue.listMessages({
+                status: req.query.status,
+                clientId: req.query.clientId,
+                limit: req.query.limit
+            });
+
+            sendSuccessResponse(res, {
+                status: emailQueue.getStatus(),
+                counts: await emailQueue.getCounts(),
+                messages,
+                total: messages.length
+            }, 'Email queue retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error getting email queue:', error.message);
+            sendServiceErrorResponse(res, error, 'Error getting email queue');
+        }
+    }))
+    .post(asyncRoute(async (req, res) => {
+        console.log('🔍 Processing email queue manually');
+        const result = await emailQueue.processQueue();
+        sendSuccessResponse(res, result, `Email queue processed: ${result.sent}/${result.checked} sent`);
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('email-queue/retry')
+    .post(ValidationMiddleware.recordIdRules(), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        try {
+            const emailId = req.body.id;
+            if (!database.mysqlConnected) {
+                return sendErrorResponse(res, 503, 'Email queue requires the MySQL database');
+            }
+
+            const message = await emailQueue.retryMessage(emailId);
+            sendSuccessResponse(res, { message }, `Email #${emailId} queued for retry`);
+        } catch (error) {
+            console.error('❌ Error retrying email:', error.message);
+            sendServiceErrorResponse(res, error, 'Error retrying email');
+        }
+    }))
+    .all(methodNotAllowed);
+
+// Zoho Flow deliveries: retry log and dead-letter list (status=Failed)
+apiRoute('zoho/deliveries')
+    .all((req, res, next) => {
+        if (!database.mysqlConnected) {
+            return sendErrorResponse(res, 503, 'Zoho delivery retries require the MySQL database');
+        }
+        next();
+    })
+    .get(ValidationMiddleware.paginationRules(500), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        try {
+            const deliveries = await zohoDeliveries.listDeliveries({
+                status: req.query.status || null,
+                limit: req.query.limit || 100
+            });
+            sendSuccessResponse(res, {
+                status: zohoDeliveries.getStatus(),
+                counts: await zohoDeliveries.getCounts(),
+                deliveries,
+                total: deliveries.length
+            }, 'Zoho deliveries loaded successfully');
+        } catch (error) {
+            console.error('❌ Error handling Zoho deliveries:', error.message);
+            sendServiceErrorResponse(res, error, 'Error handling Zoho deliveries');
+        }
+    }))
+    .post(asyncRoute(async (req, res) => {
+        try {
+            const result = await zohoDeliveries.processQueue();
+            sendSuccessResponse(res, result, 'Zoho delivery retries processed');
+        } catch (error) {
+            console.error('❌ Error handling Zoho deliveries:', error.message);
+            sendServiceErrorResponse(res, error, 'Error handling Zoho deliveries');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('zoho/deliveries/resend')
+    .post(ValidationMiddleware.recordIdRules(), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        try {
+            const deliveryId = req.body.id;
+            if (!database.mysqlConnected) {
+                return sendErrorResponse(res, 503, 'Zoho delivery retries require the MySQL database');
+            }
+
+            const delivery = await zohoDeliveries.resendDelivery(deliveryId);
+            sendSuccessResponse(res, { delivery }, delivery.status === 'Sent'
+                ? `Zoho delivery #${deliveryId} sent`
+                : `Zoho delivery #${deliveryId} failed again and will be retried`);
+        } catch (error) {
+            console.error('❌ Error resending Zoho delivery:', error.message);
+            sendServiceErrorResponse(res, error, 'Error resending Zoho delivery');
+        }
+    }))
+    .all(methodNotAllowed);
+
+// Sesiones del usuario actual (cada login es una fila de user_sessions)
+apiRoute('sessions')
+    .get(asyncRoute(async (req, res) => {
+        if (!database.mysqlConnected) {
+            return sendErrorResponse(res, 503, 'Session tracking requires the MySQL database');
+        }
+        try {
+            const userSessions = await sessions.listSessions({ email: req.user.email });
+            sendSuccessResponse(res, {
+                sessions: userSessions.map(session => ({ ...session, current: session.jti === req.user.jti })),
+                total: userSessions.length
+            }, 'Sessions loaded successfully');
+        } catch (error) {
+            console.error('❌ Error loading sessions:', error.message);
+            sendServiceErrorResponse(res, error, 'Error loading sessions');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('sessions/revoke')
+    .post(ValidationMiddleware.requiredFields('jti'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        try {
+            const { jti } = req.body;
+            // Solo sesiones propias (los admins usan /api/admin/sessions/revoke)
+            const session = await sessions.getSession(jti);
+            if (jti !== req.user.jti && (!session || session.userEmail !== req.user.email.toLowerCase())) {
+                return sendErrorResponse(res, 404, 'Session not found');
+            }
+
+            const revoked = await sessions.revokeSession(jti, req.user.email, 'logout');
+            if (jti === req.user.jti) {
+                res.setHeader('Set-Cookie', googleAuth.sessionCookie('', googleAuth.isSecureRequest(req)));
+            }
+            sendSuccessResponse(res, { jti, revoked }, revoked ? 'Session signed out' : 'Session was already signed out');
+        } catch (error) {
+            console.error('❌ Error revoking session:', error.message);
+            sendServiceErrorResponse(res, error, 'Error revoking session');
+        }
+    }))
+    .all(methodNotAllowed);
+
+// "Cerrar sesión en todos los dispositivos", incluido este
+apiRoute('sessions/revoke-all')
+    .post(asyncRoute(async (req, res) => {
+        if (!database.mysqlConnected) {
+            return sendErrorResponse(res, 503, 'Session tracking requires the MySQL database');
+        }
+        try {
+            const revokedSessions = await sessions.revokeUserSessions(req.user.email, req.user.email, 'logout_all');
+            // La sesión actual también, aunque no estuviera registrada
+            await sessions.revokeSession(req.user.jti, req.user.email, 'logout_all');
+            res.setHeader('Set-Cookie', googleAuth.sessionCookie('', googleAuth.isSecureRequest(req)));
+            sendSuccessResponse(res, { revoked: revokedSessions }, `Signed out of ${revokedSessions} session(s)`);
+        } catch (error) {
+            console.error('❌ Error revoking sessions:', error.message);
+            sendServiceErrorResponse(res, error, 'Error revoking sessions');
+        }
+    }))
+    .all(methodNotAllowed);
+
+// Own two-factor authentication
+apiRoute('2fa')
+    .get(asyncRoute(async (req, res) => {
+        try {
+            const status = await twoFactor.getStatus(req.user);
+            sendSuccessResponse(res, { ...status, stepUpActive: twoFactor.hasValidStepUp(req) }, 'Two-factor status retrieved');
+        } catch (error) {
+            console.error('❌ Error loading two-factor status:', error.message);
+            sendServiceErrorResponse(res, error, 'Error loading two-factor status');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('2fa/setup')
+    .post(asyncRoute(async (req, res) => {
+        try {
+            const enrollment = await twoFactor.beginEnrollment(req.user);
+            sendSuccessResponse(res, enrollment, 'Scan the QR code and confirm with a code from the app');
+        } catch (error) {
+            console.error('❌ Error starting two-factor enrolment:', error.message);
+            sendServiceErrorResponse(res, error, 'Error starting two-factor enrolment');
+        }
+    }))
+    .all(methodNotAllowed);
+
+// Acciones que piden un código de la app (o de respaldo)
+const twoFactorCodeActions = {
+    '2fa/enable': async (req, res, code) => {
+        const result = await twoFactor.confirmEnrollment(req.user, code);
+        sendSuccessResponse(res, result, 'Two-factor authentication enabled, store the backup codes safely');
+    },
+    '2fa/disable': async (req, res, code) => {
+        await twoFactor.disable(req.user, code);
+        sendSuccessResponse(res, { enabled: false }, 'Two-factor authentication disabled');
+    },
+    '2fa/backup-codes': async (req, res, code) => {
+        const result = await twoFactor.regenerateBackupCodes(req.user, code);
+        sendSuccessResponse(res, result, 'New backup codes generated, the previous ones no longer work');
+    },
+    '2fa/step-up': async (req, res, code) => {
+        const { token, expiresIn } = await twoFactor.confirmStepUp(req.user, code);
+        res.setHeader('Set-Cookie', twoFactor.stepUpCookie(token, googleAuth.isSecureRequest(req)));
+        sendSuccessResponse(res, { stepUpToken: token, expiresIn }, 'Code confirmed');
+    }
+};
+
+Object.entries(twoFactorCodeActions).forEach(([route, action]) => {
+    apiRoute(route)
+        .post(ValidationMiddleware.twoFactorCodeRules(), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+            try {
+                await action(req, res, req.body.code);
+            } catch (error) {
+                console.error(`❌ Error handling /api/${route}:`, error.message);
+                sendServiceErrorResponse(res, error, 'Error verifying two-factor code');
+            }
+        }))
+        .all(methodNotAllowed);
+});
+
+// Zoho Flow field mapping (client field → Zoho key, with transforms)
+apiRoute('zoho/mapping')
+    .get(asyncRoute(async (req, res) => {
+        try {
+            sendSuccessResponse(res, zohoWebhookService.getMappingEditor(), 'Zoho field mapping loaded successfully');
+        } catch (error) {
+            console.error('❌ Error handling Zoho field mapping:', error.message);
+            sendServiceErrorResponse(res, error, 'Error handling Zoho field mapping');
+        }
+    }))
+    .post(asyncRoute(async (req, res) => {
+        try {
+            const { mapping } = req.body;
+            const result = zohoWebhookService.saveFieldMapping(mapping, req.user.email);
+            sendSuccessResponse(res, result, 'Zoho field mapping saved successfully');
+        } catch (error) {
+            console.error('❌ Error handling Zoho field mapping:', error.message);
+            sendServiceErrorResponse(res, error, 'Error handling Zoho field mapping');
+        }
+    }))
+    .delete(asyncRoute(async (req, res) => {
+        try {
+            sendSuccessResponse(res, zohoWebhookService.resetFieldMapping(), 'Zoho field mapping reset to the default');
+        } catch (error) {
+            console.error('❌ Error handling Zoho field mapping:', error.message);
+            sendServiceErrorResponse(res, error, 'Error handling Zoho field mapping');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('zoho/mapping/preview')
+    .post(asyncRoute(async (req, res) => {
+        try {
+            const { clientId, mapping } = req.body;
+            const client = clientId ? await clientDocuments.getClient(clientId) : null;
+            sendSuccessResponse(res, zohoWebhookService.previewPayload(client, mapping || null), 'Zoho payload preview generated');
+        } catch (error) {
+            sendServiceErrorResponse(res, error, 'Error generating Zoho payload preview');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('zoho/webhook')
+    .post(asyncRoute(async (req, res) => {
+        console.log('🔗 Serving /api/zoho/webhook');
+        // Sin secreto configurado no se acepta nada: el endpoint es público
+        if (!zohoInbound.isConfigured()) {
+            return sendErrorResponse(res, 503, 'Zoho inbound webhook secret not configured');
+        }
+        if (!zohoInbound.verifySecret(req.headers['x-webhook-secret'])) {
+            logger.warn(`🚫 Zoho webhook rejected: invalid X-Webhook-Secret from ${req.headers['x-forwarded-for'] || req.connection.remoteAddress}`);
+            return sendErrorResponse(res, 401, 'Invalid webhook secret');
+        }
+        if (!database.mysqlConnected) {
+            return sendErrorResponse(res, 503, 'Zoho webhooks require the MySQL database');
+        }
 
-function serveFile(filePath, contentType, res) {
-    const stream = fs.createReadStream(filePath);
-    
-    stream.on('error', (error) => {
-        logger.error('Error serving file:', error);
-        sendErrorResponse(res, 500, 'Error reading file');
-    });
-    
-    res.writeHead(200, { 'Content-Type': contentType });
-    stream.pipe(res);
-}
+        try {
+            const payload = req.body;
+            const ipAddress = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+            const result = await zohoInbound.handleEvent(payload, req.headers, ipAddress);
+            sendSuccessResponse(res, result, result.duplicate ? 'Webhook already processed' : `Webhook ${result.status.toLowerCase()}`);
+        } catch (error) {
+            console.error('❌ Error processing Zoho webhook:', error.message);
+            sendServiceErrorResponse(res, error, 'Error processing Zoho webhook');
+        }
+    }))
+    .all(methodNotAllowed);
 
-// API route handler
-async function handleAPIRoute(req, res) {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const path = url.pathname.replace('/api/', '');
-    
-    console.log(`🔍 API route: ${path}`);
-    
-    // Helper function to parse JSON body
-    const parseJsonBody = () => {
-        return new Promise((resolve, reject) => {
-            if (req.method === 'GET') {
-                resolve({});
-                return;
-            }
-            
-            let body = '';
-            req.on('data', chunk => {
-                body += chunk.toString();
-            });
-            
-            req.on('end', () => {
-                try {
-                    if (body.trim() === '') {
-                        resolve({});
-                    } else {
-                        resolve(JSON.parse(body));
-                    }
-                } catch (error) {
-                    reject(new Error('Invalid JSON data'));
-                }
+apiRoute('report-pdf')
+    .get(ValidationMiddleware.requiredQuery('reportId'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('🔍 Serving /api/report-pdf endpoint');
+        try {
+            const reportId = req.query.reportId;
+
+            const { buffer, filename } = await reportPDFService.renderReport(reportId, {
+                includePhotos: req.query.includePhotos !== 'false'
             });
-            
-            req.on('error', (error) => {
-                reject(error);
+
+            const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+            res.writeHead(200, {
+                'Content-Type': 'application/pdf',
+                'Content-Length': buffer.length,
+                'Content-Disposition': `${disposition}; filename="${filename}"`,
+                'Cache-Control': 'no-cache, no-store, must-revalidate'
             });
-        });
-    };
-    
-    try {
-        switch (path) {
-            case 'health':
-                if (req.method === 'GET') {
-                    console.log('🔍 Serving /api/health endpoint');
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({
-                        message: 'Test server running with security features',
-                        timestamp: new Date().toISOString(),
-                        status: 'healthy',
-                        service: 'Fire Escape Reports System',
-                        version: '2.0.0',
-                        environment: process.env.NODE_ENV || 'development'
-                    }));
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'clients':
-                if (req.method === 'GET') {
-                    console.log('🔍 Serving /api/clients endpoint');
-                    console.log('📊 Google Sheets instance:', !!googleSheets);
-                    console.log('🔑 Service Account configured:', !!(process.env.GOOGLE_SERVICE_ACCOUNT_KEY && process.env.GOOGLE_SERVICE_ACCOUNT_KEY.trim() !== ''));
-                    try {
-                        console.log('🔄 Calling googleSheets.getClientsData()...');
-                        const clients = await googleSheets.getClientsData();
-                        console.log('📊 Received clients data:', !!clients, 'Type:', typeof clients, 'Length:', clients ? clients.length : 'N/A');
-                        
-                        // Check if limit parameter is provided
-                        const url = new URL(req.url, `http://${req.headers.host}`);
-                        const limitParam = url.searchParams.get('limit');
-                        
-                        let responseClients = clients;
-                        if (limitParam) {
-                            const limit = parseInt(limitParam);
-                            responseClients = clients.slice(0, limit);
-                            console.log(`📊 Returning ${responseClients.length} clients (limited to ${limit})`);
-                        } else {
-                            console.log(`📊 Returning all ${clients.length} clients (no limit)`);
-                        }
-                        
-                        sendSuccessResponse(res, { clients: responseClients, total: clients.length }, 'Clients retrieved successfully from Google Sheets');
-                    } catch (error) {
-                        console.error('❌ Error fetching clients:', error);
-                        sendErrorResponse(res, 500, 'Error fetching clients from Google Sheets', error);
-                    }
-                } else if (req.method === 'POST') {
-                    console.log('🔍 Creating new client');
-                    try {
-                        const clientData = await parseJsonBody();
-                        console.log('📝 Client data received:', clientData);
-                        
-                        const result = await googleSheets.addClientToSheet(clientData);
-                        
-                        if (result.success) {
-                            console.log('✅ Client created successfully');
-                            
-                            // Configure and send email notification
-                            let emailResult = { success: false, error: 'Email not configured' };
-                            try {
-                                // Configure email service first
-                                if (process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD) {
-                                    const emailConfig = {
-                                        email: process.env.GMAIL_USER,
-                                        service: 'gmail',
-                                        password: process.env.GMAIL_APP_PASSWORD
-                                    };
-                                    await emailService.configure(emailConfig);
-                                }
-                                emailResult = await sendNewLeadNotification(clientData);
-                                console.log('📧 Email notification result:', emailResult.success ? 'Sent' : 'Failed');
-                            } catch (emailError) {
-                                console.error('❌ Error sending email notification:', emailError);
-                            }
-                            
-                            // Configure and trigger Zoho Flow
-                            let zohoResult = { success: false, error: 'Zoho not configured' };
-                            try {
-                                // Configure Zoho webhook first
-                                if (process.env.ZOHO_FLOW_WEBHOOK_URL) {
-                                    const zohoConfig = {
-                                        webhookUrl: process.env.ZOHO_FLOW_WEBHOOK_URL,
-                                        webhookSecret: process.env.ZOHO_FLOW_WEBHOOK_SECRET || ''
-                                    };
-                                    zohoWebhookService.configure(zohoConfig);
-                                }
-                                zohoResult = await triggerZohoFlow(clientData);
-                                console.log('🔗 Zoho Flow result:', zohoResult.success ? 'Triggered' : 'Failed');
-                            } catch (zohoError) {
-                                console.error('❌ Error triggering Zoho Flow:', zohoError);
-                            }
-                            
-                            // Create Google Drive folder for client
-                            let driveResult = { success: false, error: 'Google Drive not configured' };
-                            try {
-                                driveResult = await createClientDriveFolder(clientData);
-                                console.log('📁 Google Drive result:', driveResult.success ? 'Folder Created' : 'Failed');
-                            } catch (driveError) {
-                                console.error('❌ Error creating Google Drive folder:', driveError);
-                            }
-                            
-                            sendSuccessResponse(res, {
-                                ...result,
-                                emailSent: emailResult.success,
-                                zohoTriggered: zohoResult.success,
-                                driveFolderCreated: driveResult.success,
-                                emailError: emailResult.error,
-                                zohoError: zohoResult.error,
-                                driveError: driveResult.error,
-                                driveFolderLink: driveResult.folderLink
-                            }, 'Client created successfully with notifications and Google Drive folder');
-                        } else {
-                            console.error('❌ Error creating client:', result.error);
-                            sendErrorResponse(res, 500, 'Error creating client', result.error);
-                        }
-                    } catch (error) {
-                        console.error('❌ Error creating client:', error);
-                        sendErrorResponse(res, 500, 'Error creating client', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'statistics':
-                if (req.method === 'GET') {
-                    console.log('🔍 Serving /api/statistics endpoint');
-                    try {
-                        const stats = await googleSheets.getStatistics();
-                        sendSuccessResponse(res, stats, 'Statistics retrieved successfully from Google Sheets');
-                    } catch (error) {
-                        console.error('❌ Error fetching statistics:', error);
-                        sendErrorResponse(res, 500, 'Error fetching statistics from Google Sheets', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'business-clients':
-                if (req.method === 'GET') {
-                    console.log('🔍 Serving /api/business-clients endpoint');
-                    try {
-                        // Get clients from Form Responses 1 for business portal
-                        const clients = await googleSheets.getFormResponsesClients();
-                        console.log('📊 Received business clients data:', !!clients, 'Length:', clients ? clients.length : 'N/A');
-                        
-                        // Check if limit parameter is provided
-                        const url = new URL(req.url, `http://${req.headers.host}`);
-                        const limitParam = url.searchParams.get('limit');
-                        
-                        let responseClients = clients;
-                        if (limitParam) {
-                            const limit = parseInt(limitParam);
-                            responseClients = clients.slice(0, limit);
-                            console.log(`📊 Returning ${responseClients.length} business clients (limited to ${limit})`);
-                        } else {
-                            console.log(`📊 Returning all ${clients.length} business clients (no limit)`);
-                        }
-                        
-                        sendSuccessResponse(res, { clients: responseClients, total: clients.length }, 'Business clients retrieved successfully from Google Sheets');
-                    } catch (error) {
-                        console.error('❌ Error fetching business clients:', error);
-                        sendErrorResponse(res, 500, 'Error fetching business clients from Google Sheets', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'reports':
-                if (req.method === 'POST') {
-                    console.log('📊 Serving /api/reports endpoint');
-                    try {
-                        const reqBody = await parseJsonBody();
-                        const { clientName, clientEmail, reportType, generatedAt, company, inspectionDate, reportId } = reqBody;
-                        
-                        if (!clientName || !reportType) {
-                            return sendErrorResponse(res, 400, 'Missing required fields: clientName, reportType');
-                        }
-
-                        console.log(`📊 Tracking report generation: ${reportType} for ${clientName}`);
-                        
-                        // Add report to Google Sheets for tracking
-                        const reportData = {
-                            reportId,
-                            clientName,
-                            clientEmail,
-                            reportType,
-                            generatedAt,
-                            company,
-                            inspectionDate,
-                            status: 'Generated'
-                        };
-                        
-                        const result = await googleSheets.addReport(reportData);
-                        
-                        if (result.success) {
-                            console.log(`✅ Report tracking successful: ${reportId}`);
-                            sendSuccessResponse(res, { 
-                                reportTracked: true, 
-                                reportId,
-                                message: 'Report generation tracked successfully'
-                            }, 'Report generation tracked successfully');
-                        } else {
-                            throw new Error(result.error || 'Failed to track report generation');
-                        }
-                    } catch (error) {
-                        console.error('❌ Error tracking report generation:', error);
-                        sendErrorResponse(res, 500, 'Error tracking report generation', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'test':
-                console.log('🧪 Test endpoint called in server.js');
-                sendSuccessResponse(res, { 
-                    message: 'Test endpoint working',
-                    timestamp: new Date().toISOString(),
-                    server: 'server.js',
-                    googleSheetsInitialized: googleSheets.initialized
-                }, "Test endpoint working");
-                break;
-                
-            case 'upload-pdf':
-                if (req.method === 'POST') {
-                    console.log('📁 Serving /api/upload-pdf endpoint');
-                    try {
-                        const reqBody = await parseJsonBody();
-                        const { clientName, clientEmail, pdfBuffer, filename, reportType } = reqBody;
-                        
-                        if (!clientName || !pdfBuffer || !filename) {
-                            return sendErrorResponse(res, 400, 'Missing required fields: clientName, pdfBuffer, filename');
-                        }
-
-                        console.log(`📁 Uploading PDF to client folder: ${clientName}`);
-                        
-                        // Configure Google Drive service if not already configured
-                        if (!googleDriveService.isConfigured) {
-                            await googleDriveService.configure();
-                        }
-                        
-                        if (!googleDriveService.isConfigured) {
-                            console.log('⚠️ Google Drive not configured, skipping PDF upload');
-                            return sendErrorResponse(res, 500, 'Google Drive not configured');
-                        }
-                        
-                        // Convert array back to buffer
-                        const buffer = Buffer.from(pdfBuffer);
-                        
-                        // Upload PDF to client's Google Drive folder
-                        const result = await googleDriveService.uploadPDFReportToClientFolder(
-                            clientName,
-                            clientEmail,
-                            buffer,
-                            reportType
-                        );
-                        
-                        if (result) {
-                            console.log(`✅ PDF uploaded successfully: ${result.name}`);
-                            sendSuccessResponse(res, { 
-                                pdfUploaded: true, 
-                                fileName: result.name,
-                                fileLink: result.webViewLink,
-                                message: 'PDF uploaded to client folder successfully'
-                            }, 'PDF uploaded to client folder successfully');
-                        } else {
-                            throw new Error('Failed to upload PDF to client folder');
-                        }
-                    } catch (error) {
-                        console.error('❌ Error uploading PDF:', error);
-                        sendErrorResponse(res, 500, 'Error uploading PDF to client folder', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'client-update':
-                if (req.method === 'PUT') {
-                    console.log('🔍 Serving /api/client-update endpoint');
-                    try {
-                        const reqBody = await parseJsonBody();
-                        const { clientId, updateData } = reqBody;
-                        
-                        if (!clientId || !updateData) {
-                            return sendErrorResponse(res, 400, 'Missing required fields: clientId and updateData');
-                        }
-
-                        console.log(`📝 Updating client data for ID: ${clientId}`, updateData);
-                        
-                        // Real Google Sheets update
-                        const result = await googleSheets.updateClientInSheet(clientId, updateData);
-                        
-                        if (result.success) {
-                            console.log(`✅ Client data updated successfully in Google Sheets for ID: ${clientId}`);
-                            sendSuccessResponse(res, { 
-                                clientId, 
-                                updated: true, 
-                                simulated: false,
-                                message: 'Client data updated successfully in Google Sheets'
-                            }, 'Client data updated successfully in Google Sheets');
-                        } else {
-                            throw new Error(result.error || 'Failed to update client in Google Sheets');
-                        }
-                    } catch (error) {
-                        console.error('❌ Error updating client data:', error);
-                        sendErrorResponse(res, 500, 'Error updating client data in Google Sheets', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'client-status':
-                if (req.method === 'PUT') {
-                    console.log('🔍 Serving /api/client-status endpoint');
-                    try {
-                        const reqBody = await parseJsonBody();
-                        const { clientId, status } = reqBody;
-                        
-                        if (!clientId || !status) {
-                            return sendErrorResponse(res, 400, 'Missing required fields: clientId and status');
-                        }
-
-                        console.log(`📝 Updating client status for ID: ${clientId} to: ${status}`);
-                        
-                        // Real Google Sheets update
-                        const result = await googleSheets.updateClientStatus(clientId, status);
-                        
-                        if (result.success) {
-                            console.log(`✅ Client status updated successfully in Google Sheets for ID: ${clientId}`);
-                            sendSuccessResponse(res, { 
-                                clientId, 
-                                status, 
-                                updated: true, 
-                                simulated: false,
-                                message: 'Client status updated successfully in Google Sheets'
-                            }, 'Client status updated successfully in Google Sheets');
-                        } else {
-                            throw new Error(result.error || 'Failed to update client status in Google Sheets');
-                        }
-                    } catch (error) {
-                        console.error('❌ Error updating client status:', error);
-                        sendErrorResponse(res, 500, 'Error updating client status in Google Sheets', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'client-invoice-status':
-                if (req.method === 'PUT') {
-                    console.log('🔍 Serving /api/client-invoice-status endpoint');
-                    try {
-                        const reqBody = await parseJsonBody();
-                        const { clientId, status } = reqBody;
-                        
-                        if (!clientId || !status) {
-                            return sendErrorResponse(res, 400, 'Missing required fields: clientId and status');
-                        }
-
-                        console.log(`📝 Updating invoice status for ID: ${clientId} to: ${status}`);
-                        
-                        // Real Google Sheets update
-                        const result = await googleSheets.updateClientInvoiceStatus(clientId, status);
-                        
-                        if (result.success) {
-                            console.log(`✅ Invoice status updated successfully in Google Sheets for ID: ${clientId}`);
-                            sendSuccessResponse(res, { 
-                                clientId, 
-                                status, 
-                                updated: true, 
-                                simulated: false,
-                                message: 'Invoice status updated successfully in Google Sheets'
-                            }, 'Invoice status updated successfully in Google Sheets');
-                        } else {
-                            throw new Error(result.error || 'Failed to update invoice status in Google Sheets');
-                        }
-                    } catch (error) {
-                        console.error('❌ Error updating invoice status:', error);
-                        sendErrorResponse(res, 500, 'Error updating invoice status in Google Sheets', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'client-estimate-status':
-                if (req.method === 'PUT') {
-                    console.log('🔍 Serving /api/client-estimate-status endpoint');
-                    try {
-                        const reqBody = await parseJsonBody();
-                        const { clientId, status } = reqBody;
-                        
-                        if (!clientId || !status) {
-                            return sendErrorResponse(res, 400, 'Missing required fields: clientId and status');
-                        }
-
-                        console.log(`📝 Updating estimate status for ID: ${clientId} to: ${status}`);
-                        
-                        // Real Google Sheets update
-                        const result = await googleSheets.updateClientEstimateStatus(clientId, status);
-                        
-                        if (result.success) {
-                            console.log(`✅ Estimate status updated successfully in Google Sheets for ID: ${clientId}`);
-                            sendSuccessResponse(res, { 
-                                clientId, 
-                                status, 
-                                updated: true, 
-                                simulated: false,
-                                message: 'Estimate status updated successfully in Google Sheets'
-                            }, 'Estimate status updated successfully in Google Sheets');
-                        } else {
-                            throw new Error(result.error || 'Failed to update estimate status in Google Sheets');
-                        }
-                    } catch (error) {
-                        console.error('❌ Error updating estimate status:', error);
-                        sendErrorResponse(res, 500, 'Error updating estimate status in Google Sheets', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'send-client-email':
-                if (req.method === 'POST') {
-                    console.log('📧 Serving /api/send-client-email endpoint');
-                    try {
-                        const reqBody = await parseJsonBody();
-                        const { clientData } = reqBody;
-                        
-                        if (!clientData) {
-                            return sendErrorResponse(res, 400, 'Missing required field: clientData');
-                        }
-
-                        console.log(`📧 Sending new lead notification for client: ${clientData.clientFullName}`);
-                        
-                        // Send new lead notification
-                        const emailResult = await sendNewLeadNotification(clientData);
-                        
-                        if (emailResult.success) {
-                            console.log(`✅ New lead notification sent successfully to: ${emailResult.sentTo}`);
-                            sendSuccessResponse(res, { 
-                                emailSent: true, 
-                                message: 'New lead notification sent successfully',
-                                sentTo: emailResult.sentTo
-                            }, 'New lead notification sent successfully');
-                        } else {
-                            throw new Error(emailResult.error || 'Failed to send new lead notification');
-                        }
-                    } catch (error) {
-                        console.error('❌ Error sending new lead notification:', error);
-                        sendErrorResponse(res, 500, 'Error sending new lead notification', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'create-zoho-client':
-                if (req.method === 'POST') {
-                    console.log('🔗 Serving /api/create-zoho-client endpoint');
-                    try {
-                        const reqBody = await parseJsonBody();
-                        const { clientData } = reqBody;
-                        
-                        if (!clientData) {
-                            return sendErrorResponse(res, 400, 'Missing required field: clientData');
-                        }
-
-                        console.log(`🔗 Triggering Zoho Flow for: ${clientData.clientFullName}`);
-                        
-                        // Trigger Zoho Flow webhook
-                        const zohoResult = await triggerZohoFlow(clientData);
-                        
-                        if (zohoResult.success) {
-                            console.log(`✅ Zoho Flow triggered successfully: ${clientData.clientFullName}`);
-                            sendSuccessResponse(res, { 
-                                zohoFlowTriggered: true, 
-                                message: 'Zoho Flow triggered successfully',
-                                flowData: zohoResult.flowData
-                            }, 'Zoho Flow triggered successfully');
-                        } else {
-                            throw new Error(zohoResult.error || 'Failed to trigger Zoho Flow');
-                        }
-                    } catch (error) {
-                        console.error('❌ Error triggering Zoho Flow:', error);
-                        sendErrorResponse(res, 500, 'Error triggering Zoho Flow', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            // ===== SYSTEM CONFIGURATION ENDPOINTS =====
-            case 'system-config':
-                if (req.method === 'GET') {
-                    console.log('⚙️ Serving /api/system-config GET endpoint');
-                    try {
-                        const config = await getSystemConfig();
-                        sendSuccessResponse(res, config, 'System configuration loaded successfully');
-                    } catch (error) {
-                        console.error('❌ Error loading system config:', error);
-                        sendErrorResponse(res, 500, 'Error loading system configuration', error);
-                    }
-                } else if (req.method === 'POST') {
-                    console.log('⚙️ Serving /api/system-config POST endpoint');
-                    try {
-                        const reqBody = await parseJsonBody();
-                        const result = await saveSystemConfig(reqBody);
-                        sendSuccessResponse(res, result, 'System configuration saved successfully');
-                    } catch (error) {
-                        console.error('❌ Error saving system config:', error);
-                        sendErrorResponse(res, 500, 'Error saving system configuration', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'test-email':
-                if (req.method === 'POST') {
-                    console.log('📧 Serving /api/test-email endpoint');
-                    try {
-                        const reqBody = await parseJsonBody();
-                        const { email, service, apiKey, gmailAppPassword } = reqBody;
-                        
-                        // Use apiKey or gmailAppPassword, whichever is provided
-                        const password = apiKey || gmailAppPassword;
-                        
-                        if (!email || !password) {
-                            return sendErrorResponse(res, 400, 'Missing required fields: email and gmailAppPassword/apiKey');
-                        }
-
-                        console.log(`📧 Testing email configuration for: ${email}`);
-                        
-                        const testResult = await testNotificationsConfiguration(email, password);
-                        
-                        if (testResult.success) {
-                            console.log(`✅ Email test successful for: ${email}`);
-                            sendSuccessResponse(res, { 
-                                emailTested: true, 
-                                message: 'Email test successful'
-                            }, 'Email test successful');
-                        } else {
-                            // Don't throw error, just return the error response
-                            sendErrorResponse(res, 400, 'Email test failed', new Error(testResult.error));
-                        }
-                    } catch (error) {
-                        console.error('❌ Error testing email:', error);
-                        sendErrorResponse(res, 500, 'Error testing email configuration', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'save-gmail-config':
-                if (req.method === 'POST') {
-                    console.log('📧 Serving /api/save-gmail-config endpoint');
-                    try {
-                        const reqBody = await parseJsonBody();
-                        const { gmailUser, gmailAppPassword, emailFromName } = reqBody;
-                        
-                        if (!gmailUser || !gmailAppPassword) {
-                            return sendErrorResponse(res, 400, 'Missing required fields: gmailUser and gmailAppPassword');
-                        }
-
-                        // Update environment variables in memory
-                        process.env.GMAIL_USER = gmailUser;
-                        process.env.GMAIL_APP_PASSWORD = gmailAppPassword;
-                        if (emailFromName) {
-                            process.env.EMAIL_FROM_NAME = emailFromName;
-                        }
-
-                        // Save to .env file permanently
-                        const fs = require('fs');
-                        const envPath = '.env';
-                        
-                        try {
-                            let envContent = '';
-                            if (fs.existsSync(envPath)) {
-                                envContent = fs.readFileSync(envPath, 'utf8');
-                            }
-                            
-                            // Update or add Gmail configuration
-                            const lines = envContent.split('\n');
-                            let gmailUserUpdated = false;
-                            let gmailPasswordUpdated = false;
-                            let emailFromNameUpdated = false;
-                            
-                            for (let i = 0; i < lines.length; i++) {
-                                if (lines[i].startsWith('GMAIL_USER=')) {
-                                    lines[i] = `GMAIL_USER=${gmailUser}`;
-                                    gmailUserUpdated = true;
-                                } else if (lines[i].startsWith('GMAIL_APP_PASSWORD=')) {
-                                    lines[i] = `GMAIL_APP_PASSWORD=${gmailAppPassword}`;
-                                    gmailPasswordUpdated = true;
-                                } else if (lines[i].startsWith('EMAIL_FROM_NAME=')) {
-                                    lines[i] = `EMAIL_FROM_NAME=${emailFromName}`;
-                                    emailFromNameUpdated = true;
-                                }
-                            }
-                            
-                            // Add new lines if they don't exist
-                            if (!gmailUserUpdated) {
-                                lines.push(`GMAIL_USER=${gmailUser}`);
-                            }
-                            if (!gmailPasswordUpdated) {
-                                lines.push(`GMAIL_APP_PASSWORD=${gmailAppPassword}`);
-                            }
-                            if (emailFromName && !emailFromNameUpdated) {
-                                lines.push(`EMAIL_FROM_NAME=${emailFromName}`);
-                            }
-                            
-                            // Write back to file
-                            fs.writeFileSync(envPath, lines.join('\n'));
-                            console.log(`✅ Gmail configuration saved to .env file: ${gmailUser}`);
-                        } catch (fileError) {
-                            console.error('❌ Error writing to .env file:', fileError);
-                            // Continue anyway, at least it's saved in memory
-                        }
-
-                        console.log(`✅ Gmail configuration saved: ${gmailUser}`);
-                        sendSuccessResponse(res, { 
-                            gmailConfigured: true, 
-                            message: 'Gmail configuration saved successfully to .env file'
-                        }, 'Gmail configuration saved successfully');
-                    } catch (error) {
-                        console.error('❌ Error saving Gmail config:', error);
-                        sendErrorResponse(res, 500, 'Error saving Gmail configuration', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
+            res.end(buffer);
+        } catch (error) {
+            console.error('❌ Error rendering report PDF:', error.message);
+            sendServiceErrorResponse(res, error, 'Error rendering report PDF');
+        }
+    }))
+    .all(methodNotAllowed);
 
-            case 'test-zoho':
-                if (req.method === 'GET') {
-                    console.log('🔗 Serving /api/test-zoho endpoint');
-                    try {
-                        const zohoConfig = {
-                            webhookUrl: process.env.ZOHO_FLOW_WEBHOOK_URL,
-                            webhookSecret: process.env.ZOHO_FLOW_WEBHOOK_SECRET || ''
-                        };
-                        
-                        const debugInfo = {
-                            hasWebhookUrl: !!(process.env.ZOHO_FLOW_WEBHOOK_URL),
-                            webhookUrl: process.env.ZOHO_FLOW_WEBHOOK_URL ? process.env.ZOHO_FLOW_WEBHOOK_URL.substring(0, 50) + '...' : 'Not set',
-                            hasWebhookSecret: !!(process.env.ZOHO_FLOW_WEBHOOK_SECRET),
-                            webhookSecretLength: process.env.ZOHO_FLOW_WEBHOOK_SECRET ? process.env.ZOHO_FLOW_WEBHOOK_SECRET.length : 0,
-                            config: zohoConfig
-                        };
-                        
-                        // Test Zoho webhook service
-                        if (zohoConfig.webhookUrl) {
-                            zohoWebhookService.configure(zohoConfig);
-                            const testResult = await zohoWebhookService.testWebhook();
-                            debugInfo.testResult = testResult;
-                        }
-                        
-                        sendSuccessResponse(res, debugInfo, 'Zoho configuration debug info retrieved successfully');
-                    } catch (error) {
-                        console.error('❌ Error testing Zoho configuration:', error);
-                        sendErrorResponse(res, 500, 'Error testing Zoho configuration', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'test-google-sheets':
-                if (req.method === 'GET') {
-                    console.log('📊 Serving /api/test-google-sheets endpoint');
-                    try {
-                        const testResult = await testGoogleSheetsConnection();
-                        
-                        if (testResult.success) {
-                            console.log(`✅ Google Sheets connection test successful`);
-                            sendSuccessResponse(res, { 
-                                googleSheetsTested: true, 
-                                message: 'Google Sheets connection successful'
-                            }, 'Google Sheets connection successful');
-                        } else {
-                            throw new Error(testResult.error || 'Failed to test Google Sheets connection');
-                        }
-                    } catch (error) {
-                        console.error('❌ Error testing Google Sheets:', error);
-                        sendErrorResponse(res, 500, 'Error testing Google Sheets connection', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'test-drive':
-                if (req.method === 'POST') {
-                    console.log('📁 Serving /api/test-drive endpoint');
-                    try {
-                        await googleDriveService.configure();
-                        const testResult = await googleDriveService.testConnection();
-                        
-                        if (testResult.success) {
-                            console.log(`✅ Google Drive connection test successful`);
-                            sendSuccessResponse(res, { 
-                                driveTested: true, 
-                                message: 'Google Drive connection successful'
-                            }, 'Google Drive connection successful');
-                        } else {
-                            sendErrorResponse(res, 400, 'Google Drive connection test failed', new Error(testResult.message));
-                        }
-                    } catch (error) {
-                        console.error('❌ Error testing Google Drive:', error);
-                        sendErrorResponse(res, 500, 'Error testing Google Drive connection', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'drive-folders':
-                if (req.method === 'GET') {
-                    console.log('📁 Serving /api/drive-folders endpoint');
-                    try {
-                        await googleDriveService.configure();
-                        const folders = await googleDriveService.listClientFolders();
-                        sendSuccessResponse(res, { folders }, 'Google Drive folders retrieved successfully');
-                    } catch (error) {
-                        console.error('❌ Error retrieving Google Drive folders:', error);
-                        sendErrorResponse(res, 500, 'Error retrieving Google Drive folders', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'system-status':
-                if (req.method === 'GET') {
-                    console.log('📊 Serving /api/system-status endpoint');
-                    try {
-                        const status = await getSystemStatus();
-                        sendSuccessResponse(res, status, 'System status retrieved successfully');
-                    } catch (error) {
-                        console.error('❌ Error getting system status:', error);
-                        sendErrorResponse(res, 500, 'Error getting system status', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'test-database':
-                if (req.method === 'GET') {
-                    console.log('🗄️ Serving /api/test-database endpoint');
-                    try {
-                        const mysql = require('mysql2/promise');
-                        
-                        // Configuración de la base de datos
-                        const dbConfig = {
-                            host: process.env.DB_HOST,
-                            user: process.env.DB_USER,
-                            password: process.env.DB_PASSWORD,
-                            database: process.env.DB_NAME,
-                            port: process.env.DB_PORT || 3306,
-                            connectTimeout: 10000,
-                            acquireTimeout: 10000,
-                            timeout: 10000
-                        };
+apiRoute('sync/start')
+    .post(asyncRoute(async (req, res) => {
+        try {
+            const reqBody = req.body;
+            const intervalMinutes = parseInt(reqBody.intervalMinutes, 10) || 30;
+            syncService.startAutoSync(intervalMinutes);
+            sendSuccessResponse(res, syncService.getAutoSyncStatus(), `Auto sync started with ${intervalMinutes} minute interval`);
+        } catch (error) {
+            console.error('❌ Error starting auto sync:', error);
+            sendErrorResponse(res, 500, 'Error starting auto sync', error);
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('sync/stop')
+    .post(asyncRoute(async (req, res) => {
+        syncService.stopAutoSync();
+        sendSuccessResponse(res, syncService.getAutoSyncStatus(), 'Auto sync stopped');
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('sync/status')
+    .get(asyncRoute(async (req, res) => {
+        try {
+            const status = {
+                ...syncService.getAutoSyncStatus(),
+                conflicts: await syncService.getConflictReport()
+            };
+            sendSuccessResponse(res, status, 'Sync status retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error getting sync status:', error);
+            sendErrorResponse(res, 500, 'Error getting sync status', error);
+        }
+    }))
+    .all(methodNotAllowed);
 
-                        console.log('🔍 Attempting database connection...');
-                        const connection = await mysql.createConnection(dbConfig);
-                        
-                        console.log('✅ Database connection successful');
-                        
-                        // Probar una consulta simple
-                        const [rows] = await connection.execute('SELECT 1 as test');
-                        console.log('✅ Database query successful:', rows);
-                        
-                        await connection.end();
-                        
-                        sendSuccessResponse(res, {
-                            connection: 'successful',
-                            query: 'successful',
-                            testResult: rows[0],
-                            config: {
-                                host: dbConfig.host,
-                                user: dbConfig.user,
-                                database: dbConfig.database,
-                                port: dbConfig.port
-                            }
-                        }, 'Database connection and query test successful');
-                    } catch (error) {
-                        console.error('❌ Database test error:', error);
-                        sendErrorResponse(res, 500, 'Database test failed', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'database-tables':
-                if (req.method === 'GET') {
-                    console.log('🗄️ Serving /api/database-tables endpoint');
-                    try {
-                        const mysql = require('mysql2/promise');
-                        
-                        // Configuración de la base de datos
-                        const dbConfig = {
-                            host: process.env.DB_HOST,
-                            user: process.env.DB_USER,
-                            password: process.env.DB_PASSWORD,
-                            database: process.env.DB_NAME,
-                            port: process.env.DB_PORT || 3306
-                        };
+apiRoute('sync/manual')
+    .post(asyncRoute(async (req, res) => {
+        try {
+            const result = await syncService.performAutoSync();
+            sendSuccessResponse(res, result, 'Manual sync completed');
+        } catch (error) {
+            console.error('❌ Error performing manual sync:', error);
+            sendErrorResponse(res, 500, 'Error performing manual sync', error);
+        }
+    }))
+    .all(methodNotAllowed);
 
-                        const connection = await mysql.createConnection(dbConfig);
-                        
-                        // Obtener lista de tablas
-                        const [tables] = await connection.execute('SHOW TABLES');
-                        
-                        // Obtener estructura de cada tabla
-                        const tableStructures = {};
-                        for (const table of tables) {
-                            const tableName = Object.values(table)[0];
-                            const [columns] = await connection.execute(`DESCRIBE ${tableName}`);
-                            tableStructures[tableName] = columns;
-                        }
-                        
-                        // Obtener conteo de registros
-                        const recordCounts = {};
-                        for (const table of tables) {
-                            const tableName = Object.values(table)[0];
-                            const [count] = await connection.execute(`SELECT COUNT(*) as count FROM ${tableName}`);
-                            recordCounts[tableName] = count[0].count;
-                        }
-                        
-                        await connection.end();
-                        
-                        sendSuccessResponse(res, {
-                            tables: tables.map(t => Object.values(t)[0]),
-                            structures: tableStructures,
-                            recordCounts: recordCounts,
-                            totalTables: tables.length
-                        }, 'Database tables information retrieved successfully');
-                    } catch (error) {
-                        console.error('❌ Database tables error:', error);
-                        sendErrorResponse(res, 500, 'Database tables query failed', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'debug-credentials':
-                if (req.method === 'GET') {
-                    console.log('🔍 Serving /api/debug-credentials endpoint');
-                    try {
-                        const debugInfo = {
-                            hasServiceAccountKey: !!(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
-                            serviceAccountKeyLength: process.env.GOOGLE_SERVICE_ACCOUNT_KEY ? process.env.GOOGLE_SERVICE_ACCOUNT_KEY.length : 0,
-                            serviceAccountKeyPreview: process.env.GOOGLE_SERVICE_ACCOUNT_KEY ? process.env.GOOGLE_SERVICE_ACCOUNT_KEY.substring(0, 100) + '...' : 'Not set',
-                            canParseJSON: false,
-                            parsedCredentials: null,
-                            hasOAuthClientId: !!(process.env.GOOGLE_OAUTH_CLIENT_ID),
-                            oauthClientIdLength: process.env.GOOGLE_OAUTH_CLIENT_ID ? process.env.GOOGLE_OAUTH_CLIENT_ID.length : 0,
-                            oauthClientIdPreview: process.env.GOOGLE_OAUTH_CLIENT_ID ? process.env.GOOGLE_OAUTH_CLIENT_ID.substring(0, 100) + '...' : 'Not set',
-                            oauthCanParseJSON: false,
-                            oauthParsedCredentials: null,
-                            // Database credentials
-                            hasDbHost: !!(process.env.DB_HOST),
-                            hasDbUser: !!(process.env.DB_USER),
-                            hasDbPassword: !!(process.env.DB_PASSWORD),
-                            hasDbName: !!(process.env.DB_NAME),
-                            hasDbPort: !!(process.env.DB_PORT),
-                            dbHost: process.env.DB_HOST || 'Not set',
-                            dbUser: process.env.DB_USER || 'Not set',
-                            dbName: process.env.DB_NAME || 'Not set',
-                            dbPort: process.env.DB_PORT || 'Not set'
-                        };
+apiRoute('sync/conflicts')
+    .get(asyncRoute(async (req, res) => {
+        try {
+            const report = await syncService.getConflictReport();
+            sendSuccessResponse(res, report, 'Sync conflicts retrieved successfully');
+        } catch (error) {
+            console.error('❌ Error getting sync conflicts:', error);
+            sendErrorResponse(res, 500, 'Error getting sync conflicts', error);
+        }
+    }))
+    .all(methodNotAllowed);
 
-                        if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
-                            try {
-                                const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-                                debugInfo.canParseJSON = true;
-                                debugInfo.parsedCredentials = {
-                                    type: credentials.type,
-                                    project_id: credentials.project_id,
-                                    client_email: credentials.client_email,
-                                    private_key_id: credentials.private_key_id ? credentials.private_key_id.substring(0, 10) + '...' : 'Not set'
-                                };
-                            } catch (parseError) {
-                                debugInfo.canParseJSON = false;
-                                debugInfo.parseError = parseError.message;
-                            }
-                        }
-
-                        if (process.env.GOOGLE_OAUTH_CLIENT_ID) {
-                            try {
-                                const oauthCredentials = JSON.parse(process.env.GOOGLE_OAUTH_CLIENT_ID);
-                                debugInfo.oauthCanParseJSON = true;
-                                debugInfo.oauthParsedCredentials = {
-                                    client_id: oauthCredentials.web ? oauthCredentials.web.client_id : oauthCredentials.client_id,
-                                    project_id: oauthCredentials.web ? oauthCredentials.web.project_id : oauthCredentials.project_id,
-                                    redirect_uris: oauthCredentials.web ? oauthCredentials.web.redirect_uris : oauthCredentials.redirect_uris,
-                                    javascript_origins: oauthCredentials.web ? oauthCredentials.web.javascript_origins : oauthCredentials.javascript_origins
-                                };
-                            } catch (parseError) {
-                                debugInfo.oauthCanParseJSON = false;
-                                debugInfo.oauthParseError = parseError.message;
-                            }
-                        }
-
-                        sendSuccessResponse(res, debugInfo, 'Credentials debug info retrieved successfully');
-                    } catch (error) {
-                        console.error('❌ Error getting credentials debug info:', error);
-                        sendErrorResponse(res, 500, 'Error getting credentials debug info', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'sync-status':
-                if (req.method === 'GET') {
-                    console.log('🔄 Serving /api/sync-status endpoint');
-                    try {
-                        const syncService = new SyncService();
-                        const status = await syncService.getSyncStatus();
-                        sendSuccessResponse(res, status, 'Sync status retrieved successfully');
-                    } catch (error) {
-                        console.error('❌ Error getting sync status:', error);
-                        sendErrorResponse(res, 500, 'Error getting sync status', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'sync-from-sheets':
-                if (req.method === 'POST') {
-                    console.log('🔄 Serving /api/sync-from-sheets endpoint');
-                    try {
-                        const syncService = new SyncService();
-                        const result = await syncService.syncFromSheetsToDatabase();
-                        sendSuccessResponse(res, result, 'Sync from sheets completed');
-                    } catch (error) {
-                        console.error('❌ Error syncing from sheets:', error);
-                        sendErrorResponse(res, 500, 'Error syncing from sheets', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'sync-to-sheets':
-                if (req.method === 'POST') {
-                    console.log('🔄 Serving /api/sync-to-sheets endpoint');
-                    try {
-                        const syncService = new SyncService();
-                        const result = await syncService.syncNewRecordsToSheets();
-                        sendSuccessResponse(res, result, 'Sync to sheets completed');
-                    } catch (error) {
-                        console.error('❌ Error syncing to sheets:', error);
-                        sendErrorResponse(res, 500, 'Error syncing to sheets', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'sync-full':
-                if (req.method === 'POST') {
-                    console.log('🔄 Serving /api/sync-full endpoint');
-                    try {
-                        const syncService = new SyncService();
-                        const result = await syncService.fullSync();
-                        sendSuccessResponse(res, result, 'Full sync completed');
-                    } catch (error) {
-                        console.error('❌ Error performing full sync:', error);
-                        sendErrorResponse(res, 500, 'Error performing full sync', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'client-contact':
-                if (req.method === 'PUT') {
-                    console.log('🔍 Updating client contact info');
-                    try {
-                        let body = '';
-                        req.on('data', chunk => {
-                            body += chunk.toString();
-                        });
-                        
-                        req.on('end', async () => {
-                            try {
-                                const { clientId, contactData } = JSON.parse(body);
-                                
-                                if (!clientId || !contactData) {
-                                    sendErrorResponse(res, 400, 'Client ID and contact data are required');
-                                    return;
-                                }
-                                
-                                const result = await googleSheets.updateClientContactInfo(clientId, contactData);
-                                
-                                if (result.success) {
-                                    sendSuccessResponse(res, result, 'Client contact info updated successfully');
-                                } else {
-                                    sendErrorResponse(res, 500, 'Error updating client contact info', result.error);
-                                }
-                            } catch (parseError) {
-                                sendErrorResponse(res, 400, 'Invalid JSON data', parseError);
-                            }
-                        });
-                    } catch (error) {
-                        console.error('❌ Error updating client contact info:', error);
-                        sendErrorResponse(res, 500, 'Error updating client contact info', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'client-service':
-                if (req.method === 'PUT') {
-                    console.log('🔍 Updating client service info');
-                    try {
-                        let body = '';
-                        req.on('data', chunk => {
-                            body += chunk.toString();
-                        });
-                        
-                        req.on('end', async () => {
-                            try {
-                                const { clientId, serviceData } = JSON.parse(body);
-                                
-                                if (!clientId || !serviceData) {
-                                    sendErrorResponse(res, 400, 'Client ID and service data are required');
-                                    return;
-                                }
-                                
-                                const result = await googleSheets.updateClientServiceInfo(clientId, serviceData);
-                                
-                                if (result.success) {
-                                    sendSuccessResponse(res, result, 'Client service info updated successfully');
-                                } else {
-                                    sendErrorResponse(res, 500, 'Error updating client service info', result.error);
-                                }
-                            } catch (parseError) {
-                                sendErrorResponse(res, 400, 'Invalid JSON data', parseError);
-                            }
-                        });
-                    } catch (error) {
-                        console.error('❌ Error updating client service info:', error);
-                        sendErrorResponse(res, 500, 'Error updating client service info', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'client':
-                if (req.method === 'GET') {
-                    console.log('🔍 Getting specific client');
-                    try {
-                        const url = new URL(req.url, `http://${req.headers.host}`);
-                        const clientId = url.searchParams.get('id');
-                        
-                        if (!clientId) {
-                            sendErrorResponse(res, 400, 'Client ID is required');
-                            return;
-                        }
-                        
-                        const clients = await googleSheets.getClientsData();
-                        const client = clients.find(c => c.id === clientId);
-                        
-                        if (client) {
-                            sendSuccessResponse(res, client, 'Client retrieved successfully');
-                        } else {
-                            sendErrorResponse(res, 404, 'Client not found');
-                        }
-                    } catch (error) {
-                        console.error('❌ Error fetching client:', error);
-                        sendErrorResponse(res, 500, 'Error fetching client', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'test-connection':
-                if (req.method === 'GET') {
-                    console.log('🔍 Testing connection');
-                    sendSuccessResponse(res, { connected: true, timestamp: new Date().toISOString() }, 'Connection test successful');
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'system-stats':
-                if (req.method === 'GET') {
-                    console.log('🔍 Serving system stats');
-                    const systemStats = {
-                        uptime: process.uptime(),
-                        memory: process.memoryUsage(),
-                        cpu: process.cpuUsage(),
-                        environment: process.env.NODE_ENV || 'development'
-                    };
-                    sendSuccessResponse(res, systemStats, 'System stats retrieved successfully');
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'sheets-status':
-                if (req.method === 'GET') {
-                    console.log('🔍 Checking sheets status');
-                    try {
-                        const status = await googleSheets.testConnection();
-                        sendSuccessResponse(res, status, 'Sheets status checked');
-                    } catch (error) {
-                        console.error('❌ Error checking sheets status:', error);
-                        sendErrorResponse(res, 500, 'Error checking Google Sheets status', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'save-report':
-                if (req.method === 'POST') {
-                    console.log('🔍 Saving report');
-                    sendSuccessResponse(res, { reportId: 'REP-' + Date.now() }, 'Report saved successfully');
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'reports':
-                if (req.method === 'GET') {
-                    console.log('🔍 Serving /api/reports endpoint');
-                    try {
-                        // Ensure Google Sheets is initialized
-                        if (!googleSheets.initialized) {
-                            await googleSheets.initialize();
-                        }
-                        
-                        // Get reports from Google Sheets
-                        const reports = await googleSheets.getReportsData();
-                        console.log('📊 Raw reports from Google Sheets:', reports);
-                        
-                        // If no reports found, try alternative approach
-                        let finalReports = reports;
-                        if (!reports || reports.length === 0) {
-                            console.log('📊 No reports found, trying alternative approach...');
-                            try {
-                                const response = await googleSheets.sheets.spreadsheets.values.get({
-                                    spreadsheetId: googleSheets.spreadsheetId,
-                                    range: 'Form Responses 1!A:O',
-                                    key: googleSheets.apiKey
-                                });
-                                
-                                const rows = response.data.values;
-                                if (rows && rows.length > 1) {
-                                    finalReports = rows.slice(1).map(row => ({
-                                        reportId: row[0] || 'REP-' + Date.now(),
-                                        clientName: row[4] || 'Unknown',
-                                        clientEmail: row[5] || '',
-                                        reportType: row[6] || 'Fire Escape Inspection',
-                                        generatedAt: row[13] || new Date().toISOString(),
-                                        status: row[7] || 'Generated',
-                                        reportUrl: row[14] || '',
-                                        company: row[3] || '',
-                                        inspectionDate: row[2] || new Date().toISOString().split('T')[0],
-                                        inspector: row[11] || 'David Ramirez'
-                                    }));
-                                    console.log('📊 Found ' + finalReports.length + ' reports from alternative approach');
-                                }
-                            } catch (altError) {
-                                console.error('❌ Alternative approach failed:', altError.message);
-                            }
-                        }
-                        
-                        // Transform data to match expected format
-                        const transformedReports = finalReports.map(report => ({
-                            reportId: report.reportId,
-                            clientName: report.clientName,
-                            clientEmail: report.clientEmail || report.address || '',
-                            reportType: report.reportType,
-                            generatedAt: report.generatedAt || report.createdAt || report.date,
-                            status: report.status,
-                            reportUrl: report.reportUrl || '',
-                            company: report.company,
-                            inspectionDate: report.inspectionDate || report.date,
-                            inspector: report.inspector
-                        }));
-                        
-                        console.log(`📊 Final result: ${transformedReports.length} reports`);
-                        
-                        sendSuccessResponse(res, { 
-                            data: { reports: transformedReports },
-                            total: transformedReports.length 
-                        }, 'Reports retrieved successfully');
-                    } catch (error) {
-                        console.error('❌ Error getting reports from Google Sheets:', error);
-                        sendErrorResponse(res, 500, 'Error retrieving reports from Google Sheets', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'google-sheets-data':
-                if (req.method === 'GET') {
-                    console.log('🔍 Fetching Google Sheets data');
-                    // Aquí se implementará la integración real con Google Sheets
-                    sendSuccessResponse(res, { 
-                        message: 'Google Sheets integration pending',
-                        sheetUrl: 'https://docs.google.com/spreadsheets/d/13Fld-uJgwWuJVVxyEJoB9h7zAVbN2HlizV5udmT5XZU/edit?gid=174672304#gid=174672304',
-                        status: 'not_configured'
-                    }, 'Google Sheets endpoint ready');
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'create-sheet':
-                if (req.method === 'POST') {
-                    console.log('🔍 Create sheet endpoint removed - functionality deleted');
-                    sendErrorResponse(res, 410, 'Create sheet functionality has been removed');
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'sheets':
-                if (req.method === 'GET') {
-                    console.log('🔍 Fetching available sheets');
-                    try {
-                        // Get sheetId from URL parameters
-                        const url = new URL(req.url, `http://${req.headers.host}`);
-                        const sheetId = url.searchParams.get('sheetId');
-                        
-                        const sheets = await googleSheets.getAvailableSheets(sheetId);
-                        sendSuccessResponse(res, sheets, 'Available sheets retrieved successfully');
-                    } catch (error) {
-                        console.error('❌ Error fetching available sheets:', error);
-                        sendErrorResponse(res, 500, 'Error fetching available sheets', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'update-source':
-                if (req.method === 'POST') {
-                    console.log('🔄 Updating data source');
-                    try {
-                        let body = '';
-                        req.on('data', chunk => {
-                            body += chunk.toString();
-                        });
-                        
-                        req.on('end', async () => {
-                            try {
-                                const { sheetId, sheetTabId } = JSON.parse(body);
-                                
-                                if (!sheetId || !sheetTabId) {
-                                    sendErrorResponse(res, 400, 'Sheet ID and Sheet Tab ID are required');
-                                    return;
-                                }
-
-                                // Update environment variables
-                                process.env.GOOGLE_SHEETS_ID = sheetId;
-                                process.env.GOOGLE_SHEET_TAB_ID = sheetTabId;
-                                
-                                // Get spreadsheet title for response
-                                const response = await googleSheets.sheets.spreadsheets.get({
-                                    spreadsheetId: sheetId
-                                });
-                                
-                                const spreadsheetTitle = response.data.properties.title;
-                                const selectedSheet = response.data.sheets.find(s => s.properties.sheetId == sheetTabId);
-                                const sheetTitle = selectedSheet ? selectedSheet.properties.title : 'Unknown';
-
-                                console.log('✅ Data source updated to:', spreadsheetTitle, '-', sheetTitle);
-
-                                sendSuccessResponse(res, {
-                                    message: 'Data source updated successfully',
-                                    spreadsheetTitle: spreadsheetTitle,
-                                    sheetTitle: sheetTitle
-                                }, 'Data source updated successfully');
-                            } catch (parseError) {
-                                sendErrorResponse(res, 400, 'Invalid JSON data', parseError);
-                            }
-                        });
-                    } catch (error) {
-                        console.error('❌ Error updating data source:', error.message);
-                        sendErrorResponse(res, 500, 'Error updating data source', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case 'schedule-appointment':
-                if (req.method === 'POST') {
-                    console.log('🔍 Serving /api/schedule-appointment endpoint');
-                    try {
-                        const appointmentData = req.body;
-                        
-                        if (!appointmentData) {
-                            return sendErrorResponse(res, 400, 'Missing appointment data');
-                        }
-
-                        // For now, simulate the appointment scheduling
-                        console.log(`📅 Simulating appointment scheduling:`, appointmentData);
-                        
-                        // Simulate processing time
-                        await new Promise(resolve => setTimeout(resolve, 2000));
-                        
-                        sendSuccessResponse(res, { 
-                            appointmentId: `APT-${Date.now()}`,
-                            scheduled: true, 
-                            simulated: true,
-                            message: 'Appointment scheduled successfully (simulated)'
-                        }, 'Appointment scheduled successfully (simulated)');
-                    } catch (error) {
-                        console.error('❌ Error scheduling appointment:', error);
-                        sendErrorResponse(res, 500, 'Error scheduling appointment', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-
-            case 'create-report':
-                if (req.method === 'POST') {
-                    console.log('🔍 Serving /api/create-report endpoint');
-                    try {
-                        const { clientId } = req.body;
-                        
-                        if (!clientId) {
-                            return sendErrorResponse(res, 400, 'Missing required field: clientId');
-                        }
-
-                        // For now, simulate the report creation
-                        console.log(`📄 Simulating report creation for client ID: ${clientId}`);
-                        
-                        // Simulate processing time
-                        await new Promise(resolve => setTimeout(resolve, 1500));
-                        
-                        sendSuccessResponse(res, { 
-                            reportId: `RPT-${Date.now()}`,
-                            clientId,
-                            created: true, 
-                            simulated: true,
-                            message: 'Report created successfully (simulated)'
-                        }, 'Report created successfully (simulated)');
-                    } catch (error) {
-                        console.error('❌ Error creating report:', error);
-                        sendErrorResponse(res, 500, 'Error creating report', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
-                
-            case '/api/sync/start':
-                if (req.method === 'POST') {
-                    try {
-                        const { intervalMinutes = 30 } = JSON.parse(body);
-                        syncService.startAutoSync(intervalMinutes);
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({
-                            success: true,
-                            message: `Auto sync started with ${intervalMinutes} minute interval`
-                        }));
-                    } catch (error) {
-                        res.writeHead(500, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({
-                            success: false,
-                            error: error.message
-                        }));
-                    }
-                } else {
-                    res.writeHead(405, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Method not allowed' }));
-                }
-                break;
-
-            case '/api/sync/stop':
-                if (req.method === 'POST') {
-                    try {
-                        syncService.stopAutoSync();
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({
-                            success: true,
-                            message: 'Auto sync stopped'
-                        }));
-                    } catch (error) {
-                        res.writeHead(500, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({
-                            success: false,
-                            error: error.message
-                        }));
-                    }
-                } else {
-                    res.writeHead(405, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Method not allowed' }));
-                }
-                break;
-
-            case '/api/sync/status':
-                if (req.method === 'GET') {
-                    try {
-                        const status = syncService.getSyncStatus();
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({
-                            success: true,
-                            data: status
-                        }));
-                    } catch (error) {
-                        res.writeHead(500, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({
-                            success: false,
-                            error: error.message
-                        }));
-                    }
-                } else {
-                    res.writeHead(405, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Method not allowed' }));
-                }
-                break;
-
-            case '/api/sync/manual':
-                if (req.method === 'POST') {
-                    try {
-                        const result = await syncService.performAutoSync();
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({
-                            success: true,
-                            data: result
-                        }));
-                    } catch (error) {
-                        res.writeHead(500, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({
-                            success: false,
-                            error: error.message
-                        }));
-                    }
-                } else {
-                    res.writeHead(405, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Method not allowed' }));
-                }
-                break;
-                
-            case 'test-pdf-upload':
-                if (req.method === 'POST') {
-                    console.log('📄 Serving /api/test-pdf-upload endpoint');
-                    try {
-                        const reqBody = await parseJsonBody();
-                        const { clientName, clientEmail, customerType = 'Residential', folderId } = reqBody;
-                        
-                        if (!clientName) {
-                            return sendErrorResponse(res, 400, 'Missing required field: clientName');
-                        }
-
-                        console.log(`📄 Testing PDF upload for client: ${clientName}`);
-                        
-                        // Configure Google Drive service if not already configured
-                        if (!googleDriveService.isConfigured) {
-                            await googleDriveService.configure();
-                        }
-                        
-                        if (!googleDriveService.isConfigured) {
-                            console.log('⚠️ Google Drive not configured, skipping PDF upload test');
-                            return sendErrorResponse(res, 500, 'Google Drive not configured');
-                        }
-                        
-                        // Create a simple test PDF buffer
-                        const testPdfContent = `%PDF-1.4
+apiRoute('sync/resolve-conflict')
+    .post(ValidationMiddleware.requiredFields('conflictId', 'resolution'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        try {
+            const { conflictId, resolution } = req.body;
+            const conflict = await syncService.resolveConflict(conflictId, resolution, req.user.email);
+            sendSuccessResponse(res, conflict, `Sync conflict resolved with ${resolution} values`);
+        } catch (error) {
+            console.error('❌ Error resolving sync conflict:', error);
+            sendServiceErrorResponse(res, error, 'Error resolving sync conflict');
+        }
+    }))
+    .all(methodNotAllowed);
+
+apiRoute('test-pdf-upload')
+    .post(uploadRateLimit, ValidationMiddleware.requiredFields('clientName'), ValidationMiddleware.handleValidationErrors, asyncRoute(async (req, res) => {
+        console.log('📄 Serving /api/test-pdf-upload endpoint');
+        try {
+            const { clientName, clientEmail, customerType = 'Residential', folderId } = req.body;
+
+            console.log(`📄 Testing PDF upload for client: ${clientName}`);
+
+            // Configure Google Drive service if not already configured
+            if (!googleDriveService.isConfigured) {
+                await googleDriveService.configure();
+            }
+
+            if (!googleDriveService.isConfigured) {
+                console.log('⚠️ Google Drive not configured, skipping PDF upload test');
+                return sendErrorResponse(res, 500, 'Google Drive not configured');
+            }
+
+            // Create a simple test PDF buffer
+            const testPdfContent = `%PDF-1.4
 1 0 obj
 <<
 /Type /Catalog
@@ -2029,59 +2818,114 @@ trailer
 startxref
 297
 %%EOF`;
-                        
-                        const pdfBuffer = Buffer.from(testPdfContent, 'utf8');
-                        
-                        let result;
-                        
-                        // If folderId is provided, use it directly
-                        if (folderId) {
-                            console.log(`📄 Using provided folder ID: ${folderId}`);
-                            result = await googleDriveService.uploadFileToClientFolder(
-                                folderId,
-                                `Test_Report_${new Date().toISOString().slice(0, 10)}.pdf`,
-                                pdfBuffer,
-                                'application/pdf'
-                            );
-                        } else {
-                            // Otherwise, try to find the folder
-                            result = await googleDriveService.uploadPDFReportToClientFolder(
-                                clientName,
-                                clientEmail,
-                                pdfBuffer,
-                                'Test Report'
-                            );
-                        }
-                        
-                        if (result) {
-                            console.log(`✅ Test PDF uploaded successfully: ${result.name}`);
-                            sendSuccessResponse(res, { 
-                                pdfUploaded: true, 
-                                fileName: result.name,
-                                fileLink: result.webViewLink,
-                                message: 'Test PDF uploaded to client folder successfully'
-                            }, 'Test PDF uploaded to client folder successfully');
-                        } else {
-                            throw new Error('Failed to upload test PDF to client folder');
-                        }
-                    } catch (error) {
-                        console.error('❌ Error uploading test PDF:', error);
-                        sendErrorResponse(res, 500, 'Error uploading test PDF to client folder', error);
-                    }
-                } else {
-                    sendErrorResponse(res, 405, 'Method not allowed');
-                }
-                break;
 
-            default:
-                console.log(`❌ API endpoint not found: ${path}`);
-                sendErrorResponse(res, 404, 'API endpoint not found');
+            const pdfBuffer = Buffer.from(testPdfContent, 'utf8');
+
+            let result;
+
+            // If folderId is provided, use it directly
+            if (folderId) {
+                console.log(`📄 Using provided folder ID: ${folderId}`);
+                result = await googleDriveService.uploadFileToClientFolder(
+                    folderId,
+                    `Test_Report_${new Date().toISOString().slice(0, 10)}.pdf`,
+                    pdfBuffer,
+                    'application/pdf'
+                );
+            } else {
+                // Otherwise, try to find the folder
+                result = await googleDriveService.uploadPDFReportToClientFolder(
+                    clientName,
+                    clientEmail,
+                    pdfBuffer,
+                    'Test Report'
+                );
+            }
+
+            if (result) {
+                console.log(`✅ Test PDF uploaded successfully: ${result.name}`);
+                sendSuccessResponse(res, { 
+                    pdfUploaded: true, 
+                    fileName: result.name,
+                    fileLink: result.webViewLink,
+                    message: 'Test PDF uploaded to client folder successfully'
+                }, 'Test PDF uploaded to client folder successfully');
+            } else {
+                throw new Error('Failed to upload test PDF to client folder');
+            }
+        } catch (error) {
+            console.error('❌ Error uploading test PDF:', error);
+            sendErrorResponse(res, 500, 'Error uploading test PDF to client folder', error);
         }
-    } catch (error) {
-        logger.error('API route error:', error);
-        sendErrorResponse(res, 500, 'Internal server error', error);
+    }))
+    .all(methodNotAllowed);
+
+// Rutas desconocidas: mismas comprobaciones de acceso que antes del 404
+apiRouter.use(authorizeApiRoute(), (req, res) => {
+    console.log(`❌ API endpoint not found: ${req.apiRoute}`);
+    sendErrorResponse(res, 404, 'API endpoint not found');
+});
+
+// ===== EXPRESS APP =====
+
+const app = express();
+app.disable('x-powered-by');
+app.set('trust proxy', securityConfig.api.trustProxyHops);
+// ?a=1&a=2 llega como array igual que antes, pero sin objetos anidados (?a[b]=1)
+app.set('query parser', 'simple');
+
+// Sesión, cabeceras de seguridad y tamaño máximo para todas las peticiones.
+// validateIP, preventSQLInjection y preventXSS no van aquí: rechazarían los state/code de OAuth
+// (base64url con '--') y a clientes detrás de proxies privados. Los cuerpos los validan las cadenas de cada ruta
+app.use(jwtMiddleware);
+app.use(SecurityMiddleware.securityHeaders);
+app.use(SecurityMiddleware.requestLogger);
+app.use(SecurityMiddleware.validateRequestSize);
+
+app.use((req, res, next) => {
+    logger.info(`${req.method} ${req.url}`, {
+        userAgent: req.headers['user-agent'],
+        ip: req.ip
+    });
+
+    // Set CORS headers
+    setCORSHeaders(req, res);
+
+    // Handle OPTIONS request for CORS preflight
+    if (req.method === 'OPTIONS') {
+        res.writeHead(200);
+        res.end();
+        return;
     }
-}
+    next();
+});
+
+// Enhanced health check endpoint
+app.get('/health', (req, res) => {
+    log('🔍 Serving /health endpoint');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        service: 'Fire Escape Reports System',
+        version: '2.0.0',
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        environment: process.env.NODE_ENV || 'development'
+    }));
+});
+
+app.use('/auth', authRouter);
+// Cuentas con contraseña (routes/auth.js): registro, login con bloqueo, /login/2fa, refresh y cambio de contraseña
+app.use('/api/auth', jsonBodyParser, passwordAuthRouter);
+// /api/admin antes que /api: el router general respondería 404 a las rutas de admin
+app.use('/api/admin', adminRouter);
+app.use('/api', apiRouter);
+app.use(handlePageRoute);
+
+app.use(SecurityMiddleware.errorHandler);
+
+const server = http.createServer(app);
 
 // Enhanced server startup
 server.listen(PORT, '0.0.0.0', async () => {
@@ -2104,6 +2948,21 @@ server.listen(PORT, '0.0.0.0', async () => {
         logger.error('❌ Failed to initialize Google Sheets:', error);
     }
     
+    // Initialize MySQL (appointments, reports, inspection reminders) on startup
+    try {
+        logger.info('🗄️ Initializing MySQL database...');
+        await database.initializeMySQL();
+        logger.info('✅ MySQL database initialized successfully');
+        
+        const reminderIntervalHours = parseInt(process.env.INSPECTION_REMINDER_INTERVAL_HOURS, 10) || 24;
+        inspectionReminders.start(reminderIntervalHours);
+        emailQueue.start();
+        zohoDeliveries.start();
+        sessions.start();
+    } catch (error) {
+        logger.error('❌ Failed to initialize MySQL database:', error.message);
+    }
+    
     // Initialize Access Control System on startup
     try {
         logger.info('🔐 Initializing Access Control System...');
@@ -2133,86 +2992,24 @@ process.on('SIGINT', () => {
 
 // ===== EMAIL AND ZOHO INTEGRATION FUNCTIONS =====
 
-/**
- * Send notification email to admin about new lead
- * @param {Object} clientData - Client information
- * @returns {Promise<Object>} - Result of email sending
- */
-async function sendNewLeadNotification(clientData) {
-    try {
-        // Get notification email from environment or use default
-        const notificationEmail = process.env.NOTIFICATION_EMAIL || 'newcustomers@iriasironworks.com';
-        const ccEmail = process.env.CC_EMAIL || null;
-        
-        console.log(`📧 Sending new lead notification to: ${notificationEmail}${ccEmail ? ` (CC: ${ccEmail})` : ''}`);
-        
-        // Use the email service to send the notification
-        const result = await emailService.sendNewLeadNotification(clientData, notificationEmail, ccEmail);
-        
-        if (result.success) {
-            console.log(`✅ New lead notification sent successfully to: ${notificationEmail}${ccEmail ? ` and CC: ${ccEmail}` : ''}`);
-            return result;
-        } else {
-            console.error('❌ Failed to send new lead notification:', result.error);
-            return result;
-        }
-    } catch (error) {
-        console.error('❌ Error sending new lead notification:', error);
-        return {
-            success: false,
-            error: error.message
-        };
-    }
-}
-
 /**
  * Trigger Zoho Flow webhook for new client
  * @param {Object} clientData - Client information
  * @returns {Promise<Object>} - Result of Zoho Flow trigger
  */
-async function triggerZohoFlow(clientData) {
+// Failed deliveries are stored in zoho_deliveries and retried by zohoDeliveries
+async function triggerZohoFlow(clientData, clientId = null) {
     try {
         console.log(`🔗 Triggering Zoho Flow for: ${clientData.clientFullName}`);
         
-        // Get Zoho Flow webhook URL from environment
-        const zohoFlowWebhookUrl = process.env.ZOHO_FLOW_WEBHOOK_URL;
-        
-        if (!zohoFlowWebhookUrl) {
-            console.log('⚠️ ZOHO_FLOW_WEBHOOK_URL not configured, skipping Zoho Flow integration');
-            return {
-                success: false,
-                error: 'Zoho Flow webhook URL not configured',
-                message: 'Please configure ZOHO_FLOW_WEBHOOK_URL in environment variables'
-            };
-        }
-        
-        // Prepare data for Zoho Flow
-        const flowData = {
-            client_name: clientData.clientFullName,
-            client_email: clientData.email,
-            client_phone: clientData.customerPhoneNumber || clientData.phone,
-            client_address: clientData.address,
-            service_type: clientData.serviceType,
-            customer_type: clientData.customerType,
-            price: clientData.price || '0',
-            customer_status: clientData.customerStatus || 'New Lead',
-            registration_date: new Date().toISOString(),
-            source: 'Web Form'
-        };
-        
-        console.log(`🔗 Sending data to Zoho Flow webhook: ${zohoFlowWebhookUrl}`);
-        console.log('Flow data:', flowData);
-        
-        // Use the Zoho webhook service to trigger the webhook
-        const result = await zohoWebhookService.triggerWebhook(clientData);
+        const result = await zohoDeliveries.deliver(clientData, clientId);
         
         if (result.success) {
             console.log(`✅ Zoho Flow webhook triggered successfully for: ${clientData.clientFullName}`);
-            return result;
         } else {
-            console.error('❌ Failed to trigger Zoho Flow webhook:', result.error);
-            return result;
+            console.error(`❌ Failed to trigger Zoho Flow webhook${result.queued ? ` (queued as delivery #${result.deliveryId})` : ''}:`, result.error);
         }
+        return result;
     } catch (error) {
         console.error('❌ Error triggering Zoho Flow:', error);
         return {
@@ -2240,17 +3037,22 @@ async function createClientDriveFolder(clientData) {
         const folderName = clientData.clientFullName || clientData.clientName;
         const folderAddress = clientData.address || clientData.propertyAddress || clientData.clientAddress || 'No Address';
         const customerType = clientData.customerType || 'Residential';
+        const company = companyHelpers.normalizeCompany(clientData.companyName || clientData.company);
         
-        const result = await googleDriveService.createClientFolder(folderName, folderAddress, customerType);
+        const result = await googleDriveService.createClientFolder(folderName, folderAddress, customerType, company);
         
         if (result) {
             console.log('✅ Google Drive folder created successfully:', result.name);
+            
+            // Si el cliente aún no está en MySQL, el backfill de carpetas lo enlazará tras el sync
+            await driveFolders.saveClientFolder(clientData.clientId, result);
             return { 
                 success: true, 
                 message: 'Google Drive folder created successfully',
                 folderId: result.id,
                 folderName: result.name,
-                folderLink: result.webViewLink
+                folderLink: result.webViewLink,
+                subfolders: result.subfolders
             };
         } else {
             console.error('❌ Failed to create Google Drive folder');
@@ -2271,19 +3073,7 @@ let systemConfig = {
     },
     zoho: {
         webhookUrl: process.env.ZOHO_FLOW_WEBHOOK_URL || '',
-        webhookSecret: '',
-        dataMapping: {
-            client_name: "clientFullName",
-            client_email: "email",
-            client_phone: "customerPhoneNumber",
-            client_address: "address",
-            service_type: "serviceType",
-            customer_type: "customerType",
-            price: "price",
-            customer_status: "customerStatus",
-            registration_date: "timestamp",
-            source: "Web Form"
-        }
+        webhookSecret: ''
     },
     googleSheets: {
         spreadsheetId: process.env.GOOGLE_SHEETS_ID || '13Fld-uJgwWuJVVxyEJoB9h7zAVbN2HlizV5udmT5XZU',
@@ -2307,11 +3097,17 @@ async function getSystemConfig() {
             ...systemConfig,
             notifications: {
                 ...systemConfig.notifications,
-                ...dbConfig.notifications
+                ...dbConfig.notifications,
+                transports: emailHelpers.getTransports()
             },
             zoho: {
                 ...systemConfig.zoho,
                 ...dbConfig.zoho
+            },
+            drive: {
+                ...configDB.getDriveConfig(),
+                companies: companyHelpers.getCompanyNames(),
+                customerTypes: driveHelpers.getCustomerTypes()
             }
         };
         
@@ -2327,7 +3123,7 @@ async function saveSystemConfig(config) {
         console.log('⚙️ Saving system configuration...');
         
         // Validate configuration - make it more flexible
-        if (!config.notifications && !config.email && !config.zoho && !config.googleSheets && !config.security) {
+        if (!config.notifications && !config.email && !config.zoho && !config.googleSheets && !config.security && !config.drive) {
             throw new Error('At least one configuration section is required');
         }
         
@@ -2409,7 +3205,9 @@ async function saveSystemConfig(config) {
                 email: config.notifications.email,
                 password: config.notifications.password,
                 emailFromName: config.notifications.emailFromName || 'IRIAS Ironworks',
-                service: config.notifications.service || 'gmail'
+                service: emailHelpers.normalizeService(config.notifications.service),
+                smtp: emailHelpers.getSmtpSettings(config.notifications.smtp),
+                fileDirectory: config.notifications.fileDirectory || ''
             });
             
             if (!success) {
@@ -2422,7 +3220,7 @@ async function saveSystemConfig(config) {
             process.env.NOTIFICATIONS_EMAIL = config.notifications.email;
             process.env.NOTIFICATIONS_PASSWORD = config.notifications.password;
             process.env.NOTIFICATIONS_EMAIL_FROM_NAME = config.notifications.emailFromName || 'IRIAS Ironworks';
-            process.env.NOTIFICATIONS_SERVICE = config.notifications.service || 'gmail';
+            process.env.NOTIFICATIONS_SERVICE = emailHelpers.normalizeService(config.notifications.service);
             
             // Also set legacy environment variables for compatibility
             process.env.GMAIL_USER = config.notifications.email;
@@ -2430,6 +3228,14 @@ async function saveSystemConfig(config) {
             process.env.EMAIL_FROM_NAME = config.notifications.emailFromName || 'IRIAS Ironworks';
         }
         
+        if (config.drive) {
+            if (!configDB.updateDriveConfig({ roots: config.drive.roots, subfolders: config.drive.subfolders })) {
+                console.error('❌ Failed to save Google Drive folder config to database');
+            } else {
+                console.log('✅ Google Drive folder config saved to database');
+            }
+        }
+        
         if (config.zoho) {
             configDB.updateZohoConfig({
                 webhookUrl: config.zoho.webhookUrl,
@@ -2437,13 +3243,16 @@ async function saveSystemConfig(config) {
             });
         }
         
-        // Configure email service if notifications settings are provided
-        if (config.notifications?.email && config.notifications?.password) {
+        // Configure email service if notifications settings are provided (smtp/file/memory need no credentials)
+        const notificationsService = emailHelpers.normalizeService(config.notifications?.service);
+        if (config.notifications && (!emailHelpers.requiresCredentials(notificationsService) || (config.notifications.email && config.notifications.password))) {
             const emailConfig = {
                 email: config.notifications.email,
-                service: config.notifications.service || 'gmail',
+                service: notificationsService,
                 password: config.notifications.password,
-                emailFromName: config.notifications.emailFromName || 'IRIAS Ironworks'
+                emailFromName: config.notifications.emailFromName || 'IRIAS Ironworks',
+                smtp: config.notifications.smtp,
+                fileDirectory: config.notifications.fileDirectory
             };
             
             const emailConfigResult = await emailService.configure(emailConfig);
@@ -2477,20 +3286,21 @@ async function saveSystemConfig(config) {
     }
 }
 
-async function testNotificationsConfiguration(email, password) {
+async function testNotificationsConfiguration(email, password, { service = 'gmail', smtp } = {}) {
     try {
         console.log(`📧 Testing notifications configuration for: ${email}`);
         
         // Check if we have the required credentials
-        if (!email || !password) {
+        if (!email || (emailHelpers.requiresCredentials(service) && !password)) {
             throw new Error('Email and password are required for testing.');
         }
         
-        // Configure email service with provided settings
+        // Configure email service with provided settings (the file transport keeps the saved/EMAIL_FILE_DIR folder)
         const config = {
             email: email,
-            service: 'gmail',
-            password: password // For Gmail, this should be an App Password
+            service: service,
+            password: password, // For Gmail, this should be an App Password
+            smtp: smtp
         };
         
         console.log('📧 Configuring email service...');
@@ -2499,11 +3309,13 @@ async function testNotificationsConfiguration(email, password) {
             throw new Error(configResult.error);
         }
         
-        // Verify configuration
-        console.log('📧 Verifying email configuration...');
-        const verifyResult = await emailService.verifyConfiguration();
-        if (!verifyResult.success) {
-            throw new Error(verifyResult.error);
+        // Verify configuration (file/memory transports have no server to verify)
+        if (service !== 'file' && service !== 'memory') {
+            console.log('📧 Verifying email configuration...');
+            const verifyResult = await emailService.verifyConfiguration();
+            if (!verifyResult.success) {
+                throw new Error(verifyResult.error);
+            }
         }
         
         // Send test email
@@ -2593,13 +3405,16 @@ async function getSystemStatus() {
         const status = {
             notifications: {
                 configured: emailService.isConfigured,
+                transport: emailService.service || configDB.getNotificationsConfig().service || 'Not configured',
                 email: systemConfig.notifications?.email || 'Not configured',
                 service: systemConfig.notifications?.service || 'Not configured'
             },
             zoho: {
                 configured: zohoWebhookService.isConfigured,
                 webhookUrl: systemConfig.zoho?.webhookUrl || 'Not configured',
-                hasSecret: !!systemConfig.zoho?.webhookSecret
+                hasSecret: !!systemConfig.zoho?.webhookSecret,
+                deliveries: null,
+                retries: zohoDeliveries.getStatus()
             },
             googleSheets: {
                 configured: !!googleSheets,
@@ -2613,6 +3428,15 @@ async function getSystemStatus() {
             timestamp: new Date().toISOString()
         };
         
+        // Zoho Flow deliveries waiting for a retry (Pending) or in the dead-letter list (Failed)
+        try {
+            if (database.mysqlConnected) {
+                status.zoho.deliveries = await zohoDeliveries.getCounts();
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not count Zoho deliveries:', error.message);
+        }
+        
         // Get Google Sheets client count if available
         try {
             if (googleSheets) {
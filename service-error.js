@@ -0,0 +1,16 @@
+/**
+ * Error con código que los servicios lanzan y las rutas traducen al status HTTP correcto
+ * (sendServiceErrorResponse en server.js, los handlers de routes/auth.js)
+ * @param {string} message - Mensaje para el cliente
+ * @param {string} code - VALIDATION_ERROR, NOT_FOUND, CONFLICT...
+ * @param {Object} extra - Datos adicionales para la respuesta (lockedUntil, conflicts...)
+ * @returns {Error}
+ */
+function createError(message, code, extra = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+}
+
+module.exports = { createError };
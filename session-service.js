@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const database = require('./database');
+const { createError } = require('./service-error');
+
+// Tokens revoked without a known expiry stay blacklisted for the longest token lifetime (refresh, 7d)
+const DEFAULT_BLACKLIST_SECONDS = 7 * 24 * 60 * 60;
+// last_seen_at is written at most once per session every 5 minutes
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const EXPIRED_RETENTION_DAYS = 30;
+
+/**
+ * Login sessions keyed by the token id (jti) of the JWTs.
+ * Revoked jtis are kept in memory (the blacklist) so every request is checked without a query;
+ * the list is reloaded from user_sessions so revocations made on other instances apply too.
+ */
+class SessionService {
+    constructor() {
+        this.db = database;
+        this.revoked = new Map(); // jti → expiry (ms)
+        this.revokedUsers = new Map(); // email → { revokedAt, expiry, exceptJti, revokedBy, reason, pending } (revoked without MySQL)
+        this.lastTouched = new Map(); // jti → ms
+        this.syncInterval = null;
+        this.status = {
+            lastSync: null,
+            lastError: null
+        };
+    }
+
+    // Reload the blacklist from MySQL on an interval
+    start(intervalSeconds = 60) {
+        if (this.syncInterval) {
+            this.stop();
+        }
+
+        console.log(`🔑 Starting session blacklist sync every ${intervalSeconds} seconds`);
+
+        this.syncInterval = setInterval(async () => {
+            await this.syncRevoked();
+        }, intervalSeconds * 1000);
+
+        this.syncRevoked();
+    }
+
+    stop() {
+        if (this.syncInterval) {
+            clearInterval(this.syncInterval);
+            this.syncInterval = null;
+            console.log('⏹️ Session blacklist sync stopped');
+        }
+    }
+
+    async syncRevoked() {
+        if (!this.db.mysqlConnected) {
+            return;
+        }
+
+        try {
+            await this.flushUserRevocations();
+            const rows = await this.db.getRevokedUserSessionIds();
+            for (const row of rows) {
+                this.blacklist(row.jti, row.expiresAt);
+            }
+            this.pruneBlacklist();
+            await this.db.deleteExpiredUserSessions(EXPIRED_RETENTION_DAYS);
+            this.status.lastSync = new Date().toISOString();
+            this.status.lastError = null;
+        } catch (error) {
+            console.error('❌ Session blacklist sync failed:', error.message);
+            this.status.lastError = error.message;
+        }
+    }
+
+    createTokenId() {
+        return crypto.randomUUID();
+    }
+
+    blacklist(jti, expiresAt = null) {
+        const expiry = expiresAt ? new Date(expiresAt).getTime() : Date.now() + DEFAULT_BLACKLIST_SECONDS * 1000;
+        this.revoked.set(jti, expiry);
+        this.lastTouched.delete(jti);
+    }
+
+    pruneBlacklist() {
+        const now = Date.now();
+        for (const [jti, expiry] of this.revoked) {
+            if (expiry <= now) {
+                this.revoked.delete(jti);
+            }
+        }
+        for (const [email, entry] of this.revokedUsers) {
+            if (entry.expiry <= now) {
+                this.revokedUsers.delete(email);
+            }
+        }
+        for (const [jti, touchedAt] of this.lastTouched) {
+            if (now - touchedAt > DEFAULT_BLACKLIST_SECONDS * 1000) {
+                this.lastTouched.delete(jti);
+            }
+        }
+    }
+
+    isRevoked(jti) {
+        return this.revoked.has(jti);
+    }
+
+    /**
+     * A decoded JWT is usable when it carries a session id that has not been revoked.
+     * Tokens signed before sessions existed have no jti and can't be revoked, so they are refused.
+     */
+    isTokenActive(decoded) {
+        return !!(decoded && decoded.jti) && !this.isRevoked(decoded.jti) && !this.isRevokedByUser(decoded);
+    }
+
+    // Tokens issued before a "revoke every session" made while MySQL was down
+    isRevokedByUser(decoded) {
+        const entry = decoded.email ? this.revokedUsers.get(String(decoded.email).toLowerCase()) : null;
+        if (!entry || decoded.jti === entry.exceptJti) {
+            return false;
+        }
+        return !decoded.iat || decoded.iat * 1000 <= entry.revokedAt;
+    }
+
+    // Sin MySQL no hay lista de sesiones: se bloquea el email en memoria hasta que caduquen sus tokens
+    blacklistUser(email, { exceptJti = null, revokedBy = null, reason = 'logout_all' } = {}) {
+        const now = Date.now();
+        this.revokedUsers.set(String(email).toLowerCase(), {
+            revokedAt: now,
+            expiry: now + DEFAULT_BLACKLIST_SECONDS * 1000,
+            exceptJti,
+            revokedBy,
+            reason,
+            pending: true
+        });
+    }
+
+    // Once MySQL is back, mark the listed sessions of those users as revoked too
+    async flushUserRevocations() {
+        for (const [email, entry] of this.revokedUsers) {
+            if (!entry.pending) {
+                continue;
+            }
+            const revoked = await this.db.revokeUserSessions(email, entry.revokedBy, entry.reason, entry.exceptJti);
+            for (const session of revoked) {
+                this.blacklist(session.jti, session.expiresAt);
+            }
+            entry.pending = false;
+        }
+    }
+
+    /**
+     * Store the session behind a freshly signed token
+     * @param {string} jti - Token id used as jwtid when signing
+     * @param {Object} user - { id, email }
+     * @param {Object} context - { authMethod, ipAddress, userAgent, token } (token: the longest-lived one, for its exp)
+     */
+    async recordSession(jti, user, { authMethod = 'google', ipAddress = null, userAgent = null, token = null } = {}) {
+        const decoded = token ? jwt.decode(token) : null;
+        const expiresAt = decoded && decoded.exp ? decoded.exp : Math.floor(Date.now() / 1000) + DEFAULT_BLACKLIST_SECONDS;
+
+        if (!this.db.mysqlConnected) {
+            console.warn(`⚠️ MySQL not connected, session of ${user.email} is not listed (it can still be revoked on this instance)`);
+            return null;
+        }
+
+        try {
+            const session = await this.db.createUserSession({
+                jti,
+                userId: user.id || user.email,
+                userEmail: user.email,
+                authMethod,
+                ipAddress,
+                userAgent,
+                expiresAt
+            });
+            this.lastTouched.set(jti, Date.now());
+            console.log(`🔑 Session started for ${user.email} (${authMethod})`);
+            return session;
+        } catch (error) {
+            // El login sigue funcionando aunque no quede registrada la sesión
+            console.error(`❌ Could not record session for ${user.email}:`, error.message);
+            return null;
+        }
+    }
+
+    // A refresh token keeps the session id; the session now ends with the new refresh token
+    async extendSession(jti, refreshToken) {
+        const decoded = jwt.decode(refreshToken);
+        if (!this.db.mysqlConnected || !decoded || !decoded.exp) {
+            return false;
+        }
+        return this.db.extendUserSession(jti, decoded.exp);
+    }
+
+    // Record activity for the admin view (throttled, never blocks the request)
+    touch(jti) {
+        if (!jti || !this.db.mysqlConnected) {
+            return;
+        }
+        const now = Date.now();
+        if (now - (this.lastTouched.get(jti) || 0) < TOUCH_INTERVAL_MS) {
+            return;
+        }
+        this.lastTouched.set(jti, now);
+        this.db.touchUserSession(jti).catch(error => {
+            console.warn(`⚠️ Could not update session activity: ${error.message}`);
+        });
+    }
+
+    async getSession(jti) {
+        if (!this.db.mysqlConnected) {
+            return null;
+        }
+        return this.db.getUserSession(jti);
+    }
+
+    /**
+     * Active sessions, all of them (admin view) or one user's
+     * @param {Object} filters - { email, limit }
+     */
+    async listSessions({ email = null, limit = 200 } = {}) {
+        const sessions = await this.db.getActiveUserSessions({ email, limit });
+        return sessions.filter(session => !this.isRevoked(session.jti));
+    }
+
+    /**
+     * Revoke one session. Works without MySQL for the current instance.
+     * @returns {Promise<boolean>} - true if an active session was revoked
+     */
+    async revokeSession(jti, revokedBy = null, reason = 'logout') {
+        if (!jti) {
+            throw createError('Missing required field: jti', 'VALIDATION_ERROR');
+        }
+
+        let session = null;
+        let revoked = !this.isRevoked(jti);
+        if (this.db.mysqlConnected) {
+            session = await this.db.getUserSession(jti);
+            revoked = await this.db.revokeUserSession(jti, revokedBy, reason);
+        }
+
+        this.blacklist(jti, session ? session.expiresAt : null);
+        if (revoked) {
+            console.log(`🔒 Session ${jti} revoked (${reason}) by ${revokedBy || 'system'}`);
+        }
+        return revoked;
+    }
+
+    /**
+     * Revoke every session of a user: "sign out all devices", password change, user removed
+     * @param {string} exceptJti - Session to keep (the one making the request)
+     * @returns {Promise<number>} - Sessions revoked (0 without MySQL: the user's tokens are then blocked in memory)
+     */
+    async revokeUserSessions(email, revokedBy = null, reason = 'logout_all', exceptJti = null) {
+        if (!email) {
+            throw createError('Missing required field: email', 'VALIDATION_ERROR');
+        }
+        if (!this.db.mysqlConnected) {
+            this.blacklistUser(email, { exceptJti, revokedBy, reason });
+            console.warn(`⚠️ MySQL not connected, every token of ${email} issued until now is blocked on this instance (${reason})`);
+            return 0;
+        }
+
+        const revoked = await this.db.revokeUserSessions(email, revokedBy, reason, exceptJti);
+        for (const session of revoked) {
+            this.blacklist(session.jti, session.expiresAt);
+        }
+        if (revoked.length > 0) {
+            console.log(`🔒 ${revoked.length} session(s) of ${email} revoked (${reason}) by ${revokedBy || 'system'}`);
+        }
+        return revoked.length;
+    }
+
+    getStatus() {
+        return {
+            ...this.status,
+            blacklisted: this.revoked.size,
+            scheduled: !!this.syncInterval
+        };
+    }
+}
+
+// Una sola instancia: la lista negra en memoria la comparten server.js, los middlewares y las rutas de auth
+module.exports = new SessionService();
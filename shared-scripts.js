@@ -34,13 +34,10 @@ class APIClient {
                     ...options.headers
                 };
 
-                // Add JWT token if available
-                if (window.jwtAuth && window.jwtAuth.getToken()) {
-                    headers['Authorization'] = `Bearer ${window.jwtAuth.getToken()}`;
-                }
-
+                // The JWT travels in the HttpOnly session cookie
                 const response = await fetch(`${this.baseURL}${endpoint}`, {
                     ...options,
+                    credentials: 'same-origin',
                     signal: controller.signal,
                     headers
                 });
@@ -642,7 +639,9 @@ class UserInterface {
         }
     }
 
-    setupUserInterface() {
+    async setupUserInterface() {
+        // User data comes from /auth/status
+        await window.jwtAuth.ready;
         this.addUserInfoToHeader();
         this.addLogoutButton();
         this.setupAuthStatusCheck();
@@ -743,6 +742,26 @@ class UserInterface {
                     this.handleLogout();
                 });
 
+                // Verificación en dos pasos de la propia cuenta (alta, códigos de respaldo)
+                const securityLink = document.createElement('a');
+                securityLink.className = 'security-link';
+                securityLink.href = '/two-factor.html?manage=1';
+                securityLink.innerHTML = `
+                    <i class="fas fa-shield-alt"></i>
+                    <span>2FA</span>
+                `;
+                securityLink.style.cssText = `
+                    color: #333;
+                    text-decoration: none;
+                    display: flex;
+                    align-items: center;
+                    gap: 0.5rem;
+                    font-size: 0.9rem;
+                    white-space: nowrap;
+                    margin-left: 1rem;
+                `;
+
+                header.appendChild(securityLink);
                 header.appendChild(logoutBtn);
             }
         }
@@ -755,11 +774,8 @@ class UserInterface {
                 return;
             }
 
-            // Call logout endpoint
-            await window.apiClient.post('/auth/logout');
-            
-            // Clear local storage and redirect
-            window.jwtAuth.logout();
+            // Clears the session cookie and redirects
+            await window.jwtAuth.logout();
         } catch (error) {
             console.error('Error during logout:', error);
             // Force logout anyway
@@ -892,6 +908,37 @@ window.refreshDataWithFeedback = function() {
     }
 };
 
+// Sensitive settings answer 403 STEP_UP_REQUIRED: ask for the 2FA code, confirm it and retry the request once
+window.fetchWithStepUp = async function(url, options = {}) {
+    const send = () => fetch(url, { ...options, credentials: 'same-origin' });
+    const response = await send();
+    if (response.status !== 403) {
+        return response;
+    }
+
+    const result = await response.clone().json().catch(() => ({}));
+    if (result.code !== 'STEP_UP_REQUIRED') {
+        return response;
+    }
+
+    const code = window.prompt('🔐 Introduce el código de tu app de autenticación (o un código de respaldo) para continuar:');
+    if (!code) {
+        return response;
+    }
+
+    const confirmation = await fetch('/api/2fa/step-up', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: code.trim() })
+    });
+    if (!confirmation.ok) {
+        const error = await confirmation.json().catch(() => ({}));
+        throw new Error(error.message || 'Invalid verification code');
+    }
+    return send();
+};
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
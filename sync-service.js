@@ -1,21 +1,70 @@
-const ClientService = require('./client-service');
+const database = require('./database');
 const EmailService = require('./email-service');
+const { helpers: emailTemplateHelpers } = require('./config/email-templates');
 const { google } = require('googleapis');
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const { createError } = require('./service-error');
+
+// Columna de MySQL -> cabeceras posibles en 'Form Responses 1' (se escribe en la primera que exista)
+const SHEET_COLUMNS = {
+    company_name: ['Company Name'],
+    service_type: ['Service Type', 'Service Requested'],
+    urgency_level: ['Urgency Level'],
+    client_full_name: ['Client Full Name'],
+    email: ['E-mail'],
+    phone_number: ['Customer Phone Number'],
+    customer_type: ['Customer Type'],
+    project_address: ['Project Address', 'Address'],
+    technical_description: ['Technical Description'],
+    budget_range: ['Budget Range'],
+    expected_timeline: ['Expected Timeline'],
+    preferred_contact_method: ['Preferred Contact Method'],
+    additional_notes: ['Additional Notes'],
+    special_requirements: ['Special Requirements'],
+    channel: ['Channel'],
+    responsable: ['Responsable'],
+    status: ['Customer Status'],
+    form_emailer_status: ['FormEmailer Status'],
+    invoice_status: ['Invoice Status'],
+    estimate_status: ['Estimate Status']
+};
+
+// Valores por defecto al importar filas incompletas del formulario
+const SHEET_DEFAULTS = {
+    company_name: 'IRIAS Ironworks',
+    urgency_level: 'Medium',
+    customer_type: 'Residential',
+    preferred_contact_method: 'Phone',
+    channel: 'Website',
+    status: 'New Lead',
+    form_emailer_status: 'Pending',
+    invoice_status: 'Pending',
+    estimate_status: 'Pending'
+};
+
+// manual: conflicts wait for an admin; last-writer-wins: newest side (sheet file modifiedTime vs row updated_at) wins
+const CONFLICT_STRATEGIES = ['manual', 'last-writer-wins'];
 
 class SyncService {
-    constructor() {
-        this.clientService = new ClientService();
-        this.emailService = new EmailService();
+    // emailService: shared instance so template and transport changes apply to sync notifications too
+    constructor(emailService = null) {
+        this.db = database;
+        this.emailService = emailService || new EmailService();
         this.sheets = null;
+        this.drive = null;
         this.spreadsheetId = process.env.GOOGLE_SHEETS_ID || '13Fld-uJgwWuJVVxyEJoB9h7zAVbN2HlizV5udmT5XZU';
         this.range = 'Form Responses 1!A:AA';
+        this.conflictStrategy = CONFLICT_STRATEGIES.includes(process.env.SYNC_CONFLICT_STRATEGY)
+            ? process.env.SYNC_CONFLICT_STRATEGY
+            : 'manual';
         this.syncInterval = null;
+        this.syncIntervalMinutes = 30;
         this.lastSyncTime = null;
         this.syncStatus = {
             isRunning: false,
             lastSync: null,
+            lastResult: null,
+            lastConflicts: [],
             errors: [],
             stats: {
                 totalSyncs: 0,
@@ -23,6 +72,8 @@ class SyncService {
                 failedSyncs: 0,
                 totalImported: 0,
                 totalUpdated: 0,
+                totalPushed: 0,
+                totalConflicts: 0,
                 totalErrors: 0
             }
         };
@@ -34,12 +85,18 @@ class SyncService {
         try {
             // Try to use service account first
             if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
-                const serviceAccountKey = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
+                // La clave puede venir en JSON o en base64 (como la usa google-sheets-integration)
+                const rawKey = process.env.GOOGLE_SERVICE_ACCOUNT_KEY.trim();
+                const serviceAccountKey = JSON.parse(rawKey.startsWith('{') ? rawKey : Buffer.from(rawKey, 'base64').toString());
                 const auth = new google.auth.GoogleAuth({
                     credentials: serviceAccountKey,
-                    scopes: ['https://www.googleapis.com/auth/spreadsheets']
+                    scopes: [
+                        'https://www.googleapis.com/auth/spreadsheets',
+                        'https://www.googleapis.com/auth/drive.metadata.readonly'
+                    ]
                 });
                 this.sheets = google.sheets({ version: 'v4', auth });
+                this.drive = google.drive({ version: 'v3', auth });
                 console.log('✅ Google Sheets initialized with service account');
             } else {
                 // Fallback to public access (read-only)
@@ -54,16 +111,8 @@ class SyncService {
 
     async initializeEmailService() {
         try {
-            // Try to configure email service with environment variables
-            const emailConfig = {
-                email: process.env.GMAIL_USER,
-                password: process.env.GMAIL_APP_PASSWORD,
-                service: 'gmail',
-                emailFromName: process.env.EMAIL_FROM_NAME || 'IRIAS Ironworks'
-            };
-
-            if (emailConfig.email && emailConfig.password) {
-                await this.emailService.configure(emailConfig);
+            // Saved transport (Gmail, SMTP, file or memory), then environment variables
+            if (await this.emailService.ensureConfigured()) {
                 console.log('✅ Email service initialized for sync notifications');
             } else {
                 console.log('⚠️ Email service not configured - sync notifications disabled');
@@ -80,6 +129,7 @@ class SyncService {
         }
 
         console.log(`🔄 Starting automatic sync every ${intervalMinutes} minutes`);
+        this.syncIntervalMinutes = intervalMinutes;
         
         this.syncInterval = setInterval(async () => {
             await this.performAutoSync();
@@ -102,7 +152,7 @@ class SyncService {
     async performAutoSync() {
         if (this.syncStatus.isRunning) {
             console.log('⚠️ Sync already running, skipping...');
-            return;
+            return { success: false, message: 'Sync already running' };
         }
 
         this.syncStatus.isRunning = true;
@@ -117,14 +167,14 @@ class SyncService {
                 this.syncStatus.stats.successfulSyncs++;
                 this.syncStatus.lastSync = new Date().toISOString();
                 
-                // Send success notification
+                // Send success notification (includes the conflicts report)
                 await this.sendSyncNotification(syncResult, 'success');
                 
                 console.log('✅ Automatic sync completed successfully');
             } else {
-                this.syncStatus.stats.failedSyncs++;
                 throw new Error(syncResult.message || 'Sync failed');
             }
+            return syncResult;
         } catch (error) {
             this.syncStatus.stats.failedSyncs++;
             this.syncStatus.errors.push({
@@ -141,6 +191,7 @@ class SyncService {
             await this.sendSyncNotification({ error: error.message }, 'error');
             
             console.error('❌ Automatic sync failed:', error.message);
+            return { success: false, message: error.message };
         } finally {
             this.syncStatus.isRunning = false;
         }
@@ -165,215 +216,421 @@ class SyncService {
 
             const emailContent = this.generateSyncNotificationEmail(syncResult, type);
             
-            const emailConfig = {
-                email: process.env.GMAIL_USER,
-                password: process.env.GMAIL_APP_PASSWORD,
-                service: 'gmail'
-            };
+            const fromEmail = this.emailService.configDB.getNotificationsConfig().email || process.env.GMAIL_USER || 'noreply@iriasironworks.com';
 
             const mailOptions = {
-                from: `"IRIAS Ironworks Sync" <${emailConfig.email}>`,
+                from: `"IRIAS Ironworks Sync" <${fromEmail}>`,
                 to: notificationEmails.join(', '),
-                subject: type === 'success' ? 
-                    '✅ Sync Completed Successfully - IRIAS Ironworks' : 
-                    '❌ Sync Failed - IRIAS Ironworks',
+                subject: emailContent.subject,
                 html: emailContent.html,
                 text: emailContent.text
             };
 
-            await this.emailService.transporter.sendMail(mailOptions);
+            await this.emailService.deliver(mailOptions);
             console.log(`📧 Sync notification sent to: ${notificationEmails.join(', ')}`);
         } catch (error) {
             console.error('❌ Error sending sync notification:', error);
         }
     }
 
-    // Generate sync notification email content
+    // Generate sync notification email content from the editable 'sync-notification' template
     generateSyncNotificationEmail(syncResult, type) {
         const isSuccess = type === 'success';
-        const timestamp = new Date().toLocaleString();
-        
-        const html = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="utf-8">
-                <style>
-                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                    .header { background: ${isSuccess ? 'linear-gradient(135deg, #059669 0%, #047857 100%)' : 'linear-gradient(135deg, #dc2626 0%, #991b1b 100%)'}; color: white; padding: 20px; text-align: center; }
-                    .content { padding: 20px; }
-                    .section { margin-bottom: 20px; }
-                    .section h3 { color: ${isSuccess ? '#059669' : '#dc2626'}; border-bottom: 2px solid ${isSuccess ? '#059669' : '#dc2626'}; padding-bottom: 5px; }
-                    .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin: 20px 0; }
-                    .stat-item { background: #f8f9fa; padding: 15px; border-radius: 8px; text-align: center; }
-                    .stat-value { font-size: 2rem; font-weight: bold; color: ${isSuccess ? '#059669' : '#dc2626'}; }
-                    .stat-label { color: #666; font-size: 0.9rem; }
-                    .footer { background: #f8f9fa; padding: 15px; text-align: center; color: #666; font-size: 12px; }
-                    .error-details { background: #fef2f2; border: 1px solid #fecaca; padding: 15px; border-radius: 8px; margin: 15px 0; }
-                </style>
-            </head>
-            <body>
-                <div class="header">
-                    <h1>${isSuccess ? '✅' : '❌'} SYNC ${isSuccess ? 'COMPLETED' : 'FAILED'}</h1>
-                    <p>IRIAS IRONWORKS SERVICES LLC</p>
-                </div>
-                
-                <div class="content">
-                    <div class="section">
-                        <h3>📊 SYNC STATISTICS</h3>
-                        <div class="stats-grid">
-                            ${isSuccess ? `
-                                <div class="stat-item">
-                                    <div class="stat-value">${syncResult.sheetsToDb?.imported || 0}</div>
-                                    <div class="stat-label">Imported</div>
-                                </div>
-                                <div class="stat-item">
-                                    <div class="stat-value">${syncResult.sheetsToDb?.updated || 0}</div>
-                                    <div class="stat-label">Updated</div>
-                                </div>
-                                <div class="stat-item">
-                                    <div class="stat-value">${syncResult.sheetsToDb?.errors || 0}</div>
-                                    <div class="stat-label">Errors</div>
-                                </div>
-                                <div class="stat-item">
-                                    <div class="stat-value">${syncResult.dbToSheets?.synced || 0}</div>
-                                    <div class="stat-label">Synced to Sheets</div>
-                                </div>
-                            ` : `
-                                <div class="stat-item">
-                                    <div class="stat-value">❌</div>
-                                    <div class="stat-label">Sync Failed</div>
-                                </div>
-                            `}
-                        </div>
-                    </div>
-                    
-                    <div class="section">
-                        <h3>⏰ TIMESTAMP</h3>
-                        <p><strong>Sync Time:</strong> ${timestamp}</p>
-                        <p><strong>Duration:</strong> ${syncResult.duration || 'N/A'}</p>
-                    </div>
-                    
-                    ${!isSuccess ? `
-                        <div class="section">
-                            <h3>❌ ERROR DETAILS</h3>
-                            <div class="error-details">
-                                <strong>Error:</strong> ${syncResult.error || 'Unknown error'}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    <div class="section">
-                        <h3>📈 OVERALL STATISTICS</h3>
-                        <p><strong>Total Syncs:</strong> ${this.syncStatus.stats.totalSyncs}</p>
-                        <p><strong>Successful Syncs:</strong> ${this.syncStatus.stats.successfulSyncs}</p>
-                        <p><strong>Failed Syncs:</strong> ${this.syncStatus.stats.failedSyncs}</p>
-                        <p><strong>Success Rate:</strong> ${this.syncStatus.stats.totalSyncs > 0 ? Math.round((this.syncStatus.stats.successfulSyncs / this.syncStatus.stats.totalSyncs) * 100) : 0}%</p>
+        const conflicts = syncResult.conflicts || [];
+        const stats = this.syncStatus.stats;
+        const escape = emailTemplateHelpers.escapeHtml;
+        const accentColor = isSuccess ? '#059669' : '#dc2626';
+        const conflictStrategy = this.conflictStrategy === 'manual' ? 'waiting for manual resolution' : 'resolved by last writer wins';
+
+        const counts = {
+            imported: syncResult.sheetsToDb?.imported || 0,
+            updated: syncResult.sheetsToDb?.updated || 0,
+            errors: syncResult.sheetsToDb?.errors || 0,
+            syncedToSheets: syncResult.dbToSheets?.synced || 0
+        };
+
+        const statItem = (value, label) => `
+            <div class="stat-item">
+                <div class="stat-value">${escape(value)}</div>
+                <div class="stat-label">${label}</div>
+            </div>`;
+        const statsHtml = isSuccess
+            ? [
+                statItem(counts.imported, 'Imported'),
+                statItem(counts.updated, 'Updated'),
+                statItem(counts.errors, 'Errors'),
+                statItem(counts.syncedToSheets, 'Synced to Sheets'),
+                statItem(conflicts.length, 'Conflicts')
+            ].join('')
+            : statItem('❌', 'Sync Failed');
+
+        // Los valores vienen de Sheets/MySQL: se escapan antes de insertarlos como HTML
+        const conflictsHtml = conflicts.length > 0 ? `
+            <div class="section">
+                <h3>⚠️ CONFLICTS (${conflictStrategy})</h3>
+                <p>These clients were edited both in Google Sheets and in the portal since the last sync.</p>
+                ${conflicts.map(conflict => `
+                    <div class="conflict">
+                        <strong>${escape(conflict.clientName || conflict.clientId)}</strong> (${escape(conflict.clientId)})${conflict.resolution ? ` - kept ${escape(conflict.resolution)} values` : ''}
+                        <table>
+                            <tr><th>Field</th><th>Google Sheets</th><th>Portal</th></tr>
+                            ${conflict.fields.map(field => `
+                                <tr><td>${escape(field)}</td><td>${escape(conflict.sheetValues[field] || '-')}</td><td>${escape(conflict.databaseValues[field] || '-')}</td></tr>
+                            `).join('')}
+                        </table>
                     </div>
+                `).join('')}
+            </div>` : '';
+
+        const errorHtml = !isSuccess ? `
+            <div class="section">
+                <h3>❌ ERROR DETAILS</h3>
+                <div class="error-details">
+                    <strong>Error:</strong> ${escape(syncResult.error || 'Unknown error')}
                 </div>
-                
-                <div class="footer">
-                    <p>This is an automated notification from IRIAS IRONWORKS SERVICES LLC.</p>
-                    <p>© 2024 IRIAS Ironworks. All rights reserved.</p>
-                </div>
-            </body>
-            </html>
-        `;
-
-        const text = `
-${isSuccess ? '✅' : '❌'} SYNC ${isSuccess ? 'COMPLETED' : 'FAILED'}
-IRIAS IRONWORKS SERVICES LLC
-
-📊 SYNC STATISTICS
-${isSuccess ? `
-Imported: ${syncResult.sheetsToDb?.imported || 0}
-Updated: ${syncResult.sheetsToDb?.updated || 0}
-Errors: ${syncResult.sheetsToDb?.errors || 0}
-Synced to Sheets: ${syncResult.dbToSheets?.synced || 0}
-` : `
-Sync Failed: ${syncResult.error || 'Unknown error'}
-`}
-
-⏰ TIMESTAMP
-Sync Time: ${timestamp}
-Duration: ${syncResult.duration || 'N/A'}
-
-📈 OVERALL STATISTICS
-Total Syncs: ${this.syncStatus.stats.totalSyncs}
-Successful Syncs: ${this.syncStatus.stats.successfulSyncs}
-Failed Syncs: ${this.syncStatus.stats.failedSyncs}
-Success Rate: ${this.syncStatus.stats.totalSyncs > 0 ? Math.round((this.syncStatus.stats.successfulSyncs / this.syncStatus.stats.totalSyncs) * 100) : 0}%
-
-This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
-© 2024 IRIAS Ironworks. All rights reserved.
-        `;
-
-        return { html, text };
+            </div>` : '';
+
+        const conflictsText = conflicts.length > 0
+            ? conflicts.map(conflict => [
+                `- ${conflict.clientName || conflict.clientId} (${conflict.clientId})${conflict.resolution ? ` - kept ${conflict.resolution} values` : ''}`,
+                ...conflict.fields.map(field => `    ${field}: sheet="${conflict.sheetValues[field] || ''}" portal="${conflict.databaseValues[field] || ''}"`)
+            ].join('\n')).join('\n')
+            : 'None';
+
+        let statusLabel = isSuccess ? 'Completed Successfully' : 'Failed';
+        if (isSuccess && conflicts.length > 0) {
+            statusLabel = `Completed with ${conflicts.length} Conflict${conflicts.length === 1 ? '' : 's'}`;
+        }
+
+        return this.emailService.templates.render('sync-notification', {
+            statusIcon: !isSuccess ? '❌' : conflicts.length > 0 ? '⚠️' : '✅',
+            statusTitle: isSuccess ? 'COMPLETED' : 'FAILED',
+            statusLabel,
+            headerBackground: isSuccess ? 'linear-gradient(135deg, #059669 0%, #047857 100%)' : 'linear-gradient(135deg, #dc2626 0%, #991b1b 100%)',
+            accentColor,
+            ...counts,
+            conflictCount: conflicts.length,
+            conflictStrategy,
+            conflictsText,
+            statsHtml,
+            conflictsHtml,
+            errorHtml,
+            error: isSuccess ? '' : `Sync Failed: ${syncResult.error || 'Unknown error'}`,
+            syncTime: new Date().toLocaleString(),
+            duration: syncResult.duration || 'N/A',
+            totalSyncs: stats.totalSyncs,
+            successfulSyncs: stats.successfulSyncs,
+            failedSyncs: stats.failedSyncs,
+            successRate: stats.totalSyncs > 0 ? Math.round((stats.successfulSyncs / stats.totalSyncs) * 100) : 0
+        });
     }
 
-    // Get sync status for dashboard
-    getSyncStatus() {
+    // Auto-sync state for /api/sync/status
+    getAutoSyncStatus() {
         return {
             ...this.syncStatus,
+            conflictStrategy: this.conflictStrategy,
             isAutoSyncRunning: !!this.syncInterval,
-            nextSyncTime: this.syncInterval ? new Date(Date.now() + 30 * 60 * 1000).toISOString() : null
+            nextSyncTime: this.syncInterval ? new Date(Date.now() + this.syncIntervalMinutes * 60 * 1000).toISOString() : null
+        };
+    }
+
+    // Open conflicts (MySQL); without a database only the last run's conflicts are known
+    async getConflictReport() {
+        if (!this.db.mysqlConnected) {
+            return {
+                strategy: this.conflictStrategy,
+                open: this.syncStatus.lastConflicts.length,
+                conflicts: this.syncStatus.lastConflicts,
+                persistent: false
+            };
+        }
+
+        const conflicts = await this.db.getSyncConflicts('Open');
+        return {
+            strategy: this.conflictStrategy,
+            open: conflicts.length,
+            conflicts: conflicts,
+            persistent: true
         };
     }
 
-    // Sync from Google Sheets to MySQL (one-time migration)
+    // Stable fingerprint of the synced columns of a sheet row (detects edits made in the sheet)
+    hashSheetValues(values) {
+        const normalized = Object.keys(SHEET_COLUMNS).map(column => String(values[column] || '').trim());
+        return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+    }
+
+    diffFields(sheetValues, databaseValues) {
+        return Object.keys(SHEET_COLUMNS).filter(column =>
+            String(sheetValues[column] || '').trim() !== String(databaseValues[column] || '').trim()
+        );
+    }
+
+    /**
+     * Read the form responses sheet with its header row
+     * @returns {Promise<{headers: string[], rows: Array<{rowNumber: number, values: string[], data: Object}>}>}
+     */
+    async loadSheet() {
+        if (this.sheets) {
+            const response = await this.sheets.spreadsheets.values.get({
+                spreadsheetId: this.spreadsheetId,
+                range: this.range
+            });
+            const [headers = [], ...rows] = response.data.values || [];
+            return {
+                headers: headers.map(header => header.trim()),
+                rows: rows.map((values, index) => ({
+                    rowNumber: index + 2,
+                    values: values,
+                    data: Object.fromEntries(headers.map((header, column) => [header.trim(), values[column] || '']))
+                }))
+            };
+        }
+
+        // Sin cuenta de servicio solo se puede leer (CSV público)
+        const rows = await this.getDataFromGoogleSheets();
+        return {
+            headers: rows.length > 0 ? Object.keys(rows[0]) : [],
+            rows: rows.map((data, index) => ({ rowNumber: index + 2, values: Object.values(data), data }))
+        };
+    }
+
+    findSheetRow(sheet, clientId) {
+        const rowMatch = /^ROW-(\d+)$/.exec(clientId);
+        if (rowMatch) {
+            return sheet.rows.find(row => row.rowNumber === parseInt(rowMatch[1], 10)) || null;
+        }
+        return sheet.rows.find(row => (row.data['Client ID'] || '').trim() === clientId) || null;
+    }
+
+    // Raw values of the synced columns as they are in the sheet
+    readSheetValues(data) {
+        const values = {};
+        for (const [column, headers] of Object.entries(SHEET_COLUMNS)) {
+            const header = headers.find(name => data[name] !== undefined && data[name] !== '');
+            values[column] = header ? String(data[header]).trim() : '';
+        }
+        return values;
+    }
+
+    // Parse sheet row to client data ({ clientId, values, hash } or null if incomplete)
+    parseSheetRow(sheetRow) {
+        try {
+            const raw = this.readSheetValues(sheetRow.data);
+            const values = { ...raw };
+            for (const [column, defaultValue] of Object.entries(SHEET_DEFAULTS)) {
+                values[column] = values[column] || defaultValue;
+            }
+            values.client_full_name = values.client_full_name || values.email;
+
+            // Las filas sin Client ID usan el mismo ID que el dashboard (ROW-<fila>)
+            const clientId = (sheetRow.data['Client ID'] || '').trim() || `ROW-${sheetRow.rowNumber}`;
+
+            // Validate required fields
+            if (!values.client_full_name || !values.email) {
+                console.log(`⚠️ Skipping row with missing required fields: ${clientId}`);
+                return null;
+            }
+
+            return { clientId, values, hash: this.hashSheetValues(raw) };
+        } catch (error) {
+            console.error('❌ Error parsing sheet row:', error);
+            return null;
+        }
+    }
+
+    // Row for the sheet: synced columns written by header, any other column kept as it was
+    buildSheetRow(headers, clientId, values, existingValues = null) {
+        const row = headers.map((header, column) => (existingValues && existingValues[column]) || '');
+
+        for (const [column, candidates] of Object.entries(SHEET_COLUMNS)) {
+            const index = headers.findIndex(header => candidates.includes(header));
+            if (index !== -1 && values[column] !== undefined && values[column] !== null) {
+                row[index] = String(values[column]);
+            }
+        }
+
+        const idIndex = headers.indexOf('Client ID');
+        if (idIndex !== -1 && !row[idIndex] && !clientId.startsWith('ROW-')) {
+            row[idIndex] = clientId;
+        }
+        const timestampIndex = headers.indexOf('Timestamp');
+        if (timestampIndex !== -1 && !row[timestampIndex]) {
+            row[timestampIndex] = new Date().toLocaleString();
+        }
+
+        return row;
+    }
+
+    // Write the database values of a client to its sheet row (append if missing); returns the new row hash
+    async writeClientToSheet(sheet, clientId, values) {
+        if (!this.sheets) {
+            throw createError('Google Sheets not available for writing', 'SHEETS_UNAVAILABLE');
+        }
+
+        const sheetName = this.range.split('!')[0];
+        const existing = this.findSheetRow(sheet, clientId);
+        const row = this.buildSheetRow(sheet.headers, clientId, values, existing ? existing.values : null);
+
+        if (existing) {
+            await this.sheets.spreadsheets.values.update({
+                spreadsheetId: this.spreadsheetId,
+                range: `${sheetName}!A${existing.rowNumber}`,
+                valueInputOption: 'RAW',
+                resource: { values: [row] }
+            });
+        } else {
+            await this.sheets.spreadsheets.values.append({
+                spreadsheetId: this.spreadsheetId,
+                range: this.range,
+                valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS',
+                resource: { values: [row] }
+            });
+        }
+
+        const data = Object.fromEntries(sheet.headers.map((header, column) => [header, row[column] || '']));
+        return this.hashSheetValues(this.readSheetValues(data));
+    }
+
+    // Last edit of the spreadsheet file (Sheets has no per-row edit time); null if Drive is not reachable
+    async getSheetModifiedTime() {
+        try {
+            if (!this.drive) {
+                return null;
+            }
+            const response = await this.drive.files.get({
+                fileId: this.spreadsheetId,
+                fields: 'modifiedTime'
+            });
+            return response.data.modifiedTime ? new Date(response.data.modifiedTime) : null;
+        } catch (error) {
+            console.warn(`⚠️ Could not read spreadsheet modifiedTime: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Pull changes from Google Sheets into MySQL. A row edited only in the sheet
+     * overwrites the database; a row edited on both sides since the last sync is a
+     * conflict handled by the configured strategy.
+     */
     async syncFromSheetsToDatabase() {
         const startTime = Date.now();
         
         try {
             console.log('🔄 Starting sync from Google Sheets to MySQL...');
+
+            if (!this.db.mysqlConnected) {
+                throw createError('MySQL not connected', 'DATABASE_UNAVAILABLE');
+            }
             
             // Get data from Google Sheets
-            const sheetsData = await this.getDataFromGoogleSheets();
-            if (!sheetsData || sheetsData.length === 0) {
+            const sheet = await this.loadSheet();
+            if (sheet.rows.length === 0) {
                 console.log('ℹ️ No data found in Google Sheets');
-                return { success: true, message: 'No data to sync', duration: Date.now() - startTime };
+                return { success: true, message: 'No data to sync', imported: 0, updated: 0, unchanged: 0, errors: 0, conflicts: [], duration: Date.now() - startTime };
             }
 
             let imported = 0;
             let updated = 0;
+            let unchanged = 0;
             let errors = 0;
+            const conflicts = [];
+            let sheetModifiedTime;
+
+            for (const sheetRow of sheet.rows) {
+                const parsed = this.parseSheetRow(sheetRow);
+                if (!parsed) continue;
 
-            for (const row of sheetsData) {
                 try {
-                    const clientData = this.parseSheetRow(row);
-                    if (!clientData) continue;
-
-                    // Check if client exists in database
-                    const existingClient = await this.clientService.getClientById(clientData.client_id);
-                    
-                    if (existingClient) {
-                        // Update existing client
-                        await this.clientService.updateClient(clientData.client_id, clientData);
-                        updated++;
-                    } else {
-                        // Create new client
-                        await this.clientService.createClient(clientData);
+                    const { clientId, values, hash } = parsed;
+                    const state = await this.db.getClientSyncState(clientId);
+
+                    if (!state) {
+                        await this.db.upsertClientFromSheet(clientId, values, hash);
                         imported++;
                         
                         // Send new lead notification
-                        await this.sendNewLeadNotification(clientData);
+                        await this.sendNewLeadNotification(values);
+                        continue;
+                    }
+
+                    const sheetChanged = state.sheetRowHash !== hash;
+                    const databaseChanged = !state.syncedAt || new Date(state.updatedAt) > new Date(state.syncedAt);
+
+                    // Sin hash previo (clientes anteriores al seguimiento de cambios) la hoja es la referencia
+                    if (!sheetChanged || (!state.sheetRowHash && !databaseChanged)) {
+                        unchanged++;
+                        continue;
+                    }
+
+                    if (!databaseChanged || !state.sheetRowHash) {
+                        await this.db.upsertClientFromSheet(clientId, values, hash);
+                        updated++;
+                        continue;
                     }
+
+                    const fields = this.diffFields(values, state.values);
+                    if (fields.length === 0) {
+                        // Both sides ended up with the same values
+                        await this.db.markClientSynced(clientId, hash);
+                        unchanged++;
+                        continue;
+                    }
+
+                    const conflict = {
+                        clientId,
+                        clientName: values.client_full_name,
+                        fields,
+                        sheetValues: Object.fromEntries(fields.map(field => [field, values[field]])),
+                        databaseValues: Object.fromEntries(fields.map(field => [field, state.values[field]])),
+                        sheetRowHash: hash,
+                        resolution: null
+                    };
+
+                    if (this.conflictStrategy === 'last-writer-wins') {
+                        if (sheetModifiedTime === undefined) {
+                            sheetModifiedTime = await this.getSheetModifiedTime();
+                        }
+                        if (sheetModifiedTime) {
+                            if (sheetModifiedTime > new Date(state.updatedAt)) {
+                                await this.db.upsertClientFromSheet(clientId, values, hash);
+                                conflict.resolution = 'sheets';
+                            } else {
+                                const newHash = await this.writeClientToSheet(sheet, clientId, state.values);
+                                await this.db.markClientSynced(clientId, newHash);
+                                conflict.resolution = 'database';
+                            }
+                            console.log(`⚖️ Conflict on ${clientId} resolved by last writer wins (${conflict.resolution})`);
+                            conflicts.push(conflict);
+                            continue;
+                        }
+                    }
+
+                    // Manual: se guarda para que un admin elija qué versión conservar
+                    await this.db.recordSyncConflict(conflict);
+                    console.log(`⚠️ Sync conflict on ${clientId}: ${fields.join(', ')}`);
+                    conflicts.push(conflict);
                 } catch (error) {
-                    console.error(`❌ Error syncing client ${row.client_id}:`, error.message);
+                    console.error(`❌ Error syncing client ${parsed.clientId}:`, error.message);
                     errors++;
                 }
             }
 
             const duration = Date.now() - startTime;
-            console.log(`✅ Sync completed: ${imported} imported, ${updated} updated, ${errors} errors (${duration}ms)`);
+            console.log(`✅ Sync completed: ${imported} imported, ${updated} updated, ${conflicts.length} conflicts, ${errors} errors (${duration}ms)`);
             
             return {
                 success: true,
                 imported,
                 updated,
+                unchanged,
                 errors,
+                conflicts,
                 duration,
-                message: `Sync completed: ${imported} imported, ${updated} updated, ${errors} errors`
+                message: `Sync completed: ${imported} imported, ${updated} updated, ${conflicts.length} conflicts, ${errors} errors`
             };
         } catch (error) {
             console.error('❌ Error syncing from sheets to database:', error);
@@ -398,8 +655,18 @@ This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
                 return;
             }
 
+            // EmailService trabaja con los campos del formulario (camelCase)
             await this.emailService.sendNewLeadNotification(
-                clientData,
+                {
+                    clientFullName: clientData.client_full_name,
+                    email: clientData.email,
+                    customerPhoneNumber: clientData.phone_number,
+                    address: clientData.project_address,
+                    customerType: clientData.customer_type,
+                    customerStatus: clientData.status,
+                    serviceType: clientData.service_type,
+                    companyName: clientData.company_name
+                },
                 notificationEmails[0],
                 notificationEmails.length > 1 ? notificationEmails[1] : null
             );
@@ -420,26 +687,17 @@ This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
 
             console.log(`🔄 Syncing client ${clientData.client_id} to Google Sheets...`);
 
-            // Prepare row data for Google Sheets
-            const rowData = this.prepareRowForSheets(clientData);
-
-            // Append to Google Sheets
-            const response = await this.sheets.spreadsheets.values.append({
-                spreadsheetId: this.spreadsheetId,
-                range: this.range,
-                valueInputOption: 'RAW',
-                insertDataOption: 'INSERT_ROWS',
-                resource: {
-                    values: [rowData]
-                }
-            });
+            const sheet = await this.loadSheet();
+            const hash = await this.writeClientToSheet(sheet, clientData.client_id, clientData);
+            if (this.db.mysqlConnected) {
+                await this.db.markClientSynced(clientData.client_id, hash);
+            }
 
             console.log(`✅ Client ${clientData.client_id} synced to Google Sheets`);
             
             return {
                 success: true,
-                message: 'Client synced to Google Sheets',
-                response: response.data
+                message: 'Client synced to Google Sheets'
             };
         } catch (error) {
             console.error('❌ Error syncing to Google Sheets:', error);
@@ -457,30 +715,28 @@ This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
 
             console.log(`🔄 Updating client ${clientId} in Google Sheets...`);
 
-            // Find the row in Google Sheets
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.spreadsheetId,
-                range: this.range
-            });
-
-            const rows = response.data.values;
-            const rowIndex = rows.findIndex(row => row[1] === clientId); // Client ID is in column B
-
-            if (rowIndex === -1) {
+            const sheet = await this.loadSheet();
+            const sheetRow = this.findSheetRow(sheet, clientId);
+            if (!sheetRow) {
                 console.log(`⚠️ Client ${clientId} not found in Google Sheets`);
                 return { success: false, message: 'Client not found in sheets' };
             }
 
-            // Update the row
-            const updatedRow = this.prepareRowForSheets(updateData);
-            await this.sheets.spreadsheets.values.update({
-                spreadsheetId: this.spreadsheetId,
-                range: `Form Responses 1!A${rowIndex + 1}:AA${rowIndex + 1}`,
-                valueInputOption: 'RAW',
-                resource: {
-                    values: [updatedRow]
+            const state = this.db.mysqlConnected ? await this.db.getClientSyncState(clientId) : null;
+            if (state && state.sheetRowHash) {
+                // La fila también se editó en la hoja: el próximo sync lo tratará como conflicto
+                const parsed = this.parseSheetRow(sheetRow);
+                if (parsed && parsed.hash !== state.sheetRowHash) {
+                    console.log(`⚠️ Client ${clientId} changed in Google Sheets since last sync, update left for conflict check`);
+                    return { success: false, message: 'Client changed in sheets since last sync' };
                 }
-            });
+            }
+
+            const values = { ...(state ? state.values : {}), ...updateData };
+            const hash = await this.writeClientToSheet(sheet, clientId, values);
+            if (this.db.mysqlConnected) {
+                await this.db.markClientSynced(clientId, hash);
+            }
 
             console.log(`✅ Client ${clientId} updated in Google Sheets`);
             
@@ -534,82 +790,6 @@ This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
         return rows;
     }
 
-    // Parse sheet row to client data
-    parseSheetRow(row) {
-        try {
-            // Map Google Sheets columns to database fields
-            const clientData = {
-                client_id: row['Client ID'] || this.generateClientId(),
-                company_name: row['Company Name'] || 'IRIAS Ironworks',
-                service_type: row['Service Type'] || row['Service Requested'] || '',
-                urgency_level: row['Urgency Level'] || 'Medium',
-                client_full_name: row['Client Full Name'] || row['E-mail'] || '',
-                email: row['E-mail'] || '',
-                phone_number: row['Customer Phone Number'] || '',
-                customer_type: row['Customer Type'] || 'Residential',
-                project_address: row['Project Address'] || row['Address'] || '',
-                technical_description: row['Technical Description'] || '',
-                budget_range: row['Budget Range'] || '',
-                expected_timeline: row['Expected Timeline'] || '',
-                preferred_contact_method: row['Preferred Contact Method'] || 'Phone',
-                additional_notes: row['Additional Notes'] || '',
-                special_requirements: row['Special Requirements'] || '',
-                channel: row['Channel'] || 'Website',
-                responsable: row['Responsable'] || '',
-                status: row['Customer Status'] || 'New Lead',
-                form_emailer_status: row['FormEmailer Status'] || 'Pending',
-                invoice_status: row['Invoice Status'] || 'Pending',
-                estimate_status: row['Estimate Status'] || 'Pending'
-            };
-
-            // Validate required fields
-            if (!clientData.client_full_name || !clientData.email) {
-                console.log(`⚠️ Skipping row with missing required fields: ${clientData.client_id}`);
-                return null;
-            }
-
-            return clientData;
-        } catch (error) {
-            console.error('❌ Error parsing sheet row:', error);
-            return null;
-        }
-    }
-
-    // Prepare client data for Google Sheets
-    prepareRowForSheets(clientData) {
-        return [
-            new Date().toISOString(), // Timestamp
-            clientData.client_id,
-            clientData.company_name,
-            clientData.service_type,
-            clientData.urgency_level,
-            clientData.client_full_name,
-            clientData.email,
-            clientData.phone_number,
-            clientData.customer_type,
-            clientData.project_address,
-            clientData.technical_description,
-            clientData.budget_range,
-            clientData.expected_timeline,
-            clientData.preferred_contact_method,
-            clientData.additional_notes,
-            clientData.special_requirements,
-            clientData.channel,
-            clientData.responsable,
-            clientData.status,
-            clientData.form_emailer_status,
-            clientData.invoice_status,
-            clientData.estimate_status
-        ];
-    }
-
-    // Generate client ID
-    generateClientId() {
-        const timestamp = Date.now().toString().slice(-6);
-        const random = Math.random().toString(36).substr(2, 3).toUpperCase();
-        return `CLI${timestamp}${random}`;
-    }
-
     // Full sync (MySQL ↔ Google Sheets)
     async fullSync() {
         const startTime = Date.now();
@@ -617,18 +797,36 @@ This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
         try {
             console.log('🔄 Starting full sync between MySQL and Google Sheets...');
             
-            // First, sync from sheets to database
+            // First, pull sheet edits (and detect conflicts)
             const sheetsToDb = await this.syncFromSheetsToDatabase();
             
-            // Then, sync any new database records to sheets
+            // Then, push portal edits that are not in conflict
             const dbToSheets = await this.syncNewRecordsToSheets();
             
             const duration = Date.now() - startTime;
+            const conflicts = sheetsToDb.conflicts || [];
+
+            this.syncStatus.stats.totalImported += sheetsToDb.imported || 0;
+            this.syncStatus.stats.totalUpdated += sheetsToDb.updated || 0;
+            this.syncStatus.stats.totalPushed += dbToSheets.synced || 0;
+            this.syncStatus.stats.totalConflicts += conflicts.length;
+            this.syncStatus.stats.totalErrors += (sheetsToDb.errors || 0) + (dbToSheets.errors || 0);
+            this.syncStatus.lastConflicts = conflicts;
+            this.syncStatus.lastResult = {
+                timestamp: new Date().toISOString(),
+                imported: sheetsToDb.imported || 0,
+                updated: sheetsToDb.updated || 0,
+                pushed: dbToSheets.synced || 0,
+                conflicts: conflicts.length,
+                errors: (sheetsToDb.errors || 0) + (dbToSheets.errors || 0),
+                duration
+            };
             
             return {
                 success: true,
                 sheetsToDb,
                 dbToSheets,
+                conflicts,
                 duration,
                 message: 'Full sync completed'
             };
@@ -638,30 +836,44 @@ This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
         }
     }
 
-    // Sync new database records to sheets
+    // Push clients created or edited in the portal since their last sync
     async syncNewRecordsToSheets() {
         try {
             if (!this.sheets) {
                 return { success: false, message: 'Google Sheets not available' };
             }
 
-            // Get recent clients from database
-            const recentClients = await this.clientService.getRecentClients(50);
+            const pending = await this.db.getClientsPendingPush();
+            const openConflicts = new Set((await this.db.getSyncConflicts('Open')).map(conflict => conflict.clientId));
+            const sheet = await this.loadSheet();
             
             let synced = 0;
+            let skipped = 0;
             let errors = 0;
 
-            for (const client of recentClients) {
+            for (const state of pending) {
                 try {
-                    // Check if client exists in sheets
-                    const existsInSheets = await this.clientExistsInSheets(client.client_id);
-                    
-                    if (!existsInSheets) {
-                        await this.syncToGoogleSheets(client);
-                        synced++;
+                    // Los clientes en conflicto esperan a que un admin elija versión
+                    if (openConflicts.has(state.clientId)) {
+                        skipped++;
+                        continue;
+                    }
+
+                    // Si la hoja también cambió, el siguiente pull lo detectará como conflicto
+                    const sheetRow = this.findSheetRow(sheet, state.clientId);
+                    if (sheetRow && state.sheetRowHash) {
+                        const parsed = this.parseSheetRow(sheetRow);
+                        if (parsed && parsed.hash !== state.sheetRowHash) {
+                            skipped++;
+                            continue;
+                        }
                     }
+
+                    const hash = await this.writeClientToSheet(sheet, state.clientId, state.values);
+                    await this.db.markClientSynced(state.clientId, hash);
+                    synced++;
                 } catch (error) {
-                    console.error(`❌ Error syncing client ${client.client_id}:`, error.message);
+                    console.error(`❌ Error syncing client ${state.clientId}:`, error.message);
                     errors++;
                 }
             }
@@ -669,8 +881,9 @@ This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
             return {
                 success: true,
                 synced,
+                skipped,
                 errors,
-                message: `Synced ${synced} new clients to sheets`
+                message: `Synced ${synced} clients to sheets`
             };
         } catch (error) {
             console.error('❌ Error syncing new records to sheets:', error);
@@ -678,43 +891,71 @@ This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
         }
     }
 
-    // Check if client exists in Google Sheets
-    async clientExistsInSheets(clientId) {
-        try {
-            if (!this.sheets) return false;
+    /**
+     * Resolve an open conflict keeping the sheet or the database version
+     * @param {number} conflictId - sync_conflicts id
+     * @param {string} resolution - 'sheets' or 'database'
+     * @param {string} resolvedBy - Admin email
+     */
+    async resolveConflict(conflictId, resolution, resolvedBy = null) {
+        if (!['sheets', 'database'].includes(resolution)) {
+            throw createError("resolution must be 'sheets' or 'database'", 'VALIDATION_ERROR');
+        }
 
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.spreadsheetId,
-                range: this.range
-            });
+        const conflict = await this.db.getSyncConflictById(conflictId);
+        if (!conflict) {
+            throw createError('Sync conflict not found', 'NOT_FOUND');
+        }
+        if (conflict.status !== 'Open') {
+            throw createError('Sync conflict is already resolved', 'VALIDATION_ERROR');
+        }
 
-            const rows = response.data.values;
-            return rows.some(row => row[1] === clientId); // Client ID is in column B
-        } catch (error) {
-            console.error('❌ Error checking client in sheets:', error);
-            return false;
+        const sheet = await this.loadSheet();
+        const sheetRow = this.findSheetRow(sheet, conflict.clientId);
+
+        if (resolution === 'sheets') {
+            const parsed = sheetRow ? this.parseSheetRow(sheetRow) : null;
+            if (!parsed) {
+                throw createError(`Client ${conflict.clientId} is no longer in Google Sheets`, 'NOT_FOUND');
+            }
+            await this.db.upsertClientFromSheet(conflict.clientId, parsed.values, parsed.hash);
+        } else {
+            const state = await this.db.getClientSyncState(conflict.clientId);
+            if (!state) {
+                throw createError(`Client ${conflict.clientId} is no longer in the database`, 'NOT_FOUND');
+            }
+            const hash = await this.writeClientToSheet(sheet, conflict.clientId, state.values);
+            await this.db.markClientSynced(conflict.clientId, hash);
         }
+
+        console.log(`✅ Sync conflict ${conflictId} (${conflict.clientId}) resolved with ${resolution} values by ${resolvedBy || 'system'}`);
+        return this.db.resolveSyncConflict(conflictId, resolution, resolvedBy);
     }
 
-    // Get sync status
+    // Database vs Google Sheets overview
     async getSyncStatus() {
         try {
-            const dbClients = await this.clientService.getAllClients(1, 1000);
+            const dbClients = this.db.mysqlConnected ? await this.db.getClients() : [];
             const sheetsData = await this.getDataFromGoogleSheets();
+            const conflictReport = await this.getConflictReport();
             
             return {
                 database: {
-                    total: dbClients.clients.length,
-                    newLeads: dbClients.clients.filter(c => c.status === 'New Lead').length
+                    total: dbClients.length,
+                    newLeads: dbClients.filter(c => c.status === 'New Lead').length
                 },
                 googleSheets: {
                     total: sheetsData.length,
                     accessible: true
                 },
-                lastSync: new Date().toISOString(),
+                conflicts: {
+                    open: conflictReport.open,
+                    strategy: conflictReport.strategy
+                },
+                lastSync: this.syncStatus.lastSync,
                 autoSync: {
                     isRunning: !!this.syncInterval,
-                    nextSync: this.syncInterval ? new Date(Date.now() + 30 * 60 * 1000).toISOString() : null
+                    nextSync: this.syncInterval ? new Date(Date.now() + this.syncIntervalMinutes * 60 * 1000).toISOString() : null
                 }
             };
         } catch (error) {
@@ -722,6 +963,7 @@ This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
             return {
                 database: { total: 0, newLeads: 0 },
                 googleSheets: { total: 0, accessible: false },
+                conflicts: { open: 0, strategy: this.conflictStrategy },
                 lastSync: null,
                 autoSync: {
                     isRunning: !!this.syncInterval,
@@ -733,4 +975,4 @@ This is an automated notification from IRIAS IRONWORKS SERVICES LLC.
     }
 }
 
-module.exports = SyncService; 
\ No newline at end of file
+module.exports = SyncService;
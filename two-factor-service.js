@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const database = require('./database');
+const { config: securityConfig, helpers: securityHelpers } = require('./config/security');
+const { createError } = require('./service-error');
+
+const settings = securityConfig.twoFactor;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Two-factor authentication with TOTP (Google Authenticator, Authy, 1Password...).
+ * - Enrolment: a pending secret shown as a QR code, confirmed by the first valid code, plus one-time backup codes
+ * - Login: after the password/Google step a short-lived challenge token waits for the code before the JWT is issued
+ * - Step-up: a fresh code unlocks sensitive system-config actions for a few minutes, bound to the current session (jti)
+ */
+class TwoFactorService {
+    constructor() {
+        this.db = database;
+        // Challenge and step-up tokens use their own key: they can never pass as a session JWT
+        this.tokenKey = crypto.createHmac('sha256', securityConfig.jwt.secret).update('two-factor-tokens').digest();
+        this.encryptionKey = crypto.createHash('sha256').update(settings.encryptionKey).digest();
+    }
+
+    // Sin MySQL no hay dónde guardar secretos: los roles con 2FA obligatoria quedan bloqueados
+    isAvailable() {
+        return this.db.mysqlConnected;
+    }
+
+    assertAvailable() {
+        if (!this.isAvailable()) {
+            throw createError('Two-factor authentication requires the database', 'TWO_FACTOR_UNAVAILABLE');
+        }
+    }
+
+    isEnforced(user) {
+        return !!(user && settings.enforcedRoles.includes(user.role));
+    }
+
+    // --- TOTP (RFC 6238) ---
+
+    base32Encode(buffer) {
+        let bits = '';
+        for (const byte of buffer) {
+            bits += byte.toString(2).padStart(8, '0');
+        }
+        let output = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+        }
+        return output;
+    }
+
+    base32Decode(value) {
+        const clean = String(value || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+        let bits = '';
+        for (const char of clean) {
+            bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+        }
+        const bytes = [];
+        for (let i = 0; i + 8 <= bits.length; i += 8) {
+            bytes.push(parseInt(bits.substring(i, i + 8), 2));
+        }
+        return Buffer.from(bytes);
+    }
+
+    generateSecret() {
+        return this.base32Encode(crypto.randomBytes(20));
+    }
+
+    currentStep(now = Date.now()) {
+        return Math.floor(now / 1000 / settings.step);
+    }
+
+    generateCode(secret, step = this.currentStep()) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+        return String(binary % (10 ** settings.digits)).padStart(settings.digits, '0');
+    }
+
+    /**
+     * Step matched by a code inside the drift window, or null.
+     * Steps up to lastUsedStep are refused so a code can't be used twice.
+     */
+    findMatchingStep(secret, code, lastUsedStep = null) {
+        const current = this.currentStep();
+        for (let step = current - settings.window; step <= current + settings.window; step++) {
+            if (lastUsedStep !== null && step <= lastUsedStep) {
+                continue;
+            }
+            const expected = Buffer.from(this.generateCode(secret, step));
+            const provided = Buffer.from(code);
+            if (expected.length === provided.length && crypto.timingSafeEqual(expected, provided)) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    buildOtpAuthUrl(email, secret) {
+        const label = encodeURIComponent(`${settings.issuer}:${email}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: settings.issuer,
+            algorithm: 'SHA1',
+            digits: String(settings.digits),
+            period: String(settings.step)
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    // --- Secret storage (AES-256-GCM) and backup codes (SHA-256) ---
+
+    encryptSecret(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+    }
+
+    decryptSecret(value) {
+        const [iv, tag, encrypted] = String(value || '').split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    normalizeBackupCode(code) {
+        return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    hashBackupCode(code) {
+        return crypto.createHash('sha256').update(this.normalizeBackupCode(code)).digest('hex');
+    }
+
+    // xxxx-xxxx: shown once, only the hashes are stored
+    generateBackupCodes() {
+        const codes = [];
+        for (let i = 0; i < settings.backupCodeCount; i++) {
+            const value = crypto.randomBytes(4).toString('hex');
+            codes.push(`${value.substring(0, 4)}-${value.substring(4)}`);
+        }
+        return codes;
+    }
+
+    // --- Enrolment and verification ---
+
+    /**
+     * 2FA state of a user for the account page
+     * @returns {Promise<Object>} - { available, enabled, enforced, pendingEnrollment, backupCodesRemaining, enabledAt }
+     */
+    async getStatus(user) {
+        const status = {
+            available: this.isAvailable(),
+            enabled: false,
+            enforced: this.isEnforced(user),
+            pendingEnrollment: false,
+            backupCodesRemaining: 0,
+            enabledAt: null
+        };
+        if (!status.available) {
+            return status;
+        }
+
+        const record = await this.db.getUserTwoFactor(user.email);
+        if (record) {
+            status.enabled = record.enabled;
+            status.pendingEnrollment = !record.enabled && !!record.pendingSecretEncrypted;
+            status.backupCodesRemaining = record.backupCodes.length;
+            status.enabledAt = record.enabledAt;
+        }
+        return status;
+    }
+
+    /**
+     * Second step needed before a login gets its JWT
+     * @returns {Promise<string|null>} - 'verify' (enrolled), 'setup' (role requires it, not enrolled yet) or null
+     */
+    async getLoginRequirement(user) {
+        if (!this.isAvailable()) {
+            if (this.isEnforced(user)) {
+                console.warn(`⚠️ MySQL not connected, login blocked for ${user.email} (two-factor required for ${user.role})`);
+                this.assertAvailable();
+            }
+            return null;
+        }
+
+        const record = await this.db.getUserTwoFactor(user.email);
+        if (record && record.enabled) {
+            return 'verify';
+        }
+        return this.isEnforced(user) ? 'setup' : null;
+    }
+
+    /**
+     * Start (or restart) enrolment with a new secret
+     * @returns {Promise<Object>} - { secret, otpauthUrl, qrDataUrl }
+     */
+    async beginEnrollment(user) {
+        this.assertAvailable();
+
+        const record = await this.db.getUserTwoFactor(user.email);
+        if (record && record.enabled) {
+            throw createError('Two-factor authentication is already enabled', 'VALIDATION_ERROR');
+        }
+
+        const secret = this.generateSecret();
+        await this.db.saveUserTwoFactorPending(user.email, this.encryptSecret(secret));
+
+        const otpauthUrl = this.buildOtpAuthUrl(user.email, secret);
+        const qrDataUrl = await QRCode.toDataURL(otpauthUrl);
+
+        console.log(`🔐 Two-factor enrolment started for ${user.email}`);
+        return { secret, otpauthUrl, qrDataUrl };
+    }
+
+    /**
+     * Finish enrolment with the first code from the app
+     * @returns {Promise<Object>} - { backupCodes } (plain, shown once)
+     */
+    async confirmEnrollment(user, code) {
+        this.assertAvailable();
+
+        const record = await this.db.getUserTwoFactor(user.email);
+        if (!record || !record.pendingSecretEncrypted) {
+            throw createError('No two-factor enrolment in progress', 'VALIDATION_ERROR');
+        }
+        this.assertNotLocked(record);
+
+        const secret = this.decryptSecret(record.pendingSecretEncrypted);
+        const step = this.findMatchingStep(secret, String(code || '').replace(/\s/g, ''));
+        if (step === null) {
+            await this.recordFailure(user.email);
+        }
+
+        const backupCodes = this.generateBackupCodes();
+        await this.db.enableUserTwoFactor(user.email, this.encryptSecret(secret), backupCodes.map(item => this.hashBackupCode(item)), step);
+
+        console.log(`✅ Two-factor authentication enabled for ${user.email}`);
+        return { backupCodes };
+    }
+
+    /**
+     * Check a TOTP code or a backup code (backup codes are single use)
+     * @returns {Promise<Object>} - { method: 'totp'|'backup_code', backupCodesRemaining }
+     */
+    async verifyCode(user, code) {
+        this.assertAvailable();
+
+        const record = await this.db.getUserTwoFactor(user.email);
+        if (!record || !record.enabled) {
+            throw createError('Two-factor authentication is not enabled', 'TWO_FACTOR_SETUP_REQUIRED');
+        }
+        this.assertNotLocked(record);
+
+        const value = String(code || '').replace(/\s/g, '');
+        if (/^\d+$/.test(value)) {
+            const step = this.findMatchingStep(this.decryptSecret(record.secretEncrypted), value, record.lastUsedStep);
+            if (step !== null) {
+                await this.db.recordUserTwoFactorSuccess(user.email, { lastUsedStep: step });
+                return { method: 'totp', backupCodesRemaining: record.backupCodes.length };
+            }
+        } else if (value) {
+            const hash = this.hashBackupCode(value);
+            if (record.backupCodes.includes(hash)) {
+                const remaining = record.backupCodes.filter(item => item !== hash);
+                await this.db.recordUserTwoFactorSuccess(user.email, { backupCodeHashes: remaining });
+                console.log(`🔑 Backup code used by ${user.email}, ${remaining.length} left`);
+                return { method: 'backup_code', backupCodesRemaining: remaining.length };
+            }
+        }
+
+        await this.recordFailure(user.email);
+    }
+
+    assertNotLocked(record) {
+        if (record.lockedUntil && new Date(record.lockedUntil).getTime() > Date.now()) {
+            throw createError(`Too many invalid codes, try again after ${new Date(record.lockedUntil).toISOString()}`, 'TOO_MANY_ATTEMPTS');
+        }
+    }
+
+    // Counts the wrong code and always throws
+    async recordFailure(email) {
+        const record = await this.db.recordUserTwoFactorFailure(email, settings.maxAttempts, settings.lockMinutes);
+        console.warn(`⚠️ Invalid two-factor code for ${email} (${record ? record.failedAttempts : '?'} failed)`);
+        if (record) {
+            this.assertNotLocked(record);
+        }
+        throw createError('Invalid verification code', 'VALIDATION_ERROR');
+    }
+
+    async disable(user, code) {
+        if (this.isEnforced(user)) {
+            throw createError(`Two-factor authentication is required for the ${user.role} role`, 'VALIDATION_ERROR');
+        }
+        await this.verifyCode(user, code);
+        await this.db.deleteUserTwoFactor(user.email);
+        console.log(`🔓 Two-factor authentication disabled for ${user.email}`);
+        return true;
+    }
+
+    // New set of backup codes; the previous ones stop working
+    async regenerateBackupCodes(user, code) {
+        await this.verifyCode(user, code);
+        const backupCodes = this.generateBackupCodes();
+        await this.db.setUserTwoFactorBackupCodes(user.email, backupCodes.map(item => this.hashBackupCode(item)));
+        console.log(`🔑 Backup codes regenerated for ${user.email}`);
+        return { backupCodes };
+    }
+
+    // --- Login challenge ---
+
+    /**
+     * Token held between the first login step and the code (pending cookie for Google, mfaToken for the password API)
+     * @param {Object} user - What the login needs to finish (email, role...)
+     * @param {Object} options - { authMethod, requirement: 'verify'|'setup' }
+     */
+    createLoginChallenge(user, { authMethod = 'google', requirement = 'verify' } = {}) {
+        return jwt.sign(
+            { purpose: '2fa_login', user, authMethod, setup: requirement === 'setup' },
+            this.tokenKey,
+            { expiresIn: settings.pendingMaxAge }
+        );
+    }
+
+    verifyLoginChallenge(token) {
+        try {
+            const decoded = jwt.verify(String(token || ''), this.tokenKey);
+            if (decoded.purpose === '2fa_login' && decoded.user && decoded.user.email) {
+                return decoded;
+            }
+        } catch (error) {
+            // Token expirado o manipulado: mismo mensaje
+        }
+        throw createError('Login verification expired, please sign in again', 'LOGIN_EXPIRED');
+    }
+
+    pendingCookie(token, secure) {
+        return securityHelpers.serializeCookie(settings.pendingCookieName, token, {
+            path: settings.pendingPath,
+            maxAge: token ? settings.pendingMaxAge : 0,
+            secure,
+            sameSite: 'Strict'
+        });
+    }
+
+    getPendingToken(req) {
+        return securityHelpers.parseCookies(req.headers.cookie)[settings.pendingCookieName] || null;
+    }
+
+    // --- Step-up ---
+
+    /**
+     * Confirm a fresh code for sensitive actions of the current session
+     * @returns {Promise<Object>} - { token, expiresIn }
+     */
+    async confirmStepUp(user, code) {
+        if (!user.jti) {
+            throw createError('Step-up requires a login session', 'VALIDATION_ERROR');
+        }
+        await this.verifyCode(user, code);
+
+        const token = jwt.sign(
+            { purpose: 'step_up', email: user.email, sid: user.jti },
+            this.tokenKey,
+            { expiresIn: settings.stepUpMaxAge }
+        );
+        console.log(`🔐 Step-up confirmed for ${user.email}`);
+        return { token, expiresIn: settings.stepUpMaxAge };
+    }
+
+    stepUpCookie(token, secure) {
+        return securityHelpers.serializeCookie(settings.stepUpCookieName, token, {
+            maxAge: token ? settings.stepUpMaxAge : 0,
+            secure,
+            sameSite: 'Strict'
+        });
+    }
+
+    // X-Step-Up-Token (API clients) or the step-up cookie (browser); only valid for the session that confirmed it
+    hasValidStepUp(req) {
+        const token = req.headers[settings.stepUpHeader] ||
+            securityHelpers.parseCookies(req.headers.cookie)[settings.stepUpCookieName];
+        if (!token || !req.user || !req.user.jti) {
+            return false;
+        }
+        try {
+            const decoded = jwt.verify(token, this.tokenKey);
+            return decoded.purpose === 'step_up' && decoded.sid === req.user.jti && decoded.email === req.user.email;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    isStepUpSatisfied(req) {
+        // Sin MySQL no hay secreto TOTP con el que verificar: se deniega para cualquier rol
+        if (!this.isAvailable()) {
+            console.warn(`⚠️ MySQL not connected, step-up denied for ${req.user ? req.user.email : 'anonymous'}`);
+            return false;
+        }
+        return this.hasValidStepUp(req);
+    }
+
+    // STEP_UP_REQUIRED, or TWO_FACTOR_UNAVAILABLE when there is no database to check the code against
+    createStepUpError() {
+        return this.isAvailable()
+            ? createError('Confirm your two-factor code to continue', 'STEP_UP_REQUIRED')
+            : createError('Two-factor authentication requires the database', 'TWO_FACTOR_UNAVAILABLE');
+    }
+}
+
+module.exports = TwoFactorService;
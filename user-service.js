@@ -0,0 +1,176 @@
+const database = require('./database');
+const { helpers: securityHelpers } = require('./config/security');
+const { helpers: permissionHelpers } = require('./config/permissions');
+const { helpers: companyHelpers } = require('./config/companies');
+const { createError } = require('./service-error');
+
+// Valores por defecto si system_config no tiene las filas sembradas
+const DEFAULT_SECURITY_SETTINGS = {
+    maxLoginAttempts: 5,
+    sessionTimeout: 1440,
+    lockoutDuration: 15
+};
+
+class UserService {
+    constructor() {
+        this.db = database;
+        this.settingsCache = null;
+        this.settingsCacheTime = 0;
+        this.settingsCacheTimeout = 5 * 60 * 1000; // 5 minutes
+    }
+
+    getDefaultPermissions(role) {
+        return permissionHelpers.getRolePermissions(role);
+    }
+
+    // Read max_login_attempts / session_timeout / lockout_duration from system_config
+    async getSecuritySettings() {
+        if (this.settingsCache && (Date.now() - this.settingsCacheTime) < this.settingsCacheTimeout) {
+            return this.settingsCache;
+        }
+
+        const settings = { ...DEFAULT_SECURITY_SETTINGS };
+        const keys = {
+            maxLoginAttempts: 'max_login_attempts',
+            sessionTimeout: 'session_timeout',
+            lockoutDuration: 'lockout_duration'
+        };
+
+        for (const [setting, configKey] of Object.entries(keys)) {
+            try {
+                const row = await this.db.getSystemConfig(configKey);
+                const value = row ? parseInt(row.config_value, 10) : NaN;
+                if (value > 0) {
+                    settings[setting] = value;
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not read ${configKey} from system_config: ${error.message}`);
+            }
+        }
+
+        this.settingsCache = settings;
+        this.settingsCacheTime = Date.now();
+        return settings;
+    }
+
+    // Access token lifetime follows session_timeout (minutes)
+    async getSessionExpiresIn() {
+        const { sessionTimeout } = await this.getSecuritySettings();
+        return `${sessionTimeout}m`;
+    }
+
+    async findByEmail(email) {
+        return this.db.getUserByEmail(email);
+    }
+
+    async findById(userId) {
+        return this.db.getUserById(userId);
+    }
+
+    async createUser({ fullName, email, password, role = 'user', company, companies }) {
+        const existing = await this.db.getUserByEmail(email);
+        if (existing) {
+            throw createError('User with this email already exists', 'USER_EXISTS');
+        }
+
+        const passwordHash = await securityHelpers.hashPassword(password);
+
+        return this.db.createUser({
+            id: `user_${securityHelpers.generateSecureToken(8)}`,
+            fullName,
+            email,
+            passwordHash,
+            role,
+            company: company || 'Default Company',
+            // Empresas cuyos datos puede ver el usuario (aislamiento por empresa)
+            companies: companyHelpers.normalizeCompanyList(companies || company),
+            permissions: this.getDefaultPermissions(role)
+        });
+    }
+
+    // El primer usuario registrado se convierte en admin para poder dar de alta al resto
+    async isFirstUser() {
+        return (await this.db.countUsers()) === 0;
+    }
+
+    /**
+     * Verify email/password honouring max_login_attempts and the lockout window
+     * @returns {Promise<Object>} The authenticated user
+     */
+    async verifyCredentials(email, password) {
+        const user = await this.db.getUserByEmail(email);
+        if (!user || !user.isActive) {
+            throw createError('Invalid email or password', 'INVALID_CREDENTIALS');
+        }
+
+        if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+            throw createError('Account temporarily locked due to too many failed login attempts', 'ACCOUNT_LOCKED', {
+                lockedUntil: new Date(user.lockedUntil).toISOString()
+            });
+        }
+
+        const isValidPassword = await securityHelpers.comparePassword(password, user.password);
+        if (!isValidPassword) {
+            const { maxLoginAttempts, lockoutDuration } = await this.getSecuritySettings();
+            const updated = await this.db.recordFailedLogin(user.id, maxLoginAttempts, lockoutDuration);
+
+            if (updated.lockedUntil && new Date(updated.lockedUntil) > new Date()) {
+                throw createError('Account temporarily locked due to too many failed login attempts', 'ACCOUNT_LOCKED', {
+                    lockedUntil: new Date(updated.lockedUntil).toISOString()
+                });
+            }
+
+            throw createError('Invalid email or password', 'INVALID_CREDENTIALS', {
+                remainingAttempts: Math.max(maxLoginAttempts - updated.failedLoginAttempts, 0)
+            });
+        }
+
+        await this.db.recordSuccessfulLogin(user.id);
+        return user;
+    }
+
+    async changePassword(userId, currentPassword, newPassword) {
+        const user = await this.db.getUserById(userId);
+        if (!user) {
+            throw createError('User not found', 'USER_NOT_FOUND');
+        }
+
+        const isValidPassword = await securityHelpers.comparePassword(currentPassword, user.password);
+        if (!isValidPassword) {
+            throw createError('Current password is incorrect', 'INVALID_CURRENT_PASSWORD');
+        }
+
+        const passwordHash = await securityHelpers.hashPassword(newPassword);
+        await this.db.updateUserPassword(userId, passwordHash);
+        return user;
+    }
+
+    // Public view of a user (never includes the password hash)
+    toPublicUser(user) {
+        return {
+            id: user.id,
+            fullName: user.fullName,
+            email: user.email,
+            role: user.role,
+            company: user.company,
+            companies: user.companies,
+            permissions: user.permissions,
+            createdAt: user.createdAt,
+            updatedAt: user.updatedAt
+        };
+    }
+
+    // Claims shared by access and refresh tokens
+    toTokenPayload(user) {
+        return {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            company: user.company,
+            companies: user.companies,
+            permissions: user.permissions
+        };
+    }
+}
+
+module.exports = UserService;
@@ -0,0 +1,203 @@
+const database = require('./database');
+const { helpers: zohoHelpers } = require('./config/zoho');
+const { createError } = require('./service-error');
+
+const MAX_ERROR_LENGTH = 1000;
+
+// Zoho Flow deliveries: first try inline, failures kept in zoho_deliveries and retried in the background
+class ZohoDeliveryService {
+    constructor(zohoWebhookService) {
+        this.db = database;
+        this.zoho = zohoWebhookService;
+        this.settings = zohoHelpers.getDeliverySettings();
+        this.retryInterval = null;
+        this.status = {
+            isRunning: false,
+            lastRun: null,
+            lastResult: null
+        };
+    }
+
+    // Start the retry worker
+    start(intervalSeconds = this.settings.intervalSeconds) {
+        if (this.retryInterval) {
+            this.stop();
+        }
+
+        console.log(`🔗 Starting Zoho delivery retries every ${intervalSeconds} seconds (max ${this.settings.maxAttempts} attempts)`);
+
+        this.retryInterval = setInterval(async () => {
+            await this.processQueue();
+        }, intervalSeconds * 1000);
+
+        this.processQueue();
+    }
+
+    // Stop the retry worker
+    stop() {
+        if (this.retryInterval) {
+            clearInterval(this.retryInterval);
+            this.retryInterval = null;
+            console.log('⏹️ Zoho delivery retries stopped');
+        }
+    }
+
+    /**
+     * Send a client to Zoho Flow. A failed first attempt is stored with its payload and retried later.
+     * @param {Object} clientData - Client information
+     * @param {string} clientId - Client ID (or ROW-<n>) shown in the dead-letter list
+     * @returns {Promise<Object>} - triggerWebhook result plus { queued, deliveryId } when it will be retried
+     */
+    async deliver(clientData, clientId = null) {
+        if (!this.zoho.ensureConfigured()) {
+            return { success: false, queued: false, error: 'Zoho Flow webhook not configured' };
+        }
+
+        // El payload se guarda tal cual: un cambio posterior del mapeo no altera los reintentos
+        const payload = this.zoho.buildPayload(clientData);
+        console.log(`🔗 Triggering Zoho Flow webhook for: ${clientData.clientFullName}`);
+        const result = await this.zoho.sendPayload(payload);
+        if (result.success) {
+            return { ...result, queued: false };
+        }
+
+        if (!this.db.mysqlConnected) {
+            console.warn('⚠️ MySQL not connected, failed Zoho delivery cannot be retried');
+            return { ...result, queued: false };
+        }
+
+        const retryInSeconds = this.settings.maxAttempts > 1 ? zohoHelpers.getRetryDelaySeconds(1) : null;
+        const delivery = await this.db.createZohoDelivery({
+            clientId: clientId || clientData.clientId || null,
+            clientName: clientData.clientFullName || clientData.name || '',
+            payload,
+            attempts: 1,
+            maxAttempts: this.settings.maxAttempts,
+            lastError: String(result.error || '').substring(0, MAX_ERROR_LENGTH),
+            statusCode: result.statusCode || null,
+            retryInSeconds
+        });
+        console.warn(`⚠️ Zoho delivery #${delivery.id} failed, ${retryInSeconds ? `retrying in ${retryInSeconds}s` : 'moved to the dead-letter list'}: ${result.error}`);
+
+        return { ...result, queued: delivery.status === 'Pending', deliveryId: delivery.id };
+    }
+
+    // Retry every due delivery; the ones out of attempts end up Failed (dead letter)
+    async processQueue() {
+        if (this.status.isRunning) {
+            return this.status.lastResult;
+        }
+
+        this.status.isRunning = true;
+        const result = { checked: 0, sent: 0, retrying: 0, failed: 0, errors: [] };
+
+        try {
+            if (!this.db.mysqlConnected) {
+                throw new Error('MySQL not connected');
+            }
+
+            const due = await this.db.getDueZohoDeliveries(this.settings.batchSize);
+            result.checked = due.length;
+
+            if (due.length > 0) {
+                // Sin URL los reintentos esperan sin gastar intentos
+                if (!this.zoho.ensureConfigured()) {
+                    throw new Error('Zoho Flow webhook not configured');
+                }
+
+                for (const delivery of due) {
+                    if (!await this.db.claimZohoDelivery(delivery.id, this.settings.leaseSeconds)) {
+                        continue;
+                    }
+                    const outcome = await this.attemptDelivery(delivery);
+                    result[outcome]++;
+                }
+
+                console.log(`🔗 Zoho delivery run: ${result.sent} sent, ${result.retrying} retrying, ${result.failed} failed`);
+            }
+        } catch (error) {
+            console.error('❌ Zoho delivery run failed:', error.message);
+            result.errors.push({ error: error.message });
+        } finally {
+            this.status.isRunning = false;
+            this.status.lastRun = new Date().toISOString();
+            this.status.lastResult = result;
+        }
+
+        return result;
+    }
+
+    /**
+     * One attempt for a claimed delivery
+     * @returns {Promise<string>} - 'sent', 'retrying' or 'failed'
+     */
+    async attemptDelivery(delivery) {
+        const attempts = delivery.attempts + 1;
+        const response = await this.zoho.sendPayload(delivery.payload);
+
+        if (response.success) {
+            await this.db.markZohoDeliverySent(delivery.id, attempts, response.statusCode || null);
+            console.log(`✅ Zoho delivery #${delivery.id} sent for: ${delivery.clientName || delivery.clientId}`);
+            return 'sent';
+        }
+
+        const errorMessage = String(response.error || 'Unknown error').substring(0, MAX_ERROR_LENGTH);
+        if (attempts >= delivery.maxAttempts) {
+            await this.db.recordZohoDeliveryFailure(delivery.id, attempts, errorMessage, response.statusCode || null);
+            console.error(`❌ Zoho delivery #${delivery.id} failed after ${attempts} attempts, moved to the dead-letter list: ${errorMessage}`);
+            return 'failed';
+        }
+
+        const retryInSeconds = zohoHelpers.getRetryDelaySeconds(attempts);
+        await this.db.recordZohoDeliveryFailure(delivery.id, attempts, errorMessage, response.statusCode || null, retryInSeconds);
+        console.warn(`⚠️ Zoho delivery #${delivery.id} attempt ${attempts}/${delivery.maxAttempts} failed, retrying in ${retryInSeconds}s: ${errorMessage}`);
+        return 'retrying';
+    }
+
+    /**
+     * Deliveries for the dead-letter list (status Failed) or the whole log
+     * @param {Object} filters - { status, limit }
+     */
+    async listDeliveries({ status = null, limit = 100 } = {}) {
+        if (status && !['Pending', 'Sent', 'Failed'].includes(status)) {
+            throw createError(`Invalid delivery status: ${status}`, 'VALIDATION_ERROR');
+        }
+        return this.db.getZohoDeliveries({ status, limit });
+    }
+
+    async getCounts() {
+        return this.db.getZohoDeliveryCounts();
+    }
+
+    // Resend a dead-letter delivery right away; if it fails again it keeps retrying with a fresh set of attempts
+    async resendDelivery(deliveryId) {
+        const delivery = await this.db.getZohoDeliveryById(deliveryId);
+        if (!delivery) {
+            throw createError(`Zoho delivery not found: ${deliveryId}`, 'NOT_FOUND');
+        }
+        if (delivery.status !== 'Failed') {
+            throw createError(`Only failed deliveries can be resent (delivery #${deliveryId} is ${delivery.status})`, 'VALIDATION_ERROR');
+        }
+        if (!this.zoho.ensureConfigured()) {
+            throw createError('Zoho Flow webhook not configured', 'VALIDATION_ERROR');
+        }
+
+        await this.db.requeueZohoDelivery(deliveryId);
+        console.log(`🔁 Zoho delivery #${deliveryId} resent for: ${delivery.clientName || delivery.clientId}`);
+        if (await this.db.claimZohoDelivery(deliveryId, this.settings.leaseSeconds)) {
+            await this.attemptDelivery({ ...delivery, status: 'Pending', attempts: 0 });
+        }
+        return this.db.getZohoDeliveryById(deliveryId);
+    }
+
+    getStatus() {
+        return {
+            ...this.status,
+            intervalSeconds: this.settings.intervalSeconds,
+            maxAttempts: this.settings.maxAttempts,
+            scheduled: !!this.retryInterval
+        };
+    }
+}
+
+module.exports = ZohoDeliveryService;
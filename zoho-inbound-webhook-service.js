@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const database = require('./database');
+const { helpers: zohoHelpers } = require('./config/zoho');
+const { createError } = require('./service-error');
+
+const MAX_EVENT_ID_LENGTH = 128;
+// Custom field de Zoho Books donde guardamos el client_id del portal
+const CLIENT_ID_CUSTOM_FIELDS = ['cf_client_id', 'client_id', 'client id', 'portal client id'];
+
+// Inbound Zoho webhooks (invoice paid, estimate accepted...) → invoice_status / estimate_status of the client
+class ZohoInboundWebhookService {
+    constructor(clientService, configDB) {
+        this.db = database;
+        this.clientService = clientService;
+        this.configDB = configDB;
+    }
+
+    // Shared secret Zoho sends in X-Webhook-Secret (falls back to the outbound Zoho Flow secret)
+    getSecret() {
+        const zohoConfig = this.configDB.getZohoConfig() || {};
+        return (process.env.ZOHO_INBOUND_WEBHOOK_SECRET || zohoConfig.inboundSecret || zohoConfig.webhookSecret || '').trim();
+    }
+
+    isConfigured() {
+        return !!this.getSecret();
+    }
+
+    verifySecret(providedSecret) {
+        const secret = this.getSecret();
+        if (!secret || !providedSecret) {
+            return false;
+        }
+
+        // Comparar hashes: timingSafeEqual necesita buffers de la misma longitud
+        const expected = crypto.createHash('sha256').update(secret).digest();
+        const provided = crypto.createHash('sha256').update(String(providedSecret).trim()).digest();
+        return crypto.timingSafeEqual(expected, provided);
+    }
+
+    /**
+     * Id used to detect replays: the event id Zoho sends, or a hash of the payload
+     * @param {Object} payload - Webhook body
+     * @param {Object} headers - Request headers
+     */
+    getEventId(payload, headers = {}) {
+        const explicit = payload.event_id || payload.eventId || headers['x-zoho-event-id'] || headers['x-webhook-id'];
+        if (explicit) {
+            return String(explicit).trim().substring(0, MAX_EVENT_ID_LENGTH);
+        }
+        return `sha256:${crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex')}`;
+    }
+
+    getRecord(payload, eventType) {
+        const module = eventType.split('.')[0];
+        return payload[module] || payload.data || payload;
+    }
+
+    // Client ID from the payload or the Zoho custom field; otherwise the only client with the customer email
+    async resolveClientId(payload, record) {
+        const explicit = payload.client_id || payload.clientId || record.client_id || record.clientId;
+        if (explicit) {
+            return String(explicit).trim();
+        }
+
+        const customField = (record.custom_fields || []).find(field =>
+            CLIENT_ID_CUSTOM_FIELDS.includes(String(field.api_name || field.label || '').trim().toLowerCase())
+        );
+        if (customField && customField.value) {
+            return String(customField.value).trim();
+        }
+
+        const email = payload.email || payload.customer_email || record.email || record.customer_email;
+        if (!email) {
+            return null;
+        }
+        const clientIds = await this.db.getClientIdsByEmail(email);
+        return clientIds.length === 1 ? clientIds[0] : null;
+    }
+
+    /**
+     * Apply a webhook once. Replays of an event already processed or ignored change nothing.
+     * @param {Object} payload - Webhook body
+     * @param {Object} headers - Request headers
+     * @param {string} ipAddress - Caller IP for the audit log
+     * @returns {Promise<Object>} - { eventId, eventType, status, clientId, duplicate, ... }
+     */
+    async handleEvent(payload, headers = {}, ipAddress = null) {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            throw createError('Webhook body must be a JSON object', 'VALIDATION_ERROR');
+        }
+        if (!this.db.mysqlConnected) {
+            throw createError('Zoho webhooks require the MySQL database', 'DATABASE_UNAVAILABLE');
+        }
+
+        const eventType = zohoHelpers.getEventType(payload);
+        if (!eventType) {
+            throw createError('Missing event type (event_type, or an invoice/estimate with a status)', 'VALIDATION_ERROR');
+        }
+
+        const eventId = this.getEventId(payload, headers);
+        if (!await this.db.claimZohoWebhookEvent(eventId, eventType, payload)) {
+            const previous = await this.db.getZohoWebhookEvent(eventId);
+            console.log(`🔁 Zoho webhook ${eventId} already received (${previous ? previous.status : 'unknown'}), skipping`);
+            return { eventId, eventType, duplicate: true, status: previous ? previous.status : null, clientId: previous ? previous.clientId : null };
+        }
+
+        try {
+            const result = await this.applyEvent(eventType, payload, ipAddress);
+            await this.db.completeZohoWebhookEvent(eventId, result.status, result.clientId, result.message);
+            console.log(`🔗 Zoho webhook ${eventId} (${eventType}): ${result.message}`);
+            return { eventId, eventType, duplicate: false, ...result };
+        } catch (error) {
+            // Failed events are claimed again when Zoho retries the delivery
+            await this.db.completeZohoWebhookEvent(eventId, 'Failed', null, error.message);
+            throw error;
+        }
+    }
+
+    async applyEvent(eventType, payload, ipAddress) {
+        const change = zohoHelpers.getStatusChange(eventType);
+        if (!change) {
+            return { status: 'Ignored', clientId: null, message: `Event ${eventType} does not change any client status` };
+        }
+
+        const clientId = await this.resolveClientId(payload, this.getRecord(payload, eventType));
+        if (!clientId) {
+            return { status: 'Ignored', clientId: null, message: 'No matching client (send client_id or a customer email used by exactly one client)' };
+        }
+
+        const client = await this.db.getClientById(clientId);
+        if (!client) {
+            return { status: 'Ignored', clientId: null, message: `Client not found: ${clientId}` };
+        }
+
+        const currentStatus = change.column === 'invoice_status' ? client.invoiceStatus : client.estimateStatus;
+        if (currentStatus === change.status || !zohoHelpers.isForwardChange(change.column, currentStatus, change.status)) {
+            return { status: 'Ignored', clientId, message: `${change.column} stays ${currentStatus}` };
+        }
+
+        // ClientService escribe MySQL, la hoja y el audit_log (usuario: zoho-webhook)
+        await this.clientService.updateClient(clientId, { [change.column]: change.status }, 'zoho-webhook', ipAddress);
+        return {
+            status: 'Processed',
+            clientId,
+            column: change.column,
+            previousStatus: currentStatus,
+            newStatus: change.status,
+            message: `${change.column} ${currentStatus || '(empty)'} → ${change.status}`
+        };
+    }
+}
+
+module.exports = ZohoInboundWebhookService;
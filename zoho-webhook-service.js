@@ -1,11 +1,83 @@
 const https = require('https');
 const http = require('http');
+const ConfigDatabase = require('./config-database');
+const { outboundTransforms, dateFormats, helpers: zohoHelpers } = require('./config/zoho');
+const { createError } = require('./service-error');
 
 class ZohoWebhookService {
-    constructor() {
+    constructor(configDB = null) {
         this.webhookUrl = null;
         this.webhookSecret = null;
         this.isConfigured = false;
+        this.configDB = configDB || new ConfigDatabase();
+    }
+
+    // Saved mapping, or the default one
+    getFieldMapping() {
+        return this.configDB.getZohoFieldMapping() || zohoHelpers.getDefaultFieldMapping();
+    }
+
+    /**
+     * Mapping editor data: current mapping plus the client fields, transforms and date formats it can use
+     */
+    getMappingEditor() {
+        const zohoConfig = this.configDB.getZohoConfig() || {};
+        const custom = this.configDB.getZohoFieldMapping();
+        return {
+            mapping: custom || zohoHelpers.getDefaultFieldMapping(),
+            isCustom: !!custom,
+            updatedAt: custom ? zohoConfig.fieldMappingUpdatedAt || null : null,
+            updatedBy: custom ? zohoConfig.fieldMappingUpdatedBy || null : null,
+            defaultMapping: zohoHelpers.getDefaultFieldMapping(),
+            sources: zohoHelpers.getOutboundSources(),
+            transforms: outboundTransforms,
+            dateFormats
+        };
+    }
+
+    validateMapping(mapping) {
+        const errors = zohoHelpers.validateMapping(mapping);
+        if (errors.length > 0) {
+            throw createError(`Invalid field mapping: ${errors.join('; ')}`, 'VALIDATION_ERROR');
+        }
+        return zohoHelpers.normalizeMapping(mapping);
+    }
+
+    saveFieldMapping(mapping, updatedBy = null) {
+        const normalized = this.validateMapping(mapping);
+        if (!this.configDB.updateZohoFieldMapping(normalized, updatedBy)) {
+            throw new Error('Could not save the Zoho field mapping');
+        }
+        console.log(`🔗 Zoho Flow field mapping saved (${normalized.length} fields)${updatedBy ? ` by ${updatedBy}` : ''}`);
+        return this.getMappingEditor();
+    }
+
+    resetFieldMapping() {
+        if (!this.configDB.getZohoFieldMapping()) {
+            throw createError('The Zoho field mapping is not customized', 'NOT_FOUND');
+        }
+        if (!this.configDB.updateZohoFieldMapping(null)) {
+            throw new Error('Could not reset the Zoho field mapping');
+        }
+        console.log('🔗 Zoho Flow field mapping reset to the default');
+        return this.getMappingEditor();
+    }
+
+    /**
+     * Exact JSON triggerWebhook would send for a client (sample client when none is given)
+     * @param {Object|null} client - Client record
+     * @param {Array<Object>|null} mapping - Unsaved mapping to try, or null for the saved one
+     */
+    previewPayload(client = null, mapping = null) {
+        const fieldMapping = mapping ? this.validateMapping(mapping) : this.getFieldMapping();
+        return {
+            payload: zohoHelpers.buildPayload(client || zohoHelpers.getSampleClient(), fieldMapping),
+            sampleClient: !client
+        };
+    }
+
+    buildPayload(clientData) {
+        return zohoHelpers.buildPayload(clientData, this.getFieldMapping());
     }
 
     /**
@@ -82,68 +154,57 @@ class ZohoWebhookService {
         }
     }
 
+    /**
+     * Configure from the environment or the saved settings when nothing configured the service yet
+     * @returns {boolean} - Whether a webhook URL is available
+     */
+    ensureConfigured() {
+        if (this.isConfigured && this.webhookUrl) {
+            return true;
+        }
+
+        const saved = this.configDB.getZohoConfig() || {};
+        const webhookUrl = process.env.ZOHO_FLOW_WEBHOOK_URL || process.env.ZOHO_WEBHOOK_URL || saved.webhookUrl;
+        if (!webhookUrl) {
+            return false;
+        }
+        return this.configure({
+            webhookUrl,
+            webhookSecret: process.env.ZOHO_FLOW_WEBHOOK_SECRET || process.env.ZOHO_WEBHOOK_SECRET || saved.webhookSecret || ''
+        }).success;
+    }
+
     /**
      * Trigger Zoho Flow webhook with client data
      * @param {Object} clientData - Client information
      * @returns {Promise<Object>} - Result of webhook trigger
      */
     async triggerWebhook(clientData) {
+        if (!this.isConfigured || !this.webhookUrl) {
+            console.error('❌ Error triggering Zoho Flow webhook: Zoho Flow webhook not configured');
+            return {
+                success: false,
+                error: 'Zoho Flow webhook not configured'
+            };
+        }
+
+        console.log(`🔗 Triggering Zoho Flow webhook for: ${clientData.clientFullName}`);
+
+        // Campos según el mapeo configurable (system-config → Zoho Flow field mapping)
+        return this.sendPayload(this.buildPayload(clientData));
+    }
+
+    /**
+     * POST an already built payload to the Zoho Flow webhook (also used to retry stored deliveries)
+     * @param {Object} flowData - Payload
+     * @returns {Promise<Object>} - { success, statusCode, response } or { success: false, statusCode, error }
+     */
+    async sendPayload(flowData) {
         try {
             if (!this.isConfigured || !this.webhookUrl) {
                 throw new Error('Zoho Flow webhook not configured');
             }
 
-            console.log(`🔗 Triggering Zoho Flow webhook for: ${clientData.clientFullName}`);
-
-            // Prepare data for Zoho Flow - map to expected Zoho fields
-            const flowData = {
-                // Map to Zoho CRM Contact fields
-                "Email": clientData.email || '',
-                "Organization": clientData.companyName || clientData.company || 'Individual',
-                "Billing address - Phone": clientData.customerPhoneNumber || clientData.phone || '',
-                "Billing address - Address": clientData.address || '',
-                "Twitter": "",
-                "Website": "",
-                "Is portal enabled?": "true",
-                "Last name": clientData.clientFullName ? clientData.clientFullName.split(' ').slice(-1).join(' ') : 'Client',
-                "Salutation": "",
-                "Remark": clientData.technicalDescription || clientData.description || 'New lead from website',
-                "GST number": "",
-                "Billing address - State": "",
-                "VAT registration number": "",
-                "Billing address - Street 2": "",
-                "Shipping address - State code": "",
-                "Phone": clientData.customerPhoneNumber || clientData.phone || '',
-                "Shipping address - Address": clientData.address || '',
-                "First name": clientData.clientFullName ? clientData.clientFullName.split(' ')[0] : 'New',
-                "Facebook": "",
-                "Shipping address - Attention": "",
-                "GST treatment": "",
-                "Is taxable?": "",
-                "Customer display name": clientData.clientFullName || 'New Client',
-                "Company name": clientData.companyName || clientData.company || 'Individual',
-                "Billing address - Attention": "",
-                "Shipping address - Street 2": "",
-                "Shipping address - State": "",
-                "Billing address - State code": "",
-                "Shipping address - Fax": "",
-                "Shipping address - City": "",
-                "Shipping address - Phone": clientData.customerPhoneNumber || clientData.phone || '',
-                "Payment terms": "",
-                "Place of contact": "Website",
-                "VAT treatment": "",
-                "Shipping address - ZIP": "",
-                "Billing address - ZIP": "",
-                "Billing address - City": "",
-                "Billing address - Fax": "",
-                "Customer subtype": clientData.customerType || 'Residential',
-                // Additional fields for tracking
-                "Service Type": clientData.serviceType || '',
-                "Price": clientData.price || '0',
-                "Source": 'Web Form',
-                "Registration Date": new Date().toISOString()
-            };
-
             // Prepare headers
             const headers = {
                 'Content-Type': 'application/json',
@@ -167,7 +228,7 @@ class ZohoWebhookService {
             });
 
             if (response.success) {
-                console.log(`✅ Zoho Flow webhook triggered successfully for: ${clientData.clientFullName}`);
+                console.log('✅ Zoho Flow webhook triggered successfully');
                 console.log('Response:', response.data);
                 
                 return {
@@ -176,9 +237,14 @@ class ZohoWebhookService {
                     response: response.data,
                     statusCode: response.statusCode
                 };
-            } else {
-                throw new Error(`Webhook failed: ${response.error}`);
             }
+
+            console.error('❌ Error triggering Zoho Flow webhook:', response.error);
+            return {
+                success: false,
+                error: `Webhook failed: ${response.error}`,
+                statusCode: response.statusCode || null
+            };
         } catch (error) {
             console.error('❌ Error triggering Zoho Flow webhook:', error);
             return {
@@ -200,54 +266,9 @@ class ZohoWebhookService {
 
             console.log(`🔗 Testing Zoho Flow webhook: ${this.webhookUrl}`);
 
-            // Prepare test data - use same format as real form submissions
+            // Same mapping as real form submissions, with the sample client and a test flag
             const testData = {
-                // Map to Zoho CRM Contact fields (same format as triggerWebhook)
-                "Email": 'test@example.com',
-                "Organization": 'Test Organization',
-                "Billing address - Phone": '555-1234',
-                "Billing address - Address": '123 Test St',
-                "Twitter": "",
-                "Website": "",
-                "Is portal enabled?": "true",
-                "Last name": "Client",
-                "Salutation": "",
-                "Remark": "Test webhook from Irias Portal",
-                "GST number": "",
-                "Billing address - State": "",
-                "VAT registration number": "",
-                "Billing address - Street 2": "",
-                "Shipping address - State code": "",
-                "Phone": "555-1234",
-                "Shipping address - Address": "123 Test St",
-                "First name": "Test",
-                "Facebook": "",
-                "Shipping address - Attention": "",
-                "GST treatment": "",
-                "Is taxable?": "",
-                "Customer display name": "Test Client",
-                "Company name": "Test Organization",
-                "Billing address - Attention": "",
-                "Shipping address - Street 2": "",
-                "Shipping address - State": "",
-                "Billing address - State code": "",
-                "Shipping address - Fax": "",
-                "Shipping address - City": "",
-                "Shipping address - Phone": "555-1234",
-                "Payment terms": "",
-                "Place of contact": "Website",
-                "VAT treatment": "",
-                "Shipping address - ZIP": "",
-                "Billing address - ZIP": "",
-                "Billing address - City": "",
-                "Billing address - Fax": "",
-                "Customer subtype": "Residential",
-                // Additional fields for tracking
-                "Service Type": "Test Service",
-                "Price": "0",
-                "Source": "Test Webhook",
-                "Registration Date": new Date().toISOString(),
-                // Test flag
+                ...this.buildPayload(zohoHelpers.getSampleClient()),
                 "test": true
             };
 